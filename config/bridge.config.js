@@ -1,5 +1,26 @@
 // Bridge.xyz API Configuration
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Load a PEM public key from an env value
+ * Accepts an inline PEM (with literal "\n" escapes) or a path to a .pem file
+ */
+function loadPublicKey(value) {
+  if (!value) return null;
+
+  if (value.includes('-----BEGIN')) {
+    return value.replace(/\\n/g, '\n');
+  }
+
+  try {
+    return fs.readFileSync(path.resolve(value), 'utf8');
+  } catch (error) {
+    console.error(`❌ Could not read Bridge webhook public key from ${value}:`, error.message);
+    return null;
+  }
+}
 
 const bridgeConfig = {
   // API Configuration
@@ -27,6 +48,16 @@ const bridgeConfig = {
     plaid: '/plaid',
   },
 
+  // Webhook Signature Verification
+  // Set BRIDGE_WEBHOOK_PUBLIC_KEY_PREVIOUS during key rotation so both keys are accepted
+  webhook: {
+    publicKeys: [
+      loadPublicKey(process.env.BRIDGE_WEBHOOK_PUBLIC_KEY),
+      loadPublicKey(process.env.BRIDGE_WEBHOOK_PUBLIC_KEY_PREVIOUS),
+    ].filter(Boolean),
+    toleranceMs: parseInt(process.env.BRIDGE_WEBHOOK_TOLERANCE_MS || '600000'), // 10 minutes
+  },
+
   // Feature Flags
   features: {
     enableWebhooks: true,
@@ -58,4 +89,8 @@ try {
   }
 }
 
+if (bridgeConfig.webhook.publicKeys.length === 0) {
+  console.warn('⚠️  BRIDGE_WEBHOOK_PUBLIC_KEY not set - Bridge webhooks will be rejected');
+}
+
 module.exports = bridgeConfig;
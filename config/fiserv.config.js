@@ -0,0 +1,38 @@
+// Fiserv Commerce Hub Configuration
+require('dotenv').config();
+
+// Load Fiserv credentials from environment
+const fiservConfig = {
+  apiKey: process.env.FISERV_API_KEY,
+  apiSecret: process.env.FISERV_API_SECRET,
+  merchantId: process.env.FISERV_MERCHANT_ID,
+  host: process.env.FISERV_HOST || 'https://connect-cert.fiservapis.com/ch',
+
+  // Currencies the merchant account is set up to accept (ISO 4217, comma separated)
+  supportedCurrencies: (process.env.FISERV_SUPPORTED_CURRENCIES || 'USD')
+    .split(',')
+    .map(code => code.trim().toUpperCase())
+    .filter(Boolean),
+
+  // HTTP Client Configuration
+  timeout: parseInt(process.env.FISERV_TIMEOUT_MS || '30000'),
+  retryAttempts: parseInt(process.env.FISERV_RETRY_ATTEMPTS || '3'), // GET lookups only
+  retryDelay: 1000, // 1 second initial delay (exponential backoff)
+
+  // Retryable HTTP status codes
+  retryableStatusCodes: [429, 500, 502, 503, 504],
+
+  // Circuit breaker: stop calling Fiserv after consecutive gateway failures
+  circuitBreaker: {
+    failureThreshold: parseInt(process.env.FISERV_CIRCUIT_FAILURE_THRESHOLD || '5'),
+    resetTimeout: parseInt(process.env.FISERV_CIRCUIT_RESET_MS || '30000'), // before a trial request
+  }
+};
+
+// Validate required credentials
+if (!fiservConfig.apiKey || !fiservConfig.apiSecret || !fiservConfig.merchantId) {
+  console.error('❌ ERROR: Missing required Fiserv credentials in environment variables');
+  console.error('   Required: FISERV_API_KEY, FISERV_API_SECRET, FISERV_MERCHANT_ID');
+}
+
+module.exports = fiservConfig;
@@ -1,6 +1,7 @@
 // Supabase Configuration for Kalypso Backend
 require('dotenv').config();
 const { createClient } = require('@supabase/supabase-js');
+const { redact, redactString } = require('../utils/logger');
 
 const supabaseUrl = process.env.SUPABASE_URL || '';
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY || '';
@@ -32,6 +33,23 @@ if (supabaseUrl && supabaseServiceKey) {
   console.warn('⚠️  Supabase not initialized - missing credentials');
 }
 
+/**
+ * Create a throwaway client for acting as one user (e.g. auth.updateUser after
+ * re-authenticating). Signing in on the shared client would make its later
+ * queries run as that user instead of the service role.
+ */
+function createSessionClient() {
+  if (!supabaseUrl || !supabaseServiceKey) return null;
+
+  return createClient(supabaseUrl, supabaseServiceKey, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false,
+      detectSessionInUrl: false
+    }
+  });
+}
+
 // Helper functions for common database operations
 
 /**
@@ -122,8 +140,9 @@ async function createAuditLog(logData) {
     .insert({
       user_id: logData.userId || null,
       event_type: logData.eventType,
-      event_description: logData.description || null,
-      event_data: logData.data || null,
+      // Webhook bodies and API errors end up here - mask card, bank and identity numbers
+      event_description: logData.description ? redactString(logData.description) : null,
+      event_data: logData.data ? redact(logData.data) : null,
       bridge_event_id: logData.bridgeEventId || null,
       bridge_event_type: logData.bridgeEventType || null,
       ip_address: logData.ipAddress || null,
@@ -313,6 +332,7 @@ if (supabase) {
 
 module.exports = {
   supabase,
+  createSessionClient,
   getUserById,
   getUserByEmail,
   getUserByBridgeCustomerId,
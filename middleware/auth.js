@@ -1,7 +1,19 @@
 // Authentication Middleware
 // Verifies Supabase JWT tokens and attaches user to request
 
-const { verifyToken, getUserProfile } = require('../services/authService');
+const { verifyToken, getUserProfile, decodeTokenClaims } = require('../services/authService');
+const { touchSession } = require('../services/sessionService');
+const { getUserById, createAuditLog } = require('../config/supabase.config');
+const { isTwoFactorEnabled, verifySecondFactor } = require('../services/twoFactorService');
+
+// Header support staff use to act on behalf of a user
+const IMPERSONATION_HEADER = 'x-impersonate-user-id';
+
+// Roles (public.users.role) allowed to impersonate users
+const IMPERSONATION_ROLES = ['support', 'admin'];
+
+// Header carrying a TOTP or recovery code for step-up authentication
+const STEP_UP_HEADER = 'x-2fa-code';
 
 /**
  * Verify JWT token and attach user to request
@@ -31,10 +43,29 @@ async function verifyAuth(req, res, next) {
       });
     }
 
+    // Reject tokens whose session was revoked on our side
+    if (!(await attachSession(req, token, authUser))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session has been revoked',
+      });
+    }
+
     // Attach user ID to request
     req.userId = authUser.id;
     req.user = authUser;
 
+    // Support staff may act on behalf of another user
+    if (req.headers[IMPERSONATION_HEADER]) {
+      const impersonation = await applyImpersonation(req, authUser);
+      if (!impersonation.allowed) {
+        return res.status(403).json({
+          success: false,
+          error: impersonation.error,
+        });
+      }
+    }
+
     next();
   } catch (error) {
     console.error('Auth middleware error:', error.message);
@@ -71,13 +102,28 @@ async function verifyAuthWithProfile(req, res, next) {
       });
     }
 
-    // Get full profile from database
-    const profile = await getUserProfile(authUser.id);
+    if (!(await attachSession(req, token, authUser))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session has been revoked',
+      });
+    }
 
-    // Attach to request
     req.userId = authUser.id;
     req.user = authUser;
-    req.userProfile = profile;
+
+    if (req.headers[IMPERSONATION_HEADER]) {
+      const impersonation = await applyImpersonation(req, authUser);
+      if (!impersonation.allowed) {
+        return res.status(403).json({
+          success: false,
+          error: impersonation.error,
+        });
+      }
+    }
+
+    // Get full profile from database (the impersonated user's, if any)
+    req.userProfile = await getUserProfile(req.userId);
 
     next();
   } catch (error) {
@@ -89,7 +135,236 @@ async function verifyAuthWithProfile(req, res, next) {
   }
 }
 
+/**
+ * Check the token's session against server-side revocations and attach it to the request
+ *
+ * @param {Object} req - Express request
+ * @param {string} token - Verified access token
+ * @param {Object} authUser - Authenticated Supabase user
+ * @returns {Promise<boolean>} False if the session has been revoked
+ */
+async function attachSession(req, token, authUser) {
+  const claims = decodeTokenClaims(token);
+
+  const { revoked } = await touchSession(authUser.id, claims.session_id, {
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent'],
+  });
+
+  if (revoked) {
+    console.warn(`⚠️  Rejected revoked session ${claims.session_id} for user ${authUser.id}`);
+    return false;
+  }
+
+  req.accessToken = token;
+  req.sessionId = claims.session_id || null;
+  return true;
+}
+
+/**
+ * Switch the acting user to the one named in the impersonation header
+ * Only support staff may impersonate, and every attempt is audit-logged
+ *
+ * @param {Object} req - Express request (req.userId is replaced on success)
+ * @param {Object} authUser - Authenticated Supabase user (the staff member)
+ * @returns {Promise<Object>} { allowed: boolean, error?: string }
+ */
+async function applyImpersonation(req, authUser) {
+  const targetUserId = req.headers[IMPERSONATION_HEADER];
+  const staffRole = await getUserRole(authUser.id);
+  const auditContext = {
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent'],
+  };
+
+  if (!IMPERSONATION_ROLES.includes(staffRole)) {
+    console.warn(`⚠️  Impersonation denied for user ${authUser.id}`);
+
+    await createAuditLog({
+      userId: authUser.id,
+      eventType: 'impersonation_denied',
+      description: `User attempted to impersonate ${targetUserId} without a support role`,
+      data: { targetUserId, method: req.method, path: req.originalUrl },
+      ...auditContext,
+    });
+
+    return { allowed: false, error: 'Impersonation is restricted to support staff' };
+  }
+
+  let targetUser = null;
+  try {
+    targetUser = await getUserById(targetUserId);
+  } catch (error) {
+    targetUser = null;
+  }
+
+  if (!targetUser) {
+    return { allowed: false, error: 'Impersonated user not found' };
+  }
+
+  req.actorUserId = authUser.id;
+  req.actorRole = staffRole;
+  req.userId = targetUser.id;
+  req.impersonating = true;
+
+  console.log(`🕵️  User ${authUser.id} (${staffRole}) acting as ${targetUser.id}: ${req.method} ${req.originalUrl}`);
+
+  await createAuditLog({
+    userId: targetUser.id,
+    eventType: 'impersonation_request',
+    description: `${staffRole} ${authUser.id} acted as user: ${req.method} ${req.originalUrl}`,
+    data: {
+      actorUserId: authUser.id,
+      actorRole: staffRole,
+      method: req.method,
+      path: req.originalUrl,
+    },
+    ...auditContext,
+  });
+
+  return { allowed: true };
+}
+
+/**
+ * Look up a user's access role from public.users
+ * @returns {Promise<string>} Role ('user' if the profile is missing)
+ */
+async function getUserRole(userId) {
+  try {
+    const user = await getUserById(userId);
+    return user?.role || 'user';
+  } catch (error) {
+    return 'user';
+  }
+}
+
+/**
+ * Restrict a route to staff roles
+ * Must run after verifyAuth. Checks the real caller's role, even while impersonating.
+ *
+ * Usage: router.get('/admin-only', verifyAuth, requireRole('admin'), handler)
+ *
+ * @param {...string} allowedRoles - Roles permitted to access the route
+ */
+function requireRole(...allowedRoles) {
+  return async (req, res, next) => {
+    try {
+      const actorId = req.actorUserId || req.userId;
+      const role = await getUserRole(actorId);
+
+      if (!allowedRoles.includes(role)) {
+        console.warn(`⚠️  Role check failed for user ${actorId}: ${role} not in [${allowedRoles.join(', ')}]`);
+
+        await createAuditLog({
+          userId: actorId,
+          eventType: 'role_access_denied',
+          description: `Access denied: ${req.method} ${req.originalUrl}`,
+          data: { role, requiredRoles: allowedRoles, path: req.originalUrl },
+          ipAddress: req.ip,
+          userAgent: req.headers['user-agent'],
+        });
+
+        return res.status(403).json({
+          success: false,
+          error: 'Insufficient permissions',
+        });
+      }
+
+      req.userRole = role;
+      next();
+    } catch (error) {
+      console.error('Role middleware error:', error.message);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to verify permissions',
+      });
+    }
+  };
+}
+
+/**
+ * Require a fresh second-factor proof for a sensitive action
+ * Must run after verifyAuth. The code is sent in the X-2FA-Code header and is
+ * single-use, so every protected request needs its own proof.
+ *
+ * Usage: router.get('/sensitive', verifyAuth, requireStepUp(), handler)
+ *        router.post('/', verifyAuth, requireStepUp(req => req.body.amount > 1000), handler)
+ *
+ * @param {Function} [isRequired] - Optional (req) => boolean|Promise<boolean>; step-up is skipped when false
+ */
+function requireStepUp(isRequired = null) {
+  return async (req, res, next) => {
+    try {
+      if (isRequired && !(await isRequired(req))) {
+        return next();
+      }
+
+      // Staff cannot produce the user's second factor
+      if (req.impersonating) {
+        return res.status(403).json({
+          success: false,
+          error: 'This action cannot be performed while impersonating a user',
+          code: 'STEP_UP_UNAVAILABLE',
+        });
+      }
+
+      if (!(await isTwoFactorEnabled(req.userId))) {
+        return res.status(403).json({
+          success: false,
+          error: 'Two-factor authentication must be enabled for this action',
+          code: 'TWO_FACTOR_NOT_ENROLLED',
+        });
+      }
+
+      const code = req.headers[STEP_UP_HEADER];
+
+      if (!code) {
+        return res.status(401).json({
+          success: false,
+          error: 'Two-factor verification required',
+          code: 'STEP_UP_REQUIRED',
+        });
+      }
+
+      const { verified, method } = await verifySecondFactor(req.userId, code);
+
+      if (!verified) {
+        await createAuditLog({
+          userId: req.userId,
+          eventType: 'step_up_failed',
+          description: `Step-up verification failed: ${req.method} ${req.originalUrl}`,
+          data: { method, path: req.originalUrl },
+          ipAddress: req.ip,
+          userAgent: req.headers['user-agent'],
+        });
+
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid two-factor code',
+          code: 'STEP_UP_FAILED',
+        });
+      }
+
+      req.stepUp = {
+        method,
+        verifiedAt: new Date().toISOString(),
+      };
+
+      next();
+    } catch (error) {
+      console.error('Step-up middleware error:', error.message);
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.statusCode ? error.message : 'Two-factor verification failed',
+        ...(error.statusCode && error.code && { code: error.code }),
+      });
+    }
+  };
+}
+
 module.exports = {
   verifyAuth,
   verifyAuthWithProfile,
+  requireRole,
+  requireStepUp,
 };
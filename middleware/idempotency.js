@@ -0,0 +1,259 @@
+// Idempotency Middleware
+// Honors a client-supplied Idempotency-Key header on create endpoints
+
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase.config');
+
+const IDEMPOTENCY_HEADER = 'idempotency-key';
+
+// Keys may be UUIDs or any opaque client token
+const KEY_PATTERN = /^[A-Za-z0-9_\-:.]{8,255}$/;
+
+// Keys stuck in processing longer than this (e.g. the process died mid-request) are reclaimed
+const LOCK_TIMEOUT_MS = parseInt(process.env.IDEMPOTENCY_LOCK_TIMEOUT_MS || String(5 * 60 * 1000));
+
+/**
+ * Serialize a value with object keys sorted, so the same payload always hashes the same
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash the request payload (method, path and body)
+ * Only the hash is stored - bodies can contain card data
+ */
+function hashRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+    .digest('hex');
+}
+
+/**
+ * Derive the key forwarded to upstream providers (e.g. Bridge)
+ * Provider keys are shared across all of our users, so the client key is scoped
+ * to the user and endpoint to prevent two users' keys from colliding.
+ */
+function deriveUpstreamKey(userId, scope, key) {
+  const hash = crypto
+    .createHash('sha256')
+    .update(`${userId}:${scope}:${key}`)
+    .digest('hex');
+
+  // Format as a UUID for providers that expect one
+  return `${hash.slice(0, 8)}-${hash.slice(8, 12)}-${hash.slice(12, 16)}-${hash.slice(16, 20)}-${hash.slice(20, 32)}`;
+}
+
+/**
+ * Try to claim a key for this request
+ * @returns {Promise<Object>} { claimed: true, record } or { claimed: false, existing }
+ */
+async function claimKey(userId, scope, key, requestHash) {
+  const { data: record, error } = await supabase
+    .from('idempotency_keys')
+    .insert({
+      user_id: userId,
+      scope,
+      idempotency_key: key,
+      request_hash: requestHash,
+      status: 'processing',
+    })
+    .select()
+    .single();
+
+  if (!error) {
+    return { claimed: true, record };
+  }
+
+  // 23505 = unique violation: the key has been used before
+  if (error.code !== '23505') {
+    throw new Error(`Failed to store idempotency key: ${error.message}`);
+  }
+
+  const { data: existing, error: lookupError } = await supabase
+    .from('idempotency_keys')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('scope', scope)
+    .eq('idempotency_key', key)
+    .single();
+
+  if (lookupError || !existing) {
+    throw new Error(`Failed to load idempotency key: ${lookupError?.message || 'not found'}`);
+  }
+
+  // Expired keys can be reused for a new request
+  if (new Date(existing.expires_at).getTime() < Date.now()) {
+    await supabase.from('idempotency_keys').delete().eq('id', existing.id);
+    return claimKey(userId, scope, key, requestHash);
+  }
+
+  // The request holding the key never finished: let the retry take it over.
+  // Conditional on locked_at so only one retry wins.
+  const staleLock = Date.now() - LOCK_TIMEOUT_MS;
+  if (existing.status === 'processing' && existing.request_hash === requestHash &&
+      new Date(existing.locked_at).getTime() < staleLock) {
+    const { data: reclaimed, error: reclaimError } = await supabase
+      .from('idempotency_keys')
+      .update({ locked_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .eq('status', 'processing')
+      .eq('locked_at', existing.locked_at)
+      .select();
+
+    if (reclaimError) {
+      throw new Error(`Failed to reclaim idempotency key: ${reclaimError.message}`);
+    }
+
+    if (reclaimed && reclaimed.length > 0) {
+      console.warn(`⚠️  Reclaimed stale Idempotency-Key for ${scope} (locked since ${existing.locked_at})`);
+      return { claimed: true, record: reclaimed[0] };
+    }
+  }
+
+  return { claimed: false, existing };
+}
+
+/**
+ * Delete expired keys
+ * Called on a schedule by workers/idempotencyKeyWorker.js
+ *
+ * @returns {Promise<number>} Keys deleted
+ */
+async function purgeExpiredKeys() {
+  const { data, error } = await supabase
+    .from('idempotency_keys')
+    .delete()
+    .lt('expires_at', new Date().toISOString())
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to purge idempotency keys: ${error.message}`);
+  }
+
+  return data ? data.length : 0;
+}
+
+/**
+ * Make an endpoint idempotent per user
+ * Must run after verifyAuth (and any step-up checks, so auth failures are never stored).
+ *
+ * - First request: the response is stored against the key
+ * - Retry with the same key and payload: the stored response is replayed
+ * - Same key, different payload: 422
+ * - Same key while the first request is still running: 409 (taken over once its lock is stale)
+ * - 5xx responses are not stored, so the client can retry with the same key
+ *
+ * Sets req.idempotencyKey and req.upstreamIdempotencyKey (for forwarding to Bridge).
+ *
+ * Usage: router.post('/', verifyAuth, idempotency('transfers.create'), handler)
+ *
+ * @param {string} scope - Endpoint name the keys belong to
+ * @param {Object} options - { required: boolean } reject requests without a key
+ */
+function idempotency(scope, options = {}) {
+  const { required = false } = options;
+
+  return async (req, res, next) => {
+    const key = req.headers[IDEMPOTENCY_HEADER];
+
+    if (!key) {
+      if (required) {
+        return res.status(400).json({
+          success: false,
+          error: 'Idempotency-Key header is required',
+        });
+      }
+      return next();
+    }
+
+    if (!KEY_PATTERN.test(key)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Idempotency-Key. Use 8-255 characters: letters, digits, - _ : .',
+      });
+    }
+
+    if (!supabase) {
+      console.warn('⚠️  Idempotency-Key ignored - Supabase not configured');
+      return next();
+    }
+
+    try {
+      const requestHash = hashRequest(req);
+      const { claimed, record, existing } = await claimKey(req.userId, scope, key, requestHash);
+
+      if (!claimed) {
+        if (existing.request_hash !== requestHash) {
+          return res.status(422).json({
+            success: false,
+            error: 'Idempotency-Key has already been used with a different request payload',
+          });
+        }
+
+        if (existing.status === 'processing') {
+          return res.status(409).json({
+            success: false,
+            error: 'A request with this Idempotency-Key is still being processed',
+          });
+        }
+
+        console.log(`🔁 Replaying stored response for ${scope} (Idempotency-Key ${key})`);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.response_status).json(existing.response_body);
+      }
+
+      req.idempotencyKey = key;
+      req.upstreamIdempotencyKey = deriveUpstreamKey(req.userId, scope, key);
+
+      // Capture the response body so it can be stored once the request finishes
+      const originalJson = res.json.bind(res);
+      let responseBody;
+      res.json = (body) => {
+        responseBody = body;
+        return originalJson(body);
+      };
+
+      res.on('finish', async () => {
+        try {
+          if (res.statusCode >= 500 || responseBody === undefined) {
+            // Release the key so the request can be retried
+            await supabase.from('idempotency_keys').delete().eq('id', record.id);
+            return;
+          }
+
+          await supabase
+            .from('idempotency_keys')
+            .update({
+              status: 'completed',
+              response_status: res.statusCode,
+              response_body: responseBody,
+            })
+            .eq('id', record.id);
+        } catch (storeError) {
+          console.error('Failed to store idempotent response:', storeError.message);
+        }
+      });
+
+      next();
+    } catch (error) {
+      console.error('Idempotency middleware error:', error.message);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to process Idempotency-Key',
+      });
+    }
+  };
+}
+
+module.exports = {
+  idempotency,
+  purgeExpiredKeys,
+};
@@ -0,0 +1,1088 @@
+// Admin API Routes
+// Back-office endpoints for support, compliance, and admin staff
+// Every action is written to audit_logs
+
+const express = require('express');
+const router = express.Router();
+const { getUserById, createAuditLog } = require('../config/supabase.config');
+const { verifyAuth, requireRole } = require('../middleware/auth');
+const {
+  searchUsers,
+  overrideKycStatus,
+  freezeUserCards,
+  setUserRole,
+} = require('../services/adminService');
+const { listTransfers } = require('../services/transferService');
+const { listEvents, getEvent, replayEvent } = require('../services/webhookInboxService');
+const { getPaymentById } = require('../services/paymentService');
+const { listRefunds } = require('../services/refundService');
+const { retryPurchaseTransfer } = require('../services/purchaseOrchestrator');
+const {
+  MAX_EVIDENCE_BYTES,
+  listDisputes,
+  getDispute,
+  requestEvidence,
+  addEvidence,
+  respondToDispute,
+  resolveDispute,
+} = require('../services/disputeService');
+const { listDecisions, reviewDecision, listRules, updateRule } = require('../services/riskService');
+const { MAX_FILE_BYTES, importSettlementFile, listSettlementFiles } = require('../services/settlementService');
+const {
+  runReconciliation,
+  listRuns,
+  listExceptions,
+  getReconciliationReport,
+  resolveException,
+} = require('../services/reconciliationService');
+
+// All admin endpoints require an authenticated staff member
+router.use(verifyAuth);
+router.use(requireRole('support', 'compliance', 'admin'));
+
+/**
+ * Write an audit log entry for an admin action
+ * The entry is attached to the target user; the staff member is recorded in event_data
+ */
+async function auditAdminAction(req, eventType, description, targetUserId = null, data = {}) {
+  await createAuditLog({
+    userId: targetUserId,
+    eventType,
+    description,
+    data: {
+      ...data,
+      actorUserId: req.actorUserId || req.userId,
+      actorRole: req.userRole,
+      method: req.method,
+      path: req.originalUrl,
+    },
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent'],
+  });
+}
+
+/**
+ * GET /api/admin/users
+ * Search users
+ *
+ * Query params: q (email or name), kycStatus, role, limit (default 25), offset
+ * Returns: { success: boolean, users: array }
+ */
+router.get('/users', async (req, res) => {
+  try {
+    const { q, kycStatus, role, limit, offset } = req.query;
+
+    const users = await searchUsers({
+      query: q,
+      kycStatus,
+      role,
+      limit: limit ? Math.min(parseInt(limit), 100) : 25,
+      offset: offset ? parseInt(offset) : 0,
+    });
+
+    await auditAdminAction(req, 'admin_user_search', `Searched users: ${q || '(all)'}`, null, {
+      query: q || null,
+      kycStatus: kycStatus || null,
+      role: role || null,
+      resultCount: users.length,
+    });
+
+    res.json({
+      success: true,
+      users,
+    });
+  } catch (error) {
+    console.error('Admin user search error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to search users',
+    });
+  }
+});
+
+/**
+ * GET /api/admin/users/:userId
+ * Get a user's profile
+ *
+ * Returns: { success: boolean, user: object }
+ */
+router.get('/users/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    let user = null;
+    try {
+      user = await getUserById(userId);
+    } catch (lookupError) {
+      user = null;
+    }
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+      });
+    }
+
+    await auditAdminAction(req, 'admin_user_viewed', 'Viewed user profile', userId);
+
+    res.json({
+      success: true,
+      user,
+    });
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to get user',
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/users/:userId/kyc-status
+ * Override a user's KYC status
+ * Restricted to compliance and admin roles
+ *
+ * Body: { kycStatus: string, kycTier?: number, reason: string }
+ * Returns: { success: boolean, user: object }
+ */
+router.put('/users/:userId/kyc-status', requireRole('compliance', 'admin'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { kycStatus, kycTier, reason } = req.body;
+
+    if (!kycStatus || !reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'kycStatus and reason are required',
+      });
+    }
+
+    const previous = await getUserById(userId);
+    const tier = kycTier !== undefined ? parseInt(kycTier) : null;
+    const user = await overrideKycStatus(userId, kycStatus, tier);
+
+    await auditAdminAction(req, 'admin_kyc_override', `KYC status overridden to ${kycStatus}`, userId, {
+      previousStatus: previous.kyc_status,
+      previousTier: previous.kyc_tier,
+      kycStatus,
+      kycTier: user.kyc_tier,
+      reason,
+    });
+
+    res.json({
+      success: true,
+      user,
+    });
+  } catch (error) {
+    console.error('Admin KYC override error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to override KYC status',
+    });
+  }
+});
+
+/**
+ * POST /api/admin/users/:userId/cards/freeze
+ * Freeze all of a user's active cards
+ *
+ * Body: { reason: string }
+ * Returns: { success: boolean, frozen: array, failed: array }
+ */
+router.post('/users/:userId/cards/freeze', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'reason is required',
+      });
+    }
+
+    const result = await freezeUserCards(userId, reason);
+
+    await auditAdminAction(req, 'admin_cards_frozen', `Froze ${result.frozen.length} cards`, userId, {
+      reason,
+      ...result,
+    });
+
+    res.json({
+      success: result.failed.length === 0,
+      ...result,
+    });
+  } catch (error) {
+    console.error('Admin freeze cards error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to freeze cards',
+    });
+  }
+});
+
+/**
+ * GET /api/admin/users/:userId/transfers
+ * List a user's transfers
+ *
+ * Query params: type, status, limit
+ * Returns: { success: boolean, transfers: array }
+ */
+router.get('/users/:userId/transfers', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { type, status, limit } = req.query;
+
+    const params = {};
+    if (type) params.type = type;
+    if (status) params.status = status;
+    if (limit) params.limit = parseInt(limit);
+
+    const transfers = await listTransfers(userId, params);
+
+    await auditAdminAction(req, 'admin_transfers_viewed', 'Viewed user transfers', userId, {
+      filters: params,
+      resultCount: transfers.length,
+    });
+
+    res.json({
+      success: true,
+      transfers,
+    });
+  } catch (error) {
+    console.error('Admin list transfers error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to list transfers',
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/users/:userId/role
+ * Change a user's access role
+ * Restricted to admin role
+ *
+ * Body: { role: 'user' | 'support' | 'compliance' | 'admin' }
+ * Returns: { success: boolean, user: object }
+ */
+router.put('/users/:userId/role', requireRole('admin'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!role) {
+      return res.status(400).json({
+        success: false,
+        error: 'role is required',
+      });
+    }
+
+    if (userId === (req.actorUserId || req.userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot change your own role',
+      });
+    }
+
+    const previous = await getUserById(userId);
+    const user = await setUserRole(userId, role);
+
+    await auditAdminAction(req, 'admin_role_changed', `Role changed from ${previous.role} to ${role}`, userId, {
+      previousRole: previous.role,
+      role,
+    });
+
+    res.json({
+      success: true,
+      user,
+    });
+  } catch (error) {
+    console.error('Admin set role error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to change role',
+    });
+  }
+});
+
+/**
+ * GET /api/admin/payments/:paymentId/refunds
+ * List a payment's refunds, including who initiated each one and why
+ *
+ * Returns: { success: boolean, payment: object, refunds: array }
+ */
+router.get('/payments/:paymentId/refunds', async (req, res) => {
+  try {
+    const payment = await getPaymentById(req.params.paymentId);
+    const refunds = await listRefunds(payment.id);
+
+    await auditAdminAction(req, 'admin_refunds_viewed', 'Viewed payment refunds', payment.user_id, {
+      paymentId: payment.id,
+      resultCount: refunds.length,
+    });
+
+    res.json({
+      success: true,
+      payment,
+      refunds,
+    });
+  } catch (error) {
+    console.error('Admin list refunds error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to list refunds',
+    });
+  }
+});
+
+/**
+ * POST /api/admin/purchases/:purchaseId/retry-transfer
+ * Resubmit the Bridge transfer of a purchase in transfer_unknown. Bridge returns the
+ * original transfer if the first submission went through, so crypto is never sent twice.
+ * Restricted to admin role
+ *
+ * Returns: { success: boolean, purchase: object }
+ */
+router.post('/purchases/:purchaseId/retry-transfer', requireRole('admin'), async (req, res) => {
+  try {
+    const purchase = await retryPurchaseTransfer(req.params.purchaseId);
+
+    await auditAdminAction(req, 'admin_purchase_transfer_retried', `Retried Bridge transfer for purchase ${purchase.id}`, purchase.user_id, {
+      purchaseId: purchase.id,
+      paymentId: purchase.payment_id,
+      status: purchase.status,
+      bridgeTransferId: purchase.bridge_transfer_id,
+    });
+
+    res.json({
+      success: true,
+      purchase,
+    });
+  } catch (error) {
+    console.error('Admin retry purchase transfer error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to retry purchase transfer',
+    });
+  }
+});
+
+/**
+ * GET /api/admin/disputes
+ * List chargeback disputes, soonest evidence deadline first
+ *
+ * Query params: status (opened, evidence_due, evidence_submitted, won, lost), dueWithinHours, limit (default 50), offset
+ * Returns: { success: boolean, disputes: array, pagination: { total, limit, offset } }
+ */
+router.get('/disputes', async (req, res) => {
+  try {
+    const { status, dueWithinHours } = req.query;
+    const limit = req.query.limit ? Math.min(parseInt(req.query.limit), 200) : 50;
+    const offset = req.query.offset ? parseInt(req.query.offset) : 0;
+
+    const { disputes, total } = await listDisputes({
+      status,
+      dueWithinHours: dueWithinHours ? parseFloat(dueWithinHours) : null,
+      limit,
+      offset,
+    });
+
+    await auditAdminAction(req, 'admin_disputes_viewed', 'Listed disputes', null, {
+      status: status || null,
+      dueWithinHours: dueWithinHours || null,
+      resultCount: disputes.length,
+    });
+
+    res.json({
+      success: true,
+      disputes,
+      pagination: {
+        total,
+        limit,
+        offset,
+      },
+    });
+  } catch (error) {
+    console.error('Admin list disputes error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to list disputes',
+    });
+  }
+});
+
+/**
+ * GET /api/admin/disputes/:disputeId
+ * Get a dispute with its payment and evidence (download URLs expire after 5 minutes)
+ *
+ * Returns: { success: boolean, dispute: object, payment: object, evidence: array }
+ */
+router.get('/disputes/:disputeId', async (req, res) => {
+  try {
+    const { dispute, payment, evidence } = await getDispute(req.params.disputeId);
+
+    await auditAdminAction(req, 'admin_dispute_viewed', 'Viewed dispute', dispute.user_id, {
+      disputeId: dispute.id,
+    });
+
+    res.json({
+      success: true,
+      dispute,
+      payment,
+      evidence,
+    });
+  } catch (error) {
+    console.error('Admin get dispute error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to get dispute',
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/disputes/:disputeId/deadline
+ * Record the issuer's evidence deadline (moves the dispute to evidence_due)
+ * Compliance and admin only
+ *
+ * Body: { evidenceDueAt: string (ISO 8601) }
+ * Returns: { success: boolean, dispute: object }
+ */
+router.put('/disputes/:disputeId/deadline', requireRole('compliance', 'admin'), async (req, res) => {
+  try {
+    const { evidenceDueAt } = req.body;
+
+    if (!evidenceDueAt) {
+      return res.status(400).json({
+        success: false,
+        error: 'evidenceDueAt is required',
+      });
+    }
+
+    const dispute = await requestEvidence(req.params.disputeId, evidenceDueAt);
+
+    await auditAdminAction(req, 'admin_dispute_deadline_set', `Set dispute evidence deadline to ${dispute.evidence_due_at}`, dispute.user_id, {
+      disputeId: dispute.id,
+      evidenceDueAt: dispute.evidence_due_at,
+    });
+
+    res.json({
+      success: true,
+      dispute,
+    });
+  } catch (error) {
+    console.error('Admin dispute deadline error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to set dispute deadline',
+    });
+  }
+});
+
+/**
+ * POST /api/admin/disputes/:disputeId/evidence
+ * Upload an evidence file. Send the file itself as the request body with its
+ * Content-Type (application/pdf, image/png, image/jpeg or text/plain).
+ * Compliance and admin only
+ *
+ * Query params: fileName (required), description
+ * Returns: { success: boolean, evidence: object }
+ */
+router.post(
+  '/disputes/:disputeId/evidence',
+  requireRole('compliance', 'admin'),
+  express.raw({ type: () => true, limit: MAX_EVIDENCE_BYTES }),
+  async (req, res) => {
+    try {
+      const { fileName, description } = req.query;
+
+      const { dispute, evidence } = await addEvidence(req.params.disputeId, {
+        buffer: req.body,
+        fileName,
+        contentType: (req.headers['content-type'] || '').split(';')[0].trim(),
+        description,
+      }, req.actorUserId || req.userId);
+
+      await auditAdminAction(req, 'admin_dispute_evidence_uploaded', `Uploaded dispute evidence: ${evidence.file_name}`, dispute.user_id, {
+        disputeId: dispute.id,
+        evidenceId: evidence.id,
+      });
+
+      res.json({
+        success: true,
+        evidence,
+      });
+    } catch (error) {
+      console.error('Admin dispute evidence error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message || 'Failed to upload evidence',
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/disputes/:disputeId/respond
+ * Submit our response to a dispute (requires uploaded evidence)
+ * Compliance and admin only
+ *
+ * Body: { notes?: string }
+ * Returns: { success: boolean, dispute: object }
+ */
+router.post('/disputes/:disputeId/respond', requireRole('compliance', 'admin'), async (req, res) => {
+  try {
+    const dispute = await respondToDispute(req.params.disputeId, { notes: req.body.notes }, req.actorUserId || req.userId);
+
+    await auditAdminAction(req, 'admin_dispute_responded', 'Responded to dispute', dispute.user_id, {
+      disputeId: dispute.id,
+    });
+
+    res.json({
+      success: true,
+      dispute,
+    });
+  } catch (error) {
+    console.error('Admin dispute respond error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to respond to dispute',
+    });
+  }
+});
+
+/**
+ * POST /api/admin/disputes/:disputeId/resolve
+ * Record the outcome of a dispute. Won releases the crypto hold; lost keeps it for review.
+ * Compliance and admin only
+ *
+ * Body: { outcome: 'won' | 'lost', notes?: string }
+ * Returns: { success: boolean, dispute: object }
+ */
+router.post('/disputes/:disputeId/resolve', requireRole('compliance', 'admin'), async (req, res) => {
+  try {
+    const { outcome, notes } = req.body;
+
+    const dispute = await resolveDispute(req.params.disputeId, outcome, {
+      notes,
+      resolvedBy: req.actorUserId || req.userId,
+      source: 'admin',
+    });
+
+    await auditAdminAction(req, 'admin_dispute_resolved', `Resolved dispute as ${outcome}`, dispute.user_id, {
+      disputeId: dispute.id,
+      outcome,
+    });
+
+    res.json({
+      success: true,
+      dispute,
+    });
+  } catch (error) {
+    console.error('Admin dispute resolve error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to resolve dispute',
+    });
+  }
+});
+
+/**
+ * GET /api/admin/risk/decisions
+ * List risk decisions for card payments, newest first
+ *
+ * Query params: decision (allow, review, block), reviewStatus (pending, approved, rejected), userId, limit (default 50), offset
+ * Returns: { success: boolean, decisions: array, pagination: { total, limit, offset } }
+ */
+router.get('/risk/decisions', async (req, res) => {
+  try {
+    const { decision, reviewStatus, userId } = req.query;
+    const limit = req.query.limit ? Math.min(parseInt(req.query.limit), 200) : 50;
+    const offset = req.query.offset ? parseInt(req.query.offset) : 0;
+
+    const { decisions, total } = await listDecisions({ decision, reviewStatus, userId, limit, offset });
+
+    await auditAdminAction(req, 'admin_risk_decisions_viewed', 'Listed risk decisions', userId || null, {
+      decision: decision || null,
+      reviewStatus: reviewStatus || null,
+      resultCount: decisions.length,
+    });
+
+    res.json({
+      success: true,
+      decisions,
+      pagination: {
+        total,
+        limit,
+        offset,
+      },
+    });
+  } catch (error) {
+    console.error('Admin list risk decisions error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to list risk decisions',
+    });
+  }
+});
+
+/**
+ * POST /api/admin/risk/decisions/:decisionId/review
+ * Approve (starts the crypto purchase) or reject (voids the authorization) a payment held for review
+ * Compliance and admin only
+ *
+ * Body: { outcome: 'approve' | 'reject', notes?: string }
+ * Returns: { success: boolean, decision: object, payment: object, purchase: object }
+ */
+router.post('/risk/decisions/:decisionId/review', requireRole('compliance', 'admin'), async (req, res) => {
+  try {
+    const { outcome, notes } = req.body;
+
+    const { decision, payment, purchase } = await reviewDecision(req.params.decisionId, outcome, {
+      notes,
+      reviewedBy: req.actorUserId || req.userId,
+    });
+
+    await auditAdminAction(req, 'admin_risk_reviewed', `Risk review: ${outcome}`, decision.user_id, {
+      riskDecisionId: decision.id,
+      paymentId: decision.payment_id,
+      outcome,
+    });
+
+    res.json({
+      success: true,
+      decision,
+      payment,
+      purchase: purchase ? { id: purchase.id, status: purchase.status } : null,
+    });
+  } catch (error) {
+    console.error('Admin risk review error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to review risk decision',
+    });
+  }
+});
+
+/**
+ * GET /api/admin/risk/rules
+ * List risk rules
+ *
+ * Returns: { success: boolean, rules: array }
+ */
+router.get('/risk/rules', async (req, res) => {
+  try {
+    const rules = await listRules();
+
+    await auditAdminAction(req, 'admin_risk_rules_viewed', 'Viewed risk rules');
+
+    res.json({
+      success: true,
+      rules,
+    });
+  } catch (error) {
+    console.error('Admin list risk rules error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to list risk rules',
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/risk/rules/:ruleKey
+ * Tune a risk rule
+ * Admin only
+ *
+ * Body: { enabled?: boolean, score?: number, action?: 'review' | 'block' | null, params?: object }
+ * Returns: { success: boolean, rule: object }
+ */
+router.put('/risk/rules/:ruleKey', requireRole('admin'), async (req, res) => {
+  try {
+    const rule = await updateRule(req.params.ruleKey, req.body);
+
+    await auditAdminAction(req, 'admin_risk_rule_updated', `Updated risk rule ${rule.rule_key}`, null, {
+      ruleKey: rule.rule_key,
+      changes: req.body,
+    });
+
+    res.json({
+      success: true,
+      rule,
+    });
+  } catch (error) {
+    console.error('Admin update risk rule error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to update risk rule',
+    });
+  }
+});
+
+/**
+ * GET /api/admin/webhooks/bridge
+ * List Bridge webhook inbox events
+ *
+ * Query params: status (pending, processing, processed, failed, dead_letter), eventType, limit (default 50), offset
+ * Returns: { success: boolean, events: array }
+ */
+router.get('/webhooks/bridge', async (req, res) => {
+  try {
+    const { status, eventType, limit, offset } = req.query;
+
+    const events = await listEvents({
+      status,
+      eventType,
+      limit: limit ? Math.min(parseInt(limit), 200) : 50,
+      offset: offset ? parseInt(offset) : 0,
+    });
+
+    await auditAdminAction(req, 'admin_webhooks_viewed', 'Listed Bridge webhook events', null, {
+      status: status || null,
+      eventType: eventType || null,
+      resultCount: events.length,
+    });
+
+    res.json({
+      success: true,
+      events,
+    });
+  } catch (error) {
+    console.error('Admin list webhook events error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to list webhook events',
+    });
+  }
+});
+
+/**
+ * GET /api/admin/webhooks/bridge/:eventId
+ * Inspect a Bridge webhook inbox event, including its payload
+ *
+ * Returns: { success: boolean, event: object }
+ */
+router.get('/webhooks/bridge/:eventId', async (req, res) => {
+  try {
+    const event = await getEvent(req.params.eventId);
+
+    await auditAdminAction(req, 'admin_webhook_viewed', `Viewed Bridge webhook ${event.bridge_event_id}`, null, {
+      inboxId: event.id,
+      bridgeEventId: event.bridge_event_id,
+    });
+
+    res.json({
+      success: true,
+      event,
+    });
+  } catch (error) {
+    console.error('Admin get webhook event error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to get webhook event',
+    });
+  }
+});
+
+/**
+ * POST /api/admin/webhooks/bridge/:eventId/replay
+ * Queue a Bridge webhook event for reprocessing (e.g. after a dead letter fix)
+ * Restricted to admin role
+ *
+ * Returns: { success: boolean, event: object }
+ */
+router.post('/webhooks/bridge/:eventId/replay', requireRole('admin'), async (req, res) => {
+  try {
+    const event = await replayEvent(req.params.eventId, req.actorUserId || req.userId);
+
+    await auditAdminAction(req, 'admin_webhook_replayed', `Replayed Bridge webhook ${event.bridge_event_id}`, null, {
+      inboxId: event.id,
+      bridgeEventId: event.bridge_event_id,
+      eventType: event.event_type,
+      replayCount: event.replay_count,
+    });
+
+    res.json({
+      success: true,
+      event,
+    });
+  } catch (error) {
+    console.error('Admin replay webhook event error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message || 'Failed to replay webhook event',
+    });
+  }
+});
+
+/**
+ * POST /api/admin/settlements/import
+ * Import a Fiserv settlement or funding CSV. Send the file itself as the request body.
+ * Unparseable rows are returned in `rejected` rather than failing the import.
+ * Compliance and admin only
+ *
+ * Query params: fileType (settlement, funding), fileName (required)
+ * Returns: { success: boolean, file: object, imported: number, rejected: array }
+ */
+router.post(
+  '/settlements/import',
+  requireRole('compliance', 'admin'),
+  express.text({ type: () => true, limit: MAX_FILE_BYTES }),
+  async (req, res) => {
+    try {
+      const { fileType = 'settlement', fileName } = req.query;
+
+      const { file, imported, rejected } = await importSettlementFile({
+        fileType,
+        fileName,
+        content: typeof req.body === 'string' ? req.body : '',
+      }, req.actorUserId || req.userId);
+
+      await auditAdminAction(req, 'admin_settlement_file_imported', `Imported ${fileType} file ${file.file_name}`, null, {
+        fileId: file.id,
+        imported,
+        rejectedCount: rejected.length,
+      });
+
+      res.json({
+        success: true,
+        file,
+        imported,
+        rejected,
+      });
+    } catch (error) {
+      console.error('Admin settlement import error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message || 'Failed to import settlement file',
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/settlements/files
+ * List imported settlement and funding files, newest first
+ *
+ * Query params: fileType (settlement, funding), limit (default 50), offset
+ * Returns: { success: boolean, files: array, pagination: { total, limit, offset } }
+ */
+router.get('/settlements/files', async (req, res) => {
+  try {
+    const limit = req.query.limit ? Math.min(parseInt(req.query.limit), 200) : 50;
+    const offset = req.query.offset ? parseInt(req.query.offset) : 0;
+
+    const { files, total } = await listSettlementFiles({ fileType: req.query.fileType, limit, offset });
+
+    await auditAdminAction(req, 'admin_settlement_files_viewed', 'Listed settlement files', null, {
+      fileType: req.query.fileType || null,
+      resultCount: files.length,
+    });
+
+    res.json({
+      success: true,
+      files,
+      pagination: {
+        total,
+        limit,
+        offset,
+      },
+    });
+  } catch (error) {
+    console.error('Admin list settlement files error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to list settlement files',
+    });
+  }
+});
+
+/**
+ * POST /api/admin/reconciliation/runs
+ * Reconcile a period now (the worker reconciles each settlement day automatically)
+ * Compliance and admin only
+ *
+ * Body: { periodStart: 'YYYY-MM-DD', periodEnd?: 'YYYY-MM-DD' (inclusive, max 31 days), fileType?: 'settlement' | 'funding' }
+ * Returns: { success: boolean, run: object }
+ */
+router.post('/reconciliation/runs', requireRole('compliance', 'admin'), async (req, res) => {
+  try {
+    const { periodStart, periodEnd, fileType } = req.body;
+
+    const run = await runReconciliation({
+      periodStart,
+      periodEnd: periodEnd || periodStart,
+      fileType,
+      trigger: 'manual',
+      triggeredBy: req.actorUserId || req.userId,
+    });
+
+    await auditAdminAction(req, 'admin_reconciliation_run', `Reconciled ${run.file_type} ${run.period_start} to ${run.period_end}`, null, {
+      runId: run.id,
+      summary: run.summary,
+    });
+
+    res.json({
+      success: true,
+      run,
+    });
+  } catch (error) {
+    console.error('Admin reconciliation run error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to run reconciliation',
+    });
+  }
+});
+
+/**
+ * GET /api/admin/reconciliation/runs
+ * List reconciliation runs, newest first
+ *
+ * Query params: fileType (settlement, funding), status (running, completed, failed), limit (default 50), offset
+ * Returns: { success: boolean, runs: array, pagination: { total, limit, offset } }
+ */
+router.get('/reconciliation/runs', async (req, res) => {
+  try {
+    const { fileType, status } = req.query;
+    const limit = req.query.limit ? Math.min(parseInt(req.query.limit), 200) : 50;
+    const offset = req.query.offset ? parseInt(req.query.offset) : 0;
+
+    const { runs, total } = await listRuns({ fileType, status, limit, offset });
+
+    await auditAdminAction(req, 'admin_reconciliation_runs_viewed', 'Listed reconciliation runs', null, {
+      fileType: fileType || null,
+      status: status || null,
+      resultCount: runs.length,
+    });
+
+    res.json({
+      success: true,
+      runs,
+      pagination: {
+        total,
+        limit,
+        offset,
+      },
+    });
+  } catch (error) {
+    console.error('Admin list reconciliation runs error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to list reconciliation runs',
+    });
+  }
+});
+
+/**
+ * GET /api/admin/reconciliation/report
+ * Reconciliation report: a run's summary (counts and totals per currency), its exceptions
+ * with counts by type, and how many exceptions are open across all runs
+ *
+ * Query params: runId (defaults to the latest completed run)
+ * Returns: { success: boolean, run: object, exceptions: array, counts: object, openExceptions: number }
+ */
+router.get('/reconciliation/report', async (req, res) => {
+  try {
+    const { run, exceptions, counts, openExceptions } = await getReconciliationReport(req.query.runId);
+
+    await auditAdminAction(req, 'admin_reconciliation_report_viewed', 'Viewed reconciliation report', null, {
+      runId: run.id,
+    });
+
+    res.json({
+      success: true,
+      run,
+      exceptions,
+      counts,
+      openExceptions,
+    });
+  } catch (error) {
+    console.error('Admin reconciliation report error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to get reconciliation report',
+    });
+  }
+});
+
+/**
+ * GET /api/admin/reconciliation/exceptions
+ * List reconciliation exceptions, newest first
+ *
+ * Query params: status (open, resolved), exceptionType (missing_locally, missing_in_settlement, amount_mismatch),
+ *               runId, paymentId, limit (default 50), offset
+ * Returns: { success: boolean, exceptions: array, pagination: { total, limit, offset } }
+ */
+router.get('/reconciliation/exceptions', async (req, res) => {
+  try {
+    const { status, exceptionType, runId, paymentId } = req.query;
+    const limit = req.query.limit ? Math.min(parseInt(req.query.limit), 200) : 50;
+    const offset = req.query.offset ? parseInt(req.query.offset) : 0;
+
+    const { exceptions, total } = await listExceptions({ status, exceptionType, runId, paymentId, limit, offset });
+
+    await auditAdminAction(req, 'admin_reconciliation_exceptions_viewed', 'Listed reconciliation exceptions', null, {
+      status: status || null,
+      exceptionType: exceptionType || null,
+      runId: runId || null,
+      paymentId: paymentId || null,
+      resultCount: exceptions.length,
+    });
+
+    res.json({
+      success: true,
+      exceptions,
+      pagination: {
+        total,
+        limit,
+        offset,
+      },
+    });
+  } catch (error) {
+    console.error('Admin list reconciliation exceptions error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to list reconciliation exceptions',
+    });
+  }
+});
+
+/**
+ * POST /api/admin/reconciliation/exceptions/:exceptionId/resolve
+ * Close a reconciliation exception after investigation
+ * Compliance and admin only
+ *
+ * Body: { notes: string }
+ * Returns: { success: boolean, exception: object }
+ */
+router.post('/reconciliation/exceptions/:exceptionId/resolve', requireRole('compliance', 'admin'), async (req, res) => {
+  try {
+    const exception = await resolveException(req.params.exceptionId, {
+      notes: req.body.notes,
+      resolvedBy: req.actorUserId || req.userId,
+    });
+
+    await auditAdminAction(req, 'admin_reconciliation_exception_resolved', `Resolved ${exception.exception_type} reconciliation exception`, null, {
+      exceptionId: exception.id,
+      paymentId: exception.payment_id,
+      refundId: exception.refund_id,
+    });
+
+    res.json({
+      success: true,
+      exception,
+    });
+  } catch (error) {
+    console.error('Admin resolve reconciliation exception error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to resolve reconciliation exception',
+    });
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,6 @@
 // Authentication Routes
-// Handles user signup, login, profile, and logout
+// Handles user signup, login, sessions, profile, logout, password and email
+// management, and two-factor authentication
 
 const express = require('express');
 const router = express.Router();
@@ -7,7 +8,43 @@ const {
   signUpWithEmail,
   signInWithEmail,
   getUserProfile,
+  requestPasswordReset,
+  resetPassword,
+  resendVerificationEmail,
+  changeEmail,
+  confirmEmailChange,
+  decodeTokenClaims,
+  refreshUserSession,
+  signOutUserSession,
 } = require('../services/authService');
+const {
+  recordSession,
+  isSessionRevoked,
+  listActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+} = require('../services/sessionService');
+const {
+  getTwoFactorStatus,
+  startEnrollment,
+  confirmEnrollment,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+} = require('../services/twoFactorService');
+const { verifyAuth } = require('../middleware/auth');
+
+/**
+ * Track a newly issued Supabase session with the caller's device info
+ */
+async function trackSession(req, user, session) {
+  if (!user || !session) return;
+
+  const { session_id: sessionId } = decodeTokenClaims(session.access_token);
+  await recordSession(user.id, sessionId, {
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent'],
+  });
+}
 
 /**
  * POST /api/auth/signup
@@ -36,6 +73,7 @@ router.post('/signup', async (req, res) => {
     }
 
     const result = await signUpWithEmail(email, password, name, phone);
+    await trackSession(req, result.user, result.session);
 
     res.status(201).json(result);
   } catch (error) {
@@ -66,6 +104,7 @@ router.post('/login', async (req, res) => {
     }
 
     const result = await signInWithEmail(email, password);
+    await trackSession(req, result.user, result.session);
 
     res.json(result);
   } catch (error) {
@@ -82,28 +121,12 @@ router.post('/login', async (req, res) => {
  * Get current user profile
  *
  * Headers: Authorization: Bearer <token>
- * Returns: { id, email, name, phone, kycTier, kycStatus, bridgeCustomerId, createdAt }
+ * Returns: { id, email, name, phone, kycTier, kycStatus, bridgeCustomerId, role, createdAt }
  */
-router.get('/me', async (req, res) => {
+router.get('/me', verifyAuth, async (req, res) => {
   try {
-    // Extract JWT from Authorization header
-    const authHeader = req.headers.authorization;
-
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        error: 'No authorization token provided',
-      });
-    }
-
-    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
-
-    // Verify token and get user
-    const { verifyToken } = require('../services/authService');
-    const authUser = await verifyToken(token);
-
     // Get full user profile
-    const profile = await getUserProfile(authUser.id);
+    const profile = await getUserProfile(req.userId);
 
     res.json({
       success: true,
@@ -118,17 +141,69 @@ router.get('/me', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new session
+ *
+ * Body: { refreshToken }
+ * Returns: { success, user, session }
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Refresh token is required',
+      });
+    }
+
+    const result = await refreshUserSession(refreshToken);
+    const { session_id: sessionId } = decodeTokenClaims(result.session.access_token);
+
+    // A session revoked on our side must not be extended
+    if (await isSessionRevoked(sessionId)) {
+      await signOutUserSession(result.session.access_token, 'local');
+
+      return res.status(401).json({
+        success: false,
+        error: 'Session has been revoked',
+      });
+    }
+
+    await trackSession(req, result.user, result.session);
+
+    res.json(result);
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(401).json({
+      success: false,
+      error: error.message || 'Failed to refresh session',
+    });
+  }
+});
+
 /**
  * POST /api/auth/logout
- * Sign out current user
+ * Sign out the current session
  *
- * Note: Actual logout happens on client side by clearing Supabase session
- * This endpoint is for any server-side cleanup if needed
+ * Headers: Authorization: Bearer <token>
+ * Revokes the session server-side, so the access token is rejected immediately
  */
-router.post('/logout', async (req, res) => {
+router.post('/logout', verifyAuth, async (req, res) => {
   try {
-    // For Supabase auth, logout is handled client-side
-    // This endpoint is here for consistency and future server-side cleanup
+    if (req.impersonating) {
+      return res.status(403).json({
+        success: false,
+        error: 'Cannot log out while impersonating a user',
+      });
+    }
+
+    if (req.sessionId) {
+      await revokeSession(req.userId, { sessionId: req.sessionId }, 'logout');
+    }
+    await signOutUserSession(req.accessToken, 'local');
 
     res.json({
       success: true,
@@ -143,4 +218,464 @@ router.post('/logout', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/forgot-password
+ * Send a password reset email
+ *
+ * Body: { email }
+ * Returns: { success } - always succeeds so registered emails can't be discovered
+ */
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is required',
+      });
+    }
+
+    await requestPasswordReset(email);
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent',
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to request password reset',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password using the recovery session from the reset email link
+ *
+ * Headers: Authorization: Bearer <recovery access token>
+ * Body: { password }
+ * Returns: { success } - all sessions are signed out afterwards
+ */
+router.post('/reset-password', verifyAuth, async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password || password.length < 8) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password must be at least 8 characters',
+      });
+    }
+
+    // Only sessions created from a recovery link may reset without the old password
+    const claims = decodeTokenClaims(req.accessToken);
+    const isRecoverySession = (claims.amr || []).some(entry => entry.method === 'recovery');
+
+    if (req.impersonating || !isRecoverySession) {
+      return res.status(403).json({
+        success: false,
+        error: 'A password recovery link is required to reset the password',
+      });
+    }
+
+    await resetPassword(req.userId, password);
+
+    // Sign out everywhere, including the recovery session
+    await revokeAllSessions(req.userId, 'password_reset');
+    await signOutUserSession(req.accessToken, 'global');
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please sign in again.',
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to reset password',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/resend-verification
+ * Resend the signup verification email
+ *
+ * Body: { email }
+ * Returns: { success } - always succeeds so registered emails can't be discovered
+ */
+router.post('/resend-verification', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is required',
+      });
+    }
+
+    await resendVerificationEmail(email);
+
+    res.json({
+      success: true,
+      message: 'If this email is awaiting verification, a new link has been sent',
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resend verification email',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/change-email
+ * Request a change of the current user's email
+ * A confirmation link is sent to the new address (redirecting to FRONTEND_URL/confirm-email);
+ * the email only changes once it is followed and POST /api/auth/change-email/confirm is called.
+ *
+ * Headers: Authorization: Bearer <token>
+ * Body: { newEmail, currentPassword }
+ * Returns: { success, pendingEmail }
+ */
+router.post('/change-email', verifyAuth, async (req, res) => {
+  try {
+    const { newEmail, currentPassword } = req.body;
+
+    if (!newEmail || !currentPassword) {
+      return res.status(400).json({
+        success: false,
+        error: 'New email and current password are required',
+      });
+    }
+
+    if (req.impersonating) {
+      return res.status(403).json({
+        success: false,
+        error: 'Email cannot be changed while impersonating a user',
+      });
+    }
+
+    const result = await changeEmail(req.userId, newEmail.trim(), currentPassword);
+
+    res.json({
+      ...result,
+      message: 'Check your new email address for a confirmation link',
+    });
+  } catch (error) {
+    console.error('Change email error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to change email',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/change-email/confirm
+ * Finish an email change after following the confirmation link: copies the verified
+ * address to the profile and Bridge customer. Safe to retry.
+ *
+ * Headers: Authorization: Bearer <token>
+ * Returns: { success, email, changed }
+ */
+router.post('/change-email/confirm', verifyAuth, async (req, res) => {
+  try {
+    if (req.impersonating) {
+      return res.status(403).json({
+        success: false,
+        error: 'Email cannot be changed while impersonating a user',
+      });
+    }
+
+    const result = await confirmEmailChange(req.userId);
+
+    res.json(result);
+  } catch (error) {
+    console.error('Confirm email change error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to confirm email change',
+    });
+  }
+});
+
+/**
+ * GET /api/auth/2fa/status
+ * Get two-factor authentication status for the current user
+ *
+ * Headers: Authorization: Bearer <token>
+ * Returns: { success, twoFactor: { enabled, enabledAt, recoveryCodesRemaining } }
+ */
+router.get('/2fa/status', verifyAuth, async (req, res) => {
+  try {
+    const twoFactor = await getTwoFactorStatus(req.userId);
+
+    res.json({
+      success: true,
+      twoFactor,
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get two-factor status',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enroll
+ * Start TOTP enrollment - returns a secret and otpauth:// URL for a QR code
+ *
+ * Headers: Authorization: Bearer <token>
+ * Returns: { success, secret, otpauthUrl }
+ */
+router.post('/2fa/enroll', verifyAuth, async (req, res) => {
+  try {
+    if (req.impersonating) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor enrollment cannot be performed while impersonating a user',
+      });
+    }
+
+    const result = await startEnrollment(req.userId, req.user.email);
+
+    res.json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    console.error('2FA enroll error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to start two-factor enrollment',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/verify
+ * Confirm enrollment with a code from the authenticator app
+ *
+ * Headers: Authorization: Bearer <token>
+ * Body: { code }
+ * Returns: { success, enabled, recoveryCodes } - recovery codes are only shown once
+ */
+router.post('/2fa/verify', verifyAuth, async (req, res) => {
+  try {
+    if (req.impersonating) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor verification cannot be performed while impersonating a user',
+      });
+    }
+
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification code is required',
+      });
+    }
+
+    const result = await confirmEnrollment(req.userId, code.toString());
+
+    res.json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message || 'Failed to verify two-factor code',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Regenerate recovery codes (invalidates the previous set)
+ *
+ * Headers: Authorization: Bearer <token>
+ * Body: { code } - current TOTP code or an unused recovery code
+ * Returns: { success, recoveryCodes }
+ */
+router.post('/2fa/recovery-codes', verifyAuth, async (req, res) => {
+  try {
+    if (req.impersonating) {
+      return res.status(403).json({
+        success: false,
+        error: 'Recovery codes cannot be regenerated while impersonating a user',
+      });
+    }
+
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification code is required',
+      });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.userId, code.toString());
+
+    res.json({
+      success: true,
+      recoveryCodes,
+    });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message || 'Failed to regenerate recovery codes',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Disable two-factor authentication
+ *
+ * Headers: Authorization: Bearer <token>
+ * Body: { code } - current TOTP code or an unused recovery code
+ * Returns: { success, enabled: false }
+ */
+router.post('/2fa/disable', verifyAuth, async (req, res) => {
+  try {
+    if (req.impersonating) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication cannot be disabled while impersonating a user',
+      });
+    }
+
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification code is required',
+      });
+    }
+
+    const result = await disableTwoFactor(req.userId, code.toString());
+
+    res.json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message || 'Failed to disable two-factor authentication',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout-all
+ * Sign out every session for the current user ("log out everywhere")
+ *
+ * Headers: Authorization: Bearer <token>
+ * Returns: { success, revokedCount }
+ */
+router.post('/logout-all', verifyAuth, async (req, res) => {
+  try {
+    if (req.impersonating) {
+      return res.status(403).json({
+        success: false,
+        error: 'Cannot log out while impersonating a user',
+      });
+    }
+
+    const revokedCount = await revokeAllSessions(req.userId, 'logout_all');
+    await signOutUserSession(req.accessToken, 'global');
+
+    res.json({
+      success: true,
+      revokedCount,
+      message: 'Logged out of all sessions',
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to logout of all sessions',
+    });
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ * List active sessions for the current user
+ *
+ * Headers: Authorization: Bearer <token>
+ * Returns: { success, sessions: [{ id, device, ipAddress, createdAt, lastSeenAt, current }] }
+ */
+router.get('/sessions', verifyAuth, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.userId);
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        id: session.id,
+        device: session.user_agent,
+        ipAddress: session.ip_address,
+        createdAt: session.created_at,
+        lastSeenAt: session.last_seen_at,
+        current: session.session_id === req.sessionId,
+      })),
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list sessions',
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:sessionId
+ * Revoke one of the current user's sessions (e.g. a lost device)
+ *
+ * Headers: Authorization: Bearer <token>
+ * Returns: { success }
+ */
+router.delete('/sessions/:sessionId', verifyAuth, async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.userId, { id: req.params.sessionId }, 'user_revoked');
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked',
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke session',
+    });
+  }
+});
+
 module.exports = router;
@@ -6,7 +6,20 @@
 const express = require('express');
 const router = express.Router();
 const cardService = require('../../services/cardService');
-const { verifyAuth } = require('../../middleware/auth');
+const { verifyAuth, requireStepUp } = require('../../middleware/auth');
+
+/**
+ * Parse spending limits from the request body
+ */
+function parseLimits(body) {
+  const { dailyLimit, monthlyLimit, singleTransactionLimit } = body;
+
+  return {
+    dailyLimit: dailyLimit ? parseFloat(dailyLimit) : undefined,
+    monthlyLimit: monthlyLimit ? parseFloat(monthlyLimit) : undefined,
+    singleTransactionLimit: singleTransactionLimit ? parseFloat(singleTransactionLimit) : undefined
+  };
+}
 
 /**
  * POST /api/bridge/cards
@@ -68,12 +81,12 @@ router.get('/', verifyAuth, async (req, res) => {
 router.get('/:cardId', verifyAuth, async (req, res) => {
   try {
     const { cardId } = req.params;
-    const result = await cardService.getCardDetails(cardId);
+    const result = await cardService.getCardDetails(req.userId, cardId);
 
     res.json(result);
   } catch (error) {
     console.error('Error fetching card details:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       error: error.message || 'Failed to fetch card details'
     });
   }
@@ -88,12 +101,12 @@ router.post('/:cardId/activate', verifyAuth, async (req, res) => {
     const { cardId } = req.params;
     const { activationCode } = req.body;
 
-    const result = await cardService.activateCard(cardId, activationCode);
+    const result = await cardService.activateCard(req.userId, cardId, activationCode);
 
     res.json(result);
   } catch (error) {
     console.error('Error activating card:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       error: error.message || 'Failed to activate card'
     });
   }
@@ -108,12 +121,12 @@ router.post('/:cardId/freeze', verifyAuth, async (req, res) => {
     const { cardId } = req.params;
     const { reason } = req.body;
 
-    const result = await cardService.freezeCard(cardId, reason);
+    const result = await cardService.freezeCard(req.userId, cardId, reason);
 
     res.json(result);
   } catch (error) {
     console.error('Error freezing card:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       error: error.message || 'Failed to freeze card'
     });
   }
@@ -126,12 +139,12 @@ router.post('/:cardId/freeze', verifyAuth, async (req, res) => {
 router.post('/:cardId/unfreeze', verifyAuth, async (req, res) => {
   try {
     const { cardId } = req.params;
-    const result = await cardService.unfreezeCard(cardId);
+    const result = await cardService.unfreezeCard(req.userId, cardId);
 
     res.json(result);
   } catch (error) {
     console.error('Error unfreezing card:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       error: error.message || 'Failed to unfreeze card'
     });
   }
@@ -140,8 +153,11 @@ router.post('/:cardId/unfreeze', verifyAuth, async (req, res) => {
 /**
  * PUT /api/bridge/cards/:cardId/limits
  * Update card spending limits
+ * Raising any limit requires step-up authentication (X-2FA-Code header)
  */
-router.put('/:cardId/limits', verifyAuth, async (req, res) => {
+router.put('/:cardId/limits', verifyAuth, requireStepUp(
+  (req) => cardService.isSpendingLimitIncrease(req.userId, req.params.cardId, parseLimits(req.body))
+), async (req, res) => {
   try {
     const { cardId } = req.params;
     const { dailyLimit, monthlyLimit, singleTransactionLimit } = req.body;
@@ -152,18 +168,14 @@ router.put('/:cardId/limits', verifyAuth, async (req, res) => {
       });
     }
 
-    const limits = {
-      dailyLimit: dailyLimit ? parseFloat(dailyLimit) : undefined,
-      monthlyLimit: monthlyLimit ? parseFloat(monthlyLimit) : undefined,
-      singleTransactionLimit: singleTransactionLimit ? parseFloat(singleTransactionLimit) : undefined
-    };
+    const limits = parseLimits(req.body);
 
-    const result = await cardService.updateSpendingLimits(cardId, limits);
+    const result = await cardService.updateSpendingLimits(req.userId, cardId, limits);
 
     res.json(result);
   } catch (error) {
     console.error('Error updating spending limits:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       error: error.message || 'Failed to update spending limits'
     });
   }
@@ -185,12 +197,12 @@ router.put('/:cardId/controls', verifyAuth, async (req, res) => {
       atmEnabled
     };
 
-    const result = await cardService.updateCardControls(cardId, controls);
+    const result = await cardService.updateCardControls(req.userId, cardId, controls);
 
     res.json(result);
   } catch (error) {
     console.error('Error updating card controls:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       error: error.message || 'Failed to update card controls'
     });
   }
@@ -210,12 +222,12 @@ router.get('/:cardId/transactions', verifyAuth, async (req, res) => {
       offset: offset ? parseInt(offset) : 0
     };
 
-    const result = await cardService.getCardTransactions(cardId, params);
+    const result = await cardService.getCardTransactions(req.userId, cardId, params);
 
     res.json(result);
   } catch (error) {
     console.error('Error fetching card transactions:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       error: error.message || 'Failed to fetch card transactions'
     });
   }
@@ -230,12 +242,12 @@ router.post('/:cardId/cancel', verifyAuth, async (req, res) => {
     const { cardId } = req.params;
     const { reason } = req.body;
 
-    const result = await cardService.cancelCard(cardId, reason);
+    const result = await cardService.cancelCard(req.userId, cardId, reason);
 
     res.json(result);
   } catch (error) {
     console.error('Error cancelling card:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       error: error.message || 'Failed to cancel card'
     });
   }
@@ -244,21 +256,18 @@ router.post('/:cardId/cancel', verifyAuth, async (req, res) => {
 /**
  * GET /api/bridge/cards/:cardId/sensitive
  * Get card sensitive data (PAN, CVV, etc.)
- * HIGHLY RESTRICTED - Only for authorized operations
+ * HIGHLY RESTRICTED - Requires step-up authentication (X-2FA-Code header)
  */
-router.get('/:cardId/sensitive', verifyAuth, async (req, res) => {
+router.get('/:cardId/sensitive', verifyAuth, requireStepUp(), async (req, res) => {
   try {
     const { cardId } = req.params;
 
-    // Additional security validation recommended here
-    // (e.g., 2FA, biometric, rate limiting)
-
-    const result = await cardService.getCardSensitiveData(cardId);
+    const result = await cardService.getCardSensitiveData(req.userId, cardId);
 
     res.json(result);
   } catch (error) {
     console.error('Error fetching card sensitive data:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       error: error.message || 'Failed to fetch card sensitive data'
     });
   }
@@ -5,24 +5,18 @@ const express = require('express');
 const router = express.Router();
 const { initiateKyc, syncCustomerStatus, getKycStatus } = require('../../services/customerService');
 const { getUserById } = require('../../config/supabase.config');
+const { verifyAuth } = require('../../middleware/auth');
 
 /**
  * POST /api/bridge/kyc/initiate
- * Initiate Verified Plus KYC process for a user
+ * Initiate Verified Plus KYC process for the authenticated user
  *
- * Body: { userId: string }
+ * Headers: Authorization: Bearer <token>
  * Returns: { success: boolean, kycLink: string, bridgeCustomerId: string }
  */
-router.post('/initiate', async (req, res) => {
+router.post('/initiate', verifyAuth, async (req, res) => {
   try {
-    const { userId } = req.body;
-
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'userId is required'
-      });
-    }
+    const userId = req.userId;
 
     // Initiate KYC process (creates Bridge customer if needed)
     const result = await initiateKyc(userId);
@@ -38,8 +32,8 @@ router.post('/initiate', async (req, res) => {
 });
 
 /**
- * GET /api/bridge/kyc/status/:userId
- * Get current KYC status for a user
+ * GET /api/bridge/kyc/status
+ * Get current KYC status for the authenticated user
  *
  * Returns: {
  *   kycStatus: string,
@@ -48,9 +42,9 @@ router.post('/initiate', async (req, res) => {
  *   requirements: object
  * }
  */
-router.get('/status/:userId', async (req, res) => {
+router.get('/status', verifyAuth, async (req, res) => {
   try {
-    const { userId } = req.params;
+    const userId = req.userId;
 
     // Get user from Supabase
     const user = await getUserById(userId);
@@ -99,15 +93,15 @@ router.get('/status/:userId', async (req, res) => {
 });
 
 /**
- * POST /api/bridge/kyc/sync/:userId
- * Manually sync KYC status from Bridge to Supabase
+ * POST /api/bridge/kyc/sync
+ * Manually sync the authenticated user's KYC status from Bridge to Supabase
  * Useful for checking status after user completes KYC flow
  *
  * Returns: { kycStatus: string, kycTier: number }
  */
-router.post('/sync/:userId', async (req, res) => {
+router.post('/sync', verifyAuth, async (req, res) => {
   try {
-    const { userId } = req.params;
+    const userId = req.userId;
 
     // Get user from Supabase
     const user = await getUserById(userId);
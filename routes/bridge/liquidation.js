@@ -8,23 +8,26 @@ const {
   getLiquidationAddress,
   listLiquidationAddresses,
   getSupportedLiquidationOptions,
+  getLiquidationAddressByBridgeId,
 } = require('../../services/liquidationService');
+const { verifyAuth } = require('../../middleware/auth');
 
 /**
  * POST /api/bridge/liquidation-addresses
  * Create a new liquidation address for crypto-to-USD conversion
  *
- * Body: { userId: string, currency: string, chain: string }
+ * Body: { currency: string, chain: string }
  * Returns: { success: boolean, address: object }
  */
-router.post('/', async (req, res) => {
+router.post('/', verifyAuth, async (req, res) => {
   try {
-    const { userId, currency, chain } = req.body;
+    const userId = req.userId;
+    const { currency, chain } = req.body;
 
-    if (!userId || !currency || !chain) {
+    if (!currency || !chain) {
       return res.status(400).json({
         success: false,
-        error: 'userId, currency, and chain are required',
+        error: 'currency and chain are required',
       });
     }
 
@@ -42,21 +45,13 @@ router.post('/', async (req, res) => {
 
 /**
  * GET /api/bridge/liquidation-addresses
- * Get all liquidation addresses for a user
+ * Get all liquidation addresses for the authenticated user
  *
- * Query params: userId (required)
  * Returns: { success: boolean, addresses: array }
  */
-router.get('/', async (req, res) => {
+router.get('/', verifyAuth, async (req, res) => {
   try {
-    const { userId } = req.query;
-
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'userId query parameter is required',
-      });
-    }
+    const userId = req.userId;
 
     const addresses = await listLiquidationAddresses(userId);
 
@@ -102,7 +97,7 @@ router.get('/supported', async (req, res) => {
  *
  * Returns: { success: boolean, address: object }
  */
-router.get('/:addressId', async (req, res) => {
+router.get('/:addressId', verifyAuth, async (req, res) => {
   try {
     const { addressId } = req.params;
 
@@ -113,6 +108,15 @@ router.get('/:addressId', async (req, res) => {
       });
     }
 
+    // Only allow access to the caller's own addresses
+    const ownedAddress = await getLiquidationAddressByBridgeId(addressId);
+    if (!ownedAddress || ownedAddress.user_id !== req.userId) {
+      return res.status(404).json({
+        success: false,
+        error: 'Liquidation address not found',
+      });
+    }
+
     const address = await getLiquidationAddress(addressId);
 
     res.json({
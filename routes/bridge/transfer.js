@@ -9,13 +9,69 @@ const {
   listTransfers,
   cancelTransfer,
 } = require('../../services/transferService');
+const { verifyAuth, requireStepUp } = require('../../middleware/auth');
+const { idempotency } = require('../../middleware/idempotency');
+const { getPriceSource } = require('../../services/priceSources');
+const { normalizeCurrency } = require('../../utils/currency');
+
+// Transfers worth more than this many USD require step-up authentication
+const STEP_UP_TRANSFER_THRESHOLD = parseFloat(process.env.STEP_UP_TRANSFER_THRESHOLD || '1000');
+
+/**
+ * Parse a transfer amount: a positive number, or a numeric string
+ * @returns {number|null} Amount, or null if it is not a valid amount
+ */
+function parseTransferAmount(amount) {
+  if (typeof amount !== 'number' && typeof amount !== 'string') return null;
+  if (typeof amount === 'string' && !/^\s*\d+(\.\d+)?\s*$/.test(amount)) return null;
+
+  const value = Number(amount);
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+/**
+ * Value a transfer in USD for the step-up threshold
+ * Crypto is priced through the quote price source, fiat through its USD FX rate.
+ * @returns {Promise<number|null>} USD value, or null if it cannot be valued
+ */
+async function getTransferAmountUsd(amount, currency) {
+  const value = parseTransferAmount(amount);
+  if (value === null || typeof currency !== 'string' || !currency.trim()) return null;
+
+  const code = currency.trim().toUpperCase();
+  if (code === 'USD') return value;
+
+  let fiatCurrency = null;
+  try {
+    fiatCurrency = normalizeCurrency(code);
+  } catch (error) {
+    // Not an ISO 4217 code: a crypto currency
+  }
+
+  try {
+    const priceSource = getPriceSource();
+    return fiatCurrency
+      ? value / await priceSource.getFxRate('USD', fiatCurrency)
+      : value * await priceSource.getPrice(code, 'USD');
+  } catch (error) {
+    console.warn(`⚠️  Could not value ${code} transfer in USD:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Step-up is required above the threshold, and for any transfer that cannot be valued
+ */
+async function requiresTransferStepUp(req) {
+  const amountUsd = await getTransferAmountUsd(req.body.amount, req.body.currency);
+  return amountUsd === null || amountUsd > STEP_UP_TRANSFER_THRESHOLD;
+}
 
 /**
  * POST /api/bridge/transfers
- * Create a new transfer (internal, external, or ACH)
+ * Create a new transfer (internal, external, or ACH) for the authenticated user
  *
  * Body: {
- *   userId: string,
  *   type: 'internal' | 'external' | 'ach',
  *   amount: number,
  *   currency: string,
@@ -40,17 +96,30 @@ const {
  *   }
  * }
  *
+ * source_wallet_id (the external account ID for ACH) must belong to the authenticated user; others return 404
+ * Transfers worth more than STEP_UP_TRANSFER_THRESHOLD USD (valued at current prices/FX rates)
+ * require an X-2FA-Code header, as do transfers whose value cannot be determined
+ * Send an Idempotency-Key header to make retries safe (the key is also forwarded to Bridge)
+ *
  * Returns: { success: boolean, transfer: object }
  */
-router.post('/', async (req, res) => {
+router.post('/', verifyAuth, requireStepUp(requiresTransferStepUp), idempotency('transfers.create'), async (req, res) => {
   try {
-    const { userId, type, amount, currency, source_wallet_id, destination } = req.body;
+    const userId = req.userId;
+    const { type, amount, currency, source_wallet_id, destination } = req.body;
 
     // Validation
-    if (!userId || !type || !amount || !currency || !source_wallet_id || !destination) {
+    if (!type || !amount || !currency || !source_wallet_id || !destination) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: type, amount, currency, source_wallet_id, destination',
+      });
+    }
+
+    if (parseTransferAmount(amount) === null) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: userId, type, amount, currency, source_wallet_id, destination',
+        error: 'amount must be a positive number',
       });
     }
 
@@ -92,12 +161,14 @@ router.post('/', async (req, res) => {
       destination,
     };
 
-    const result = await createTransfer(userId, transferData);
+    const result = await createTransfer(userId, transferData, {
+      idempotencyKey: req.upstreamIdempotencyKey,
+    });
 
     res.json(result);
   } catch (error) {
     console.error('Transfer creation error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message || 'Failed to create transfer',
     });
@@ -110,7 +181,7 @@ router.post('/', async (req, res) => {
  *
  * Returns: { success: boolean, transfer: object }
  */
-router.get('/:transferId/status', async (req, res) => {
+router.get('/:transferId/status', verifyAuth, async (req, res) => {
   try {
     const { transferId } = req.params;
 
@@ -121,7 +192,7 @@ router.get('/:transferId/status', async (req, res) => {
       });
     }
 
-    const transfer = await getTransferStatus(transferId);
+    const transfer = await getTransferStatus(req.userId, transferId);
 
     res.json({
       success: true,
@@ -138,26 +209,19 @@ router.get('/:transferId/status', async (req, res) => {
 
 /**
  * GET /api/bridge/transfers
- * List all transfers for a user
+ * List all transfers for the authenticated user
  *
  * Query params:
- *   - userId: string (required)
  *   - type: 'internal' | 'external' | 'ach' (optional)
  *   - status: 'pending' | 'processing' | 'completed' | 'failed' (optional)
  *   - limit: number (optional, default 50)
  *
  * Returns: { success: boolean, transfers: array }
  */
-router.get('/', async (req, res) => {
+router.get('/', verifyAuth, async (req, res) => {
   try {
-    const { userId, type, status, limit } = req.query;
-
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'userId query parameter is required',
-      });
-    }
+    const userId = req.userId;
+    const { type, status, limit } = req.query;
 
     const params = {};
     if (type) params.type = type;
@@ -183,13 +247,12 @@ router.get('/', async (req, res) => {
  * POST /api/bridge/transfers/:transferId/cancel
  * Cancel a pending transfer
  *
- * Body: { userId: string }
  * Returns: { success: boolean, transferId: string }
  */
-router.post('/:transferId/cancel', async (req, res) => {
+router.post('/:transferId/cancel', verifyAuth, async (req, res) => {
   try {
     const { transferId } = req.params;
-    const { userId } = req.body;
+    const userId = req.userId;
 
     if (!transferId) {
       return res.status(400).json({
@@ -198,13 +261,6 @@ router.post('/:transferId/cancel', async (req, res) => {
       });
     }
 
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'userId is required in request body',
-      });
-    }
-
     const result = await cancelTransfer(userId, transferId);
 
     res.json(result);
@@ -7,25 +7,19 @@ const {
   createVirtualAccount,
   getVirtualAccount,
   listVirtualAccounts,
+  getVirtualAccountByBridgeId,
 } = require('../../services/virtualAccountService');
+const { verifyAuth } = require('../../middleware/auth');
 
 /**
  * POST /api/bridge/virtual-accounts
- * Create a new US virtual bank account for a user
+ * Create a new US virtual bank account for the authenticated user
  *
- * Body: { userId: string }
  * Returns: { success: boolean, account: object }
  */
-router.post('/', async (req, res) => {
+router.post('/', verifyAuth, async (req, res) => {
   try {
-    const { userId } = req.body;
-
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'userId is required',
-      });
-    }
+    const userId = req.userId;
 
     const result = await createVirtualAccount(userId);
 
@@ -41,21 +35,13 @@ router.post('/', async (req, res) => {
 
 /**
  * GET /api/bridge/virtual-accounts
- * Get all virtual accounts for a user
+ * Get all virtual accounts for the authenticated user
  *
- * Query params: userId (required)
  * Returns: { success: boolean, accounts: array }
  */
-router.get('/', async (req, res) => {
+router.get('/', verifyAuth, async (req, res) => {
   try {
-    const { userId } = req.query;
-
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'userId query parameter is required',
-      });
-    }
+    const userId = req.userId;
 
     const accounts = await listVirtualAccounts(userId);
 
@@ -78,7 +64,7 @@ router.get('/', async (req, res) => {
  *
  * Returns: { success: boolean, account: object }
  */
-router.get('/:accountId', async (req, res) => {
+router.get('/:accountId', verifyAuth, async (req, res) => {
   try {
     const { accountId } = req.params;
 
@@ -89,6 +75,15 @@ router.get('/:accountId', async (req, res) => {
       });
     }
 
+    // Only allow access to the caller's own accounts
+    const ownedAccount = await getVirtualAccountByBridgeId(accountId);
+    if (!ownedAccount || ownedAccount.user_id !== req.userId) {
+      return res.status(404).json({
+        success: false,
+        error: 'Virtual account not found',
+      });
+    }
+
     const account = await getVirtualAccount(accountId);
 
     res.json({
@@ -11,31 +11,26 @@ const {
   getTotalBalances,
 } = require('../../services/walletService');
 const { supabase } = require('../../config/supabase.config');
+const { verifyAuth, requireRole } = require('../../middleware/auth');
 
 /**
  * POST /api/bridge/wallets
- * Create a new Bridge wallet for a user
+ * Create a new Bridge wallet for the authenticated user
+ * Always a user wallet; treasury wallets are not created through this endpoint.
+ * Each user has one wallet: a second request returns 409.
  *
- * Body: { userId: string, type?: 'user' | 'treasury' }
  * Returns: { success: boolean, wallet: object }
  */
-router.post('/', async (req, res) => {
+router.post('/', verifyAuth, async (req, res) => {
   try {
-    const { userId, type } = req.body;
+    const userId = req.userId;
 
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'userId is required',
-      });
-    }
-
-    const result = await createWallet(userId, type);
+    const result = await createWallet(userId, 'user');
 
     res.json(result);
   } catch (error) {
     console.error('Wallet creation error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message || 'Failed to create wallet',
     });
@@ -43,21 +38,14 @@ router.post('/', async (req, res) => {
 });
 
 /**
- * GET /api/bridge/wallets/:userId
- * Get all wallets for a user
+ * GET /api/bridge/wallets
+ * Get all wallets for the authenticated user
  *
  * Returns: { success: boolean, wallets: array }
  */
-router.get('/:userId', async (req, res) => {
+router.get('/', verifyAuth, async (req, res) => {
   try {
-    const { userId } = req.params;
-
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'userId is required',
-      });
-    }
+    const userId = req.userId;
 
     const wallets = await getUserWallets(userId);
 
@@ -80,7 +68,7 @@ router.get('/:userId', async (req, res) => {
  *
  * Returns: { success: boolean, balances: array }
  */
-router.get('/:bridgeWalletId/balance', async (req, res) => {
+router.get('/:bridgeWalletId/balance', verifyAuth, async (req, res) => {
   try {
     const { bridgeWalletId } = req.params;
 
@@ -94,11 +82,12 @@ router.get('/:bridgeWalletId/balance', async (req, res) => {
     // In sandbox mode, Bridge API doesn't support balance endpoint
     // Fetch directly from database instead - first get wallet, then balances
 
-    // Step 1: Get the wallet's internal UUID
+    // Step 1: Get the wallet's internal UUID (only if owned by the caller)
     const { data: wallet, error: walletError } = await supabase
       .from('bridge_wallets')
       .select('id')
       .eq('bridge_wallet_id', bridgeWalletId)
+      .eq('user_id', req.userId)
       .single();
 
     if (walletError || !wallet) {
@@ -147,7 +136,7 @@ router.get('/:bridgeWalletId/balance', async (req, res) => {
  * Query params: limit, updated_after_ms, updated_before_ms
  * Returns: { success: boolean, history: array }
  */
-router.get('/:bridgeWalletId/history', async (req, res) => {
+router.get('/:bridgeWalletId/history', verifyAuth, async (req, res) => {
   try {
     const { bridgeWalletId } = req.params;
     const { limit = 10 } = req.query;
@@ -164,6 +153,7 @@ router.get('/:bridgeWalletId/history', async (req, res) => {
       .from('bridge_wallets')
       .select('user_id')
       .eq('bridge_wallet_id', bridgeWalletId)
+      .eq('user_id', req.userId)
       .single();
 
     if (walletError || !wallet) {
@@ -211,11 +201,12 @@ router.get('/:bridgeWalletId/history', async (req, res) => {
 
 /**
  * GET /api/bridge/wallets/total/balances
- * Get total balances across all wallets
+ * Get total balances across all wallets (platform treasury view)
+ * Restricted to compliance and admin roles
  *
  * Returns: { success: boolean, balances: array }
  */
-router.get('/total/balances', async (req, res) => {
+router.get('/total/balances', verifyAuth, requireRole('compliance', 'admin'), async (req, res) => {
   try {
     const balances = await getTotalBalances();
 
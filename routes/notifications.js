@@ -4,18 +4,19 @@
 const express = require('express');
 const router = express.Router();
 const { supabase } = require('../config/supabase.config');
+const { verifyAuth } = require('../middleware/auth');
+
+// Every notification endpoint acts on the authenticated user
+router.use(verifyAuth);
 
 /**
  * GET /api/notifications
- * Get all notifications for a user
+ * Get all notifications for the authenticated user
  */
 router.get('/', async (req, res) => {
   try {
-    const { userId, unreadOnly, limit = 50, category, priority } = req.query;
-
-    if (!userId) {
-      return res.status(400).json({ error: 'userId is required' });
-    }
+    const userId = req.userId;
+    const { unreadOnly, limit = 50, category, priority } = req.query;
 
     let query = supabase
       .from('notifications')
@@ -58,11 +59,7 @@ router.get('/', async (req, res) => {
  */
 router.get('/count', async (req, res) => {
   try {
-    const { userId } = req.query;
-
-    if (!userId) {
-      return res.status(400).json({ error: 'userId is required' });
-    }
+    const userId = req.userId;
 
     const { count, error } = await supabase
       .from('notifications')
@@ -89,11 +86,7 @@ router.get('/count', async (req, res) => {
 router.put('/:id/read', async (req, res) => {
   try {
     const { id } = req.params;
-    const { userId } = req.body;
-
-    if (!userId) {
-      return res.status(400).json({ error: 'userId is required' });
-    }
+    const userId = req.userId;
 
     const { data, error } = await supabase
       .from('notifications')
@@ -117,15 +110,11 @@ router.put('/:id/read', async (req, res) => {
 
 /**
  * PUT /api/notifications/read-all
- * Mark all notifications as read for a user
+ * Mark all notifications as read for the authenticated user
  */
 router.put('/read-all', async (req, res) => {
   try {
-    const { userId } = req.body;
-
-    if (!userId) {
-      return res.status(400).json({ error: 'userId is required' });
-    }
+    const userId = req.userId;
 
     const { data, error } = await supabase
       .from('notifications')
@@ -153,11 +142,7 @@ router.put('/read-all', async (req, res) => {
 router.delete('/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const { userId } = req.body;
-
-    if (!userId) {
-      return res.status(400).json({ error: 'userId is required' });
-    }
+    const userId = req.userId;
 
     const { error } = await supabase
       .from('notifications')
@@ -183,11 +168,7 @@ router.delete('/:id', async (req, res) => {
  */
 router.delete('/clear', async (req, res) => {
   try {
-    const { userId } = req.body;
-
-    if (!userId) {
-      return res.status(400).json({ error: 'userId is required' });
-    }
+    const userId = req.userId;
 
     const { error } = await supabase
       .from('notifications')
@@ -213,11 +194,7 @@ router.delete('/clear', async (req, res) => {
  */
 router.get('/preferences', async (req, res) => {
   try {
-    const { userId } = req.query;
-
-    if (!userId) {
-      return res.status(400).json({ error: 'userId is required' });
-    }
+    const userId = req.userId;
 
     const { data: preferences, error } = await supabase
       .from('notification_preferences')
@@ -243,8 +220,8 @@ router.get('/preferences', async (req, res) => {
  */
 router.put('/preferences', async (req, res) => {
   try {
+    const userId = req.userId;
     const {
-      userId,
       enable_transaction_notifications,
       enable_card_notifications,
       enable_wallet_notifications,
@@ -258,10 +235,6 @@ router.put('/preferences', async (req, res) => {
       push_for_urgent
     } = req.body;
 
-    if (!userId) {
-      return res.status(400).json({ error: 'userId is required' });
-    }
-
     const updates = {};
     if (enable_transaction_notifications !== undefined) updates.enable_transaction_notifications = enable_transaction_notifications;
     if (enable_card_notifications !== undefined) updates.enable_card_notifications = enable_card_notifications;
@@ -0,0 +1,91 @@
+// Payment Method Routes
+// Saved cards (Fiserv tokens) for charging without re-entering the card number
+
+const express = require('express');
+const router = express.Router();
+const { verifyAuth } = require('../middleware/auth');
+const {
+  savePaymentMethod,
+  listPaymentMethods,
+  deletePaymentMethod,
+} = require('../services/paymentMethodService');
+
+/**
+ * POST /api/payment-methods
+ * Save a card. The card is tokenized and only the token, brand, last4 and expiry are kept.
+ * Charge it later with POST /api/payments/process { paymentMethodId, cvv }
+ *
+ * Body: { cardNumber, expiryMonth, expiryYear, cvv?, cardholderName? }
+ * Returns: { success: boolean, paymentMethod: { id, brand, last4, expiryMonth, expiryYear, ... } }
+ */
+router.post('/', verifyAuth, async (req, res) => {
+  try {
+    const { cardNumber, expiryMonth, expiryYear, cvv, cardholderName } = req.body;
+
+    const paymentMethod = await savePaymentMethod(req.userId, {
+      cardNumber,
+      expiryMonth,
+      expiryYear,
+      cvv,
+      cardholderName,
+    });
+
+    res.json({
+      success: true,
+      paymentMethod,
+    });
+  } catch (error) {
+    console.error('Save payment method error:', error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to save payment method',
+    });
+  }
+});
+
+/**
+ * GET /api/payment-methods
+ * List the authenticated user's saved cards
+ *
+ * Returns: { success: boolean, paymentMethods: array }
+ */
+router.get('/', verifyAuth, async (req, res) => {
+  try {
+    const paymentMethods = await listPaymentMethods(req.userId);
+
+    res.json({
+      success: true,
+      paymentMethods,
+    });
+  } catch (error) {
+    console.error('List payment methods error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to list payment methods',
+    });
+  }
+});
+
+/**
+ * DELETE /api/payment-methods/:id
+ * Delete a saved card
+ *
+ * Returns: { success: boolean }
+ */
+router.delete('/:id', verifyAuth, async (req, res) => {
+  try {
+    await deletePaymentMethod(req.userId, req.params.id);
+
+    res.json({
+      success: true,
+    });
+  } catch (error) {
+    console.error('Delete payment method error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to delete payment method',
+    });
+  }
+});
+
+module.exports = router;
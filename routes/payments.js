@@ -1,154 +1,288 @@
 const express = require('express');
 const router = express.Router();
+const { verifyFiservWebhookSignature } = require('../utils/fiservAuth');
+const { fiservClient } = require('../services/fiservClient');
+const { createAuditLog } = require('../config/supabase.config');
+const { verifyAuth, requireRole } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const {
-  processCardPayment,
-  verifyTransaction,
-  refundTransaction
-} = require('../utils/fiservAuth');
-
-// Load Fiserv credentials from environment
-const FISERV_CREDENTIALS = {
-  apiKey: process.env.FISERV_API_KEY,
-  apiSecret: process.env.FISERV_API_SECRET,
-  merchantId: process.env.FISERV_MERCHANT_ID,
-  host: process.env.FISERV_HOST || 'https://connect-cert.fiservapis.com/ch'
-};
-
-// Validate required credentials
-if (!FISERV_CREDENTIALS.apiKey || !FISERV_CREDENTIALS.apiSecret || !FISERV_CREDENTIALS.merchantId) {
-  console.error('❌ ERROR: Missing required Fiserv credentials in environment variables');
-  console.error('   Required: FISERV_API_KEY, FISERV_API_SECRET, FISERV_MERCHANT_ID');
+  createPayment,
+  recordChargeResult,
+  recordChargeError,
+  capturePayment,
+  voidPayment,
+  getPayment,
+  getPaymentById,
+  listPayments,
+  getPaymentByFiservTransactionId,
+  handleFiservWebhookEvent
+} = require('../services/paymentService');
+const {
+  startPurchase,
+  getPurchaseByPaymentId,
+  resolvePurchaseForPayment
+} = require('../services/purchaseOrchestrator');
+const { getUsableQuote, consumeQuote } = require('../services/quoteService');
+const { getChargeablePaymentMethod, markPaymentMethodUsed } = require('../services/paymentMethodService');
+const { refundPayment } = require('../services/refundService');
+const { DISPUTE_EVENT_TYPES, handleDisputeWebhookEvent } = require('../services/disputeService');
+const { assessPaymentRisk, attachPaymentToDecision, isPendingReview } = require('../services/riskService');
+const {
+  createThreeDSSession,
+  formatSession,
+  getThreeDSSession,
+  submitDeviceData,
+  completeChallenge
+} = require('../services/threeDSService');
+
+// Fiserv credentials (loaded and validated in config/fiserv.config.js)
+const FISERV_CREDENTIALS = require('../config/fiserv.config');
+
+// Purchase states where the crypto may already be on its way (or delivered)
+const CRYPTO_SENT_PURCHASE_STATES = ['charged', 'transfer_unknown', 'transfer_submitted', 'settled', 'capture_failed'];
+
+// Purchase states where an authorized payment may be captured by hand
+const CAPTURABLE_PURCHASE_STATES = ['settled', 'capture_failed'];
+
+/**
+ * Start the crypto leg of a purchase after a successful charge
+ * Failures are logged rather than thrown - the charge already succeeded and the
+ * orchestrator compensates on its own, so the client still gets the payment result.
+ */
+async function startPurchaseForPayment(payment) {
+  if (!payment.crypto_amount || !payment.crypto_currency) {
+    return null;
+  }
+
+  try {
+    const purchase = await startPurchase(payment);
+    return { id: purchase.id, status: purchase.status };
+  } catch (error) {
+    console.error(`❌ Failed to start purchase for payment ${payment.id}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Respond with a payment whose 3DS session just finished
+ * Starts the purchase unless the payment is held for risk review.
+ */
+async function sendThreeDSResult(res, { session, payment, gatewayResponse }) {
+  if (payment.status === 'authorized' && await isPendingReview(payment.id)) {
+    return res.json({
+      success: true,
+      paymentId: payment.id,
+      transactionId: session.fiserv_transaction_id,
+      status: 'PENDING_REVIEW'
+    });
+  }
+
+  if (payment.status === 'authorized' || payment.status === 'captured') {
+
+    const purchase = await startPurchaseForPayment(payment);
+
+    return res.json({
+      success: true,
+      paymentId: payment.id,
+      purchase,
+      transactionId: session.fiserv_transaction_id,
+      status: 'COMPLETED',
+      gatewayResponse
+    });
+  }
+
+  return res.status(400).json({
+    success: false,
+    paymentId: payment.id,
+    error: '3D Secure authentication failed',
+    gatewayResponse
+  });
 }
 
 /**
  * POST /api/payments/process
  * Process a crypto purchase payment
+ * Requires authentication. The payment is recorded before the card is charged.
+ * Send an Idempotency-Key header so a retried request never charges the card twice.
+ *
+ * The card is authorized only. The orchestrator captures it once the crypto is
+ * delivered, or voids the authorization if the crypto leg fails.
+ *
+ * Amounts and the exchange rate come from the quote (POST /api/quotes), never the client.
+ * The quote must be unexpired and unused; it is consumed before the card is charged.
+ *
+ * Cards are charged by saved-card token only: save the card first (POST /api/payment-methods)
+ * and send its paymentMethodId with the re-entered cvv. Raw card numbers are not accepted here,
+ * so the PAN only ever passes through the tokenization call.
+ *
+ * Every attempt is risk scored before the card is touched. Blocked attempts return 403;
+ * attempts held for review are authorized only and return status PENDING_REVIEW until
+ * compliance approves them (POST /api/admin/risk/decisions/:decisionId/review).
+ * Send an X-Device-Id header to identify the device.
+ *
+ * Send threeDS with the browser details so the issuer can run 3-D Secure 2. When it asks
+ * for authentication the response has requires3DS and a session to drive through
+ * /api/payments/3ds/:sessionId (device data, then the challenge if one is needed).
+ *
+ * Body: { quoteId, paymentMethodId, cvv, email, phone, country, threeDS }
+ *   threeDS: { notificationUrl, methodNotificationUrl?, challengeWindowSize?, browserInfo: { acceptHeader, language,
+ *              colorDepth, screenHeight, screenWidth, timeZone, javaEnabled, javaScriptEnabled } }
+ * Returns: { success: boolean, paymentId: string, transactionId: string, status: string, ... }
  */
-router.post('/process', async (req, res) => {
+router.post('/process', verifyAuth, idempotency('payments.process'), async (req, res) => {
   try {
     const {
-      fiatAmount,
-      fiatCurrency,
-      cryptoAmount,
-      cryptoCurrency,
-      cardNumber,
-      cardholderName,
-      expiryMonth,
-      expiryYear,
+      quoteId,
+      paymentMethodId,
       cvv,
       email,
       phone,
-      country
+      country,
+      threeDS
     } = req.body;
 
     // Validate required fields
-    if (!fiatAmount || !cardNumber || !cardholderName || !expiryMonth || !expiryYear || !cvv) {
+    if (!quoteId || !paymentMethodId || !cvv) {
       return res.status(400).json({
         success: false,
         error: 'Missing required payment fields'
       });
     }
 
-    // Check if mock mode is enabled
-    const useMockMode = process.env.PAYMENT_MODE === 'mock';
-
-    if (useMockMode) {
-      console.log('🧪 MOCK MODE: Simulating payment processing...');
-
-      // Simulate processing delay
-      await new Promise(resolve => setTimeout(resolve, 1500));
-
-      // Check for test decline cards
-      const declineCards = ['4000300011112220', '5100000000000131', '4263970000005262'];
-      const cleanedCard = cardNumber.replace(/\s/g, '');
-
-      if (declineCards.includes(cleanedCard)) {
-        return res.status(400).json({
-          success: false,
-          error: 'Payment declined - Do Not Honor',
-          transactionId: `MOCK-${Date.now().toString().slice(-9)}`,
-          gatewayResponse: {
-            transactionState: 'DECLINED',
-            errorMessage: 'Do Not Honor'
-          }
-        });
-      }
-
-      // Check for 3DS required cards
-      const threeDSCards = ['4012000033330026', '5555555555554444'];
-      if (threeDSCards.includes(cleanedCard)) {
-        return res.json({
-          success: true,
-          requires3DS: true,
-          authenticationUrl: 'https://3ds-simulator.fiserv.com/authenticate',
-          transactionId: `MOCK-3DS-${Date.now().toString().slice(-9)}`,
-          gatewayResponse: {
-            transactionState: 'PENDING_3DS'
-          }
-        });
-      }
+    // Load the saved card before touching the quote so a bad paymentMethodId does not burn it
+    const paymentMethod = await getChargeablePaymentMethod(req.userId, paymentMethodId);
+
+    // Lock in the quoted amounts
+    const quote = await getUsableQuote(req.userId, quoteId);
+
+    // Score the attempt before authorizing; a blocked attempt leaves the quote usable
+    const riskDecision = await assessPaymentRisk(req.userId, {
+      amount: quote.fiat_amount,
+      currency: quote.fiat_currency,
+      fxRate: quote.fx_rate,
+      card: {
+        bin: paymentMethod.card_bin,
+        last4: paymentMethod.card_last4,
+        expiryMonth: paymentMethod.expiry_month,
+        expiryYear: paymentMethod.expiry_year
+      },
+      country,
+      ipAddress: req.ip,
+      deviceId: req.get('X-Device-Id'),
+      userAgent: req.get('User-Agent')
+    });
 
-      // Successful mock payment
-      return res.json({
-        success: true,
-        transactionId: `MOCK-${Date.now().toString().slice(-9).toUpperCase()}`,
-        orderId: `KAL-${Date.now().toString().slice(-9).toUpperCase()}`,
-        amount: fiatAmount,
-        currency: fiatCurrency,
-        cryptoAmount,
-        cryptoCurrency,
-        status: 'COMPLETED',
-        timestamp: new Date().toISOString(),
-        gatewayResponse: {
-          transactionState: 'AUTHORIZED',
-          transactionType: 'CHARGE'
-        }
+    if (riskDecision.decision === 'block') {
+      return res.status(403).json({
+        success: false,
+        error: 'This payment could not be processed. Please contact support.',
+        riskDecisionId: riskDecision.id
       });
     }
 
-    // Build payment data for live Fiserv mode
+    // Consume the quote so it cannot be charged twice
+    await consumeQuote(quote.id);
+
+    const fiatAmount = parseFloat(quote.fiat_amount);
+    const fiatCurrency = quote.fiat_currency;
+    const cryptoAmount = parseFloat(quote.crypto_amount);
+    const cryptoCurrency = quote.crypto_currency;
+
+    const payment = await createPayment(req.userId, {
+      amount: fiatAmount,
+      currency: fiatCurrency,
+      cryptoAmount,
+      cryptoCurrency,
+      quoteId: quote.id,
+      paymentMethod,
+      billingCountry: country || 'US',
+    });
+
+    await attachPaymentToDecision(riskDecision.id, payment.id);
+
     const paymentData = {
       amount: fiatAmount,
-      currency: fiatCurrency || 'USD',
-      cardNumber,
-      expiryMonth,
-      expiryYear,
+      currency: fiatCurrency,
+      paymentToken: {
+        tokenData: paymentMethod.token,
+        tokenSource: paymentMethod.token_source
+      },
+      cardLast4: paymentMethod.card_last4,
+      expiryMonth: paymentMethod.expiry_month,
+      expiryYear: paymentMethod.expiry_year,
+      cardholderName: paymentMethod.cardholder_name,
       cvv,
-      cardholderName,
       customerEmail: email,
       customerPhone: phone,
       billingAddress: {
         country: country || 'US'
+      },
+      merchantOrderId: payment.merchant_order_id,
+      captureFlag: false,
+      threeDS: threeDS && {
+        ...threeDS,
+        browserInfo: {
+          ...threeDS.browserInfo,
+          userAgent: req.get('User-Agent'),
+          ipAddress: req.ip
+        }
       }
     };
 
-    // Process payment through Fiserv
-    const paymentResult = await processCardPayment(paymentData, FISERV_CREDENTIALS);
+    // Authorize through Fiserv (FISERV_HOST may point at simulators/fiservSimulator.js)
+    let paymentResult;
+    try {
+      paymentResult = await fiservClient.authorizeCardPayment(paymentData);
+    } catch (chargeError) {
+      await recordChargeError(payment, chargeError);
+      throw chargeError;
+    }
+
+    const updatedPayment = await recordChargeResult(payment, paymentResult);
+
+    await markPaymentMethodUsed(paymentMethod.id);
 
     // Check if 3D Secure authentication is required
-    if (paymentResult.authenticationResponse?.authenticationType === '3DS') {
+    if (updatedPayment.status === 'requires_3ds') {
+      const session = await createThreeDSSession(updatedPayment, paymentResult);
+
       return res.json({
         success: true,
         requires3DS: true,
-        authenticationUrl: paymentResult.authenticationResponse.acsURL,
+        paymentId: updatedPayment.id,
         transactionId: paymentResult.ipgTransactionId,
+        threeDS: formatSession(session),
         gatewayResponse: paymentResult.gatewayResponse
       });
     }
 
+    // Held for review: keep the authorization, start the purchase once approved
+    if (riskDecision.decision === 'review' && updatedPayment.status === 'authorized') {
+      return res.json({
+        success: true,
+        paymentId: updatedPayment.id,
+        transactionId: paymentResult.ipgTransactionId,
+        amount: fiatAmount,
+        currency: fiatCurrency,
+        cryptoAmount,
+        cryptoCurrency,
+        status: 'PENDING_REVIEW',
+        timestamp: new Date().toISOString()
+      });
+    }
+
     // Payment successful
-    if (paymentResult.gatewayResponse?.transactionState === 'AUTHORIZED' ||
-        paymentResult.gatewayResponse?.transactionState === 'CAPTURED') {
+    if (updatedPayment.status === 'authorized' || updatedPayment.status === 'captured') {
 
-      // TODO: Trigger crypto purchase flow here
-      // - Reserve crypto amount
-      // - Create blockchain transaction
-      // - Update user wallet
+      // Send the purchased crypto to the user's wallet (captures on delivery, voids if that fails)
+      const purchase = await startPurchaseForPayment(updatedPayment);
 
       return res.json({
         success: true,
+        paymentId: updatedPayment.id,
+        purchase,
         transactionId: paymentResult.ipgTransactionId,
-        orderId: paymentResult.orderId,
+        orderId: paymentResult.orderId || updatedPayment.merchant_order_id,
         amount: fiatAmount,
         currency: fiatCurrency,
         cryptoAmount,
@@ -162,6 +296,7 @@ router.post('/process', async (req, res) => {
     // Payment failed
     return res.status(400).json({
       success: false,
+      paymentId: updatedPayment.id,
       error: paymentResult.gatewayResponse?.errorMessage || 'Payment failed',
       transactionId: paymentResult.ipgTransactionId,
       gatewayResponse: paymentResult.gatewayResponse
@@ -169,7 +304,7 @@ router.post('/process', async (req, res) => {
 
   } catch (error) {
     console.error('Payment processing error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message || 'Payment processing failed'
     });
@@ -177,43 +312,99 @@ router.post('/process', async (req, res) => {
 });
 
 /**
- * POST /api/payments/3ds-callback
- * Handle 3D Secure authentication callback
+ * GET /api/payments/3ds/:sessionId
+ * Get a 3-D Secure session and the step it is waiting on
+ * Requires authentication
+ *
+ * Returns: { success: boolean, threeDS: { sessionId, status, methodUrl, methodData, acsUrl, creq, expiresAt, ... } }
  */
-router.post('/3ds-callback', async (req, res) => {
+router.get('/3ds/:sessionId', verifyAuth, async (req, res) => {
   try {
-    const { transactionId, PaRes, MD } = req.body;
+    const session = await getThreeDSSession(req.userId, req.params.sessionId);
 
-    if (!transactionId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing transaction ID'
-      });
-    }
+    res.json({
+      success: true,
+      threeDS: formatSession(session)
+    });
 
-    // Verify the transaction after 3DS authentication
-    const verificationResult = await verifyTransaction(transactionId, FISERV_CREDENTIALS);
+  } catch (error) {
+    console.error('Get 3DS session error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to get 3DS session'
+    });
+  }
+});
 
-    if (verificationResult.gatewayResponse?.transactionState === 'AUTHORIZED' ||
-        verificationResult.gatewayResponse?.transactionState === 'CAPTURED') {
+/**
+ * POST /api/payments/3ds/:sessionId/device-data
+ * Report the 3DS Method (device data collection) for a session in device_data_required.
+ * Load methodUrl in a hidden iframe, posting methodData as threeDSMethodData, then call this
+ * (methodCompleted: false if the iframe did not load within 10 seconds).
+ * Requires authentication
+ *
+ * Body: { methodCompleted: boolean }
+ * Returns: the payment result (frictionless) or the session with status challenge_required
+ */
+router.post('/3ds/:sessionId/device-data', verifyAuth, async (req, res) => {
+  try {
+    const result = await submitDeviceData(req.userId, req.params.sessionId, {
+      methodCompleted: req.body.methodCompleted === true
+    }, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
 
+    if (result.session.status === 'challenge_required') {
       return res.json({
         success: true,
-        transactionId,
-        status: 'COMPLETED',
-        gatewayResponse: verificationResult.gatewayResponse
+        requires3DS: true,
+        paymentId: result.session.payment_id,
+        threeDS: formatSession(result.session)
       });
     }
 
-    return res.status(400).json({
+    return await sendThreeDSResult(res, result);
+
+  } catch (error) {
+    console.error('3DS device data error:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: '3D Secure authentication failed',
-      gatewayResponse: verificationResult.gatewayResponse
+      error: error.message || '3DS device data submission failed'
     });
+  }
+});
+
+/**
+ * POST /api/payments/3ds/:sessionId/result
+ * Finish a 3DS challenge with the CRes the ACS posted to the notificationUrl
+ * Results that do not match a pending session are rejected (409) and audit logged.
+ * Requires authentication
+ *
+ * Body: { cres: string }
+ * Returns: { success: boolean, paymentId: string, transactionId: string, status: string }
+ */
+router.post('/3ds/:sessionId/result', verifyAuth, async (req, res) => {
+  try {
+    const { cres } = req.body;
+
+    if (!cres) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing challenge response (cres)'
+      });
+    }
+
+    const result = await completeChallenge(req.userId, req.params.sessionId, cres, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    return await sendThreeDSResult(res, result);
 
   } catch (error) {
-    console.error('3DS callback error:', error);
-    res.status(500).json({
+    console.error('3DS result error:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message || '3DS verification failed'
     });
@@ -221,68 +412,205 @@ router.post('/3ds-callback', async (req, res) => {
 });
 
 /**
- * GET /api/payments/:transactionId
- * Get payment transaction details
+ * GET /api/payments
+ * List the authenticated user's payments
+ *
+ * Query params: status, limit (default 20, max 100), offset
+ * Returns: { success: boolean, payments: array, pagination: { total, limit, offset } }
  */
-router.get('/:transactionId', async (req, res) => {
+router.get('/', verifyAuth, async (req, res) => {
   try {
-    const { transactionId } = req.params;
+    const { status } = req.query;
+    const limit = req.query.limit ? Math.min(parseInt(req.query.limit), 100) : 20;
+    const offset = req.query.offset ? parseInt(req.query.offset) : 0;
 
-    const transaction = await verifyTransaction(transactionId, FISERV_CREDENTIALS);
+    const { payments, total } = await listPayments(req.userId, { status, limit, offset });
 
     res.json({
       success: true,
-      transaction
+      payments,
+      pagination: {
+        total,
+        limit,
+        offset
+      }
     });
 
   } catch (error) {
-    console.error('Transaction lookup error:', error);
+    console.error('List payments error:', error);
     res.status(500).json({
       success: false,
-      error: error.message || 'Transaction lookup failed'
+      error: error.message || 'Failed to list payments'
+    });
+  }
+});
+
+/**
+ * GET /api/payments/:id
+ * Get a payment, its status history and the related crypto purchase
+ *
+ * Returns: { success: boolean, payment: object, purchase: object|null }
+ */
+router.get('/:id', verifyAuth, async (req, res) => {
+  try {
+    const payment = await getPayment(req.userId, req.params.id);
+    const purchase = await getPurchaseByPaymentId(req.userId, payment.id);
+
+    res.json({
+      success: true,
+      payment,
+      purchase
+    });
+
+  } catch (error) {
+    console.error('Payment lookup error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Payment lookup failed'
+    });
+  }
+});
+
+/**
+ * POST /api/payments/:id/capture
+ * Capture an authorized payment (full or partial)
+ * Support and admin only. Purchases capture automatically once the crypto is
+ * delivered - use this to resolve a capture_failed purchase.
+ *
+ * Body: { amount?: number (defaults to the authorized amount) }
+ * Returns: { success: boolean, captureId: string, amount: number, payment: object, purchase: object|null }
+ */
+router.post('/:id/capture', verifyAuth, requireRole('support', 'admin'), async (req, res) => {
+  try {
+    const payment = await getPaymentById(req.params.id);
+    const purchase = await getPurchaseByPaymentId(payment.user_id, payment.id);
+
+    if (purchase && !CAPTURABLE_PURCHASE_STATES.includes(purchase.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Payment cannot be captured while its purchase is ${purchase.status}`
+      });
+    }
+
+    const { payment: updatedPayment, transactionId } = await capturePayment(payment, req.body.amount ?? null, {
+      source: 'admin',
+      actorUserId: req.actorUserId || req.userId
+    });
+
+    const updatedPurchase = await resolvePurchaseForPayment(updatedPayment, transactionId);
+
+    res.json({
+      success: true,
+      captureId: transactionId,
+      amount: parseFloat(updatedPayment.captured_amount),
+      payment: updatedPayment,
+      purchase: updatedPurchase || purchase
+    });
+
+  } catch (error) {
+    console.error('Capture error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Capture failed'
+    });
+  }
+});
+
+/**
+ * POST /api/payments/:id/void
+ * Void an authorized payment, releasing the hold without a refund
+ * Support and admin only. Refused while the purchase's crypto may have been sent.
+ *
+ * Body: { reason?: string }
+ * Returns: { success: boolean, voidId: string, payment: object, purchase: object|null }
+ */
+router.post('/:id/void', verifyAuth, requireRole('support', 'admin'), async (req, res) => {
+  try {
+    const payment = await getPaymentById(req.params.id);
+    const purchase = await getPurchaseByPaymentId(payment.user_id, payment.id);
+
+    if (purchase && CRYPTO_SENT_PURCHASE_STATES.includes(purchase.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Payment cannot be voided while its purchase is ${purchase.status}`
+      });
+    }
+
+    const { payment: updatedPayment, transactionId } = await voidPayment(payment, {
+      reason: req.body.reason || null,
+      source: 'admin',
+      actorUserId: req.actorUserId || req.userId
+    });
+
+    const updatedPurchase = await resolvePurchaseForPayment(updatedPayment, transactionId);
+
+    res.json({
+      success: true,
+      voidId: transactionId,
+      payment: updatedPayment,
+      purchase: updatedPurchase || purchase
+    });
+
+  } catch (error) {
+    console.error('Void error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Void failed'
     });
   }
 });
 
 /**
  * POST /api/payments/:transactionId/refund
- * Refund a transaction
+ * Refund a captured transaction, in full or in part
+ * Support and admin only. The refunded total can never exceed the captured amount,
+ * and the refund is issued in the original charge currency.
+ *
+ * Body: { amount: number, reason: string }
+ * Returns: { success: boolean, refundId: string, refund: object, amount: number, currency: string, status: string, payment: object }
  */
-router.post('/:transactionId/refund', async (req, res) => {
+router.post('/:transactionId/refund', verifyAuth, requireRole('support', 'admin'), async (req, res) => {
   try {
     const { transactionId } = req.params;
-    const { amount } = req.body;
+    const { amount, reason } = req.body;
 
-    if (!amount) {
+    if (!amount || !reason) {
       return res.status(400).json({
         success: false,
-        error: 'Refund amount is required'
+        error: 'Refund amount and reason are required'
       });
     }
 
-    const refundResult = await refundTransaction(transactionId, amount, FISERV_CREDENTIALS);
+    const payment = await getPaymentByFiservTransactionId(transactionId);
 
-    if (refundResult.gatewayResponse?.transactionState === 'REFUNDED') {
-      return res.json({
-        success: true,
-        refundId: refundResult.ipgTransactionId,
-        amount,
-        status: 'REFUNDED',
-        gatewayResponse: refundResult.gatewayResponse
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found'
       });
     }
 
-    return res.status(400).json({
-      success: false,
-      error: refundResult.gatewayResponse?.errorMessage || 'Refund failed',
-      gatewayResponse: refundResult.gatewayResponse
+    const { refund, payment: updatedPayment } = await refundPayment(payment, amount, {
+      reason,
+      initiatedBy: req.actorUserId || req.userId,
+      source: 'admin'
+    });
+
+    res.json({
+      success: true,
+      refundId: refund.fiserv_refund_id,
+      refund,
+      amount: parseFloat(refund.amount),
+      currency: refund.currency,
+      status: 'REFUNDED',
+      payment: updatedPayment
     });
 
   } catch (error) {
     console.error('Refund error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: error.message || 'Refund processing failed'
+      error: error.message || 'Refund failed'
     });
   }
 });
@@ -290,52 +618,70 @@ router.post('/:transactionId/refund', async (req, res) => {
 /**
  * POST /api/payments/webhook
  * Handle Fiserv webhook notifications
+ * Requests must be signed with the merchant's HMAC credentials (see verifyFiservWebhookSignature)
+ *
+ * Event types: PAYMENT_AUTHORIZED, PAYMENT_CAPTURED, PAYMENT_FAILED, PAYMENT_VOIDED,
+ * REFUND_COMPLETED, CHARGEBACK_INITIATED, CHARGEBACK_EVIDENCE_REQUESTED,
+ * CHARGEBACK_WON, CHARGEBACK_LOST
  */
 router.post('/webhook', async (req, res) => {
+  const webhookData = req.body;
+
+  const verification = verifyFiservWebhookSignature(req.headers, req.rawBody, FISERV_CREDENTIALS);
+
+  if (!verification.valid) {
+    console.warn('[Fiserv Webhook] ❌ Signature verification failed:', verification.reason);
+
+    try {
+      await createAuditLog({
+        eventType: 'fiserv_webhook_rejected',
+        description: `Rejected Fiserv webhook: ${verification.reason}`,
+        data: {
+          reason: verification.reason,
+          clientRequestId: req.headers['client-request-id'] || null,
+          claimedEventType: webhookData?.eventType || null,
+          claimedTransactionId: webhookData?.transactionId || null,
+        },
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+      });
+    } catch (auditError) {
+      console.error('[Fiserv Webhook] Failed to audit rejected webhook:', auditError.message);
+    }
+
+    return res.status(401).json({
+      received: false,
+      error: 'Invalid webhook signature'
+    });
+  }
+
   try {
-    const webhookData = req.body;
-
-    console.log('Fiserv Webhook Received:', webhookData);
-
-    // Verify webhook signature (implement HMAC verification)
-    // Process webhook event based on type
-    const eventType = webhookData.eventType;
-
-    switch (eventType) {
-      case 'PAYMENT_AUTHORIZED':
-        // Handle payment authorization
-        console.log('Payment authorized:', webhookData.transactionId);
-        break;
-
-      case 'PAYMENT_CAPTURED':
-        // Handle payment capture
-        console.log('Payment captured:', webhookData.transactionId);
-        break;
-
-      case 'PAYMENT_FAILED':
-        // Handle payment failure
-        console.log('Payment failed:', webhookData.transactionId);
-        break;
-
-      case 'REFUND_COMPLETED':
-        // Handle refund completion
-        console.log('Refund completed:', webhookData.transactionId);
-        break;
-
-      case 'CHARGEBACK_INITIATED':
-        // Handle chargeback
-        console.log('Chargeback initiated:', webhookData.transactionId);
-        break;
-
-      default:
-        console.log('Unknown webhook event:', eventType);
+    // Fall back to the signed Client-Request-Id when the event has no ID of its own
+    const fiservEventId = webhookData.eventId || req.headers['client-request-id'];
+
+    console.log('[Fiserv Webhook] Received event:', webhookData.eventType, webhookData.transactionId);
+
+    const result = DISPUTE_EVENT_TYPES.includes(webhookData.eventType)
+      ? await handleDisputeWebhookEvent(webhookData, fiservEventId)
+      : await handleFiservWebhookEvent(webhookData, fiservEventId);
+
+    if (!result.handled) {
+      console.log(`[Fiserv Webhook] Event not applied (${result.reason}):`, webhookData.eventType, webhookData.transactionId);
     }
 
     // Respond to Fiserv that webhook was received
     res.status(200).json({ received: true });
 
   } catch (error) {
-    console.error('Webhook processing error:', error);
+    console.error('[Fiserv Webhook] Error processing webhook:', error);
+
+    await createAuditLog({
+      eventType: 'fiserv_webhook_error',
+      description: `Failed to process Fiserv webhook: ${error.message}`,
+      data: { error: error.message, event: webhookData }
+    });
+
+    // Non-2xx so Fiserv redelivers the event
     res.status(500).json({
       success: false,
       error: 'Webhook processing failed'
@@ -0,0 +1,67 @@
+// Quote Routes
+// Locked-rate price quotes for fiat-to-crypto purchases
+
+const express = require('express');
+const router = express.Router();
+const { verifyAuth } = require('../middleware/auth');
+const { createQuote, getQuote } = require('../services/quoteService');
+
+/**
+ * POST /api/quotes
+ * Create a quote that locks the exchange rate and fees
+ * Pass the returned quoteId to POST /api/payments/process before it expires
+ *
+ * Body: { fiatAmount: number, fiatCurrency?: string (default USD; must be enabled in FISERV_SUPPORTED_CURRENCIES), cryptoCurrency: string }
+ * Returns: { success: boolean, quote: { quoteId, fiatAmount, fiatCurrency, cryptoAmount, cryptoCurrency, rate, fxRate, fees, expiresAt } }
+ *   fxRate: USD -> fiatCurrency rate used to price the crypto (1 for USD)
+ */
+router.post('/', verifyAuth, async (req, res) => {
+  try {
+    const { fiatAmount, fiatCurrency, cryptoCurrency } = req.body;
+
+    if (!fiatAmount || !cryptoCurrency) {
+      return res.status(400).json({
+        success: false,
+        error: 'fiatAmount and cryptoCurrency are required',
+      });
+    }
+
+    const quote = await createQuote(req.userId, { fiatAmount, fiatCurrency, cryptoCurrency });
+
+    res.json({
+      success: true,
+      quote,
+    });
+  } catch (error) {
+    console.error('Create quote error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to create quote',
+    });
+  }
+});
+
+/**
+ * GET /api/quotes/:quoteId
+ * Get a quote
+ *
+ * Returns: { success: boolean, quote: object }
+ */
+router.get('/:quoteId', verifyAuth, async (req, res) => {
+  try {
+    const quote = await getQuote(req.userId, req.params.quoteId);
+
+    res.json({
+      success: true,
+      quote,
+    });
+  } catch (error) {
+    console.error('Get quote error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message || 'Failed to get quote',
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,30 @@
+// Generate a local Bridge webhook test key pair
+// Usage: npm run webhook:keys
+//
+// Writes keys/bridge-webhook-test.pem (private) and keys/bridge-webhook-test.pub.pem (public).
+// Point BRIDGE_WEBHOOK_PUBLIC_KEY at the public key, then send signed events with
+// `npm run webhook:send`. Never use these keys outside local development.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const keysDir = path.join(__dirname, '..', 'keys');
+const privateKeyPath = path.join(keysDir, 'bridge-webhook-test.pem');
+const publicKeyPath = path.join(keysDir, 'bridge-webhook-test.pub.pem');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+});
+
+fs.mkdirSync(keysDir, { recursive: true });
+fs.writeFileSync(privateKeyPath, privateKey, { mode: 0o600 });
+fs.writeFileSync(publicKeyPath, publicKey);
+
+console.log('✅ Bridge webhook test key pair generated');
+console.log(`   - Private key: ${path.relative(process.cwd(), privateKeyPath)}`);
+console.log(`   - Public key:  ${path.relative(process.cwd(), publicKeyPath)}`);
+console.log('\nAdd to your .env:');
+console.log(`BRIDGE_WEBHOOK_PUBLIC_KEY=${path.relative(process.cwd(), publicKeyPath)}`);
@@ -0,0 +1,49 @@
+// Send a signed Bridge webhook event to a local server
+// Usage: npm run webhook:send -- [eventType] [path/to/payload.json]
+//
+// Signs with keys/bridge-webhook-test.pem (see scripts/generate-webhook-keys.js).
+// Override with WEBHOOK_PRIVATE_KEY_PATH and WEBHOOK_URL.
+
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { signBridgeWebhookPayload } = require('../utils/bridgeWebhookSignature');
+
+const eventType = process.argv[2] || 'customer.updated';
+const payloadPath = process.argv[3];
+const privateKeyPath = process.env.WEBHOOK_PRIVATE_KEY_PATH
+  || path.join(__dirname, '..', 'keys', 'bridge-webhook-test.pem');
+const url = process.env.WEBHOOK_URL || `http://localhost:${process.env.PORT || 3001}/webhooks/bridge`;
+
+async function main() {
+  const privateKey = fs.readFileSync(privateKeyPath, 'utf8');
+
+  const data = payloadPath
+    ? JSON.parse(fs.readFileSync(payloadPath, 'utf8'))
+    : { id: 'cust_test', status: 'active', endorsements: [] };
+
+  const body = JSON.stringify({
+    id: `wh_${crypto.randomUUID()}`,
+    type: eventType,
+    created_at: new Date().toISOString(),
+    data,
+  });
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Webhook-Signature': signBridgeWebhookPayload(body, privateKey),
+    },
+    body,
+  });
+
+  console.log(`${response.status} ${response.statusText}`);
+  console.log(await response.text());
+}
+
+main().catch((error) => {
+  console.error('❌ Failed to send test webhook:', error.message);
+  process.exit(1);
+});
@@ -1,8 +1,14 @@
 require('dotenv').config();
+
+// Mask card numbers, CVVs, bank details and credentials in all console output
+require('./utils/logger').installConsoleRedaction();
+
 const express = require('express');
 const cors = require('cors');
 const authRoutes = require('./routes/auth');
 const paymentRoutes = require('./routes/payments');
+const quoteRoutes = require('./routes/quotes');
+const paymentMethodRoutes = require('./routes/paymentMethods');
 const bridgeKycRoutes = require('./routes/bridge/kyc');
 const bridgeWalletRoutes = require('./routes/bridge/wallet');
 const bridgeVirtualAccountRoutes = require('./routes/bridge/virtualAccount');
@@ -10,7 +16,11 @@ const bridgeLiquidationRoutes = require('./routes/bridge/liquidation');
 const bridgeCardRoutes = require('./routes/bridge/card');
 const bridgeTransferRoutes = require('./routes/bridge/transfer');
 const notificationRoutes = require('./routes/notifications');
+const adminRoutes = require('./routes/admin');
 const bridgeWebhook = require('./webhooks/bridge');
+const { startBridgeWebhookWorker, stopBridgeWebhookWorker } = require('./workers/bridgeWebhookWorker');
+const { startReconciliationWorker, stopReconciliationWorker } = require('./workers/reconciliationWorker');
+const { startIdempotencyKeyWorker, stopIdempotencyKeyWorker } = require('./workers/idempotencyKeyWorker');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -44,10 +54,20 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Impersonate-User-Id', 'X-2FA-Code', 'Idempotency-Key', 'X-Device-Id'],
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
-app.use(express.json());
+// Keep the raw body for webhook routes so provider signatures can be verified
+const RAW_BODY_PATHS = ['/webhooks/', '/api/payments/webhook'];
+
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (RAW_BODY_PATHS.some((path) => req.originalUrl.startsWith(path))) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging
@@ -68,7 +88,10 @@ app.get('/health', (req, res) => {
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/quotes', quoteRoutes);
+app.use('/api/payment-methods', paymentMethodRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/admin', adminRoutes);
 app.use('/api/bridge/kyc', bridgeKycRoutes);
 app.use('/api/bridge/wallets', bridgeWalletRoutes);
 app.use('/api/bridge/virtual-accounts', bridgeVirtualAccountRoutes);
@@ -100,7 +123,10 @@ app.listen(PORT, () => {
   console.log(`\n🚀 Kalypso Backend Server running on port ${PORT}`);
   console.log(`📍 Health check: http://localhost:${PORT}/health`);
   console.log(`💳 Payments API: http://localhost:${PORT}/api/payments`);
+  console.log(`💱 Quotes API: http://localhost:${PORT}/api/quotes`);
+  console.log(`💳 Payment Methods API: http://localhost:${PORT}/api/payment-methods`);
   console.log(`🔔 Notifications API: http://localhost:${PORT}/api/notifications`);
+  console.log(`🛡️  Admin API: http://localhost:${PORT}/api/admin`);
   console.log(`🔐 Bridge KYC API: http://localhost:${PORT}/api/bridge/kyc`);
   console.log(`💸 Bridge Transfers API: http://localhost:${PORT}/api/bridge/transfers`);
   console.log(`🪝 Bridge Webhooks: http://localhost:${PORT}/webhooks/bridge`);
@@ -110,15 +136,25 @@ app.listen(PORT, () => {
   console.log(`   - Bridge API: ${process.env.BRIDGE_BASE_URL || 'https://api.bridge.xyz/v0'} (${process.env.BRIDGE_ENVIRONMENT || 'sandbox'})`);
   console.log(`   - Supabase: ${process.env.SUPABASE_URL ? '✅ Connected' : '❌ Not configured'}`);
   console.log(`   - Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:3002'}\n`);
+
+  startBridgeWebhookWorker();
+  startReconciliationWorker();
+  startIdempotencyKeyWorker();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully...');
+  stopBridgeWebhookWorker();
+  stopReconciliationWorker();
+  stopIdempotencyKeyWorker();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('\nSIGINT received, shutting down gracefully...');
+  stopBridgeWebhookWorker();
+  stopReconciliationWorker();
+  stopIdempotencyKeyWorker();
   process.exit(0);
 });
@@ -0,0 +1,153 @@
+// Admin Service
+// Back-office operations for support, compliance, and admin staff
+
+const { supabase, getUserById, updateUserKycStatus, createNotification } = require('../config/supabase.config');
+const { freezeCard } = require('./cardService');
+
+const USER_ROLES = ['user', 'support', 'compliance', 'admin'];
+const KYC_STATUSES = ['not_started', 'pending', 'under_review', 'approved', 'rejected'];
+
+/**
+ * Search users by email or name
+ * @param {Object} params - { query, kycStatus, role, limit, offset }
+ * @returns {Promise<Array>} Matching users
+ */
+async function searchUsers(params = {}) {
+  const { query, kycStatus, role, limit = 25, offset = 0 } = params;
+
+  let request = supabase
+    .from('users')
+    .select('id, email, name, phone, role, kyc_status, kyc_tier, bridge_customer_id, created_at')
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (query) {
+    // Strip characters that carry meaning in PostgREST filter syntax
+    const term = query.replace(/[,()*%]/g, '').trim();
+    request = request.or(`email.ilike.%${term}%,name.ilike.%${term}%`);
+  }
+  if (kycStatus) {
+    request = request.eq('kyc_status', kycStatus);
+  }
+  if (role) {
+    request = request.eq('role', role);
+  }
+
+  const { data: users, error } = await request;
+
+  if (error) {
+    throw new Error(`Failed to search users: ${error.message}`);
+  }
+
+  return users || [];
+}
+
+/**
+ * Override a user's KYC status (compliance decision)
+ * @param {string} userId - Target user ID
+ * @param {string} kycStatus - New KYC status
+ * @param {number|null} kycTier - New KYC tier (optional)
+ * @returns {Promise<Object>} Updated user
+ */
+async function overrideKycStatus(userId, kycStatus, kycTier = null) {
+  if (!KYC_STATUSES.includes(kycStatus)) {
+    throw new Error(`Invalid KYC status. Must be one of: ${KYC_STATUSES.join(', ')}`);
+  }
+  if (kycTier !== null && ![1, 2].includes(kycTier)) {
+    throw new Error('Invalid KYC tier. Must be 1 or 2');
+  }
+
+  const user = await updateUserKycStatus(userId, kycStatus, kycTier);
+
+  await createNotification(
+    userId,
+    'kyc',
+    'Verification Status Updated',
+    `Your identity verification status is now: ${kycStatus.replace('_', ' ')}.`,
+    { kycStatus, kycTier: user.kyc_tier },
+    { priority: 'high', category: 'kyc' }
+  );
+
+  return user;
+}
+
+/**
+ * Freeze every active card belonging to a user
+ * @param {string} userId - Target user ID
+ * @param {string} reason - Freeze reason sent to Bridge
+ * @returns {Promise<Object>} { frozen: [cardIds], failed: [{ cardId, error }] }
+ */
+async function freezeUserCards(userId, reason = 'admin_requested') {
+  const { data: cards, error } = await supabase
+    .from('bridge_cards')
+    .select('id')
+    .eq('user_id', userId)
+    .eq('is_frozen', false)
+    .neq('status', 'cancelled');
+
+  if (error) {
+    throw new Error(`Failed to load user cards: ${error.message}`);
+  }
+
+  const frozen = [];
+  const failed = [];
+
+  for (const card of cards || []) {
+    try {
+      await freezeCard(userId, card.id, reason);
+      frozen.push(card.id);
+    } catch (freezeError) {
+      failed.push({ cardId: card.id, error: freezeError.message });
+    }
+  }
+
+  if (frozen.length > 0) {
+    await createNotification(
+      userId,
+      'warning',
+      'Cards Frozen',
+      'Your cards have been frozen by our support team. Please contact support for details.',
+      { cardIds: frozen },
+      { priority: 'urgent', category: 'card' }
+    );
+  }
+
+  return { frozen, failed };
+}
+
+/**
+ * Change a user's access role
+ * @param {string} userId - Target user ID
+ * @param {string} role - New role
+ * @returns {Promise<Object>} Updated user
+ */
+async function setUserRole(userId, role) {
+  if (!USER_ROLES.includes(role)) {
+    throw new Error(`Invalid role. Must be one of: ${USER_ROLES.join(', ')}`);
+  }
+
+  // Ensure the user exists before updating
+  await getUserById(userId);
+
+  const { data, error } = await supabase
+    .from('users')
+    .update({ role })
+    .eq('id', userId)
+    .select('id, email, role')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to update role: ${error.message}`);
+  }
+
+  return data;
+}
+
+module.exports = {
+  USER_ROLES,
+  KYC_STATUSES,
+  searchUsers,
+  overrideKycStatus,
+  freezeUserCards,
+  setUserRole,
+};
@@ -1,7 +1,18 @@
 // Authentication Service - Supabase Auth Integration
-// Handles user signup, signin, and profile management
+// Handles user signup, signin, password reset, email changes, and profile management
 
-const { supabase, getUserById } = require('../config/supabase.config');
+const {
+  supabase,
+  createSessionClient,
+  getUserById,
+  getUserByEmail,
+  createAuditLog,
+  createNotification,
+} = require('../config/supabase.config');
+const { updateBridgeCustomer } = require('./customerService');
+
+// Where Supabase email links send the user back to
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3002';
 
 /**
  * Sign up a new user with email and password
@@ -98,6 +109,229 @@ async function signInWithEmail(email, password) {
   }
 }
 
+/**
+ * Send a password reset email
+ * Always resolves so callers cannot probe which emails are registered
+ */
+async function requestPasswordReset(email) {
+  console.log(`📝 Password reset requested for: ${email}`);
+
+  const { error } = await supabase.auth.resetPasswordForEmail(email, {
+    redirectTo: `${FRONTEND_URL}/reset-password`,
+  });
+
+  if (error) {
+    console.error('❌ Password reset email failed:', error.message);
+  }
+
+  return { success: true };
+}
+
+/**
+ * Set a new password for a user
+ * Called with a verified recovery session from the reset email link
+ */
+async function resetPassword(userId, newPassword) {
+  try {
+    const { error } = await supabase.auth.admin.updateUserById(userId, {
+      password: newPassword,
+    });
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    await createAuditLog({
+      userId,
+      eventType: 'password_reset',
+      description: 'Password reset via recovery link',
+    });
+
+    await createNotification(
+      userId,
+      'warning',
+      'Password Changed',
+      'Your password was reset. If this wasn\'t you, contact support immediately.',
+      {},
+      { priority: 'high', category: 'security' }
+    );
+
+    console.log('✅ Password reset for user:', userId);
+
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Password reset error:', error.message);
+    throw new Error('Failed to reset password');
+  }
+}
+
+/**
+ * Resend the signup verification email
+ * Always resolves so callers cannot probe which emails are registered
+ */
+async function resendVerificationEmail(email) {
+  console.log(`📝 Resending verification email to: ${email}`);
+
+  const { error } = await supabase.auth.resend({
+    type: 'signup',
+    email,
+    options: {
+      emailRedirectTo: `${FRONTEND_URL}/login`,
+    },
+  });
+
+  if (error) {
+    console.error('❌ Resend verification failed:', error.message);
+  }
+
+  return { success: true };
+}
+
+/**
+ * Request a change of a user's email address
+ * Supabase emails a confirmation link to the new address; the login email only
+ * changes once that link is followed, and confirmEmailChange then copies it to
+ * public.users and the Bridge customer. Nothing changes for an unproven address.
+ */
+async function changeEmail(userId, newEmail, currentPassword) {
+  const user = await getUserById(userId);
+  const oldEmail = user.email;
+
+  if (oldEmail.toLowerCase() === newEmail.toLowerCase()) {
+    throw new Error('New email must be different from the current email');
+  }
+
+  const existingUser = await getUserByEmail(newEmail);
+  if (existingUser) {
+    throw new Error('Email address is already in use');
+  }
+
+  // Re-authenticate before changing a login identifier; the session is only used
+  // to ask Supabase for the change and is signed out straight after
+  const authClient = createSessionClient();
+  const { data: reauth, error: reauthError } = await authClient.auth.signInWithPassword({
+    email: oldEmail,
+    password: currentPassword,
+  });
+
+  if (reauthError || !reauth.session) {
+    throw new Error('Current password is incorrect');
+  }
+
+  console.log(`📝 Email change requested for user ${userId}`);
+
+  const { error: updateError } = await authClient.auth.updateUser(
+    { email: newEmail },
+    { emailRedirectTo: `${FRONTEND_URL}/confirm-email` }
+  );
+
+  await supabase.auth.admin.signOut(reauth.session.access_token, 'local');
+
+  if (updateError) {
+    console.error('❌ Email change request failed:', updateError.message);
+
+    await createAuditLog({
+      userId,
+      eventType: 'email_change_failed',
+      description: `Email change request failed: ${updateError.message}`,
+    });
+
+    throw new Error('Failed to change email');
+  }
+
+  await createAuditLog({
+    userId,
+    eventType: 'email_change_requested',
+    description: 'Email change requested, awaiting confirmation',
+    data: { oldEmail, newEmail },
+  });
+
+  return { success: true, pendingEmail: newEmail };
+}
+
+/**
+ * Apply a confirmed email change to public.users and the Bridge customer
+ * Called after the user follows the Supabase confirmation link, so Supabase Auth
+ * already holds the verified address. Safe to call again: it only syncs what differs.
+ * If the Bridge update fails the profile change is undone and the call can be retried.
+ */
+async function confirmEmailChange(userId) {
+  const user = await getUserById(userId);
+  const oldEmail = user.email;
+
+  const { data: authData, error: authError } = await supabase.auth.admin.getUserById(userId);
+  if (authError || !authData?.user) {
+    throw new Error('Failed to load account');
+  }
+
+  const newEmail = authData.user.email;
+
+  if (!newEmail || newEmail.toLowerCase() === oldEmail.toLowerCase()) {
+    if (authData.user.new_email) {
+      throw new Error('Email change has not been confirmed yet');
+    }
+    return { success: true, email: oldEmail, changed: false };
+  }
+
+  console.log(`📝 Applying confirmed email change for user ${userId}`);
+
+  // Each completed step registers how to undo itself
+  const rollbacks = [];
+
+  try {
+    // Step 1: public.users profile
+    const { error: profileError } = await supabase
+      .from('users')
+      .update({ email: newEmail })
+      .eq('id', userId);
+    if (profileError) throw new Error(`Profile update failed: ${profileError.message}`);
+    rollbacks.push(() => supabase.from('users').update({ email: oldEmail }).eq('id', userId));
+
+    // Step 2: Bridge customer (only once KYC has created one)
+    if (user.bridge_customer_id) {
+      await updateBridgeCustomer(user.bridge_customer_id, { email: newEmail });
+    }
+  } catch (error) {
+    console.error('❌ Email change failed, rolling back:', error.message);
+
+    for (const rollback of rollbacks.reverse()) {
+      try {
+        await rollback();
+      } catch (rollbackError) {
+        console.error('❌ Email change rollback step failed:', rollbackError.message);
+      }
+    }
+
+    await createAuditLog({
+      userId,
+      eventType: 'email_change_failed',
+      description: `Email change failed: ${error.message}`,
+    });
+
+    throw new Error('Failed to change email');
+  }
+
+  await createAuditLog({
+    userId,
+    eventType: 'email_changed',
+    description: 'Email address changed',
+    data: { oldEmail, newEmail },
+  });
+
+  await createNotification(
+    userId,
+    'warning',
+    'Email Changed',
+    `Your account email was changed to ${newEmail}. If this wasn't you, contact support immediately.`,
+    {},
+    { priority: 'high', category: 'security' }
+  );
+
+  console.log('✅ Email changed for user:', userId);
+
+  return { success: true, email: newEmail, changed: true };
+}
+
 /**
  * Get user profile from public.users table
  * Includes all user data (KYC status, Bridge customer ID, etc.)
@@ -118,6 +352,7 @@ async function getUserProfile(userId) {
       kycTier: user.kyc_tier,
       kycStatus: user.kyc_status,
       bridgeCustomerId: user.bridge_customer_id,
+      role: user.role || 'user',
       createdAt: user.created_at,
     };
   } catch (error) {
@@ -144,9 +379,71 @@ async function verifyToken(token) {
   }
 }
 
+/**
+ * Decode the claims of a Supabase JWT without verifying it
+ * Only call this on tokens that have already passed verifyToken
+ */
+function decodeTokenClaims(token) {
+  try {
+    const payload = token.split('.')[1];
+    return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Exchange a Supabase refresh token for a new session
+ * Returns the new access and refresh tokens
+ */
+async function refreshUserSession(refreshToken) {
+  try {
+    const { data, error } = await supabase.auth.refreshSession({
+      refresh_token: refreshToken,
+    });
+
+    if (error || !data.session) {
+      throw new Error(error?.message || 'No session returned');
+    }
+
+    return {
+      success: true,
+      user: data.user,
+      session: data.session,
+    };
+  } catch (error) {
+    console.error('❌ Session refresh error:', error.message);
+    throw new Error('Invalid or expired refresh token');
+  }
+}
+
+/**
+ * Revoke refresh tokens at Supabase
+ * Scope: 'local' (this session), 'global' (all sessions), or 'others'
+ */
+async function signOutUserSession(accessToken, scope = 'local') {
+  const { error } = await supabase.auth.admin.signOut(accessToken, scope);
+
+  if (error) {
+    // Access tokens are also rejected server-side, so this is not fatal
+    console.error(`❌ Supabase sign out (${scope}) failed:`, error.message);
+    return false;
+  }
+
+  return true;
+}
+
 module.exports = {
   signUpWithEmail,
   signInWithEmail,
   getUserProfile,
   verifyToken,
+  requestPasswordReset,
+  resetPassword,
+  resendVerificationEmail,
+  changeEmail,
+  confirmEmailChange,
+  decodeTokenClaims,
+  refreshUserSession,
+  signOutUserSession,
 };
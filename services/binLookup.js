@@ -0,0 +1,89 @@
+// BIN Lookup
+// Resolves a card's issuing country from its BIN (first six digits). Select with BIN_LOOKUP_SOURCE:
+// - static (default): BIN_COUNTRIES JSON prefix map, e.g. {"4000": "US", "5100": "GB"} - no network calls
+// - binlist: the public binlist.net API, cached in memory
+
+const axios = require('axios');
+
+const BIN_LOOKUP_SOURCE = process.env.BIN_LOOKUP_SOURCE || 'static';
+const BINLIST_API_URL = process.env.BINLIST_API_URL || 'https://lookup.binlist.net';
+
+const cache = new Map();
+
+/**
+ * Load the static prefix map from BIN_COUNTRIES
+ */
+function loadStaticBins() {
+  if (!process.env.BIN_COUNTRIES) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(process.env.BIN_COUNTRIES);
+  } catch (error) {
+    console.error('❌ Invalid BIN_COUNTRIES - BIN country checks disabled:', error.message);
+    return {};
+  }
+}
+
+const staticBins = loadStaticBins();
+
+/**
+ * Longest-prefix match against the static map
+ */
+function lookupStatic(bin) {
+  for (let length = bin.length; length > 0; length--) {
+    const country = staticBins[bin.slice(0, length)];
+    if (country) {
+      return country.toUpperCase();
+    }
+  }
+  return null;
+}
+
+/**
+ * Look up a BIN with binlist.net
+ */
+async function lookupBinlist(bin) {
+  try {
+    const response = await axios.get(`${BINLIST_API_URL}/${bin}`, {
+      headers: { 'Accept-Version': '3' },
+      timeout: 3000,
+    });
+
+    return response.data?.country?.alpha2?.toUpperCase() || null;
+  } catch (error) {
+    console.warn(`⚠️  BIN lookup failed for ${bin}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the issuing country for a BIN
+ * @param {string} bin - First six (or more) card digits
+ * @returns {Promise<string|null>} ISO 3166-1 alpha-2 country code, or null if unknown
+ */
+async function getBinCountry(bin) {
+  if (!bin || !/^\d{6,8}$/.test(bin)) {
+    return null;
+  }
+
+  if (cache.has(bin)) {
+    return cache.get(bin);
+  }
+
+  const country = BIN_LOOKUP_SOURCE === 'binlist'
+    ? await lookupBinlist(bin)
+    : lookupStatic(bin);
+
+  // Only cache hits so a transient lookup failure is retried next time
+  if (country) {
+    cache.set(bin, country);
+  }
+
+  return country;
+}
+
+module.exports = {
+  getBinCountry,
+};
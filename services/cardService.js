@@ -3,9 +3,45 @@
  * Handles crypto debit card operations via Bridge.xyz API
  */
 
-const { supabase } = require('../config/supabase.config');
+const { supabase, createAuditLog } = require('../config/supabase.config');
 const bridgeClient = require('./bridgeClient');
 
+/**
+ * Load a card scoped to its owner
+ * Cards belonging to someone else are reported as not found (404) and audit-logged
+ *
+ * @param {string} userId - Kalypso user ID making the request
+ * @param {string} cardId - Internal card UUID
+ * @param {string} action - Operation being attempted (for the audit log)
+ * @param {string} columns - Columns to select
+ * @returns {Promise<Object>} Card record
+ */
+async function getOwnedCard(userId, cardId, action, columns = '*') {
+  const { data: card } = await supabase
+    .from('bridge_cards')
+    .select(columns)
+    .eq('id', cardId)
+    .eq('user_id', userId)
+    .single();
+
+  if (!card) {
+    console.warn(`⚠️  Card ${cardId} not found for user ${userId} (${action})`);
+
+    await createAuditLog({
+      userId,
+      eventType: 'card_access_denied',
+      description: `Card ${action} denied: card not found or not owned by user`,
+      data: { cardId, action }
+    });
+
+    const error = new Error('Card not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return card;
+}
+
 /**
  * Create a new Bridge card (virtual or physical)
  */
@@ -72,18 +108,10 @@ async function getUserCards(userId) {
 /**
  * Get card details from Bridge API
  */
-async function getCardDetails(cardId) {
+async function getCardDetails(userId, cardId) {
   try {
     // Get card from database first
-    const { data: card } = await supabase
-      .from('bridge_cards')
-      .select('*')
-      .eq('id', cardId)
-      .single();
-
-    if (!card) {
-      throw new Error('Card not found');
-    }
+    const card = await getOwnedCard(userId, cardId, 'view');
 
     // Fetch latest details from Bridge
     const bridgeCard = await bridgeClient.get(`/cards/${card.bridge_card_id}`);
@@ -104,17 +132,9 @@ async function getCardDetails(cardId) {
 /**
  * Activate a card
  */
-async function activateCard(cardId, activationCode = null) {
+async function activateCard(userId, cardId, activationCode = null) {
   try {
-    const { data: card } = await supabase
-      .from('bridge_cards')
-      .select('bridge_card_id')
-      .eq('id', cardId)
-      .single();
-
-    if (!card) {
-      throw new Error('Card not found');
-    }
+    const card = await getOwnedCard(userId, cardId, 'activate', 'bridge_card_id');
 
     const activationData = activationCode ? { activation_code: activationCode } : {};
     const bridgeCard = await bridgeClient.post(`/cards/${card.bridge_card_id}/activate`, activationData);
@@ -142,17 +162,9 @@ async function activateCard(cardId, activationCode = null) {
 /**
  * Freeze a card
  */
-async function freezeCard(cardId, reason = 'user_requested') {
+async function freezeCard(userId, cardId, reason = 'user_requested') {
   try {
-    const { data: card } = await supabase
-      .from('bridge_cards')
-      .select('bridge_card_id')
-      .eq('id', cardId)
-      .single();
-
-    if (!card) {
-      throw new Error('Card not found');
-    }
+    const card = await getOwnedCard(userId, cardId, 'freeze', 'bridge_card_id');
 
     await bridgeClient.post(`/cards/${card.bridge_card_id}/freeze`, { reason });
 
@@ -179,17 +191,9 @@ async function freezeCard(cardId, reason = 'user_requested') {
 /**
  * Unfreeze a card
  */
-async function unfreezeCard(cardId) {
+async function unfreezeCard(userId, cardId) {
   try {
-    const { data: card } = await supabase
-      .from('bridge_cards')
-      .select('bridge_card_id')
-      .eq('id', cardId)
-      .single();
-
-    if (!card) {
-      throw new Error('Card not found');
-    }
+    const card = await getOwnedCard(userId, cardId, 'unfreeze', 'bridge_card_id');
 
     await bridgeClient.post(`/cards/${card.bridge_card_id}/unfreeze`);
 
@@ -216,17 +220,9 @@ async function unfreezeCard(cardId) {
 /**
  * Update card spending limits
  */
-async function updateSpendingLimits(cardId, limits) {
+async function updateSpendingLimits(userId, cardId, limits) {
   try {
-    const { data: card } = await supabase
-      .from('bridge_cards')
-      .select('bridge_card_id')
-      .eq('id', cardId)
-      .single();
-
-    if (!card) {
-      throw new Error('Card not found');
-    }
+    const card = await getOwnedCard(userId, cardId, 'update_limits', 'bridge_card_id');
 
     // Update via Bridge API
     const limitData = {
@@ -257,20 +253,32 @@ async function updateSpendingLimits(cardId, limits) {
   }
 }
 
+/**
+ * Check whether new spending limits raise any of the card's current limits
+ * Used to require step-up authentication for limit increases
+ */
+async function isSpendingLimitIncrease(userId, cardId, limits) {
+  const card = await getOwnedCard(
+    userId,
+    cardId,
+    'update_limits',
+    'daily_spend_limit, monthly_spend_limit, single_transaction_limit'
+  );
+
+  const raises = (newLimit, currentLimit) =>
+    newLimit !== undefined && newLimit > parseFloat(currentLimit || 0);
+
+  return raises(limits.dailyLimit, card.daily_spend_limit) ||
+    raises(limits.monthlyLimit, card.monthly_spend_limit) ||
+    raises(limits.singleTransactionLimit, card.single_transaction_limit);
+}
+
 /**
  * Update card controls (international, online, ATM, contactless)
  */
-async function updateCardControls(cardId, controls) {
+async function updateCardControls(userId, cardId, controls) {
   try {
-    const { data: card } = await supabase
-      .from('bridge_cards')
-      .select('bridge_card_id')
-      .eq('id', cardId)
-      .single();
-
-    if (!card) {
-      throw new Error('Card not found');
-    }
+    const card = await getOwnedCard(userId, cardId, 'update_controls', 'bridge_card_id');
 
     // Update via Bridge API
     await bridgeClient.put(`/cards/${card.bridge_card_id}/controls`, controls);
@@ -300,17 +308,9 @@ async function updateCardControls(cardId, controls) {
 /**
  * Get card transactions
  */
-async function getCardTransactions(cardId, params = {}) {
+async function getCardTransactions(userId, cardId, params = {}) {
   try {
-    const { data: card } = await supabase
-      .from('bridge_cards')
-      .select('bridge_card_id, user_id')
-      .eq('id', cardId)
-      .single();
-
-    if (!card) {
-      throw new Error('Card not found');
-    }
+    await getOwnedCard(userId, cardId, 'view_transactions', 'id');
 
     // Fetch from database with pagination
     let query = supabase
@@ -344,17 +344,9 @@ async function getCardTransactions(cardId, params = {}) {
 /**
  * Cancel a card
  */
-async function cancelCard(cardId, reason = 'user_requested') {
+async function cancelCard(userId, cardId, reason = 'user_requested') {
   try {
-    const { data: card } = await supabase
-      .from('bridge_cards')
-      .select('bridge_card_id')
-      .eq('id', cardId)
-      .single();
-
-    if (!card) {
-      throw new Error('Card not found');
-    }
+    const card = await getOwnedCard(userId, cardId, 'cancel', 'bridge_card_id');
 
     await bridgeClient.post(`/cards/${card.bridge_card_id}/cancel`, { reason });
 
@@ -380,17 +372,9 @@ async function cancelCard(cardId, reason = 'user_requested') {
 /**
  * Get card sensitive data (PAN, CVV, PIN) - highly restricted
  */
-async function getCardSensitiveData(cardId) {
+async function getCardSensitiveData(userId, cardId) {
   try {
-    const { data: card } = await supabase
-      .from('bridge_cards')
-      .select('bridge_card_id')
-      .eq('id', cardId)
-      .single();
-
-    if (!card) {
-      throw new Error('Card not found');
-    }
+    const card = await getOwnedCard(userId, cardId, 'view_sensitive', 'bridge_card_id');
 
     // This endpoint returns encrypted sensitive data
     const sensitiveData = await bridgeClient.get(`/cards/${card.bridge_card_id}/sensitive`);
@@ -560,6 +544,7 @@ module.exports = {
   freezeCard,
   unfreezeCard,
   updateSpendingLimits,
+  isSpendingLimitIncrease,
   updateCardControls,
   getCardTransactions,
   cancelCard,
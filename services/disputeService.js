@@ -0,0 +1,778 @@
+// Dispute Service
+// Chargeback cases for Fiserv card payments: evidence, deadlines, outcomes and crypto holds
+
+const crypto = require('crypto');
+const bridgeClient = require('./bridgeClient');
+const { supabase, getUserById, createAuditLog, createNotification } = require('../config/supabase.config');
+const {
+  transitionPayment,
+  canTransition,
+  getPaymentById,
+  getPaymentByFiservTransactionId,
+  getCapturedAmountMinor,
+} = require('./paymentService');
+const { getPurchaseByPaymentId } = require('./purchaseOrchestrator');
+const { syncTransferToDatabase } = require('./transferService');
+const { toMinorUnits, fromMinorUnits, formatAmount } = require('../utils/currency');
+
+const DISPUTE_STATUSES = ['opened', 'evidence_due', 'evidence_submitted', 'won', 'lost'];
+const OPEN_DISPUTE_STATUSES = ['opened', 'evidence_due', 'evidence_submitted'];
+
+// Fiserv webhook events handled here rather than in paymentService
+const DISPUTE_EVENT_TYPES = [
+  'CHARGEBACK_INITIATED',
+  'CHARGEBACK_EVIDENCE_REQUESTED',
+  'CHARGEBACK_WON',
+  'CHARGEBACK_LOST',
+];
+
+const EVIDENCE_BUCKET = 'dispute-evidence';
+const EVIDENCE_CONTENT_TYPES = ['application/pdf', 'image/png', 'image/jpeg', 'text/plain'];
+const MAX_EVIDENCE_BYTES = parseInt(process.env.DISPUTE_EVIDENCE_MAX_BYTES || String(10 * 1024 * 1024));
+const DEFAULT_EVIDENCE_DAYS = parseInt(process.env.DISPUTE_EVIDENCE_DAYS || '7');
+
+// clawback: move the purchased crypto back to the treasury (falls back to freezing the wallet)
+// freeze: freeze the user's wallet until the dispute is resolved
+const CRYPTO_ACTION = process.env.DISPUTE_CRYPTO_ACTION || 'clawback';
+
+const TREASURY_WALLET_ID = process.env.BRIDGE_TREASURY_WALLET_ID;
+const PURCHASE_CHAIN = process.env.BRIDGE_PURCHASE_CHAIN || 'ethereum';
+
+// Purchase states where crypto has been (or is being) delivered to the user
+const CRYPTO_DELIVERED_PURCHASE_STATES = ['transfer_unknown', 'transfer_submitted', 'settled', 'capture_failed'];
+
+/**
+ * Build a dispute error with an HTTP status
+ */
+function disputeError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Conditionally update a dispute
+ * @returns {Promise<Object|null>} Updated dispute, or null if it was not in an expected status
+ */
+async function updateDispute(disputeId, fromStatuses, updates) {
+  const { data, error } = await supabase
+    .from('disputes')
+    .update(updates)
+    .eq('id', disputeId)
+    .in('status', fromStatuses)
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to update dispute ${disputeId}: ${error.message}`);
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Load a dispute record
+ */
+async function loadDispute(disputeId) {
+  const { data: dispute } = await supabase
+    .from('disputes')
+    .select('*')
+    .eq('id', disputeId)
+    .single();
+
+  if (!dispute) {
+    throw disputeError('Dispute not found', 404);
+  }
+
+  return dispute;
+}
+
+/**
+ * Notify compliance (and admin) users about a dispute
+ */
+async function notifyCompliance(title, message, data) {
+  const { data: staff } = await supabase
+    .from('users')
+    .select('id')
+    .in('role', ['compliance', 'admin']);
+
+  for (const member of staff || []) {
+    await createNotification(member.id, 'warning', title, message, data, {
+      priority: 'high',
+      category: 'security',
+    });
+  }
+}
+
+/**
+ * Read the evidence deadline from a Fiserv dispute event
+ */
+function getEvidenceDueAt(webhookData) {
+  const due = webhookData.evidenceDueDate || webhookData.respondByDate || webhookData.dueDate;
+  const parsed = due ? new Date(due) : null;
+
+  return parsed && !Number.isNaN(parsed.getTime()) ? parsed.toISOString() : null;
+}
+
+/**
+ * Create a Bridge transfer between two wallets for a dispute
+ * Keyed by the idempotency key so a retry never moves the crypto twice
+ */
+async function createDisputeTransfer(dispute, purchase, fromWalletId, toWalletId, idempotencyKey) {
+  const user = await getUserById(dispute.user_id);
+
+  const transferData = {
+    amount: purchase.crypto_amount.toString(),
+    on_behalf_of: user.bridge_customer_id,
+    source: {
+      payment_rail: PURCHASE_CHAIN,
+      currency: purchase.crypto_currency,
+      from_bridge_wallet_id: fromWalletId,
+    },
+    destination: {
+      payment_rail: PURCHASE_CHAIN,
+      currency: purchase.crypto_currency,
+      to_bridge_wallet_id: toWalletId,
+    },
+  };
+
+  const bridgeTransfer = await bridgeClient.post('/transfers', transferData, {
+    headers: { 'Idempotency-Key': idempotencyKey },
+  });
+
+  await syncTransferToDatabase(bridgeTransfer, dispute.user_id, 'internal', {
+    description: `Dispute ${dispute.id}`,
+  });
+
+  return bridgeTransfer;
+}
+
+/**
+ * Freeze a user's Bridge wallet (blocks outgoing transfers through our API)
+ */
+async function freezeWallet(bridgeWalletId) {
+  const { error } = await supabase
+    .from('bridge_wallets')
+    .update({ status: 'frozen' })
+    .eq('bridge_wallet_id', bridgeWalletId);
+
+  if (error) {
+    throw new Error(`Failed to freeze wallet: ${error.message}`);
+  }
+}
+
+/**
+ * Unfreeze a wallet unless another open dispute still holds it
+ */
+async function unfreezeWallet(bridgeWalletId, disputeId) {
+  const { data: otherHolds } = await supabase
+    .from('disputes')
+    .select('id')
+    .eq('frozen_bridge_wallet_id', bridgeWalletId)
+    .eq('crypto_action', 'frozen')
+    .in('status', OPEN_DISPUTE_STATUSES)
+    .neq('id', disputeId);
+
+  if (otherHolds && otherHolds.length > 0) {
+    return false;
+  }
+
+  const { error } = await supabase
+    .from('bridge_wallets')
+    .update({ status: 'active' })
+    .eq('bridge_wallet_id', bridgeWalletId)
+    .eq('status', 'frozen');
+
+  if (error) {
+    throw new Error(`Failed to unfreeze wallet: ${error.message}`);
+  }
+
+  return true;
+}
+
+/**
+ * Claw back or freeze the crypto delivered for a disputed purchase
+ * @param {Object} dispute - Newly opened dispute
+ * @returns {Promise<Object>} Updated dispute
+ */
+async function applyCryptoHold(dispute) {
+  const purchase = await getPurchaseByPaymentId(dispute.user_id, dispute.payment_id);
+
+  if (!purchase || !CRYPTO_DELIVERED_PURCHASE_STATES.includes(purchase.status) || !purchase.destination_bridge_wallet_id) {
+    return dispute;
+  }
+
+  const walletId = purchase.destination_bridge_wallet_id;
+  let updates;
+
+  if (CRYPTO_ACTION === 'clawback' && purchase.status !== 'transfer_submitted') {
+    try {
+      if (!TREASURY_WALLET_ID) {
+        throw new Error('BRIDGE_TREASURY_WALLET_ID is not configured');
+      }
+
+      const transfer = await createDisputeTransfer(dispute, purchase, walletId, TREASURY_WALLET_ID, `dispute-clawback-${dispute.id}`);
+      updates = {
+        purchase_id: purchase.id,
+        crypto_action: 'clawed_back',
+        clawback_transfer_id: transfer.id,
+      };
+
+      console.log(`↩️  Dispute ${dispute.id}: clawed back ${purchase.crypto_amount} ${purchase.crypto_currency}`);
+    } catch (clawbackError) {
+      console.error(`❌ Dispute ${dispute.id} claw back failed, freezing wallet:`, clawbackError.message);
+      updates = { crypto_action_error: `Claw back failed: ${clawbackError.message}` };
+    }
+  }
+
+  if (!updates || !updates.crypto_action) {
+    try {
+      await freezeWallet(walletId);
+      updates = {
+        ...updates,
+        purchase_id: purchase.id,
+        crypto_action: 'frozen',
+        frozen_bridge_wallet_id: walletId,
+      };
+
+      console.log(`🧊 Dispute ${dispute.id}: froze wallet ${walletId}`);
+    } catch (freezeError) {
+      console.error(`❌ Dispute ${dispute.id} wallet freeze failed:`, freezeError.message);
+      updates = {
+        purchase_id: purchase.id,
+        crypto_action: 'failed',
+        crypto_action_error: [updates?.crypto_action_error, `Freeze failed: ${freezeError.message}`].filter(Boolean).join('; '),
+      };
+    }
+  }
+
+  const { data: updated } = await supabase
+    .from('disputes')
+    .update(updates)
+    .eq('id', dispute.id)
+    .select()
+    .single();
+
+  await createAuditLog({
+    userId: dispute.user_id,
+    eventType: 'dispute_crypto_hold',
+    description: `Dispute crypto hold: ${updates.crypto_action}`,
+    data: {
+      disputeId: dispute.id,
+      purchaseId: purchase.id,
+      cryptoAmount: purchase.crypto_amount,
+      cryptoCurrency: purchase.crypto_currency,
+      ...updates,
+    },
+  });
+
+  return updated || dispute;
+}
+
+/**
+ * Lift the crypto hold after a dispute was won
+ * Frozen wallets are unfrozen; clawed back crypto is sent back to the user.
+ *
+ * @param {Object} dispute - Won dispute
+ * @returns {Promise<Object>} Updated dispute
+ */
+async function releaseCryptoHold(dispute) {
+  if (!['frozen', 'clawed_back'].includes(dispute.crypto_action)) {
+    return dispute;
+  }
+
+  try {
+    if (dispute.crypto_action === 'frozen') {
+      await unfreezeWallet(dispute.frozen_bridge_wallet_id, dispute.id);
+    } else {
+      const purchase = await getPurchaseByPaymentId(dispute.user_id, dispute.payment_id);
+      await createDisputeTransfer(dispute, purchase, TREASURY_WALLET_ID, purchase.destination_bridge_wallet_id, `dispute-release-${dispute.id}`);
+    }
+
+    const { data: updated } = await supabase
+      .from('disputes')
+      .update({ crypto_action: 'released', crypto_action_error: null })
+      .eq('id', dispute.id)
+      .select()
+      .single();
+
+    console.log(`✅ Dispute ${dispute.id}: crypto hold released`);
+
+    return updated || dispute;
+  } catch (releaseError) {
+    console.error(`❌ Dispute ${dispute.id} crypto release failed:`, releaseError.message);
+
+    await supabase
+      .from('disputes')
+      .update({ crypto_action_error: `Release failed: ${releaseError.message}` })
+      .eq('id', dispute.id);
+
+    await notifyCompliance(
+      'Dispute Release Failed',
+      `Dispute ${dispute.id} was won but the crypto hold could not be released: ${releaseError.message}`,
+      { disputeId: dispute.id, paymentId: dispute.payment_id }
+    );
+
+    return dispute;
+  }
+}
+
+/**
+ * Open a dispute for a charged-back payment
+ * Moves the payment to disputed, holds the purchased crypto and alerts the user and compliance.
+ *
+ * @param {Object} payment - Disputed payment
+ * @param {Object} webhookData - Fiserv CHARGEBACK_INITIATED event
+ * @param {string} fiservEventId - Fiserv event ID
+ * @returns {Promise<Object>} { handled, reason?, dispute? }
+ */
+async function openDispute(payment, webhookData, fiservEventId) {
+  const fiservDisputeId = webhookData.disputeId || webhookData.caseNumber || fiservEventId || `payment-${payment.id}`;
+  const evidenceDueAt = getEvidenceDueAt(webhookData)
+    || new Date(Date.now() + DEFAULT_EVIDENCE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const total = parseFloat(webhookData.amount?.total ?? webhookData.amount);
+  const amountMinor = Number.isFinite(total) ? toMinorUnits(total, payment.currency) : getCapturedAmountMinor(payment);
+
+  const { data: created, error } = await supabase
+    .from('disputes')
+    .upsert({
+      payment_id: payment.id,
+      user_id: payment.user_id,
+      fiserv_dispute_id: fiservDisputeId,
+      reason_code: webhookData.reasonCode || null,
+      reason: webhookData.reason || webhookData.reasonDescription || null,
+      amount: fromMinorUnits(amountMinor, payment.currency),
+      amount_minor: amountMinor,
+      currency: payment.currency,
+      status: getEvidenceDueAt(webhookData) ? 'evidence_due' : 'opened',
+      evidence_due_at: evidenceDueAt,
+    }, {
+      onConflict: 'fiserv_dispute_id',
+      ignoreDuplicates: true,
+    })
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to open dispute: ${error.message}`);
+  }
+
+  if (!created || created.length === 0) {
+    return { handled: false, reason: 'duplicate' };
+  }
+
+  let dispute = created[0];
+
+  if (canTransition(payment.status, 'disputed')) {
+    await transitionPayment(payment, 'disputed', {
+      eventType: 'CHARGEBACK_INITIATED',
+      source: 'webhook',
+      fiservEventId,
+      data: { disputeId: dispute.id, ...webhookData },
+    });
+  }
+
+  dispute = await applyCryptoHold(dispute);
+
+  console.log(`⚠️  Dispute ${dispute.id} opened for payment ${payment.id}`);
+
+  await createAuditLog({
+    userId: payment.user_id,
+    eventType: 'dispute_opened',
+    description: `Chargeback opened on payment of ${formatAmount(payment.amount, payment.currency)}`,
+    data: {
+      disputeId: dispute.id,
+      paymentId: payment.id,
+      fiservDisputeId,
+      reasonCode: dispute.reason_code,
+      evidenceDueAt: dispute.evidence_due_at,
+      cryptoAction: dispute.crypto_action,
+    },
+  });
+
+  const holdMessage = {
+    clawed_back: ' The crypto from this purchase has been returned while the dispute is reviewed.',
+    frozen: ' Your wallet has been frozen while the dispute is reviewed.',
+  }[dispute.crypto_action] || '';
+
+  await createNotification(
+    payment.user_id,
+    'warning',
+    'Payment Disputed',
+    `A dispute was opened on your card payment of ${formatAmount(payment.amount, payment.currency)}.${holdMessage} Our team will contact you if anything is needed.`,
+    { paymentId: payment.id, disputeId: dispute.id, status: dispute.status },
+    { priority: 'high', category: 'transaction' }
+  );
+
+  await notifyCompliance(
+    'New Chargeback',
+    `Chargeback of ${formatAmount(dispute.amount, dispute.currency)} on payment ${payment.id}. Evidence due ${dispute.evidence_due_at}. Crypto: ${dispute.crypto_action}.`,
+    { disputeId: dispute.id, paymentId: payment.id, userId: payment.user_id }
+  );
+
+  return { handled: true, dispute };
+}
+
+/**
+ * Record that the issuer requested evidence by a deadline
+ * @param {string} disputeId - Dispute ID
+ * @param {string} evidenceDueAt - Deadline (ISO 8601)
+ * @returns {Promise<Object>} Updated dispute
+ */
+async function requestEvidence(disputeId, evidenceDueAt) {
+  const dueAt = new Date(evidenceDueAt);
+  if (Number.isNaN(dueAt.getTime())) {
+    throw disputeError('evidenceDueAt must be a valid date');
+  }
+
+  const updated = await updateDispute(disputeId, ['opened', 'evidence_due'], {
+    status: 'evidence_due',
+    evidence_due_at: dueAt.toISOString(),
+  });
+
+  if (!updated) {
+    const dispute = await loadDispute(disputeId);
+    throw disputeError(`Dispute is already ${dispute.status}`, 409);
+  }
+
+  return updated;
+}
+
+/**
+ * Upload an evidence file for a dispute
+ *
+ * @param {string} disputeId - Dispute ID
+ * @param {Object} file - { buffer, fileName, contentType, description }
+ * @param {string} uploadedBy - Staff user ID
+ * @returns {Promise<Object>} { dispute, evidence }
+ */
+async function addEvidence(disputeId, file, uploadedBy) {
+  const { buffer, fileName, contentType, description = null } = file;
+
+  const dispute = await loadDispute(disputeId);
+
+  if (!OPEN_DISPUTE_STATUSES.includes(dispute.status)) {
+    throw disputeError(`Cannot add evidence to a ${dispute.status} dispute`, 409);
+  }
+
+  if (!fileName) {
+    throw disputeError('fileName is required');
+  }
+
+  if (!EVIDENCE_CONTENT_TYPES.includes(contentType)) {
+    throw disputeError(`Unsupported evidence type. Must be one of: ${EVIDENCE_CONTENT_TYPES.join(', ')}`);
+  }
+
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw disputeError('Evidence file is empty');
+  }
+
+  if (buffer.length > MAX_EVIDENCE_BYTES) {
+    throw disputeError(`Evidence file exceeds ${MAX_EVIDENCE_BYTES} bytes`, 413);
+  }
+
+  const safeName = fileName.replace(/[^a-zA-Z0-9._-]/g, '_').slice(0, 100);
+  const storagePath = `${dispute.id}/${crypto.randomUUID()}-${safeName}`;
+
+  const { error: uploadError } = await supabase.storage
+    .from(EVIDENCE_BUCKET)
+    .upload(storagePath, buffer, { contentType, upsert: false });
+
+  if (uploadError) {
+    throw new Error(`Failed to upload evidence: ${uploadError.message}`);
+  }
+
+  const { data: evidence, error } = await supabase
+    .from('dispute_evidence')
+    .insert({
+      dispute_id: dispute.id,
+      storage_path: storagePath,
+      file_name: fileName,
+      content_type: contentType,
+      size_bytes: buffer.length,
+      description,
+      uploaded_by: uploadedBy,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to record evidence: ${error.message}`);
+  }
+
+  await createAuditLog({
+    userId: dispute.user_id,
+    eventType: 'dispute_evidence_added',
+    description: `Evidence added to dispute: ${fileName}`,
+    data: { disputeId: dispute.id, evidenceId: evidence.id, uploadedBy, sizeBytes: buffer.length },
+  });
+
+  return { dispute, evidence };
+}
+
+/**
+ * Submit our response to a dispute
+ * Requires at least one evidence file. Evidence is sent to Fiserv through Dispute Manager.
+ *
+ * @param {string} disputeId - Dispute ID
+ * @param {Object} response - { notes }
+ * @param {string} respondedBy - Staff user ID
+ * @returns {Promise<Object>} Updated dispute
+ */
+async function respondToDispute(disputeId, response, respondedBy) {
+  const dispute = await loadDispute(disputeId);
+
+  const { count } = await supabase
+    .from('dispute_evidence')
+    .select('id', { count: 'exact', head: true })
+    .eq('dispute_id', dispute.id);
+
+  if (!count) {
+    throw disputeError('Upload evidence before responding to the dispute');
+  }
+
+  const updated = await updateDispute(dispute.id, ['opened', 'evidence_due'], {
+    status: 'evidence_submitted',
+    response_notes: response.notes || null,
+    responded_by: respondedBy,
+    responded_at: new Date().toISOString(),
+  });
+
+  if (!updated) {
+    throw disputeError(`Dispute is already ${dispute.status}`, 409);
+  }
+
+  const late = dispute.evidence_due_at && new Date(dispute.evidence_due_at).getTime() < Date.now();
+
+  await createAuditLog({
+    userId: dispute.user_id,
+    eventType: 'dispute_responded',
+    description: `Dispute response submitted${late ? ' after the evidence deadline' : ''}`,
+    data: { disputeId: dispute.id, respondedBy, evidenceCount: count, late },
+  });
+
+  return updated;
+}
+
+/**
+ * Resolve a dispute as won or lost
+ * Won: payment returns to captured and the crypto hold is released.
+ * Lost: payment is refunded to the cardholder; clawed back or frozen crypto stays held
+ * for compliance review.
+ *
+ * @param {string} disputeId - Dispute ID
+ * @param {string} outcome - won or lost
+ * @param {Object} options - { notes, resolvedBy, source, fiservEventId }
+ * @returns {Promise<Object>} Updated dispute
+ */
+async function resolveDispute(disputeId, outcome, options = {}) {
+  const { notes = null, resolvedBy = null, source = 'admin', fiservEventId = null } = options;
+
+  if (!['won', 'lost'].includes(outcome)) {
+    throw disputeError('outcome must be won or lost');
+  }
+
+  const dispute = await loadDispute(disputeId);
+
+  let resolved = await updateDispute(dispute.id, OPEN_DISPUTE_STATUSES, {
+    status: outcome,
+    resolution_notes: notes,
+    resolved_by: resolvedBy,
+    resolved_at: new Date().toISOString(),
+  });
+
+  if (!resolved) {
+    throw disputeError(`Dispute is already ${dispute.status}`, 409);
+  }
+
+  const payment = await getPaymentById(dispute.payment_id);
+  const toStatus = outcome === 'won' ? 'captured' : 'refunded';
+
+  if (canTransition(payment.status, toStatus)) {
+    await transitionPayment(payment, toStatus, {
+      eventType: outcome === 'won' ? 'CHARGEBACK_WON' : 'CHARGEBACK_LOST',
+      source,
+      fiservEventId,
+      data: { disputeId: dispute.id, resolvedBy },
+    });
+  }
+
+  if (outcome === 'won') {
+    resolved = await releaseCryptoHold(resolved);
+  }
+
+  console.log(`✅ Dispute ${dispute.id} ${outcome}`);
+
+  await createAuditLog({
+    userId: dispute.user_id,
+    eventType: `dispute_${outcome}`,
+    description: `Dispute ${outcome}${notes ? `: ${notes}` : ''}`,
+    data: { disputeId: dispute.id, paymentId: dispute.payment_id, resolvedBy, source, cryptoAction: resolved.crypto_action },
+  });
+
+  await createNotification(
+    dispute.user_id,
+    outcome === 'won' ? 'info' : 'warning',
+    'Dispute Resolved',
+    outcome === 'won'
+      ? `The dispute on your payment of ${formatAmount(dispute.amount, dispute.currency)} was closed in our favor.${resolved.crypto_action === 'released' ? ' Your crypto hold has been released.' : ''}`
+      : `The dispute on your payment of ${formatAmount(dispute.amount, dispute.currency)} was resolved in your favor and the amount returned to your card.`,
+    { disputeId: dispute.id, paymentId: dispute.payment_id, outcome },
+    { priority: 'high', category: 'transaction' }
+  );
+
+  if (outcome === 'lost' && ['frozen', 'clawed_back', 'failed'].includes(resolved.crypto_action)) {
+    await notifyCompliance(
+      'Chargeback Lost',
+      `Dispute ${dispute.id} was lost. Crypto hold (${resolved.crypto_action}) needs review.`,
+      { disputeId: dispute.id, paymentId: dispute.payment_id, userId: dispute.user_id }
+    );
+  }
+
+  return resolved;
+}
+
+/**
+ * Find the dispute a Fiserv event refers to (by case ID, else the payment's open dispute)
+ */
+async function findDisputeForEvent(webhookData, payment) {
+  const fiservDisputeId = webhookData.disputeId || webhookData.caseNumber;
+
+  let query = supabase.from('disputes').select('*');
+  query = fiservDisputeId
+    ? query.eq('fiserv_dispute_id', fiservDisputeId)
+    : query.eq('payment_id', payment.id).in('status', OPEN_DISPUTE_STATUSES).order('created_at', { ascending: false }).limit(1);
+
+  const { data } = await query;
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Apply a Fiserv dispute webhook event
+ *
+ * Event types:
+ * - CHARGEBACK_INITIATED - Open a dispute
+ * - CHARGEBACK_EVIDENCE_REQUESTED - Evidence due by evidenceDueDate
+ * - CHARGEBACK_WON / CHARGEBACK_LOST - Final outcome
+ *
+ * @param {Object} webhookData - Verified Fiserv webhook body
+ * @param {string} fiservEventId - Fiserv event ID
+ * @returns {Promise<Object>} { handled: boolean, reason?: string, dispute?: Object }
+ */
+async function handleDisputeWebhookEvent(webhookData, fiservEventId) {
+  const { eventType, transactionId } = webhookData;
+
+  if (!transactionId) {
+    return { handled: false, reason: 'missing_transaction_id' };
+  }
+
+  const payment = await getPaymentByFiservTransactionId(transactionId);
+
+  if (!payment) {
+    console.warn('[Fiserv Webhook] Payment not found for dispute:', transactionId);
+    return { handled: false, reason: 'payment_not_found' };
+  }
+
+  if (eventType === 'CHARGEBACK_INITIATED') {
+    return openDispute(payment, webhookData, fiservEventId);
+  }
+
+  const dispute = await findDisputeForEvent(webhookData, payment);
+
+  if (!dispute) {
+    return { handled: false, reason: 'dispute_not_found' };
+  }
+
+  if (!OPEN_DISPUTE_STATUSES.includes(dispute.status)) {
+    return { handled: false, reason: 'dispute_closed', dispute };
+  }
+
+  if (eventType === 'CHARGEBACK_EVIDENCE_REQUESTED') {
+    const dueAt = getEvidenceDueAt(webhookData) || dispute.evidence_due_at;
+    return { handled: true, dispute: await requestEvidence(dispute.id, dueAt) };
+  }
+
+  const outcome = eventType === 'CHARGEBACK_WON' ? 'won' : 'lost';
+  const resolved = await resolveDispute(dispute.id, outcome, {
+    notes: webhookData.reason || null,
+    source: 'webhook',
+    fiservEventId,
+  });
+
+  return { handled: true, dispute: resolved };
+}
+
+/**
+ * List disputes, soonest deadline first
+ * @param {Object} params - { status, dueWithinHours, limit, offset }
+ * @returns {Promise<Object>} { disputes, total }
+ */
+async function listDisputes(params = {}) {
+  const { status, dueWithinHours, limit = 50, offset = 0 } = params;
+
+  if (status && !DISPUTE_STATUSES.includes(status)) {
+    throw disputeError(`Invalid status. Must be one of: ${DISPUTE_STATUSES.join(', ')}`);
+  }
+
+  let query = supabase
+    .from('disputes')
+    .select('*', { count: 'exact' })
+    .order('evidence_due_at', { ascending: true, nullsFirst: false })
+    .range(offset, offset + limit - 1);
+
+  if (status) {
+    query = query.eq('status', status);
+  }
+
+  if (dueWithinHours) {
+    query = query
+      .in('status', ['opened', 'evidence_due'])
+      .lte('evidence_due_at', new Date(Date.now() + dueWithinHours * 60 * 60 * 1000).toISOString());
+  }
+
+  const { data, error, count } = await query;
+
+  if (error) {
+    throw new Error(`Failed to list disputes: ${error.message}`);
+  }
+
+  return { disputes: data || [], total: count || 0 };
+}
+
+/**
+ * Get a dispute with its payment and evidence (with short-lived download URLs)
+ * @param {string} disputeId - Dispute ID
+ * @returns {Promise<Object>} { dispute, payment, evidence }
+ */
+async function getDispute(disputeId) {
+  const dispute = await loadDispute(disputeId);
+  const payment = await getPaymentById(dispute.payment_id);
+
+  const { data: evidence } = await supabase
+    .from('dispute_evidence')
+    .select('*')
+    .eq('dispute_id', dispute.id)
+    .order('created_at', { ascending: true });
+
+  const withUrls = [];
+  for (const item of evidence || []) {
+    const { data: signed } = await supabase.storage
+      .from(EVIDENCE_BUCKET)
+      .createSignedUrl(item.storage_path, 300);
+
+    withUrls.push({ ...item, downloadUrl: signed?.signedUrl || null });
+  }
+
+  return { dispute, payment, evidence: withUrls };
+}
+
+module.exports = {
+  DISPUTE_STATUSES,
+  DISPUTE_EVENT_TYPES,
+  MAX_EVIDENCE_BYTES,
+  handleDisputeWebhookEvent,
+  requestEvidence,
+  addEvidence,
+  respondToDispute,
+  resolveDispute,
+  listDisputes,
+  getDispute,
+};
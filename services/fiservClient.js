@@ -0,0 +1,598 @@
+// Fiserv Commerce Hub API HTTP Client
+// Handles HMAC signing, timeouts, retries, circuit breaking, typed errors and audit logging
+
+const axios = require('axios');
+const fiservConfig = require('../config/fiserv.config');
+const { createAuditLog } = require('../config/supabase.config');
+const { generateFiservAuthHeaders } = require('../utils/fiservAuth');
+const { assertSupportedCurrency, normalizeCurrency, roundAmount } = require('../utils/currency');
+
+/**
+ * Base class for Fiserv errors
+ * statusCode is what our API should answer with; httpStatus is what Fiserv answered.
+ */
+class FiservError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = options.statusCode || 502;
+    this.code = options.code || null;
+    this.httpStatus = options.httpStatus || null;
+    this.clientRequestId = options.clientRequestId || null;
+    this.gatewayResponse = options.gatewayResponse || null;
+  }
+}
+
+/**
+ * The issuer or processor declined the transaction (the gateway worked)
+ */
+class FiservDeclineError extends FiservError {
+  constructor(message, options = {}) {
+    super(message, { statusCode: 402, ...options });
+  }
+}
+
+/**
+ * Fiserv rejected the request itself (validation, unknown transaction, bad state)
+ */
+class FiservRequestError extends FiservError {
+  constructor(message, options = {}) {
+    super(message, { statusCode: 400, ...options });
+  }
+}
+
+/**
+ * Fiserv could not be reached or failed: network error, timeout, 5xx or an unreadable response
+ * outcomeUnknown is set when a non-idempotent request may have been processed anyway.
+ */
+class FiservGatewayError extends FiservError {
+  constructor(message, options = {}) {
+    super(message, { statusCode: 502, ...options });
+    this.outcomeUnknown = Boolean(options.outcomeUnknown);
+  }
+}
+
+/**
+ * The circuit breaker is open - Fiserv was not called
+ */
+class FiservCircuitOpenError extends FiservGatewayError {
+  constructor(retryAt) {
+    super('Card payments are temporarily unavailable. Please try again shortly.', {
+      statusCode: 503,
+      code: 'CIRCUIT_OPEN',
+    });
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Build a Fiserv amount, rounded to the currency's minor units (0 decimals for JPY, 3 for KWD)
+ */
+function formatAmount(amount, currency) {
+  const code = normalizeCurrency(currency);
+  return { total: roundAmount(amount, code), currency: code };
+}
+
+/**
+ * Normalize card expiry to Fiserv format (MM / YYYY)
+ */
+function formatExpiry(expiryMonth, expiryYear) {
+  return {
+    expirationMonth: String(expiryMonth).padStart(2, '0'),
+    expirationYear: String(expiryYear).length === 2 ? `20${expiryYear}` : String(expiryYear)
+  };
+}
+
+/**
+ * Build the 3-D Secure 2 request block from the cardholder's browser details
+ *
+ * @param {Object} threeDS - { notificationUrl, methodNotificationUrl, challengeWindowSize, browserInfo }
+ * @returns {Object} additionalData3DS payload
+ */
+function buildThreeDSData(threeDS) {
+  const { notificationUrl, methodNotificationUrl, challengeWindowSize = '05', browserInfo = {} } = threeDS;
+
+  return {
+    versionPreference: '2',
+    challengeIndicator: '01',
+    challengeWindowSize,
+    notificationURL: notificationUrl,
+    methodNotificationURL: methodNotificationUrl || notificationUrl,
+    browserInfo: {
+      acceptHeader: browserInfo.acceptHeader,
+      userAgent: browserInfo.userAgent,
+      language: browserInfo.language,
+      colorDepth: browserInfo.colorDepth,
+      screenHeight: browserInfo.screenHeight,
+      screenWidth: browserInfo.screenWidth,
+      timeZone: browserInfo.timeZone,
+      javaEnabled: Boolean(browserInfo.javaEnabled),
+      javaScriptEnabled: browserInfo.javaScriptEnabled !== false,
+      ipAddress: browserInfo.ipAddress
+    }
+  };
+}
+
+/**
+ * Fiserv Commerce Hub API Client
+ * Only GET lookups are retried: a retried charge, capture or refund could move money twice.
+ */
+class FiservClient {
+  constructor() {
+    this.config = fiservConfig;
+
+    // Bodies are signed as sent, so requests carry pre-serialized JSON and
+    // responses are parsed here (Fiserv error pages are not always JSON)
+    this.client = axios.create({
+      baseURL: this.config.host,
+      timeout: this.config.timeout,
+      responseType: 'text',
+      transformResponse: [(data) => data],
+      validateStatus: () => true,
+    });
+
+    this.circuit = {
+      state: 'closed', // closed, open or half_open
+      failures: 0,
+      openedAt: null,
+    };
+  }
+
+  /**
+   * Make an authenticated request to the Commerce Hub API
+   *
+   * @param {string} method - HTTP method (GET, POST, etc.)
+   * @param {string} endpoint - API endpoint path
+   * @param {Object} data - Request payload object
+   * @returns {Promise<Object>} Parsed response body
+   */
+  async request(method, endpoint, data = null) {
+    this._checkCircuit();
+
+    const payload = data ? JSON.stringify(data) : '';
+    const idempotent = method.toUpperCase() === 'GET';
+    let attempt = 0;
+
+    while (true) {
+      attempt++;
+
+      // Fresh Client-Request-Id and Timestamp per attempt (the HMAC covers both)
+      const headers = generateFiservAuthHeaders(this.config.apiKey, this.config.apiSecret, payload);
+      const clientRequestId = headers['Client-Request-Id'];
+      const startTime = Date.now();
+
+      console.log(`[Fiserv API] ${method.toUpperCase()} ${endpoint}`, { clientRequestId, attempt });
+
+      let error;
+      try {
+        const response = await this.client.request({
+          method,
+          url: endpoint,
+          headers,
+          ...(payload && { data: payload }),
+        });
+
+        const body = this._parseBody(response.data);
+
+        if (response.status >= 200 && response.status < 300) {
+          if (body === undefined) {
+            throw new FiservGatewayError(`Fiserv returned an unreadable response (${response.status})`, {
+              code: 'INVALID_RESPONSE',
+              httpStatus: response.status,
+              clientRequestId,
+              outcomeUnknown: !idempotent,
+            });
+          }
+
+          this._recordSuccess();
+          this._logResult(method, endpoint, { status: response.status, clientRequestId, startTime, attempt });
+          return body;
+        }
+
+        error = this._formatError(response.status, body, { clientRequestId, idempotent });
+      } catch (requestError) {
+        error = requestError instanceof FiservError
+          ? requestError
+          : this._formatNetworkError(requestError, { clientRequestId, idempotent });
+      }
+
+      this._logResult(method, endpoint, { status: error.httpStatus, clientRequestId, startTime, attempt, error });
+
+      if (error instanceof FiservGatewayError) {
+        this._recordFailure();
+      } else {
+        // Declines and rejected requests mean Fiserv is up
+        this._recordSuccess();
+      }
+
+      if (!this._isRetryable(error, idempotent, attempt)) {
+        throw error;
+      }
+
+      // Calculate backoff delay (exponential: 1s, 2s, 4s, ...)
+      const delay = this.config.retryDelay * Math.pow(2, attempt - 1);
+      console.log(`[Fiserv API] 🔄 Retry ${attempt}/${this.config.retryAttempts} after ${delay}ms delay`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+
+      this._checkCircuit();
+    }
+  }
+
+  /**
+   * Parse a JSON body; undefined when it is not JSON
+   */
+  _parseBody(raw) {
+    if (raw === undefined || raw === null || raw === '') {
+      return {};
+    }
+
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return undefined;
+    }
+  }
+
+  /**
+   * Turn an HTTP error response into a typed error
+   */
+  _formatError(status, body, { clientRequestId, idempotent }) {
+    const gatewayResponse = body?.gatewayResponse || null;
+    const detail = body?.error || {};
+    const options = { httpStatus: status, clientRequestId, gatewayResponse };
+
+    if (gatewayResponse?.transactionState === 'DECLINED') {
+      const code = gatewayResponse.errorCode || body?.processorResponseDetails?.responseCode || detail.code || null;
+      const reason = gatewayResponse.errorMessage || body?.processorResponseDetails?.responseMessage || detail.message || 'Declined';
+      return new FiservDeclineError(`Card declined: ${reason}`, { ...options, code });
+    }
+
+    const message = detail.message || (body === undefined ? 'unreadable response' : JSON.stringify(body));
+
+    if (status >= 500 || this.config.retryableStatusCodes.includes(status) || body === undefined) {
+      return new FiservGatewayError(`Fiserv API Error: ${status} - ${message}`, {
+        ...options,
+        code: 'GATEWAY_ERROR',
+        outcomeUnknown: !idempotent && status >= 500,
+      });
+    }
+
+    // 401/403 mean our credentials or merchant setup are wrong - not the caller's fault
+    if (status === 401 || status === 403) {
+      return new FiservGatewayError(`Fiserv API Error: ${status} - ${message}`, { ...options, code: 'AUTHENTICATION_FAILED' });
+    }
+
+    return new FiservRequestError(`Fiserv API Error: ${status} - ${message}`, {
+      ...options,
+      statusCode: status === 404 ? 404 : 400,
+      code: detail.code || String(status),
+    });
+  }
+
+  /**
+   * Wrap a network error or timeout
+   */
+  _formatNetworkError(error, { clientRequestId, idempotent }) {
+    const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+
+    return new FiservGatewayError(
+      timedOut ? `Fiserv did not respond within ${this.config.timeout}ms` : `Fiserv unreachable: ${error.message}`,
+      {
+        code: timedOut ? 'TIMEOUT' : 'NETWORK_ERROR',
+        clientRequestId,
+        // The request may have reached Fiserv before the connection failed
+        outcomeUnknown: !idempotent,
+      }
+    );
+  }
+
+  /**
+   * Check if a failed attempt may be retried
+   */
+  _isRetryable(error, idempotent, attempt) {
+    if (!idempotent || attempt > this.config.retryAttempts) {
+      return false;
+    }
+
+    if (!(error instanceof FiservGatewayError) || error instanceof FiservCircuitOpenError) {
+      return false;
+    }
+
+    return error.code !== 'AUTHENTICATION_FAILED';
+  }
+
+  /**
+   * Throw while the circuit is open; after resetTimeout let one trial request through
+   */
+  _checkCircuit() {
+    const { circuit } = this;
+
+    if (circuit.state === 'closed') {
+      return;
+    }
+
+    const retryAt = new Date(circuit.openedAt + this.config.circuitBreaker.resetTimeout);
+
+    if (circuit.state === 'open' && Date.now() >= retryAt.getTime()) {
+      circuit.state = 'half_open';
+      console.log('[Fiserv API] 🟡 Circuit half-open - sending a trial request');
+      return;
+    }
+
+    throw new FiservCircuitOpenError(retryAt.toISOString());
+  }
+
+  _recordSuccess() {
+    if (this.circuit.state !== 'closed') {
+      console.log('[Fiserv API] 🟢 Circuit closed - Fiserv is responding again');
+      this._createAuditLog({
+        eventType: 'fiserv_circuit_closed',
+        description: 'Fiserv circuit breaker closed',
+        data: { previousState: this.circuit.state },
+      });
+    }
+
+    this.circuit = { state: 'closed', failures: 0, openedAt: null };
+  }
+
+  _recordFailure() {
+    const { circuit } = this;
+    circuit.failures++;
+
+    const shouldOpen = circuit.state === 'half_open'
+      || (circuit.state === 'closed' && circuit.failures >= this.config.circuitBreaker.failureThreshold);
+
+    if (!shouldOpen) {
+      return;
+    }
+
+    circuit.state = 'open';
+    circuit.openedAt = Date.now();
+
+    console.error(`[Fiserv API] 🔴 Circuit open after ${circuit.failures} consecutive failures`);
+    this._createAuditLog({
+      eventType: 'fiserv_circuit_opened',
+      description: `Fiserv circuit breaker opened after ${circuit.failures} consecutive gateway failures`,
+      data: {
+        failures: circuit.failures,
+        resetTimeout: this.config.circuitBreaker.resetTimeout,
+      },
+    });
+  }
+
+  /**
+   * Log a finished attempt and audit it (never the request body - it may hold a PAN)
+   */
+  _logResult(method, endpoint, { status, clientRequestId, startTime, attempt, error = null }) {
+    const duration = Date.now() - startTime;
+    const description = `${method.toUpperCase()} ${endpoint}`;
+
+    if (error) {
+      console.error(`[Fiserv API] ❌ ${status || error.code} ${endpoint}`, {
+        clientRequestId,
+        duration: `${duration}ms`,
+        error: error.message,
+      });
+    } else {
+      console.log(`[Fiserv API] ✅ ${status} ${endpoint}`, {
+        clientRequestId,
+        duration: `${duration}ms`,
+      });
+    }
+
+    this._createAuditLog({
+      eventType: error ? 'fiserv_api_error' : 'fiserv_api_success',
+      description: error ? `${description} failed` : description,
+      data: {
+        status,
+        clientRequestId,
+        duration,
+        attempt,
+        ...(error && {
+          errorType: error.name,
+          errorCode: error.code,
+          error: error.message,
+          outcomeUnknown: error.outcomeUnknown || undefined,
+        }),
+      },
+    });
+  }
+
+  /**
+   * Create audit log entry (non-blocking)
+   */
+  async _createAuditLog(logData) {
+    try {
+      await createAuditLog(logData);
+    } catch (err) {
+      // Silently fail - don't break API calls due to audit log failures
+      console.error('Audit log creation failed:', err.message);
+    }
+  }
+
+  /**
+   * Tokenize a card
+   * The returned token replaces the PAN for all later charges
+   *
+   * @param {Object} cardData - { cardNumber, expiryMonth, expiryYear, cvv }
+   * @returns {Promise<Object>} Tokenization response (paymentTokens, paymentSource)
+   */
+  async tokenizeCard(cardData) {
+    const { cardNumber, expiryMonth, expiryYear, cvv } = cardData;
+
+    return this.request('POST', '/payments-vas/v1/tokens', {
+      source: {
+        sourceType: 'PaymentCard',
+        card: {
+          cardData: cardNumber.replace(/\s/g, ''),
+          ...formatExpiry(expiryMonth, expiryYear),
+          ...(cvv && { securityCode: cvv })
+        }
+      },
+      createToken: true,
+      merchantDetails: {
+        merchantId: this.config.merchantId,
+        terminalId: '10000001'
+      }
+    });
+  }
+
+  /**
+   * Charge a saved card
+   * Cards are charged by Fiserv token (paymentToken) only; raw card numbers are only
+   * ever sent to tokenizeCard.
+   * Pass captureFlag: false to authorize only (see authorizeCardPayment).
+   * Pass threeDS to let the issuer request 3-D Secure 2 authentication.
+   *
+   * @param {Object} paymentData - Payment details
+   * @returns {Promise<Object>} Payment response
+   */
+  async processCardPayment(paymentData) {
+    const {
+      amount,
+      currency,
+      paymentToken,
+      expiryMonth,
+      expiryYear,
+      cvv,
+      merchantOrderId,
+      captureFlag = true,
+      threeDS = null
+    } = paymentData;
+
+    if (!paymentToken || !paymentToken.tokenData) {
+      throw new Error('A saved card token (paymentToken) is required to charge a card');
+    }
+
+    return this.request('POST', '/payments/v1/charges', {
+      amount: formatAmount(amount, assertSupportedCurrency(currency, this.config.supportedCurrencies)),
+      source: {
+        sourceType: 'PaymentToken',
+        tokenData: paymentToken.tokenData,
+        tokenSource: paymentToken.tokenSource,
+        card: {
+          ...formatExpiry(expiryMonth, expiryYear),
+          securityCode: cvv
+        }
+      },
+      transactionDetails: {
+        captureFlag,
+        ...(merchantOrderId && { merchantOrderId })
+      },
+      merchantDetails: {
+        merchantId: this.config.merchantId,
+        terminalId: '10000001'
+      },
+      ...(threeDS && { additionalData3DS: buildThreeDSData(threeDS) })
+    });
+  }
+
+  /**
+   * Authorize a card payment without capturing it
+   * The funds are held until captureTransaction or released by voidTransaction.
+   *
+   * @param {Object} paymentData - Payment details (same as processCardPayment)
+   * @returns {Promise<Object>} Authorization response
+   */
+  async authorizeCardPayment(paymentData) {
+    return this.processCardPayment({ ...paymentData, captureFlag: false });
+  }
+
+  /**
+   * Look up a transaction (safe to retry)
+   *
+   * @param {string} transactionId - Fiserv transaction ID
+   * @returns {Promise<Object>} Transaction details
+   */
+  async getTransaction(transactionId) {
+    return this.request('GET', `/payments/v1/charges/${transactionId}`);
+  }
+
+  /**
+   * Report the outcome of 3DS2 device-data collection (the 3DS Method)
+   * Fiserv answers with the authorization (frictionless) or a challenge.
+   *
+   * @param {string} transactionId - Transaction awaiting 3DS
+   * @param {string} completionIndicator - Y (method completed), N (not completed) or U (no method URL)
+   * @returns {Promise<Object>} Charge response
+   */
+  async submitThreeDSMethod(transactionId, completionIndicator) {
+    return this.request('POST', `/payments/v1/charges/${transactionId}/3ds/method`, {
+      threeDSMethodCompletionIndicator: completionIndicator
+    });
+  }
+
+  /**
+   * Finalize a 3DS2 challenge with the CRes the ACS returned to the browser
+   *
+   * @param {string} transactionId - Transaction awaiting 3DS
+   * @param {string} cRes - Base64url-encoded challenge response
+   * @returns {Promise<Object>} Charge response with authenticationResult
+   */
+  async completeThreeDSChallenge(transactionId, cRes) {
+    return this.request('POST', `/payments/v1/charges/${transactionId}/3ds/complete`, { cRes });
+  }
+
+  /**
+   * Refund a transaction
+   *
+   * @param {string} transactionId - Original transaction ID
+   * @param {number} amount - Refund amount
+   * @param {string} currency - Currency of the original charge
+   * @param {string} [merchantTransactionId] - Our refund reference (defaults to a generated REF- ID)
+   * @returns {Promise<Object>} Refund response
+   */
+  async refundTransaction(transactionId, amount, currency, merchantTransactionId = null) {
+    return this.request('POST', `/payments/v1/charges/${transactionId}/refund`, {
+      amount: formatAmount(amount, currency),
+      transactionDetails: {
+        merchantTransactionId: merchantTransactionId || `REF-${Date.now().toString().slice(-9).toUpperCase()}`
+      }
+    });
+  }
+
+  /**
+   * Capture an authorized transaction
+   * Capturing less than the authorized amount releases the remainder.
+   *
+   * @param {string} transactionId - Authorization transaction ID
+   * @param {number} amount - Amount to capture
+   * @param {string} currency - Currency of the authorization
+   * @returns {Promise<Object>} Capture response
+   */
+  async captureTransaction(transactionId, amount, currency) {
+    return this.request('POST', `/payments/v1/charges/${transactionId}/capture`, {
+      amount: formatAmount(amount, currency),
+      transactionDetails: {
+        captureFlag: true
+      }
+    });
+  }
+
+  /**
+   * Void (cancel) an authorized transaction before it is captured
+   * Releases the hold on the cardholder's funds without a refund.
+   *
+   * @param {string} transactionId - Authorization transaction ID
+   * @returns {Promise<Object>} Void response
+   */
+  async voidTransaction(transactionId) {
+    return this.request('POST', `/payments/v1/charges/${transactionId}/cancel`, {
+      transactionDetails: {
+        reversalReasonCode: 'VOID'
+      }
+    });
+  }
+}
+
+// Export singleton instance and the error types callers branch on
+const fiservClient = new FiservClient();
+
+module.exports = {
+  fiservClient,
+  FiservError,
+  FiservDeclineError,
+  FiservRequestError,
+  FiservGatewayError,
+  FiservCircuitOpenError,
+};
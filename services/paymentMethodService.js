@@ -0,0 +1,244 @@
+// Payment Method Service
+// Saved cards stored as Fiserv tokens - the PAN and CVV are never persisted
+
+const { supabase, createAuditLog } = require('../config/supabase.config');
+const { fiservClient } = require('./fiservClient');
+const { detectCardBrand } = require('./paymentService');
+const { passesLuhn } = require('../utils/luhn');
+
+const MAX_PAYMENT_METHODS = parseInt(process.env.MAX_PAYMENT_METHODS || '10');
+
+/**
+ * Build a payment method error with an HTTP status
+ */
+function paymentMethodError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Format a payment method for API responses (the token is never returned)
+ */
+function formatPaymentMethod(method) {
+  return {
+    id: method.id,
+    brand: method.card_brand,
+    last4: method.card_last4,
+    expiryMonth: method.expiry_month,
+    expiryYear: method.expiry_year,
+    cardholderName: method.cardholder_name,
+    expired: isExpired(method.expiry_month, method.expiry_year),
+    lastUsedAt: method.last_used_at,
+    createdAt: method.created_at,
+  };
+}
+
+/**
+ * Check whether a card expiry (MM, YY or YYYY) is in the past
+ * Cards are valid through the last day of their expiry month
+ */
+function isExpired(expiryMonth, expiryYear) {
+  const month = parseInt(expiryMonth);
+  const year = String(expiryYear).length === 2 ? 2000 + parseInt(expiryYear) : parseInt(expiryYear);
+
+  return new Date(year, month, 1).getTime() <= Date.now();
+}
+
+/**
+ * Save a card for a user
+ * The card is tokenized through Fiserv and only the token,
+ * brand, BIN, last4 and expiry are stored.
+ *
+ * @param {string} userId - Kalypso user ID
+ * @param {Object} card - { cardNumber, expiryMonth, expiryYear, cvv, cardholderName }
+ * @returns {Promise<Object>} Formatted payment method
+ */
+async function savePaymentMethod(userId, card) {
+  const { cardNumber, expiryMonth, expiryYear, cvv, cardholderName = null } = card;
+
+  if (!cardNumber || !expiryMonth || !expiryYear) {
+    throw paymentMethodError('cardNumber, expiryMonth and expiryYear are required');
+  }
+
+  const digits = String(cardNumber).replace(/\s/g, '');
+  if (!/^\d{12,19}$/.test(digits) || !passesLuhn(digits)) {
+    throw paymentMethodError('Invalid card number');
+  }
+
+  const month = parseInt(expiryMonth);
+  if (!/^\d{1,2}$/.test(String(expiryMonth)) || month < 1 || month > 12 || !/^(\d{2}|\d{4})$/.test(String(expiryYear))) {
+    throw paymentMethodError('Invalid card expiry');
+  }
+  if (isExpired(expiryMonth, expiryYear)) {
+    throw paymentMethodError('Card has expired');
+  }
+
+  const { count } = await supabase
+    .from('payment_methods')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .eq('status', 'active');
+
+  if (count >= MAX_PAYMENT_METHODS) {
+    throw paymentMethodError(`A maximum of ${MAX_PAYMENT_METHODS} saved cards is allowed`, 409);
+  }
+
+  const tokenResult = await fiservClient.tokenizeCard({ cardNumber: digits, expiryMonth, expiryYear, cvv });
+
+  const token = tokenResult.paymentTokens?.[0];
+  if (!token?.tokenData) {
+    throw paymentMethodError('Card could not be tokenized', 502);
+  }
+
+  const tokenizedCard = tokenResult.paymentSource?.card || {};
+
+  const { data: method, error } = await supabase
+    .from('payment_methods')
+    .insert({
+      user_id: userId,
+      token: token.tokenData,
+      token_source: token.tokenSource || 'TRANSARMOR',
+      card_brand: (tokenizedCard.scheme || detectCardBrand(digits)).toLowerCase(),
+      card_bin: tokenizedCard.bin || digits.slice(0, 6),
+      card_last4: tokenizedCard.last4 || digits.slice(-4),
+      expiry_month: String(expiryMonth).padStart(2, '0'),
+      expiry_year: String(expiryYear).length === 2 ? `20${expiryYear}` : String(expiryYear),
+      cardholder_name: cardholderName,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    // Fiserv returns the same token for the same card - treat a re-save as a no-op
+    if (error.code === '23505') {
+      const { data: existing } = await supabase
+        .from('payment_methods')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('token', token.tokenData)
+        .eq('status', 'active')
+        .single();
+
+      if (existing) {
+        return formatPaymentMethod(existing);
+      }
+    }
+    throw new Error(`Failed to save payment method: ${error.message}`);
+  }
+
+  await createAuditLog({
+    userId,
+    eventType: 'payment_method_added',
+    description: `Saved ${method.card_brand} card ending ${method.card_last4}`,
+    data: { paymentMethodId: method.id },
+  });
+
+  console.log(`✅ Payment method ${method.id} saved for user ${userId}`);
+
+  return formatPaymentMethod(method);
+}
+
+/**
+ * List a user's saved cards
+ * @param {string} userId - Kalypso user ID
+ * @returns {Promise<Array>} Formatted payment methods
+ */
+async function listPaymentMethods(userId) {
+  const { data, error } = await supabase
+    .from('payment_methods')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('status', 'active')
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw new Error(`Failed to list payment methods: ${error.message}`);
+  }
+
+  return (data || []).map(formatPaymentMethod);
+}
+
+/**
+ * Load a saved card for charging, including its token
+ * Internal use only - the result must never be sent to the client.
+ *
+ * @param {string} userId - Kalypso user ID
+ * @param {string} paymentMethodId - Payment method ID
+ * @returns {Promise<Object>} Payment method record
+ */
+async function getChargeablePaymentMethod(userId, paymentMethodId) {
+  const { data: method } = await supabase
+    .from('payment_methods')
+    .select('*')
+    .eq('id', paymentMethodId)
+    .eq('user_id', userId)
+    .eq('status', 'active')
+    .single();
+
+  if (!method) {
+    throw paymentMethodError('Payment method not found', 404);
+  }
+
+  if (isExpired(method.expiry_month, method.expiry_year)) {
+    throw paymentMethodError('Saved card has expired');
+  }
+
+  return method;
+}
+
+/**
+ * Record that a saved card was charged
+ */
+async function markPaymentMethodUsed(paymentMethodId) {
+  await supabase
+    .from('payment_methods')
+    .update({ last_used_at: new Date().toISOString() })
+    .eq('id', paymentMethodId);
+}
+
+/**
+ * Delete a saved card
+ * The row is kept for payment history, but the token is discarded.
+ *
+ * @param {string} userId - Kalypso user ID
+ * @param {string} paymentMethodId - Payment method ID
+ */
+async function deletePaymentMethod(userId, paymentMethodId) {
+  const { data, error } = await supabase
+    .from('payment_methods')
+    .update({
+      status: 'deleted',
+      token: null,
+      deleted_at: new Date().toISOString(),
+    })
+    .eq('id', paymentMethodId)
+    .eq('user_id', userId)
+    .eq('status', 'active')
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to delete payment method: ${error.message}`);
+  }
+
+  if (!data || data.length === 0) {
+    throw paymentMethodError('Payment method not found', 404);
+  }
+
+  await createAuditLog({
+    userId,
+    eventType: 'payment_method_deleted',
+    description: `Deleted ${data[0].card_brand} card ending ${data[0].card_last4}`,
+    data: { paymentMethodId },
+  });
+
+  console.log(`🗑️  Payment method ${paymentMethodId} deleted for user ${userId}`);
+}
+
+module.exports = {
+  savePaymentMethod,
+  listPaymentMethods,
+  getChargeablePaymentMethod,
+  markPaymentMethodUsed,
+  deletePaymentMethod,
+};
@@ -0,0 +1,971 @@
+// Payment Service
+// Persists Fiserv card payments and moves them through their lifecycle
+
+const { supabase, createAuditLog, createNotification } = require('../config/supabase.config');
+const fiservConfig = require('../config/fiserv.config');
+const { fiservClient, FiservDeclineError } = require('./fiservClient');
+const { assertSupportedCurrency, toMinorUnits, fromMinorUnits, formatAmount } = require('../utils/currency');
+const { validate: isUuid } = require('uuid');
+
+const PAYMENT_STATUSES = [
+  'pending',
+  'requires_3ds',
+  'authorized',
+  'captured',
+  'partially_refunded',
+  'refunded',
+  'voided',
+  'failed',
+  'disputed',
+];
+
+// Allowed status transitions (from -> to)
+const PAYMENT_TRANSITIONS = {
+  pending: ['requires_3ds', 'authorized', 'captured', 'failed'],
+  requires_3ds: ['authorized', 'captured', 'failed'],
+  authorized: ['captured', 'voided', 'failed'],
+  captured: ['partially_refunded', 'refunded', 'disputed'],
+  partially_refunded: ['partially_refunded', 'refunded', 'disputed'],
+  refunded: ['disputed'],
+  disputed: ['captured', 'refunded'],
+  voided: [],
+  failed: [],
+};
+
+// Timestamp column set when a payment enters each status
+const STATUS_TIMESTAMPS = {
+  authorized: 'authorized_at',
+  captured: 'captured_at',
+  refunded: 'refunded_at',
+  voided: 'voided_at',
+  failed: 'failed_at',
+  disputed: 'disputed_at',
+};
+
+/**
+ * Check whether a payment can move from one status to another
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Target status
+ * @returns {boolean}
+ */
+function canTransition(fromStatus, toStatus) {
+  return (PAYMENT_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+/**
+ * Build a payment error with an HTTP status
+ */
+function paymentError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Detect the card brand from the card number prefix
+ * @param {string} cardNumber - Card number (spaces allowed)
+ * @returns {string} Brand name or 'unknown'
+ */
+function detectCardBrand(cardNumber) {
+  const digits = String(cardNumber).replace(/\s/g, '');
+
+  if (/^4/.test(digits)) return 'visa';
+  if (/^(5[1-5]|2[2-7])/.test(digits)) return 'mastercard';
+  if (/^3[47]/.test(digits)) return 'amex';
+  if (/^(6011|65|64[4-9])/.test(digits)) return 'discover';
+  return 'unknown';
+}
+
+/**
+ * Column updates for an amount: minor units plus the matching decimal value
+ * e.g. amountColumns('captured_amount', 1250, 'USD') -> { captured_amount: 12.5, captured_amount_minor: 1250 }
+ */
+function amountColumns(column, amountMinor, currency) {
+  return {
+    [column]: fromMinorUnits(amountMinor, currency),
+    [`${column}_minor`]: amountMinor,
+  };
+}
+
+/**
+ * Generate a Kalypso order ID sent to Fiserv as merchantOrderId
+ * @returns {string} Order ID (KAL-XXXXXXXXXXXX)
+ */
+function generateMerchantOrderId() {
+  return `KAL-${Date.now().toString(36).toUpperCase()}${Math.random().toString(36).slice(2, 6).toUpperCase()}`;
+}
+
+/**
+ * Create a pending payment before the card is charged
+ *
+ * @param {string} userId - Kalypso user ID
+ * @param {Object} details - { amount, currency, cryptoAmount, cryptoCurrency, quoteId, paymentMethod, billingCountry }
+ *   paymentMethod: the saved card being charged (cards are only charged by token)
+ * @returns {Promise<Object>} Payment
+ */
+async function createPayment(userId, details) {
+  const {
+    amount,
+    currency = 'USD',
+    cryptoAmount = null,
+    cryptoCurrency = null,
+    quoteId = null,
+    paymentMethod = null,
+    billingCountry = null,
+  } = details;
+
+  // Only currencies enabled on the merchant account can be charged
+  const chargeCurrency = assertSupportedCurrency(currency, fiservConfig.supportedCurrencies);
+  const amountMinor = toMinorUnits(amount, chargeCurrency);
+
+  if (amountMinor <= 0) {
+    throw paymentError('Payment amount must be greater than 0');
+  }
+
+  const { data: payment, error } = await supabase
+    .from('payments')
+    .insert({
+      user_id: userId,
+      merchant_order_id: generateMerchantOrderId(),
+      ...amountColumns('amount', amountMinor, chargeCurrency),
+      currency: chargeCurrency,
+      crypto_amount: cryptoAmount !== null ? parseFloat(cryptoAmount) : null,
+      crypto_currency: cryptoCurrency,
+      quote_id: quoteId,
+      payment_method_id: paymentMethod ? paymentMethod.id : null,
+      card_last4: paymentMethod ? paymentMethod.card_last4 : null,
+      card_brand: paymentMethod ? paymentMethod.card_brand : null,
+      cardholder_name: paymentMethod ? paymentMethod.cardholder_name : null,
+      billing_country: billingCountry,
+      status: 'pending',
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create payment: ${error.message}`);
+  }
+
+  await supabase
+    .from('payment_events')
+    .insert({
+      payment_id: payment.id,
+      event_type: 'payment_created',
+      from_status: null,
+      to_status: 'pending',
+      source: 'api',
+    });
+
+  return payment;
+}
+
+/**
+ * Record the Fiserv response to a charge request
+ * Maps the gateway result onto the payment lifecycle (requires_3ds, authorized, captured or failed)
+ *
+ * @param {Object} payment - Pending payment
+ * @param {Object} paymentResult - Fiserv charge response
+ * @returns {Promise<Object>} Updated payment
+ */
+async function recordChargeResult(payment, paymentResult) {
+  const gatewayResponse = paymentResult.gatewayResponse || {};
+  const transactionState = gatewayResponse.transactionState;
+  const baseUpdates = {
+    fiserv_transaction_id: paymentResult.ipgTransactionId || null,
+    fiserv_order_id: paymentResult.orderId || null,
+    gateway_response: gatewayResponse,
+  };
+
+  if (paymentResult.authenticationResponse?.authenticationType === '3DS') {
+    const { payment: updated } = await transitionPayment(payment, 'requires_3ds', {
+      eventType: 'three_ds_required',
+      updates: {
+        ...baseUpdates,
+        three_ds_status: 'required',
+        three_ds_acs_url: paymentResult.authenticationResponse.acsURL || null,
+        three_ds_version: paymentResult.authenticationResponse.version || null,
+      },
+    });
+    return updated;
+  }
+
+  if (transactionState === 'AUTHORIZED') {
+    const { payment: updated } = await transitionPayment(payment, 'authorized', {
+      eventType: 'charge_authorized',
+      updates: baseUpdates,
+    });
+    return updated;
+  }
+
+  if (transactionState === 'CAPTURED') {
+    const { payment: updated } = await transitionPayment(payment, 'captured', {
+      eventType: 'charge_captured',
+      updates: { ...baseUpdates, ...amountColumns('captured_amount', payment.amount_minor, payment.currency) },
+    });
+    return updated;
+  }
+
+  const { payment: updated } = await transitionPayment(payment, 'failed', {
+    eventType: 'charge_failed',
+    updates: {
+      ...baseUpdates,
+      error_code: gatewayResponse.errorCode || transactionState || null,
+      error_message: gatewayResponse.errorMessage || 'Payment failed',
+    },
+  });
+  return updated;
+}
+
+/**
+ * Mark a payment as failed when the charge request itself errored
+ * Declines keep the processor's response code; anything else is a gateway error.
+ * @param {Object} payment - Pending payment
+ * @param {Error} chargeError - Error from the gateway call
+ * @returns {Promise<Object>} Updated payment
+ */
+async function recordChargeError(payment, chargeError) {
+  const declined = chargeError instanceof FiservDeclineError;
+
+  const { payment: updated } = await transitionPayment(payment, 'failed', {
+    eventType: declined ? 'charge_declined' : 'charge_error',
+    data: chargeError.outcomeUnknown ? { clientRequestId: chargeError.clientRequestId, outcomeUnknown: true } : null,
+    updates: {
+      error_code: declined ? (chargeError.code || 'DECLINED') : 'GATEWAY_ERROR',
+      error_message: chargeError.message,
+      ...(chargeError.gatewayResponse && { gateway_response: chargeError.gatewayResponse }),
+    },
+  });
+  return updated;
+}
+
+/**
+ * Record the outcome of 3D Secure authentication
+ * @param {Object} payment - Payment in requires_3ds
+ * @param {Object} verificationResult - Fiserv charge response once authentication finished
+ * @returns {Promise<Object>} Updated payment
+ */
+async function recordThreeDSResult(payment, verificationResult) {
+  const gatewayResponse = verificationResult.gatewayResponse || {};
+  const transactionState = gatewayResponse.transactionState;
+  const authenticated = transactionState === 'AUTHORIZED' || transactionState === 'CAPTURED';
+  const completedAt = new Date().toISOString();
+
+  if (!authenticated) {
+    const { payment: updated } = await transitionPayment(payment, 'failed', {
+      eventType: 'three_ds_failed',
+      updates: {
+        gateway_response: gatewayResponse,
+        three_ds_status: 'failed',
+        three_ds_completed_at: completedAt,
+        error_code: 'THREE_DS_FAILED',
+        error_message: '3D Secure authentication failed',
+      },
+    });
+    return updated;
+  }
+
+  const toStatus = transactionState === 'CAPTURED' ? 'captured' : 'authorized';
+  const { payment: updated } = await transitionPayment(payment, toStatus, {
+    eventType: 'three_ds_authenticated',
+    updates: {
+      gateway_response: gatewayResponse,
+      three_ds_status: 'authenticated',
+      three_ds_completed_at: completedAt,
+      ...(toStatus === 'captured' && amountColumns('captured_amount', payment.amount_minor, payment.currency)),
+    },
+  });
+  return updated;
+}
+
+/**
+ * Captured amount of a payment in minor units (the authorized amount before capture)
+ */
+function getCapturedAmountMinor(payment) {
+  return Number(payment.captured_amount_minor) || Number(payment.amount_minor);
+}
+
+/**
+ * Total of completed refunds for a payment, in minor units
+ * The refund ledger is the source of truth for refunded_amount.
+ */
+async function getCompletedRefundTotalMinor(paymentId) {
+  const { data, error } = await supabase
+    .from('payment_refunds')
+    .select('amount_minor')
+    .eq('payment_id', paymentId)
+    .eq('status', 'completed');
+
+  if (error) {
+    throw new Error(`Failed to load refunds for payment ${paymentId}: ${error.message}`);
+  }
+
+  return (data || []).reduce((total, refund) => total + Number(refund.amount_minor), 0);
+}
+
+/**
+ * Record a completed refund against a payment
+ * Safe to call more than once for the same refund (the webhook and the API
+ * response can both report it): the refunded total comes from the ledger.
+ *
+ * @param {Object} payment - Captured payment
+ * @param {number} amountMinor - Refunded amount in minor units
+ * @param {Object} refundResult - Fiserv refund response
+ * @param {Object} options - { refundId, source, fiservEventId, eventType, data }
+ * @returns {Promise<Object>} { payment, changed: boolean }
+ */
+async function recordRefund(payment, amountMinor, refundResult, options = {}) {
+  const { refundId = null, source = 'api', fiservEventId = null, eventType = 'refund_completed', data = null } = options;
+
+  const capturedMinor = getCapturedAmountMinor(payment);
+  const refundedMinor = Math.min(await getCompletedRefundTotalMinor(payment.id), capturedMinor);
+  const toStatus = refundedMinor >= capturedMinor ? 'refunded' : 'partially_refunded';
+
+  // Already applied by whichever of the webhook and the API response came first
+  if (payment.status === toStatus && Number(payment.refunded_amount_minor || 0) === refundedMinor) {
+    return { payment, changed: false };
+  }
+
+  return transitionPayment(payment, toStatus, {
+    eventType,
+    source,
+    fiservEventId,
+    data: data || {
+      amount: fromMinorUnits(amountMinor, payment.currency),
+      refundId,
+      refundTransactionId: refundResult.ipgTransactionId || null,
+    },
+    updates: amountColumns('refunded_amount', refundedMinor, payment.currency),
+  });
+}
+
+/**
+ * Record the status a Fiserv call has already moved the money to
+ * Fiserv can send the matching webhook before the API response arrives, so the webhook
+ * handler may have moved the payment first. The conditional update then misses; if the
+ * payment is already in toStatus that is success, not a failure.
+ *
+ * @param {Object} payment - Payment as read before the Fiserv call
+ * @param {string} toStatus - Status the gateway reported
+ * @param {Object} options - transitionPayment options
+ * @returns {Promise<Object>} { payment, changed: boolean }
+ */
+async function transitionAfterGateway(payment, toStatus, options = {}) {
+  try {
+    return await transitionPayment(payment, toStatus, options);
+  } catch (error) {
+    const current = await getPaymentById(payment.id);
+
+    if (current.status !== toStatus) {
+      throw error;
+    }
+
+    console.log(`✅ Payment ${payment.id} already ${toStatus} (webhook arrived first)`);
+    return { payment: current, changed: false };
+  }
+}
+
+/**
+ * Capture an authorized payment (full or partial)
+ * Capturing less than the authorized amount releases the remainder to the cardholder.
+ *
+ * @param {Object} payment - Payment in authorized status
+ * @param {number|null} amount - Amount to capture (defaults to the authorized amount)
+ * @param {Object} options - { source, actorUserId }
+ * @returns {Promise<Object>} { payment, transactionId }
+ */
+async function capturePayment(payment, amount = null, options = {}) {
+  const { source = 'api', actorUserId = null } = options;
+
+  if (payment.status !== 'authorized') {
+    throw paymentError(`Payment cannot be captured (status: ${payment.status})`, 409);
+  }
+
+  const authorizedMinor = Number(payment.amount_minor);
+  const captureMinor = amount === null || amount === undefined ? authorizedMinor : toMinorUnits(amount, payment.currency);
+
+  if (captureMinor <= 0 || captureMinor > authorizedMinor) {
+    throw paymentError(`Capture amount must be greater than 0 and at most ${formatAmount(payment.amount, payment.currency)}`);
+  }
+
+  const captureAmount = fromMinorUnits(captureMinor, payment.currency);
+  const captureResult = await fiservClient.captureTransaction(payment.fiserv_transaction_id, captureAmount, payment.currency);
+
+  if (captureResult.gatewayResponse?.transactionState !== 'CAPTURED') {
+    throw paymentError(captureResult.gatewayResponse?.errorMessage || 'Capture failed', 502);
+  }
+
+  const captureColumns = amountColumns('captured_amount', captureMinor, payment.currency);
+  let { payment: updated, changed } = await transitionAfterGateway(payment, 'captured', {
+    eventType: captureMinor < authorizedMinor ? 'partial_capture' : 'charge_captured',
+    source,
+    data: {
+      amount: captureAmount,
+      captureTransactionId: captureResult.ipgTransactionId || null,
+      actorUserId,
+    },
+    updates: captureColumns,
+  });
+
+  // A webhook without an amount records the full authorization; we know what was captured
+  if (!changed && Number(updated.captured_amount_minor) !== captureMinor) {
+    const { data: corrected, error } = await supabase
+      .from('payments')
+      .update(captureColumns)
+      .eq('id', payment.id)
+      .eq('status', 'captured')
+      .select()
+      .single();
+
+    if (error || !corrected) {
+      throw new Error(`Failed to record captured amount for payment ${payment.id}: ${error?.message || 'status changed concurrently'}`);
+    }
+
+    updated = corrected;
+  }
+
+  await createAuditLog({
+    userId: payment.user_id,
+    eventType: 'payment_captured',
+    description: `Captured ${formatAmount(captureAmount, payment.currency)} of ${formatAmount(payment.amount, payment.currency)}`,
+    data: {
+      paymentId: payment.id,
+      amount: captureAmount,
+      captureTransactionId: captureResult.ipgTransactionId || null,
+      source,
+      actorUserId,
+    },
+  });
+
+  console.log(`✅ Payment ${payment.id} captured: ${formatAmount(captureAmount, payment.currency)}`);
+
+  return { payment: updated, transactionId: captureResult.ipgTransactionId || null };
+}
+
+/**
+ * Void an authorized payment so the hold is released without a refund
+ *
+ * @param {Object} payment - Payment in authorized status
+ * @param {Object} options - { reason, source, actorUserId }
+ * @returns {Promise<Object>} { payment, transactionId }
+ */
+async function voidPayment(payment, options = {}) {
+  const { reason = null, source = 'api', actorUserId = null } = options;
+
+  if (payment.status !== 'authorized') {
+    throw paymentError(`Payment cannot be voided (status: ${payment.status})`, 409);
+  }
+
+  const voidResult = await fiservClient.voidTransaction(payment.fiserv_transaction_id);
+
+  if (voidResult.gatewayResponse?.transactionState !== 'VOIDED') {
+    throw paymentError(voidResult.gatewayResponse?.errorMessage || 'Void failed', 502);
+  }
+
+  const { payment: updated } = await transitionAfterGateway(payment, 'voided', {
+    eventType: 'charge_voided',
+    source,
+    data: {
+      voidTransactionId: voidResult.ipgTransactionId || null,
+      reason,
+      actorUserId,
+    },
+  });
+
+  await createAuditLog({
+    userId: payment.user_id,
+    eventType: 'payment_voided',
+    description: `Voided authorization of ${formatAmount(payment.amount, payment.currency)}${reason ? `: ${reason}` : ''}`,
+    data: {
+      paymentId: payment.id,
+      voidTransactionId: voidResult.ipgTransactionId || null,
+      reason,
+      source,
+      actorUserId,
+    },
+  });
+
+  console.log(`✅ Payment ${payment.id} voided`);
+
+  return { payment: updated, transactionId: voidResult.ipgTransactionId || null };
+}
+
+/**
+ * Get a payment by ID regardless of owner (admin and internal use)
+ * @param {string} paymentId - Payment ID
+ * @returns {Promise<Object>} Payment
+ */
+async function getPaymentById(paymentId) {
+  const { data: payment } = await supabase
+    .from('payments')
+    .select('*')
+    .eq('id', paymentId)
+    .single();
+
+  if (!payment) {
+    throw paymentError('Payment not found', 404);
+  }
+
+  return payment;
+}
+
+/**
+ * Get a payment owned by a user, including its status history and refunds
+ * @param {string} userId - Kalypso user ID
+ * @param {string} paymentId - Payment ID
+ * @returns {Promise<Object>} Payment with events
+ */
+async function getPayment(userId, paymentId) {
+  const { data: payment, error } = await supabase
+    .from('payments')
+    .select(`
+      *,
+      events:payment_events(event_type, from_status, to_status, source, created_at),
+      refunds:payment_refunds(id, amount, currency, status, created_at, completed_at)
+    `)
+    .eq('id', paymentId)
+    .eq('user_id', userId)
+    .single();
+
+  if (error || !payment) {
+    const notFound = new Error('Payment not found');
+    notFound.statusCode = 404;
+    throw notFound;
+  }
+
+  return payment;
+}
+
+/**
+ * List a user's payments, newest first
+ * @param {string} userId - Kalypso user ID
+ * @param {Object} params - { status, limit, offset }
+ * @returns {Promise<Object>} { payments, total }
+ */
+async function listPayments(userId, params = {}) {
+  const { status, limit = 20, offset = 0 } = params;
+
+  if (status && !PAYMENT_STATUSES.includes(status)) {
+    throw new Error(`Invalid status. Must be one of: ${PAYMENT_STATUSES.join(', ')}`);
+  }
+
+  let query = supabase
+    .from('payments')
+    .select('*', { count: 'exact' })
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (status) {
+    query = query.eq('status', status);
+  }
+
+  const { data: payments, error, count } = await query;
+
+  if (error) {
+    throw new Error(`Failed to list payments: ${error.message}`);
+  }
+
+  return { payments: payments || [], total: count || 0 };
+}
+
+/**
+ * Get a payment by its Fiserv transaction ID
+ * @param {string} fiservTransactionId - Fiserv ipgTransactionId
+ * @returns {Promise<Object|null>} Payment
+ */
+async function getPaymentByFiservTransactionId(fiservTransactionId) {
+  const { data: payment, error } = await supabase
+    .from('payments')
+    .select('*')
+    .eq('fiserv_transaction_id', fiservTransactionId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw new Error(`Failed to load payment: ${error.message}`);
+  }
+
+  return payment || null;
+}
+
+/**
+ * Move a payment to a new status and record the transition
+ *
+ * @param {Object} payment - Current payment record
+ * @param {string} toStatus - Target status
+ * @param {Object} options - { eventType, source, fiservEventId, data, updates }
+ *   updates: extra payment columns to set alongside the status
+ * @returns {Promise<Object>} { payment, changed: boolean }
+ */
+async function transitionPayment(payment, toStatus, options = {}) {
+  const { eventType, source = 'api', fiservEventId = null, data = null, updates = {} } = options;
+
+  if (!PAYMENT_STATUSES.includes(toStatus)) {
+    throw new Error(`Invalid payment status: ${toStatus}`);
+  }
+
+  // Repeated notifications for a status the payment is already in are no-ops
+  // (partially_refunded can repeat - each partial refund is a new transition)
+  if (payment.status === toStatus && toStatus !== 'partially_refunded') {
+    return { payment, changed: false };
+  }
+
+  if (!canTransition(payment.status, toStatus)) {
+    throw new Error(`Invalid payment transition: ${payment.status} -> ${toStatus}`);
+  }
+
+  const timestampColumn = STATUS_TIMESTAMPS[toStatus];
+
+  // Conditional on the current status so concurrent updates cannot skip a step
+  const { data: updated, error } = await supabase
+    .from('payments')
+    .update({
+      ...updates,
+      status: toStatus,
+      ...(timestampColumn && { [timestampColumn]: new Date().toISOString() }),
+    })
+    .eq('id', payment.id)
+    .eq('status', payment.status)
+    .select()
+    .single();
+
+  if (error || !updated) {
+    throw new Error(`Failed to update payment ${payment.id}: ${error?.message || 'status changed concurrently'}`);
+  }
+
+  const { error: eventError } = await supabase
+    .from('payment_events')
+    .insert({
+      payment_id: payment.id,
+      event_type: eventType || toStatus,
+      from_status: payment.status,
+      to_status: toStatus,
+      source,
+      fiserv_event_id: fiservEventId,
+      event_data: data,
+    });
+
+  if (eventError) {
+    console.error('Failed to record payment event:', eventError.message);
+  }
+
+  console.log(`✅ Payment ${payment.id}: ${payment.status} -> ${toStatus}`);
+
+  return { payment: updated, changed: true };
+}
+
+/**
+ * Check whether a Fiserv webhook event has already been applied
+ * @param {string} fiservEventId - Fiserv event ID
+ * @returns {Promise<boolean>}
+ */
+async function isFiservEventProcessed(fiservEventId) {
+  if (!fiservEventId) return false;
+
+  const { data } = await supabase
+    .from('payment_events')
+    .select('id')
+    .eq('fiserv_event_id', fiservEventId)
+    .limit(1);
+
+  return Boolean(data && data.length > 0);
+}
+
+/**
+ * Read the event amount from a Fiserv webhook in minor units, falling back to a default
+ */
+function getEventAmountMinor(webhookData, fallbackMinor, currency) {
+  const total = parseFloat(webhookData.amount?.total ?? webhookData.amount);
+  return Number.isFinite(total) ? toMinorUnits(total, currency) : Number(fallbackMinor);
+}
+
+/**
+ * Find the refund ledger row a REFUND_COMPLETED webhook reports, completing it if needed
+ *
+ * Fiserv sends the webhook for refunds made through refundService too, so the event is
+ * matched to its ledger row before anything is counted: by Fiserv refund ID, then by our
+ * refund ID (sent as merchantTransactionId), then by a pending refund of the same amount
+ * (the webhook can arrive before the API response). Anything else was refunded outside
+ * Kalypso (e.g. in the Fiserv portal) and is added to the ledger.
+ *
+ * @param {Object} payment - Payment the refund belongs to
+ * @param {Object} webhookData - Verified webhook body
+ * @returns {Promise<Object>} { refund, external: boolean }
+ */
+async function resolveWebhookRefund(payment, webhookData) {
+  const fiservRefundId = webhookData.refundTransactionId || webhookData.refundId || null;
+  const merchantTransactionId = webhookData.merchantTransactionId || webhookData.transactionDetails?.merchantTransactionId || null;
+  const refundsOfPayment = () => supabase.from('payment_refunds').select('*').eq('payment_id', payment.id);
+
+  let refund = null;
+
+  if (fiservRefundId) {
+    const { data } = await refundsOfPayment().eq('fiserv_refund_id', fiservRefundId).maybeSingle();
+    refund = data;
+  }
+
+  if (!refund && merchantTransactionId && isUuid(merchantTransactionId)) {
+    const { data } = await refundsOfPayment().eq('id', merchantTransactionId).maybeSingle();
+    refund = data;
+  }
+
+  const completedMinor = await getCompletedRefundTotalMinor(payment.id);
+  const amountMinor = getEventAmountMinor(webhookData, getCapturedAmountMinor(payment) - completedMinor, payment.currency);
+
+  if (!refund) {
+    const { data } = await refundsOfPayment()
+      .eq('status', 'pending')
+      .eq('amount_minor', amountMinor)
+      .order('created_at', { ascending: true })
+      .limit(1)
+      .maybeSingle();
+    refund = data;
+  }
+
+  if (refund) {
+    if (refund.status !== 'completed') {
+      // A failed API call can still have refunded at Fiserv: the webhook is authoritative
+      const { data: completed, error } = await supabase
+        .from('payment_refunds')
+        .update({
+          status: 'completed',
+          fiserv_refund_id: refund.fiserv_refund_id || fiservRefundId,
+          error_message: null,
+          completed_at: new Date().toISOString(),
+        })
+        .eq('id', refund.id)
+        .eq('status', refund.status)
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Failed to complete refund ${refund.id}: ${error.message}`);
+      }
+
+      refund = completed || refund;
+    }
+
+    return { refund, external: false };
+  }
+
+  if (amountMinor <= 0) {
+    throw new Error(`Refund webhook for payment ${payment.id} has no refundable amount`);
+  }
+
+  const { data: inserted, error } = await supabase
+    .from('payment_refunds')
+    .insert({
+      payment_id: payment.id,
+      user_id: payment.user_id,
+      ...amountColumns('amount', amountMinor, payment.currency),
+      currency: payment.currency,
+      reason: 'Refunded outside Kalypso (Fiserv webhook)',
+      source: 'fiserv',
+      status: 'completed',
+      fiserv_refund_id: fiservRefundId,
+      completed_at: new Date().toISOString(),
+    })
+    .select()
+    .single();
+
+  if (error) {
+    // The same refund recorded concurrently (unique fiserv_refund_id)
+    if (error.code === '23505' && fiservRefundId) {
+      const { data: existing } = await refundsOfPayment().eq('fiserv_refund_id', fiservRefundId).single();
+      return { refund: existing, external: false };
+    }
+    throw new Error(`Failed to record refund for payment ${payment.id}: ${error.message}`);
+  }
+
+  if (completedMinor + amountMinor > getCapturedAmountMinor(payment)) {
+    console.warn(`[Fiserv Webhook] Refunds on payment ${payment.id} exceed the captured amount`);
+  }
+
+  return { refund: inserted, external: true };
+}
+
+/**
+ * Apply a Fiserv webhook event to the matching payment
+ *
+ * Event types:
+ * - PAYMENT_AUTHORIZED - Charge authorized
+ * - PAYMENT_CAPTURED - Funds captured
+ * - PAYMENT_FAILED - Charge declined or errored
+ * - PAYMENT_VOIDED - Authorization voided
+ * - REFUND_COMPLETED - Full or partial refund settled
+ *
+ * Chargeback events are handled by disputeService.
+ *
+ * @param {Object} webhookData - Verified webhook body
+ * @param {string} fiservEventId - Unique event ID (for dedupe)
+ * @returns {Promise<Object>} { handled: boolean, reason?: string, payment? }
+ */
+async function handleFiservWebhookEvent(webhookData, fiservEventId) {
+  const { eventType, transactionId } = webhookData;
+
+  if (!transactionId) {
+    return { handled: false, reason: 'missing_transaction_id' };
+  }
+
+  if (await isFiservEventProcessed(fiservEventId)) {
+    return { handled: false, reason: 'duplicate' };
+  }
+
+  const payment = await getPaymentByFiservTransactionId(transactionId);
+
+  if (!payment) {
+    console.warn('[Fiserv Webhook] Payment not found for transaction:', transactionId);
+    return { handled: false, reason: 'payment_not_found' };
+  }
+
+  const transitionOptions = {
+    eventType,
+    source: 'webhook',
+    fiservEventId,
+    data: webhookData,
+  };
+
+  let notification;
+  let result;
+
+  switch (eventType) {
+    case 'PAYMENT_AUTHORIZED': {
+      result = await transitionPayment(payment, 'authorized', transitionOptions);
+      notification = {
+        type: 'info',
+        title: 'Payment Authorized',
+        message: `Your card payment of ${formatAmount(payment.amount, payment.currency)} has been authorized`,
+        priority: 'normal',
+      };
+      break;
+    }
+
+    case 'PAYMENT_CAPTURED': {
+      const capturedMinor = getEventAmountMinor(webhookData, payment.amount_minor, payment.currency);
+      result = await transitionPayment(payment, 'captured', {
+        ...transitionOptions,
+        updates: amountColumns('captured_amount', capturedMinor, payment.currency),
+      });
+      notification = {
+        type: 'success',
+        title: 'Payment Completed',
+        message: `Your card payment of ${formatAmount(fromMinorUnits(capturedMinor, payment.currency), payment.currency)} was successful`,
+        priority: 'normal',
+      };
+      break;
+    }
+
+    case 'PAYMENT_FAILED': {
+      const errorMessage = webhookData.errorMessage || webhookData.reason || 'Payment failed';
+      result = await transitionPayment(payment, 'failed', {
+        ...transitionOptions,
+        updates: {
+          error_code: webhookData.errorCode || null,
+          error_message: errorMessage,
+        },
+      });
+      notification = {
+        type: 'error',
+        title: 'Payment Failed',
+        message: `Your card payment of ${formatAmount(payment.amount, payment.currency)} failed: ${errorMessage}`,
+        priority: 'high',
+      };
+      break;
+    }
+
+    case 'PAYMENT_VOIDED': {
+      result = await transitionPayment(payment, 'voided', transitionOptions);
+      notification = {
+        type: 'info',
+        title: 'Payment Cancelled',
+        message: `The hold of ${formatAmount(payment.amount, payment.currency)} on your card has been released`,
+        priority: 'normal',
+      };
+      break;
+    }
+
+    case 'REFUND_COMPLETED': {
+      const { refund, external } = await resolveWebhookRefund(payment, webhookData);
+      const refundMinor = Number(refund.amount_minor);
+
+      result = await recordRefund(payment, refundMinor, {}, {
+        ...transitionOptions,
+        refundId: refund.id,
+      });
+
+      // Refunds made through Kalypso are notified by whoever issued them
+      notification = external && {
+        type: 'info',
+        title: 'Refund Completed',
+        message: `A refund of ${formatAmount(fromMinorUnits(refundMinor, payment.currency), payment.currency)} has been issued to your card`,
+        priority: 'normal',
+      };
+      break;
+    }
+
+    default:
+      console.log('[Fiserv Webhook] Unhandled event type:', eventType);
+      return { handled: false, reason: 'unhandled_event_type' };
+  }
+
+  if (!result.changed) {
+    return { handled: false, reason: 'status_unchanged', payment: result.payment };
+  }
+
+  await createAuditLog({
+    userId: payment.user_id,
+    eventType: 'payment_status_updated',
+    description: `Payment ${payment.status} -> ${result.payment.status} (${eventType})`,
+    data: {
+      paymentId: payment.id,
+      fiservTransactionId: transactionId,
+      fiservEventId,
+      fromStatus: payment.status,
+      toStatus: result.payment.status,
+    },
+  });
+
+  if (!notification) {
+    return { handled: true, payment: result.payment };
+  }
+
+  await createNotification(
+    payment.user_id,
+    notification.type,
+    notification.title,
+    notification.message,
+    {
+      paymentId: payment.id,
+      transactionId,
+      amount: payment.amount,
+      currency: payment.currency,
+      status: result.payment.status,
+    },
+    {
+      priority: notification.priority,
+      category: 'transaction',
+    }
+  );
+
+  return { handled: true, payment: result.payment };
+}
+
+module.exports = {
+  PAYMENT_STATUSES,
+  canTransition,
+  detectCardBrand,
+  createPayment,
+  recordChargeResult,
+  recordChargeError,
+  recordThreeDSResult,
+  recordRefund,
+  getCapturedAmountMinor,
+  getCompletedRefundTotalMinor,
+  capturePayment,
+  voidPayment,
+  getPayment,
+  getPaymentById,
+  listPayments,
+  getPaymentByFiservTransactionId,
+  transitionPayment,
+  handleFiservWebhookEvent,
+};
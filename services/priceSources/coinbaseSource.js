@@ -0,0 +1,72 @@
+// Coinbase Price Source
+// Live spot prices from the public Coinbase API (no API key required)
+
+const axios = require('axios');
+
+const COINBASE_API_URL = process.env.COINBASE_API_URL || 'https://api.coinbase.com/v2';
+
+/**
+ * Get the spot price of one unit of crypto in fiat
+ * @param {string} cryptoCurrency - e.g. 'ETH'
+ * @param {string} fiatCurrency - e.g. 'USD'
+ * @returns {Promise<number>} Price
+ */
+async function getPrice(cryptoCurrency, fiatCurrency = 'USD') {
+  const pair = `${cryptoCurrency.toUpperCase()}-${fiatCurrency.toUpperCase()}`;
+
+  try {
+    const response = await axios.get(`${COINBASE_API_URL}/prices/${pair}/spot`, {
+      timeout: 5000,
+    });
+
+    const price = parseFloat(response.data?.data?.amount);
+    if (!Number.isFinite(price) || price <= 0) {
+      throw new Error('invalid price in response');
+    }
+
+    return price;
+  } catch (error) {
+    const status = error.response?.status;
+    if (status === 404 || status === 400) {
+      throw new Error(`Unsupported currency pair: ${pair}`);
+    }
+    throw new Error(`Failed to fetch ${pair} price: ${error.message}`);
+  }
+}
+
+/**
+ * Get the exchange rate between two fiat currencies
+ * @param {string} fromCurrency - e.g. 'USD'
+ * @param {string} toCurrency - e.g. 'EUR'
+ * @returns {Promise<number>} Units of toCurrency per 1 fromCurrency
+ */
+async function getFxRate(fromCurrency, toCurrency) {
+  const pair = `${fromCurrency.toUpperCase()}-${toCurrency.toUpperCase()}`;
+
+  let response;
+  try {
+    response = await axios.get(`${COINBASE_API_URL}/exchange-rates`, {
+      params: { currency: fromCurrency.toUpperCase() },
+      timeout: 5000,
+    });
+  } catch (error) {
+    const status = error.response?.status;
+    if (status === 404 || status === 400) {
+      throw new Error(`Unsupported currency pair: ${pair}`);
+    }
+    throw new Error(`Failed to fetch ${pair} exchange rate: ${error.message}`);
+  }
+
+  const rate = parseFloat(response.data?.data?.rates?.[toCurrency.toUpperCase()]);
+  if (!Number.isFinite(rate) || rate <= 0) {
+    throw new Error(`Unsupported currency pair: ${pair}`);
+  }
+
+  return rate;
+}
+
+module.exports = {
+  name: 'coinbase',
+  getPrice,
+  getFxRate,
+};
@@ -0,0 +1,83 @@
+// Fixed-Rate Price Source
+// Local price source for development and tests - no network calls
+
+// Default prices in USD per unit of crypto
+const DEFAULT_RATES = {
+  USDC: 1,
+  USDT: 1,
+  PYUSD: 1,
+  ETH: 3000,
+  BTC: 60000,
+  SOL: 150,
+};
+
+// Default FX rates: units of fiat per 1 USD
+const DEFAULT_FX_RATES = {
+  USD: 1,
+  EUR: 0.92,
+  GBP: 0.79,
+  CAD: 1.36,
+  AUD: 1.52,
+  JPY: 150,
+};
+
+/**
+ * Load rates, allowing overrides via an env var holding JSON (e.g. FIXED_PRICE_RATES={"ETH": 2500})
+ */
+function loadRates(envVar, defaults) {
+  if (!process.env[envVar]) {
+    return defaults;
+  }
+
+  try {
+    return { ...defaults, ...JSON.parse(process.env[envVar]) };
+  } catch (error) {
+    console.error(`❌ Invalid ${envVar} - using default rates:`, error.message);
+    return defaults;
+  }
+}
+
+const rates = loadRates('FIXED_PRICE_RATES', DEFAULT_RATES);
+const fxRates = loadRates('FIXED_FX_RATES', DEFAULT_FX_RATES);
+
+/**
+ * Get the price of one unit of crypto in fiat
+ * @param {string} cryptoCurrency - e.g. 'USDC'
+ * @param {string} fiatCurrency - Only 'USD' is supported
+ * @returns {Promise<number>} Price
+ */
+async function getPrice(cryptoCurrency, fiatCurrency = 'USD') {
+  if (fiatCurrency.toUpperCase() !== 'USD') {
+    throw new Error(`Fixed price source only supports USD (got ${fiatCurrency})`);
+  }
+
+  const rate = rates[cryptoCurrency.toUpperCase()];
+  if (!rate) {
+    throw new Error(`Unsupported crypto currency: ${cryptoCurrency}`);
+  }
+
+  return rate;
+}
+
+/**
+ * Get the exchange rate between two fiat currencies
+ * @param {string} fromCurrency - e.g. 'USD'
+ * @param {string} toCurrency - e.g. 'EUR'
+ * @returns {Promise<number>} Units of toCurrency per 1 fromCurrency
+ */
+async function getFxRate(fromCurrency, toCurrency) {
+  const from = fxRates[fromCurrency.toUpperCase()];
+  const to = fxRates[toCurrency.toUpperCase()];
+
+  if (!from || !to) {
+    throw new Error(`Unsupported currency pair: ${fromCurrency.toUpperCase()}-${toCurrency.toUpperCase()}`);
+  }
+
+  return to / from;
+}
+
+module.exports = {
+  name: 'fixed',
+  getPrice,
+  getFxRate,
+};
@@ -0,0 +1,38 @@
+// Price Sources
+// Pluggable exchange-rate providers for quotes. Select with PRICE_SOURCE.
+//
+// Each source exports: {
+//   name: string,
+//   getPrice(cryptoCurrency, fiatCurrency) => Promise<number>,
+//   getFxRate(fromCurrency, toCurrency) => Promise<number>
+// }
+
+const fixedRateSource = require('./fixedRateSource');
+const coinbaseSource = require('./coinbaseSource');
+
+const PRICE_SOURCES = {
+  fixed: fixedRateSource,
+  coinbase: coinbaseSource,
+};
+
+/**
+ * Get the configured price source
+ * Defaults to the fixed-rate source outside production
+ * @returns {Object} Price source
+ */
+function getPriceSource() {
+  const defaultSource = process.env.NODE_ENV === 'production' ? 'coinbase' : 'fixed';
+  const name = process.env.PRICE_SOURCE || defaultSource;
+  const source = PRICE_SOURCES[name];
+
+  if (!source) {
+    throw new Error(`Unknown PRICE_SOURCE "${name}". Must be one of: ${Object.keys(PRICE_SOURCES).join(', ')}`);
+  }
+
+  return source;
+}
+
+module.exports = {
+  PRICE_SOURCES,
+  getPriceSource,
+};
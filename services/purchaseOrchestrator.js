@@ -0,0 +1,659 @@
+// Purchase Orchestrator
+// Drives a card-to-crypto purchase: card authorization -> Bridge transfer -> capture
+// If the crypto leg fails before the transfer is sent, the authorization is voided
+// (or the payment refunded if it was already captured)
+
+const bridgeClient = require('./bridgeClient');
+const { supabase, getUserById, createAuditLog, createNotification } = require('../config/supabase.config');
+const { capturePayment, voidPayment } = require('./paymentService');
+const { refundPayment } = require('./refundService');
+const { syncTransferToDatabase, updateTransferStatusInDatabase } = require('./transferService');
+const { fromMinorUnits, formatAmount } = require('../utils/currency');
+
+// Bridge wallet that holds the crypto inventory sold to users
+const TREASURY_WALLET_ID = process.env.BRIDGE_TREASURY_WALLET_ID;
+const PURCHASE_CHAIN = process.env.BRIDGE_PURCHASE_CHAIN || 'ethereum';
+
+// Bridge transfer states that end the crypto leg
+const SETTLED_TRANSFER_STATES = ['payment_processed', 'completed'];
+const FAILED_TRANSFER_STATES = ['error', 'failed', 'returned', 'refunded', 'canceled', 'cancelled', 'undeliverable'];
+
+/**
+ * Build a purchase error with an HTTP status
+ */
+function purchaseError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Conditionally move a purchase to a new status
+ * The update only applies if the purchase is still in one of the expected statuses,
+ * so duplicate webhooks and concurrent calls cannot run a step twice.
+ *
+ * @returns {Promise<Object|null>} Updated purchase, or null if it was not in an expected status
+ */
+async function updatePurchase(purchaseId, fromStatuses, updates) {
+  const { data, error } = await supabase
+    .from('crypto_purchases')
+    .update(updates)
+    .eq('id', purchaseId)
+    .in('status', fromStatuses)
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to update purchase ${purchaseId}: ${error.message}`);
+  }
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
+/**
+ * Notify the user about a purchase milestone
+ */
+async function notifyPurchase(purchase, type, title, message, priority = 'normal') {
+  await createNotification(
+    purchase.user_id,
+    type,
+    title,
+    message,
+    {
+      purchaseId: purchase.id,
+      paymentId: purchase.payment_id,
+      cryptoAmount: purchase.crypto_amount,
+      cryptoCurrency: purchase.crypto_currency,
+      status: purchase.status,
+    },
+    { priority, category: 'transaction' }
+  );
+}
+
+/**
+ * Load the payment behind a purchase
+ */
+async function loadPayment(paymentId) {
+  const { data: payment } = await supabase
+    .from('payments')
+    .select('*')
+    .eq('id', paymentId)
+    .single();
+
+  return payment;
+}
+
+/**
+ * Start the crypto leg for a successful card payment
+ * Safe to call more than once per payment - the purchase is keyed by payment_id.
+ *
+ * @param {Object} payment - Payment in authorized or captured status
+ * @returns {Promise<Object>} Purchase
+ */
+async function startPurchase(payment) {
+  if (!payment.crypto_amount || !payment.crypto_currency) {
+    throw new Error('Payment has no crypto target');
+  }
+
+  if (!['authorized', 'captured'].includes(payment.status)) {
+    throw new Error(`Cannot start purchase for payment in status ${payment.status}`);
+  }
+
+  const { data: created, error } = await supabase
+    .from('crypto_purchases')
+    .upsert({
+      user_id: payment.user_id,
+      payment_id: payment.id,
+      crypto_amount: payment.crypto_amount,
+      crypto_currency: payment.crypto_currency.toLowerCase(),
+      status: 'charged',
+    }, {
+      onConflict: 'payment_id',
+      ignoreDuplicates: true,
+    })
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to create purchase: ${error.message}`);
+  }
+
+  if (!created || created.length === 0) {
+    // Purchase already started for this payment
+    const { data: existing } = await supabase
+      .from('crypto_purchases')
+      .select('*')
+      .eq('payment_id', payment.id)
+      .single();
+    return existing;
+  }
+
+  const purchase = created[0];
+
+  console.log(`📝 Purchase ${purchase.id} started for payment ${payment.id}`);
+
+  await notifyPurchase(
+    purchase,
+    'success',
+    'Payment Received',
+    `Your payment of ${formatAmount(payment.amount, payment.currency)} has been authorized. Your ${purchase.crypto_amount} ${purchase.crypto_currency.toUpperCase()} is being prepared.`
+  );
+
+  return submitCryptoTransfer(purchase, payment);
+}
+
+/**
+ * Bridge errors are thrown with a JSON message ({ status, message, ... }) by bridgeClient
+ * @returns {number|undefined} HTTP status, if Bridge answered
+ */
+function getBridgeErrorStatus(error) {
+  try {
+    return JSON.parse(error.message).status;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Whether Bridge answered that it did not create the transfer
+ * Timeouts, network errors, 5xx, 408/409 (in-flight request) and 429 leave the result unknown.
+ */
+function isTransferRejected(error) {
+  const status = getBridgeErrorStatus(error);
+  return status >= 400 && status < 500 && ![408, 409, 429].includes(status);
+}
+
+/**
+ * Build the Bridge transfer for a purchase: treasury wallet -> the user's Bridge wallet
+ * @returns {Promise<Object>} { transferData, walletId }
+ */
+async function buildPurchaseTransfer(purchase) {
+  if (!TREASURY_WALLET_ID) {
+    throw new Error('BRIDGE_TREASURY_WALLET_ID is not configured');
+  }
+
+  const user = await getUserById(purchase.user_id);
+
+  // Oldest active user wallet, so the choice is stable if a user ever has more than one
+  const { data: wallet } = await supabase
+    .from('bridge_wallets')
+    .select('bridge_wallet_id')
+    .eq('user_id', purchase.user_id)
+    .eq('wallet_type', 'user')
+    .eq('status', 'active')
+    .order('created_at', { ascending: true })
+    .limit(1)
+    .maybeSingle();
+
+  if (!wallet) {
+    throw new Error('User has no active Bridge wallet');
+  }
+
+  return {
+    walletId: wallet.bridge_wallet_id,
+    transferData: {
+      amount: purchase.crypto_amount.toString(),
+      on_behalf_of: user.bridge_customer_id,
+      client_reference_id: `purchase-${purchase.id}`,
+      source: {
+        payment_rail: PURCHASE_CHAIN,
+        currency: purchase.crypto_currency,
+        from_bridge_wallet_id: TREASURY_WALLET_ID,
+      },
+      destination: {
+        payment_rail: PURCHASE_CHAIN,
+        currency: purchase.crypto_currency,
+        to_bridge_wallet_id: wallet.bridge_wallet_id,
+      },
+    },
+  };
+}
+
+/**
+ * Send the purchased crypto from the treasury wallet to the user's Bridge wallet
+ *
+ * The card payment is only released if the transfer is known not to have been sent
+ * (it could not be built, or Bridge rejected it). Once Bridge may have accepted it,
+ * the purchase waits in transfer_submitted or transfer_unknown for the Bridge webhook
+ * (or retryPurchaseTransfer) to settle it.
+ *
+ * @param {Object} purchase - Purchase in charged (or transfer_unknown) status
+ * @param {Object} payment - Related payment
+ * @returns {Promise<Object>} Updated purchase
+ */
+async function submitCryptoTransfer(purchase, payment) {
+  let transferData;
+  let walletId;
+
+  try {
+    ({ transferData, walletId } = await buildPurchaseTransfer(purchase));
+  } catch (error) {
+    console.error(`❌ Purchase ${purchase.id} transfer failed:`, error.message);
+    return compensatePurchase(purchase, payment, error.message);
+  }
+
+  let bridgeTransfer;
+  try {
+    // Keyed by purchase so a retried submission never sends the crypto twice
+    bridgeTransfer = await bridgeClient.post('/transfers', transferData, {
+      headers: { 'Idempotency-Key': `purchase-${purchase.id}` },
+    });
+  } catch (error) {
+    if (isTransferRejected(error)) {
+      console.error(`❌ Purchase ${purchase.id} transfer rejected:`, error.message);
+      return compensatePurchase(purchase, payment, error.message);
+    }
+
+    return markTransferUnknown(purchase, walletId, error.message);
+  }
+
+  return recordSubmittedTransfer(purchase, walletId, bridgeTransfer);
+}
+
+/**
+ * Park a purchase whose Bridge transfer may or may not have been created
+ * The card payment stays held; the Bridge webhook or a retry resolves it.
+ */
+async function markTransferUnknown(purchase, walletId, message) {
+  console.warn(`⚠️  Purchase ${purchase.id} transfer result unknown:`, message);
+
+  try {
+    const updated = await updatePurchase(purchase.id, ['charged', 'transfer_unknown'], {
+      status: 'transfer_unknown',
+      destination_bridge_wallet_id: walletId,
+      transfer_error: message,
+    });
+
+    await createAuditLog({
+      userId: purchase.user_id,
+      eventType: 'crypto_purchase_transfer_unknown',
+      description: `Bridge transfer result unknown, card payment held: ${message}`,
+      data: {
+        purchaseId: purchase.id,
+        paymentId: purchase.payment_id,
+        error: message,
+      },
+    });
+
+    return updated || purchase;
+  } catch (error) {
+    console.error(`❌ Purchase ${purchase.id} could not be marked transfer_unknown:`, error.message);
+    return purchase;
+  }
+}
+
+/**
+ * Store the Bridge transfer on the purchase and carry on
+ * Nothing here may release the card payment: the crypto has been sent.
+ */
+async function recordSubmittedTransfer(purchase, walletId, bridgeTransfer) {
+  let updated;
+
+  try {
+    updated = await updatePurchase(purchase.id, ['charged', 'transfer_unknown'], {
+      status: 'transfer_submitted',
+      destination_bridge_wallet_id: walletId,
+      bridge_transfer_id: bridgeTransfer.id,
+      transfer_error: null,
+      transfer_submitted_at: new Date().toISOString(),
+    });
+  } catch (error) {
+    // The webhook finds the purchase through client_reference_id
+    console.error(`❌ Purchase ${purchase.id} could not store Bridge transfer ${bridgeTransfer.id}:`, error.message);
+    return markTransferUnknown(purchase, walletId, `Transfer ${bridgeTransfer.id} submitted but not recorded: ${error.message}`);
+  }
+
+  if (!updated) {
+    return purchase;
+  }
+
+  console.log(`✅ Purchase ${purchase.id} transfer submitted: ${bridgeTransfer.id}`);
+
+  try {
+    await syncTransferToDatabase(bridgeTransfer, purchase.user_id, 'internal', {
+      description: `Crypto purchase ${purchase.id}`,
+    });
+
+    await notifyPurchase(
+      updated,
+      'info',
+      'Crypto On Its Way',
+      `Your ${updated.crypto_amount} ${updated.crypto_currency.toUpperCase()} is being sent to your wallet.`
+    );
+  } catch (error) {
+    console.error(`❌ Purchase ${purchase.id} post-submission step failed:`, error.message);
+  }
+
+  if (SETTLED_TRANSFER_STATES.includes(bridgeTransfer.state)) {
+    return settlePurchase(updated, bridgeTransfer);
+  }
+
+  return updated;
+}
+
+/**
+ * Resubmit the transfer of a purchase stuck in transfer_unknown
+ * Uses the same idempotency key, so Bridge returns the original transfer if it was created.
+ *
+ * @param {string} purchaseId - Purchase ID
+ * @returns {Promise<Object>} Updated purchase
+ */
+async function retryPurchaseTransfer(purchaseId) {
+  const { data: purchase } = await supabase
+    .from('crypto_purchases')
+    .select('*')
+    .eq('id', purchaseId)
+    .single();
+
+  if (!purchase) {
+    throw purchaseError('Purchase not found', 404);
+  }
+
+  if (purchase.status !== 'transfer_unknown') {
+    throw purchaseError(`Purchase transfer cannot be retried (status: ${purchase.status})`, 409);
+  }
+
+  return submitCryptoTransfer(purchase, await loadPayment(purchase.payment_id));
+}
+
+/**
+ * Mark a purchase settled once Bridge has delivered the crypto, then capture the card payment
+ * If the capture fails the purchase moves to capture_failed for manual review.
+ *
+ * @param {Object} purchase - Purchase in transfer_submitted status
+ * @param {Object} bridgeTransfer - Bridge transfer object
+ * @returns {Promise<Object>} Updated purchase
+ */
+async function settlePurchase(purchase, bridgeTransfer) {
+  // Claim the settlement first so duplicate webhooks never capture twice
+  const settled = await updatePurchase(purchase.id, ['transfer_submitted'], {
+    status: 'settled',
+    settled_at: new Date().toISOString(),
+  });
+
+  if (!settled) {
+    return purchase;
+  }
+
+  const payment = await loadPayment(purchase.payment_id);
+  let updated = settled;
+
+  try {
+    if (payment.status === 'authorized') {
+      await capturePayment(payment, null, { source: 'system' });
+    }
+
+    updated = await updatePurchase(purchase.id, ['settled'], {
+      captured_at: new Date().toISOString(),
+    }) || settled;
+  } catch (captureError) {
+    console.error(`❌ Purchase ${purchase.id} capture failed:`, captureError.message);
+
+    updated = await updatePurchase(purchase.id, ['settled'], {
+      status: 'capture_failed',
+      capture_error: captureError.message,
+    }) || settled;
+
+    await createAuditLog({
+      userId: purchase.user_id,
+      eventType: 'crypto_purchase_capture_failed',
+      description: `Crypto delivered but card capture failed: ${captureError.message}`,
+      data: {
+        purchaseId: purchase.id,
+        paymentId: purchase.payment_id,
+        bridgeTransferId: bridgeTransfer.id,
+        error: captureError.message,
+      },
+    });
+  }
+
+  console.log(`✅ Purchase ${purchase.id} settled`);
+
+  await createAuditLog({
+    userId: purchase.user_id,
+    eventType: 'crypto_purchase_settled',
+    description: `Crypto purchase settled: ${purchase.crypto_amount} ${purchase.crypto_currency}`,
+    data: {
+      purchaseId: purchase.id,
+      paymentId: purchase.payment_id,
+      bridgeTransferId: bridgeTransfer.id,
+    },
+  });
+
+  await notifyPurchase(
+    updated,
+    'success',
+    'Crypto Delivered',
+    `${updated.crypto_amount} ${updated.crypto_currency.toUpperCase()} has arrived in your wallet.`
+  );
+
+  return updated;
+}
+
+/**
+ * Release the card payment after the crypto leg failed
+ * An authorization is voided; a payment that was already captured is refunded.
+ * If that fails the purchase is left in compensation_failed for manual review.
+ *
+ * @param {Object} purchase - Purchase in charged, transfer_unknown or transfer_submitted status
+ * @param {Object|null} payment - Related payment (loaded if not provided)
+ * @param {string} reason - Why the crypto leg failed
+ * @returns {Promise<Object>} Updated purchase
+ */
+async function compensatePurchase(purchase, payment, reason) {
+  const compensating = await updatePurchase(purchase.id, ['charged', 'transfer_unknown', 'transfer_submitted'], {
+    status: 'compensating',
+    failure_reason: reason,
+  });
+
+  if (!compensating) {
+    return purchase;
+  }
+
+  if (!payment) {
+    payment = await loadPayment(purchase.payment_id);
+  }
+
+  try {
+    let amount = payment.captured_amount || payment.amount;
+    let method;
+    let transactionId;
+
+    if (payment.status === 'authorized') {
+      method = 'void';
+      ({ transactionId } = await voidPayment(payment, { reason, source: 'system' }));
+    } else {
+      method = 'refund';
+
+      // Refund whatever has not already been refunded
+      const capturedMinor = Number(payment.captured_amount_minor) || Number(payment.amount_minor);
+      amount = fromMinorUnits(capturedMinor - Number(payment.refunded_amount_minor || 0), payment.currency);
+
+      const { refund } = await refundPayment(payment, amount, {
+        reason: `Crypto purchase failed: ${reason}`,
+        source: 'system',
+      });
+      transactionId = refund.fiserv_refund_id;
+    }
+
+    const compensated = await updatePurchase(purchase.id, ['compensating'], {
+      status: method === 'void' ? 'voided' : 'refunded',
+      refund_transaction_id: transactionId,
+      compensated_at: new Date().toISOString(),
+    });
+
+    console.log(`✅ Purchase ${purchase.id} compensated with ${method} ${transactionId}`);
+
+    await createAuditLog({
+      userId: purchase.user_id,
+      eventType: method === 'void' ? 'crypto_purchase_voided' : 'crypto_purchase_refunded',
+      description: `Crypto purchase failed and card payment was ${method === 'void' ? 'voided' : 'refunded'}: ${reason}`,
+      data: {
+        purchaseId: purchase.id,
+        paymentId: payment.id,
+        amount,
+        method,
+        transactionId,
+        reason,
+      },
+    });
+
+    await notifyPurchase(
+      compensated,
+      'warning',
+      method === 'void' ? 'Purchase Cancelled' : 'Purchase Refunded',
+      method === 'void'
+        ? `We couldn't deliver your ${purchase.crypto_amount} ${purchase.crypto_currency.toUpperCase()}, so the hold of ${formatAmount(amount, payment.currency)} on your card has been released.`
+        : `We couldn't deliver your ${purchase.crypto_amount} ${purchase.crypto_currency.toUpperCase()}, so your payment of ${formatAmount(amount, payment.currency)} has been refunded to your card.`,
+      'high'
+    );
+
+    return compensated;
+  } catch (compensationError) {
+    console.error(`❌ Purchase ${purchase.id} compensation failed:`, compensationError.message);
+
+    const failed = await updatePurchase(purchase.id, ['compensating'], {
+      status: 'compensation_failed',
+      compensation_error: compensationError.message,
+    });
+
+    await createAuditLog({
+      userId: purchase.user_id,
+      eventType: 'crypto_purchase_compensation_failed',
+      description: `Releasing the card payment after a failed crypto purchase did not complete: ${compensationError.message}`,
+      data: {
+        purchaseId: purchase.id,
+        paymentId: purchase.payment_id,
+        reason,
+        error: compensationError.message,
+      },
+    });
+
+    await notifyPurchase(
+      failed || compensating,
+      'error',
+      'Purchase Issue',
+      'We could not complete your crypto purchase. Our team has been alerted and will release your payment.',
+      'urgent'
+    );
+
+    return failed || compensating;
+  }
+}
+
+/**
+ * Resolve a purchase after an admin captured or voided its payment manually
+ * Clears capture_failed / compensation_failed once the payment is in the expected state.
+ *
+ * @param {Object} payment - Payment after the manual capture or void
+ * @param {string|null} transactionId - Fiserv transaction ID of the capture or void
+ * @returns {Promise<Object|null>} Updated purchase, or null if nothing changed
+ */
+async function resolvePurchaseForPayment(payment, transactionId = null) {
+  const { data: purchase } = await supabase
+    .from('crypto_purchases')
+    .select('id')
+    .eq('payment_id', payment.id)
+    .single();
+
+  if (!purchase) {
+    return null;
+  }
+
+  if (payment.status === 'captured') {
+    return updatePurchase(purchase.id, ['capture_failed'], {
+      status: 'settled',
+      capture_error: null,
+      captured_at: new Date().toISOString(),
+    });
+  }
+
+  if (payment.status === 'voided') {
+    return updatePurchase(purchase.id, ['compensation_failed'], {
+      status: 'voided',
+      refund_transaction_id: transactionId,
+      compensated_at: new Date().toISOString(),
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Handle a Bridge transfer.updated event for a purchase transfer
+ * Called from the Bridge webhook worker
+ *
+ * @param {Object} bridgeTransfer - Bridge transfer object from the event
+ * @returns {Promise<boolean>} True if the transfer belongs to a purchase
+ */
+async function handlePurchaseTransferUpdate(bridgeTransfer) {
+  let { data: purchase } = await supabase
+    .from('crypto_purchases')
+    .select('*')
+    .eq('bridge_transfer_id', bridgeTransfer.id)
+    .single();
+
+  // A transfer whose submission result was never recorded
+  const reference = /^purchase-(.+)$/.exec(bridgeTransfer.client_reference_id || '');
+  if (!purchase && reference) {
+    const { data: pending } = await supabase
+      .from('crypto_purchases')
+      .select('*')
+      .eq('id', reference[1])
+      .in('status', ['charged', 'transfer_unknown'])
+      .single();
+
+    if (pending) {
+      purchase = await updatePurchase(pending.id, ['charged', 'transfer_unknown'], {
+        status: 'transfer_submitted',
+        bridge_transfer_id: bridgeTransfer.id,
+        transfer_error: null,
+        transfer_submitted_at: new Date().toISOString(),
+      });
+
+      if (purchase) {
+        await syncTransferToDatabase(bridgeTransfer, purchase.user_id, 'internal', {
+          description: `Crypto purchase ${purchase.id}`,
+        });
+      }
+    }
+  }
+
+  if (!purchase) {
+    return false;
+  }
+
+  await updateTransferStatusInDatabase(bridgeTransfer.id, bridgeTransfer);
+
+  if (SETTLED_TRANSFER_STATES.includes(bridgeTransfer.state)) {
+    await settlePurchase(purchase, bridgeTransfer);
+  } else if (FAILED_TRANSFER_STATES.includes(bridgeTransfer.state)) {
+    await compensatePurchase(purchase, null, `Bridge transfer ${bridgeTransfer.state}`);
+  }
+
+  return true;
+}
+
+/**
+ * Get a user's purchase by payment ID
+ * @param {string} userId - Kalypso user ID
+ * @param {string} paymentId - Payment ID
+ * @returns {Promise<Object|null>} Purchase
+ */
+async function getPurchaseByPaymentId(userId, paymentId) {
+  const { data: purchase } = await supabase
+    .from('crypto_purchases')
+    .select('*')
+    .eq('payment_id', paymentId)
+    .eq('user_id', userId)
+    .single();
+
+  return purchase || null;
+}
+
+module.exports = {
+  startPurchase,
+  compensatePurchase,
+  retryPurchaseTransfer,
+  resolvePurchaseForPayment,
+  handlePurchaseTransferUpdate,
+  getPurchaseByPaymentId,
+};
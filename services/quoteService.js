@@ -0,0 +1,267 @@
+// Quote Service
+// Locked-rate fiat-to-crypto quotes with signed, single-use quote IDs
+
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase.config');
+const fiservConfig = require('../config/fiserv.config');
+const { getPriceSource } = require('./priceSources');
+const { assertSupportedCurrency, toMinorUnits, fromMinorUnits, formatAmount } = require('../utils/currency');
+
+const QUOTE_TTL_SECONDS = parseInt(process.env.QUOTE_TTL_SECONDS || '60');
+const QUOTE_FEE_PERCENT = parseFloat(process.env.QUOTE_FEE_PERCENT || '1.5');
+const QUOTE_SIGNING_SECRET = process.env.QUOTE_SIGNING_SECRET;
+
+// Purchase limits in USD; other currencies are converted at the quote's FX rate
+const MIN_FIAT_AMOUNT = 1;
+const MAX_FIAT_AMOUNT = 10000;
+
+if (!QUOTE_SIGNING_SECRET) {
+  console.warn('⚠️  QUOTE_SIGNING_SECRET not set - quotes cannot be created');
+}
+
+/**
+ * Build a quote error with an HTTP status
+ */
+function quoteError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Sign a quote record ID
+ * @returns {string} Signed quote ID: <id>.<signature>
+ */
+function signQuoteId(id) {
+  const signature = crypto
+    .createHmac('sha256', QUOTE_SIGNING_SECRET)
+    .update(`quote:${id}`)
+    .digest('base64url');
+
+  return `${id}.${signature}`;
+}
+
+/**
+ * Verify a signed quote ID and return the record ID
+ * @param {string} signedQuoteId - Quote ID from the client
+ * @returns {string|null} Record ID, or null if the signature is invalid
+ */
+function verifyQuoteId(signedQuoteId) {
+  if (!QUOTE_SIGNING_SECRET || typeof signedQuoteId !== 'string') {
+    return null;
+  }
+
+  const [id, signature] = signedQuoteId.split('.');
+  if (!id || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(signQuoteId(id));
+  const received = Buffer.from(signedQuoteId);
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  return id;
+}
+
+/**
+ * Format a quote record for API responses
+ */
+function formatQuote(quote) {
+  return {
+    quoteId: signQuoteId(quote.id),
+    fiatAmount: parseFloat(quote.fiat_amount),
+    fiatCurrency: quote.fiat_currency,
+    cryptoAmount: parseFloat(quote.crypto_amount),
+    cryptoCurrency: quote.crypto_currency,
+    rate: parseFloat(quote.rate),
+    fxRate: quote.fx_rate !== null && quote.fx_rate !== undefined ? parseFloat(quote.fx_rate) : null,
+    fees: {
+      percent: parseFloat(quote.fee_percent),
+      amount: parseFloat(quote.fee_amount),
+    },
+    status: quote.status,
+    expiresAt: quote.expires_at,
+  };
+}
+
+/**
+ * Get the crypto price in USD and the USD -> fiat exchange rate
+ * Crypto is always priced in USD and converted, so every fiat currency uses the same
+ * market price and the FX rate applied is recorded on the quote.
+ * @returns {Promise<Object>} { usdPrice, fxRate }
+ */
+async function getQuoteRates(priceSource, cryptoCurrency, fiatCurrency) {
+  try {
+    const usdPrice = await priceSource.getPrice(cryptoCurrency, 'USD');
+    const fxRate = fiatCurrency === 'USD' ? 1 : await priceSource.getFxRate('USD', fiatCurrency);
+    return { usdPrice, fxRate };
+  } catch (error) {
+    throw quoteError(error.message, /Unsupported/.test(error.message) ? 400 : 502);
+  }
+}
+
+/**
+ * Create a quote for buying crypto with fiat
+ * The fiat amount and fee are rounded to the currency's minor units (no decimals for JPY).
+ *
+ * @param {string} userId - Kalypso user ID
+ * @param {Object} params - { fiatAmount, fiatCurrency, cryptoCurrency }
+ * @returns {Promise<Object>} Formatted quote
+ */
+async function createQuote(userId, params) {
+  const { fiatAmount, fiatCurrency = 'USD', cryptoCurrency } = params;
+
+  if (!QUOTE_SIGNING_SECRET) {
+    throw quoteError('Quotes are not configured', 503);
+  }
+
+  const currency = assertSupportedCurrency(fiatCurrency, fiservConfig.supportedCurrencies);
+  const amountMinor = toMinorUnits(fiatAmount, currency);
+  const amount = fromMinorUnits(amountMinor, currency);
+
+  if (typeof cryptoCurrency !== 'string' || !cryptoCurrency.trim()) {
+    throw quoteError('cryptoCurrency is required');
+  }
+
+  const priceSource = getPriceSource();
+  const { usdPrice, fxRate } = await getQuoteRates(priceSource, cryptoCurrency, currency);
+
+  const amountUsd = amount / fxRate;
+  if (amountUsd < MIN_FIAT_AMOUNT || amountUsd > MAX_FIAT_AMOUNT) {
+    throw quoteError(
+      `fiatAmount must be between ${formatAmount(MIN_FIAT_AMOUNT * fxRate, currency)} and ${formatAmount(MAX_FIAT_AMOUNT * fxRate, currency)}`
+    );
+  }
+
+  const rate = Math.round(usdPrice * fxRate * 1e8) / 1e8;
+  const feeMinor = Math.round(amountMinor * QUOTE_FEE_PERCENT / 100);
+  const feeAmount = fromMinorUnits(feeMinor, currency);
+  const cryptoAmount = Math.floor((fromMinorUnits(amountMinor - feeMinor, currency) / rate) * 1e8) / 1e8;
+
+  const { data: quote, error } = await supabase
+    .from('quotes')
+    .insert({
+      user_id: userId,
+      fiat_amount: amount,
+      fiat_amount_minor: amountMinor,
+      fiat_currency: currency,
+      crypto_amount: cryptoAmount,
+      crypto_currency: cryptoCurrency.toUpperCase(),
+      rate,
+      fx_rate: fxRate,
+      fee_amount: feeAmount,
+      fee_amount_minor: feeMinor,
+      fee_percent: QUOTE_FEE_PERCENT,
+      price_source: priceSource.name,
+      expires_at: new Date(Date.now() + QUOTE_TTL_SECONDS * 1000).toISOString(),
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create quote: ${error.message}`);
+  }
+
+  console.log(`✅ Quote ${quote.id}: ${formatAmount(amount, currency)} -> ${cryptoAmount} ${quote.crypto_currency} @ ${rate}${fxRate !== 1 ? ` (USD/${currency} ${fxRate})` : ''}`);
+
+  return formatQuote(quote);
+}
+
+/**
+ * Load an active quote for a user, checking signature, ownership, expiry and use
+ * @param {string} userId - Kalypso user ID
+ * @param {string} signedQuoteId - Quote ID from the client
+ * @returns {Promise<Object>} Quote record
+ */
+async function getUsableQuote(userId, signedQuoteId) {
+  const id = verifyQuoteId(signedQuoteId);
+  if (!id) {
+    throw quoteError('Invalid quote');
+  }
+
+  const { data: quote } = await supabase
+    .from('quotes')
+    .select('*')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .single();
+
+  if (!quote) {
+    throw quoteError('Invalid quote');
+  }
+  if (quote.status !== 'active') {
+    throw quoteError('Quote has already been used', 409);
+  }
+  if (new Date(quote.expires_at).getTime() <= Date.now()) {
+    throw quoteError('Quote has expired. Please request a new quote', 410);
+  }
+
+  return quote;
+}
+
+/**
+ * Mark a quote as used
+ * Conditional on the quote still being active and unexpired, so a quote can only be consumed once
+ *
+ * @param {string} quoteId - Quote record ID
+ * @returns {Promise<Object>} Used quote
+ */
+async function consumeQuote(quoteId) {
+  const { data, error } = await supabase
+    .from('quotes')
+    .update({
+      status: 'used',
+      used_at: new Date().toISOString(),
+    })
+    .eq('id', quoteId)
+    .eq('status', 'active')
+    .gt('expires_at', new Date().toISOString())
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to use quote: ${error.message}`);
+  }
+
+  if (!data || data.length === 0) {
+    throw quoteError('Quote is no longer available', 409);
+  }
+
+  return data[0];
+}
+
+/**
+ * Get a user's quote by its signed ID
+ * @param {string} userId - Kalypso user ID
+ * @param {string} signedQuoteId - Quote ID from the client
+ * @returns {Promise<Object>} Formatted quote
+ */
+async function getQuote(userId, signedQuoteId) {
+  const id = verifyQuoteId(signedQuoteId);
+  if (!id) {
+    throw quoteError('Quote not found', 404);
+  }
+
+  const { data: quote } = await supabase
+    .from('quotes')
+    .select('*')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .single();
+
+  if (!quote) {
+    throw quoteError('Quote not found', 404);
+  }
+
+  return formatQuote(quote);
+}
+
+module.exports = {
+  createQuote,
+  getQuote,
+  getUsableQuote,
+  consumeQuote,
+  verifyQuoteId,
+};
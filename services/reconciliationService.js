@@ -0,0 +1,679 @@
+// Reconciliation Service
+// Matches imported settlement lines to captured payments and completed refunds by
+// Fiserv transaction ID and amount, and records the mismatches for finance
+
+const { supabase, createAuditLog } = require('../config/supabase.config');
+const { FILE_TYPES } = require('./settlementService');
+const { toMinorUnits, fromMinorUnits } = require('../utils/currency');
+
+const EXCEPTION_TYPES = ['missing_locally', 'missing_in_settlement', 'amount_mismatch'];
+const MAX_PERIOD_DAYS = 31;
+const PAGE_SIZE = 1000;
+const ID_CHUNK_SIZE = 200;
+
+const PAYMENT_COLUMNS = 'id, user_id, fiserv_transaction_id, fiserv_order_id, merchant_order_id, captured_amount, captured_amount_minor, currency, captured_at, status';
+const REFUND_COLUMNS = 'id, payment_id, user_id, amount, amount_minor, currency, fiserv_refund_id, completed_at, status';
+
+function reconciliationError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00.000Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+/**
+ * Read every row of a query, PAGE_SIZE at a time
+ * @param {Function} buildQuery - Returns a fresh query for each page
+ */
+async function fetchAll(buildQuery, label) {
+  const rows = [];
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to load ${label}: ${error.message}`);
+    }
+
+    rows.push(...(data || []));
+
+    if (!data || data.length < PAGE_SIZE) {
+      return rows;
+    }
+  }
+}
+
+/**
+ * Load rows whose column is in a (possibly long) list of values
+ */
+async function fetchByValues(table, columns, column, values, label, filter = (query) => query) {
+  const unique = [...new Set(values.filter(Boolean))];
+  const rows = [];
+
+  for (let i = 0; i < unique.length; i += ID_CHUNK_SIZE) {
+    const chunk = unique.slice(i, i + ID_CHUNK_SIZE);
+    rows.push(...await fetchAll(() => filter(supabase.from(table).select(columns).in(column, chunk)), label));
+  }
+
+  return rows;
+}
+
+/**
+ * Load everything a run compares: settlement lines in the period, local captures and
+ * refunds in the period, and the counterpart of each (whatever its date)
+ */
+async function loadReconciliationData(fileType, periodStart, periodEnd) {
+  const periodEndExclusive = `${addDays(periodEnd, 1)}T00:00:00.000Z`;
+  const periodStartTimestamp = `${periodStart}T00:00:00.000Z`;
+
+  const periodLines = await fetchAll(() => supabase
+    .from('settlement_lines')
+    .select('*')
+    .eq('file_type', fileType)
+    .in('transaction_type', ['capture', 'refund'])
+    .gte('settlement_date', periodStart)
+    .lte('settlement_date', periodEnd)
+    .order('id'), 'settlement lines');
+
+  const periodPayments = await fetchAll(() => supabase
+    .from('payments')
+    .select(PAYMENT_COLUMNS)
+    .gte('captured_at', periodStartTimestamp)
+    .lt('captured_at', periodEndExclusive)
+    .gt('captured_amount', 0)
+    .order('id'), 'captured payments');
+
+  const periodRefunds = await fetchAll(() => supabase
+    .from('payment_refunds')
+    .select(REFUND_COLUMNS)
+    .eq('status', 'completed')
+    .gte('completed_at', periodStartTimestamp)
+    .lt('completed_at', periodEndExclusive)
+    .order('id'), 'completed refunds');
+
+  // Counterparts outside the period: payments and refunds named by the lines...
+  const lineTransactionIds = periodLines.map(line => line.fiserv_transaction_id);
+  const [paymentsByTransaction, paymentsByOrder, paymentsByReference, refundsByTransaction] = await Promise.all([
+    fetchByValues('payments', PAYMENT_COLUMNS, 'fiserv_transaction_id', lineTransactionIds, 'payments'),
+    fetchByValues('payments', PAYMENT_COLUMNS, 'fiserv_order_id', periodLines.map(line => line.order_id), 'payments'),
+    fetchByValues('payments', PAYMENT_COLUMNS, 'fiserv_transaction_id', periodLines.map(line => line.reference_transaction_id), 'payments'),
+    fetchByValues('payment_refunds', REFUND_COLUMNS, 'fiserv_refund_id', lineTransactionIds, 'refunds', query => query.eq('status', 'completed')),
+  ]);
+
+  // ...refunds of the charges that refund lines point back to...
+  const refundsOfReferencedPayments = await fetchByValues(
+    'payment_refunds', REFUND_COLUMNS, 'payment_id', paymentsByReference.map(payment => payment.id), 'refunds',
+    query => query.eq('status', 'completed')
+  );
+
+  // ...and lines (of any date) for the local records in the period
+  const [linesForPayments, linesForRefunds] = await Promise.all([
+    fetchByValues('settlement_lines', '*', 'fiserv_transaction_id', periodPayments.map(payment => payment.fiserv_transaction_id), 'settlement lines',
+      query => query.eq('file_type', fileType).eq('transaction_type', 'capture')),
+    fetchByValues('settlement_lines', '*', 'fiserv_transaction_id', periodRefunds.map(refund => refund.fiserv_refund_id), 'settlement lines',
+      query => query.eq('file_type', fileType).eq('transaction_type', 'refund')),
+  ]);
+
+  const byId = (rows) => new Map(rows.map(row => [row.id, row]));
+
+  return {
+    lines: [...byId([...periodLines, ...linesForPayments, ...linesForRefunds]).values()],
+    periodLineIds: new Set(periodLines.map(line => line.id)),
+    payments: byId([...periodPayments, ...paymentsByTransaction, ...paymentsByOrder, ...paymentsByReference]),
+    refunds: byId([...periodRefunds, ...refundsByTransaction, ...refundsOfReferencedPayments]),
+    periodPayments,
+    periodRefunds,
+  };
+}
+
+/**
+ * Group settlement lines under the payment (captures) or refund they settle
+ * @returns {Object} { captureGroups, refundGroups, unmatchedLines }
+ */
+function matchLines(lines, payments, refunds) {
+  const paymentByTransaction = new Map();
+  const paymentByOrder = new Map();
+  for (const payment of payments.values()) {
+    if (payment.fiserv_transaction_id) paymentByTransaction.set(payment.fiserv_transaction_id, payment);
+    if (payment.fiserv_order_id) paymentByOrder.set(payment.fiserv_order_id, payment);
+    if (payment.merchant_order_id) paymentByOrder.set(payment.merchant_order_id, payment);
+  }
+
+  const refundByFiservId = new Map();
+  const refundsByPayment = new Map();
+  for (const refund of refunds.values()) {
+    if (refund.fiserv_refund_id) refundByFiservId.set(refund.fiserv_refund_id, refund);
+    refundsByPayment.set(refund.payment_id, [...(refundsByPayment.get(refund.payment_id) || []), refund]);
+  }
+
+  const captureGroups = new Map(); // paymentId -> { payment, lines }
+  const refundGroups = new Map(); // refundId -> { refund, lines }
+  const unmatchedLines = [];
+
+  const addTo = (groups, id, record, key, line) => {
+    const group = groups.get(id) || { [key]: record, lines: [] };
+    group.lines.push(line);
+    groups.set(id, group);
+  };
+
+  for (const line of lines) {
+    if (line.transaction_type === 'capture') {
+      const payment = paymentByTransaction.get(line.fiserv_transaction_id) || paymentByOrder.get(line.order_id);
+      if (payment) {
+        addTo(captureGroups, payment.id, payment, 'payment', line);
+      } else {
+        unmatchedLines.push(line);
+      }
+      continue;
+    }
+
+    let refund = refundByFiservId.get(line.fiserv_transaction_id);
+
+    // Reports without our refund ID: match a same-amount refund of the original charge
+    if (!refund && line.reference_transaction_id) {
+      const payment = paymentByTransaction.get(line.reference_transaction_id);
+      refund = (refundsByPayment.get(payment?.id) || [])
+        .find(candidate => !refundGroups.has(candidate.id) && Number(candidate.amount_minor) === toMinorUnits(line.amount, line.currency));
+    }
+
+    if (refund) {
+      addTo(refundGroups, refund.id, refund, 'refund', line);
+    } else {
+      unmatchedLines.push(line);
+    }
+  }
+
+  return { captureGroups, refundGroups, unmatchedLines };
+}
+
+/**
+ * Compare a local record with the lines that settled it, in minor units of its currency
+ * @returns {Object} Result with status (matched, missing_in_settlement or amount_mismatch)
+ */
+function compareGroup(transactionType, record, lines) {
+  const currency = String(record.currency).toUpperCase();
+  const expectedMinor = Number(transactionType === 'capture' ? record.captured_amount_minor : record.amount_minor);
+  const currencyMatches = lines.every(line => line.currency === currency);
+  // Lines in another currency cannot be summed with ours; they are a mismatch whatever the amount
+  const settledMinor = currencyMatches
+    ? lines.reduce((sum, line) => sum + toMinorUnits(line.amount, currency), 0)
+    : null;
+  const localId = record.id;
+
+  const base = {
+    transactionType,
+    paymentId: transactionType === 'capture' ? record.id : record.payment_id,
+    refundId: transactionType === 'refund' ? record.id : null,
+    lines,
+    expected: fromMinorUnits(expectedMinor, currency),
+    settled: settledMinor === null ? null : fromMinorUnits(settledMinor, currency),
+    expectedMinor,
+    settledMinor,
+    currency,
+  };
+
+  if (lines.length === 0) {
+    return { ...base, status: 'missing_in_settlement', dedupeKey: `missing_in_settlement:${transactionType}:${localId}` };
+  }
+
+  if (settledMinor !== expectedMinor) {
+    return { ...base, status: 'amount_mismatch', dedupeKey: `amount_mismatch:${transactionType}:${localId}` };
+  }
+
+  return { ...base, status: 'matched', dedupeKey: null };
+}
+
+/**
+ * Write match results onto the settlement lines
+ */
+async function updateLines(results, unmatchedLines, reconciledAt) {
+  for (const result of results) {
+    if (result.lines.length === 0) continue;
+
+    const { error } = await supabase
+      .from('settlement_lines')
+      .update({
+        payment_id: result.paymentId,
+        refund_id: result.refundId,
+        match_status: result.status,
+        reconciled_at: reconciledAt,
+      })
+      .in('id', result.lines.map(line => line.id));
+
+    if (error) {
+      throw new Error(`Failed to update settlement lines: ${error.message}`);
+    }
+  }
+
+  const unmatchedIds = unmatchedLines.map(line => line.id);
+  for (let i = 0; i < unmatchedIds.length; i += ID_CHUNK_SIZE) {
+    const { error } = await supabase
+      .from('settlement_lines')
+      .update({ payment_id: null, refund_id: null, match_status: 'missing_locally', reconciled_at: reconciledAt })
+      .in('id', unmatchedIds.slice(i, i + ID_CHUNK_SIZE));
+
+    if (error) {
+      throw new Error(`Failed to update settlement lines: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Open (or refresh) exceptions for this run's problems and close the ones that now match
+ * @returns {Promise<Object>} { opened, stillOpen, resolved }
+ */
+async function syncExceptions(run, problems, resolvedKeys) {
+  const keys = problems.map(problem => problem.dedupeKey);
+  const existing = await fetchByValues('reconciliation_exceptions', 'id, dedupe_key', 'dedupe_key', keys, 'exceptions',
+    query => query.eq('status', 'open'));
+  const existingByKey = new Map(existing.map(exception => [exception.dedupe_key, exception]));
+
+  const rows = problems.map(problem => ({
+    exception_type: problem.status,
+    transaction_type: problem.transactionType,
+    payment_id: problem.paymentId || null,
+    refund_id: problem.refundId || null,
+    settlement_line_ids: problem.lines.map(line => line.id),
+    fiserv_transaction_id: problem.fiservTransactionId || problem.lines[0]?.fiserv_transaction_id || null,
+    expected_amount: problem.expected,
+    settled_amount: problem.settled,
+    expected_amount_minor: problem.expectedMinor,
+    settled_amount_minor: problem.settledMinor,
+    currency: problem.currency,
+    last_seen_run_id: run.id,
+  }));
+
+  const newRows = [];
+  for (const [index, row] of rows.entries()) {
+    const current = existingByKey.get(keys[index]);
+
+    if (current) {
+      const { error } = await supabase.from('reconciliation_exceptions').update(row).eq('id', current.id);
+      if (error) {
+        throw new Error(`Failed to update reconciliation exception: ${error.message}`);
+      }
+    } else {
+      newRows.push({ ...row, run_id: run.id, dedupe_key: keys[index] });
+    }
+  }
+
+  for (let i = 0; i < newRows.length; i += ID_CHUNK_SIZE) {
+    const { error } = await supabase.from('reconciliation_exceptions').insert(newRows.slice(i, i + ID_CHUNK_SIZE));
+    if (error) {
+      throw new Error(`Failed to record reconciliation exceptions: ${error.message}`);
+    }
+  }
+
+  let resolved = 0;
+  const resolvable = [...resolvedKeys];
+  for (let i = 0; i < resolvable.length; i += ID_CHUNK_SIZE) {
+    const { data, error } = await supabase
+      .from('reconciliation_exceptions')
+      .update({
+        status: 'resolved',
+        resolution_notes: `Matched by reconciliation run ${run.id}`,
+        resolved_at: new Date().toISOString(),
+      })
+      .in('dedupe_key', resolvable.slice(i, i + ID_CHUNK_SIZE))
+      .eq('status', 'open')
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to resolve reconciliation exceptions: ${error.message}`);
+    }
+    resolved += data?.length || 0;
+  }
+
+  return { opened: newRows.length, stillOpen: rows.length - newRows.length, resolved };
+}
+
+/**
+ * Reconcile a period's settlement lines against our captures and refunds
+ *
+ * Flags:
+ * - missing_locally: a settlement line with no matching payment or refund
+ * - missing_in_settlement: a capture or refund in the period that no line settles
+ * - amount_mismatch: the lines for a payment or refund do not add up to our amount
+ *
+ * @param {Object} params - { periodStart, periodEnd (YYYY-MM-DD, inclusive), fileType, trigger, triggeredBy }
+ * @returns {Promise<Object>} Completed run with summary
+ */
+async function runReconciliation(params = {}) {
+  const { periodStart, periodEnd = periodStart, fileType = 'settlement', trigger = 'manual', triggeredBy = null } = params;
+
+  if (!FILE_TYPES.includes(fileType)) {
+    throw reconciliationError(`Invalid fileType. Must be one of: ${FILE_TYPES.join(', ')}`);
+  }
+
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  if (!datePattern.test(periodStart || '') || !datePattern.test(periodEnd || '') || isNaN(Date.parse(periodStart)) || isNaN(Date.parse(periodEnd))) {
+    throw reconciliationError('periodStart and periodEnd must be dates (YYYY-MM-DD)');
+  }
+
+  if (periodEnd < periodStart) {
+    throw reconciliationError('periodEnd must not be before periodStart');
+  }
+
+  if (periodEnd > addDays(periodStart, MAX_PERIOD_DAYS - 1)) {
+    throw reconciliationError(`A reconciliation run covers at most ${MAX_PERIOD_DAYS} days`);
+  }
+
+  const { data: run, error: runError } = await supabase
+    .from('reconciliation_runs')
+    .insert({
+      file_type: fileType,
+      period_start: periodStart,
+      period_end: periodEnd,
+      trigger,
+      triggered_by: triggeredBy,
+    })
+    .select()
+    .single();
+
+  if (runError) {
+    throw new Error(`Failed to start reconciliation run: ${runError.message}`);
+  }
+
+  console.log(`🧮 Reconciliation run ${run.id}: ${fileType} ${periodStart} to ${periodEnd}`);
+
+  try {
+    const data = await loadReconciliationData(fileType, periodStart, periodEnd);
+    const { captureGroups, refundGroups, unmatchedLines } = matchLines(data.lines, data.payments, data.refunds);
+
+    // Every local record in the period, plus every record a period line matched
+    const results = [];
+    const compared = new Set();
+    const compare = (transactionType, record, group) => {
+      if (compared.has(record.id)) return;
+      compared.add(record.id);
+      results.push(compareGroup(transactionType, record, group?.lines || []));
+    };
+
+    for (const payment of data.periodPayments) compare('capture', payment, captureGroups.get(payment.id));
+    for (const refund of data.periodRefunds) compare('refund', refund, refundGroups.get(refund.id));
+    for (const group of captureGroups.values()) {
+      if (group.lines.some(line => data.periodLineIds.has(line.id))) compare('capture', group.payment, group);
+    }
+    for (const group of refundGroups.values()) {
+      if (group.lines.some(line => data.periodLineIds.has(line.id))) compare('refund', group.refund, group);
+    }
+
+    const periodUnmatched = unmatchedLines.filter(line => data.periodLineIds.has(line.id));
+    const missingLocally = periodUnmatched.map(line => ({
+      status: 'missing_locally',
+      transactionType: line.transaction_type,
+      lines: [line],
+      expected: null,
+      settled: parseFloat(line.amount),
+      expectedMinor: null,
+      settledMinor: toMinorUnits(line.amount, line.currency),
+      currency: line.currency,
+      fiservTransactionId: line.fiserv_transaction_id || line.order_id,
+      dedupeKey: `missing_locally:line:${line.id}`,
+    }));
+
+    const reconciledAt = new Date().toISOString();
+    await updateLines(results, periodUnmatched, reconciledAt);
+
+    const problems = [...results.filter(result => result.status !== 'matched'), ...missingLocally];
+
+    // Problems that a match in this run proves are fixed
+    const resolvedKeys = new Set();
+    for (const result of results.filter(result => result.status === 'matched')) {
+      const localId = result.refundId || result.paymentId;
+      resolvedKeys.add(`missing_in_settlement:${result.transactionType}:${localId}`);
+      resolvedKeys.add(`amount_mismatch:${result.transactionType}:${localId}`);
+      result.lines.forEach(line => resolvedKeys.add(`missing_locally:line:${line.id}`));
+    }
+
+    const exceptionCounts = await syncExceptions(run, problems, resolvedKeys);
+
+    // Settled totals per currency, summed in minor units
+    const totalsMinor = {};
+    for (const line of data.lines.filter(line => data.periodLineIds.has(line.id))) {
+      const currencyTotals = totalsMinor[line.currency] || { capturesSettled: 0, refundsSettled: 0 };
+      currencyTotals[line.transaction_type === 'capture' ? 'capturesSettled' : 'refundsSettled'] += toMinorUnits(line.amount, line.currency);
+      totalsMinor[line.currency] = currencyTotals;
+    }
+    const totals = Object.fromEntries(Object.entries(totalsMinor).map(([currency, currencyTotals]) => [currency, {
+      capturesSettled: fromMinorUnits(currencyTotals.capturesSettled, currency),
+      refundsSettled: fromMinorUnits(currencyTotals.refundsSettled, currency),
+    }]));
+
+    const summary = {
+      linesChecked: data.periodLineIds.size,
+      paymentsChecked: results.filter(result => result.transactionType === 'capture').length,
+      refundsChecked: results.filter(result => result.transactionType === 'refund').length,
+      matched: results.filter(result => result.status === 'matched').length,
+      missingLocally: missingLocally.length,
+      missingInSettlement: results.filter(result => result.status === 'missing_in_settlement').length,
+      amountMismatches: results.filter(result => result.status === 'amount_mismatch').length,
+      exceptionsOpened: exceptionCounts.opened,
+      exceptionsStillOpen: exceptionCounts.stillOpen,
+      exceptionsResolved: exceptionCounts.resolved,
+      totals,
+    };
+
+    const { data: completed, error } = await supabase
+      .from('reconciliation_runs')
+      .update({ status: 'completed', summary, completed_at: new Date().toISOString() })
+      .eq('id', run.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to complete reconciliation run: ${error.message}`);
+    }
+
+    await createAuditLog({
+      userId: null,
+      eventType: 'reconciliation_completed',
+      description: `Reconciled ${fileType} ${periodStart} to ${periodEnd}: ${summary.matched} matched, ${problems.length} exceptions`,
+      data: { runId: run.id, trigger, triggeredBy, ...summary },
+    });
+
+    const icon = problems.length > 0 ? '⚠️ ' : '✅';
+    console.log(`${icon} Reconciliation run ${run.id} complete: ${summary.matched} matched, ${summary.missingLocally} missing locally, ${summary.missingInSettlement} missing in settlement, ${summary.amountMismatches} amount mismatches`);
+
+    return completed;
+  } catch (error) {
+    await supabase
+      .from('reconciliation_runs')
+      .update({ status: 'failed', error_message: error.message, completed_at: new Date().toISOString() })
+      .eq('id', run.id);
+
+    console.error(`❌ Reconciliation run ${run.id} failed:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get a run by ID
+ */
+async function getRun(runId) {
+  const { data: run } = await supabase
+    .from('reconciliation_runs')
+    .select('*')
+    .eq('id', runId)
+    .single();
+
+  if (!run) {
+    throw reconciliationError('Reconciliation run not found', 404);
+  }
+
+  return run;
+}
+
+/**
+ * List reconciliation runs, newest first
+ * @param {Object} params - { fileType, status, limit, offset }
+ * @returns {Promise<Object>} { runs, total }
+ */
+async function listRuns(params = {}) {
+  const { fileType, status, limit = 50, offset = 0 } = params;
+
+  let query = supabase
+    .from('reconciliation_runs')
+    .select('*', { count: 'exact' })
+    .order('started_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (fileType) query = query.eq('file_type', fileType);
+  if (status) query = query.eq('status', status);
+
+  const { data, error, count } = await query;
+
+  if (error) {
+    throw new Error(`Failed to list reconciliation runs: ${error.message}`);
+  }
+
+  return { runs: data || [], total: count || 0 };
+}
+
+/**
+ * List reconciliation exceptions, newest first
+ * @param {Object} params - { status, exceptionType, runId, paymentId, limit, offset }
+ * @returns {Promise<Object>} { exceptions, total }
+ */
+async function listExceptions(params = {}) {
+  const { status, exceptionType, runId, paymentId, limit = 50, offset = 0 } = params;
+
+  if (exceptionType && !EXCEPTION_TYPES.includes(exceptionType)) {
+    throw reconciliationError(`Invalid exceptionType. Must be one of: ${EXCEPTION_TYPES.join(', ')}`);
+  }
+
+  let query = supabase
+    .from('reconciliation_exceptions')
+    .select('*', { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (status) query = query.eq('status', status);
+  if (exceptionType) query = query.eq('exception_type', exceptionType);
+  if (runId) query = query.or(`run_id.eq.${runId},last_seen_run_id.eq.${runId}`);
+  if (paymentId) query = query.eq('payment_id', paymentId);
+
+  const { data, error, count } = await query;
+
+  if (error) {
+    throw new Error(`Failed to list reconciliation exceptions: ${error.message}`);
+  }
+
+  return { exceptions: data || [], total: count || 0 };
+}
+
+/**
+ * Reconciliation report for ops: a run's summary and the exceptions it found
+ *
+ * @param {string} [runId] - Run to report on (defaults to the latest completed run)
+ * @returns {Promise<Object>} { run, exceptions, counts, openExceptions }
+ */
+async function getReconciliationReport(runId = null) {
+  let run;
+
+  if (runId) {
+    run = await getRun(runId);
+  } else {
+    const { data } = await supabase
+      .from('reconciliation_runs')
+      .select('*')
+      .eq('status', 'completed')
+      .order('completed_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (!data) {
+      throw reconciliationError('No completed reconciliation runs yet', 404);
+    }
+    run = data;
+  }
+
+  const exceptions = await fetchAll(() => supabase
+    .from('reconciliation_exceptions')
+    .select('*')
+    .or(`run_id.eq.${run.id},last_seen_run_id.eq.${run.id}`)
+    .order('exception_type')
+    .order('created_at'), 'reconciliation exceptions');
+
+  const counts = Object.fromEntries(EXCEPTION_TYPES.map(type => [
+    type,
+    {
+      open: exceptions.filter(exception => exception.exception_type === type && exception.status === 'open').length,
+      resolved: exceptions.filter(exception => exception.exception_type === type && exception.status === 'resolved').length,
+    },
+  ]));
+
+  // Across all runs, so older problems are not forgotten
+  const { count: openExceptions } = await supabase
+    .from('reconciliation_exceptions')
+    .select('id', { count: 'exact', head: true })
+    .eq('status', 'open');
+
+  return { run, exceptions, counts, openExceptions: openExceptions || 0 };
+}
+
+/**
+ * Close an exception after investigation
+ *
+ * @param {string} exceptionId - Exception ID
+ * @param {Object} params - { notes, resolvedBy }
+ * @returns {Promise<Object>} Updated exception
+ */
+async function resolveException(exceptionId, params = {}) {
+  const { notes, resolvedBy = null } = params;
+
+  if (!notes || !String(notes).trim()) {
+    throw reconciliationError('Resolution notes are required');
+  }
+
+  const { data: exception } = await supabase
+    .from('reconciliation_exceptions')
+    .select('*')
+    .eq('id', exceptionId)
+    .single();
+
+  if (!exception) {
+    throw reconciliationError('Reconciliation exception not found', 404);
+  }
+
+  if (exception.status !== 'open') {
+    throw reconciliationError('Reconciliation exception is already resolved', 409);
+  }
+
+  const { data: updated, error } = await supabase
+    .from('reconciliation_exceptions')
+    .update({
+      status: 'resolved',
+      resolution_notes: String(notes).trim(),
+      resolved_by: resolvedBy,
+      resolved_at: new Date().toISOString(),
+    })
+    .eq('id', exceptionId)
+    .eq('status', 'open')
+    .select()
+    .single();
+
+  if (error || !updated) {
+    throw new Error(`Failed to resolve reconciliation exception: ${error?.message || 'status changed concurrently'}`);
+  }
+
+  return updated;
+}
+
+module.exports = {
+  EXCEPTION_TYPES,
+  addDays,
+  runReconciliation,
+  listRuns,
+  listExceptions,
+  getReconciliationReport,
+  resolveException,
+};
@@ -0,0 +1,261 @@
+// Refund Service
+// Refunds card payments through a ledger that caps refunds at the captured amount
+
+const { supabase, createAuditLog, createNotification } = require('../config/supabase.config');
+const { fiservClient } = require('./fiservClient');
+const { recordRefund, getPaymentById } = require('./paymentService');
+const { toMinorUnits, fromMinorUnits, formatAmount } = require('../utils/currency');
+
+// Errors raised by reserve_payment_refund
+const RESERVE_ERRORS = {
+  PAYMENT_NOT_FOUND: { message: 'Payment not found', statusCode: 404 },
+  PAYMENT_NOT_REFUNDABLE: { message: 'Payment cannot be refunded in its current status', statusCode: 409 },
+  REFUND_EXCEEDS_CAPTURED: { message: 'Refund exceeds the refundable amount', statusCode: 400 },
+};
+
+/**
+ * Build a refund error with an HTTP status
+ */
+function refundError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Reserve a pending refund (locks the payment and checks the refundable balance)
+ * @returns {Promise<Object>} Pending refund
+ */
+async function reserveRefund(paymentId, amountMinor, reason, initiatedBy, source) {
+  const { data: refund, error } = await supabase.rpc('reserve_payment_refund', {
+    p_payment_id: paymentId,
+    p_amount_minor: amountMinor,
+    p_reason: reason,
+    p_initiated_by: initiatedBy,
+    p_source: source,
+  });
+
+  if (error) {
+    const known = Object.keys(RESERVE_ERRORS).find(code => error.message?.includes(code));
+    if (known) {
+      throw refundError(RESERVE_ERRORS[known].message, RESERVE_ERRORS[known].statusCode);
+    }
+    throw new Error(`Failed to reserve refund: ${error.message}`);
+  }
+
+  return refund;
+}
+
+/**
+ * Update a refund record
+ */
+async function updateRefund(refundId, updates) {
+  const { data, error } = await supabase
+    .from('payment_refunds')
+    .update(updates)
+    .eq('id', refundId)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to update refund ${refundId}: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Notify admins about a refund that needs someone to look at it
+ */
+async function notifyAdmins(title, message, data) {
+  const { data: admins } = await supabase
+    .from('users')
+    .select('id')
+    .eq('role', 'admin');
+
+  for (const admin of admins || []) {
+    await createNotification(admin.id, 'warning', title, message, data, {
+      priority: 'high',
+      category: 'transaction',
+    });
+  }
+}
+
+/**
+ * Keep a refund reserved when Fiserv may have processed it (timeout or dropped connection)
+ * Releasing it would let the same amount be refunded twice. It stays pending until the
+ * REFUND_COMPLETED webhook (matched by refund ID) completes it or an admin resolves it.
+ */
+async function holdUnknownRefund(payment, refund, refundAmount, error) {
+  await supabase
+    .from('payment_refunds')
+    .update({ error_message: error.message })
+    .eq('id', refund.id)
+    .eq('status', 'pending');
+
+  console.warn(`⚠️  Refund ${refund.id} result unknown, kept reserved: ${error.message}`);
+
+  await createAuditLog({
+    userId: payment.user_id,
+    eventType: 'payment_refund_unknown',
+    description: `Refund of ${formatAmount(refundAmount, refund.currency)} result unknown, kept reserved: ${error.message}`,
+    data: {
+      paymentId: payment.id,
+      refundId: refund.id,
+      amount: refundAmount,
+      clientRequestId: error.clientRequestId || null,
+    },
+  });
+
+  await notifyAdmins(
+    'Refund Result Unknown',
+    `Fiserv did not confirm refund ${refund.id} of ${formatAmount(refundAmount, refund.currency)} on payment ${payment.id}. It stays reserved until the refund webhook arrives; check the transaction in Fiserv if it does not.`,
+    { paymentId: payment.id, refundId: refund.id }
+  );
+}
+
+/**
+ * Refund a captured payment, in full or in part
+ * The refund is reserved in the ledger first, so the refunded total can never exceed
+ * the captured amount, then sent to Fiserv in the payment's original currency.
+ *
+ * @param {Object} payment - Captured or partially refunded payment
+ * @param {number} amount - Amount to refund, rounded to the currency's minor units
+ * @param {Object} options - { reason, initiatedBy, source }
+ *   initiatedBy: user ID of the support/admin user (null for system refunds)
+ *   source: admin or system
+ * A refund whose result is unknown (Fiserv timed out) stays reserved and throws a 502.
+ * @returns {Promise<Object>} { refund, payment }
+ */
+async function refundPayment(payment, amount, options = {}) {
+  const { reason, initiatedBy = null, source = 'admin' } = options;
+
+  const refundMinor = toMinorUnits(amount, payment.currency);
+  if (refundMinor <= 0) {
+    throw refundError('Refund amount must be greater than 0');
+  }
+  const refundAmount = fromMinorUnits(refundMinor, payment.currency);
+
+  if (!reason || !String(reason).trim()) {
+    throw refundError('Refund reason is required');
+  }
+
+  const refund = await reserveRefund(payment.id, refundMinor, String(reason).trim(), initiatedBy, source);
+
+  console.log(`📝 Refund ${refund.id} reserved: ${formatAmount(refundAmount, refund.currency)} on payment ${payment.id}`);
+
+  let refundResult;
+  try {
+    refundResult = await fiservClient.refundTransaction(payment.fiserv_transaction_id, refundAmount, refund.currency, refund.id);
+
+    if (refundResult.gatewayResponse?.transactionState !== 'REFUNDED') {
+      throw refundError(refundResult.gatewayResponse?.errorMessage || 'Refund was not completed', 502);
+    }
+  } catch (error) {
+    if (error.outcomeUnknown) {
+      await holdUnknownRefund(payment, refund, refundAmount, error);
+      throw refundError('Refund result unknown. It stays reserved until Fiserv confirms it.', 502);
+    }
+
+    // Release the reservation so the amount can be refunded again, unless the
+    // REFUND_COMPLETED webhook has already shown that Fiserv refunded it
+    await supabase
+      .from('payment_refunds')
+      .update({ status: 'failed', error_message: error.message })
+      .eq('id', refund.id)
+      .eq('status', 'pending');
+
+    await createAuditLog({
+      userId: payment.user_id,
+      eventType: 'payment_refund_failed',
+      description: `Refund of ${formatAmount(refundAmount, refund.currency)} failed: ${error.message}`,
+      data: {
+        paymentId: payment.id,
+        refundId: refund.id,
+        amount: refundAmount,
+        reason: refund.reason,
+        initiatedBy,
+        source,
+      },
+    });
+
+    throw error;
+  }
+
+  const completed = await updateRefund(refund.id, {
+    status: 'completed',
+    fiserv_refund_id: refundResult.ipgTransactionId || null,
+    completed_at: new Date().toISOString(),
+  });
+
+  // Reload so the status transition is not based on a stale payment (the
+  // REFUND_COMPLETED webhook may already have applied this refund)
+  const current = await getPaymentById(payment.id);
+
+  const { payment: updatedPayment } = await recordRefund(current, refundMinor, refundResult, {
+    refundId: refund.id,
+    source: source === 'admin' ? 'admin' : 'system',
+  });
+
+  await createAuditLog({
+    userId: payment.user_id,
+    eventType: 'payment_refunded',
+    description: `Refunded ${formatAmount(refundAmount, refund.currency)}: ${refund.reason}`,
+    data: {
+      paymentId: payment.id,
+      refundId: refund.id,
+      fiservRefundId: completed.fiserv_refund_id,
+      amount: refundAmount,
+      currency: refund.currency,
+      refundedTotal: fromMinorUnits(updatedPayment.refunded_amount_minor, refund.currency),
+      reason: refund.reason,
+      initiatedBy,
+      source,
+    },
+  });
+
+  // System refunds (failed purchases) send their own notification
+  if (source === 'admin') {
+    await createNotification(
+      payment.user_id,
+      'info',
+      'Refund Issued',
+      `A refund of ${formatAmount(refundAmount, refund.currency)} has been issued to your card`,
+      {
+        paymentId: payment.id,
+        refundId: refund.id,
+        amount: refundAmount,
+        currency: refund.currency,
+      },
+      { priority: 'normal', category: 'transaction' }
+    );
+  }
+
+  console.log(`✅ Refund ${refund.id} completed: ${formatAmount(refundAmount, refund.currency)}`);
+
+  return { refund: completed, payment: updatedPayment };
+}
+
+/**
+ * List the refunds for a payment, newest first (admin use - includes reason and initiator)
+ * @param {string} paymentId - Payment ID
+ * @returns {Promise<Array>} Refunds
+ */
+async function listRefunds(paymentId) {
+  const { data, error } = await supabase
+    .from('payment_refunds')
+    .select('*')
+    .eq('payment_id', paymentId)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw new Error(`Failed to list refunds: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+module.exports = {
+  refundPayment,
+  listRefunds,
+};
@@ -0,0 +1,471 @@
+// Risk Service
+// Scores card purchases before authorization: allow, review (authorize only, purchase
+// waits for approval) or block
+
+const crypto = require('crypto');
+const { supabase, getUserById, createAuditLog, createNotification } = require('../config/supabase.config');
+const { getBinCountry } = require('./binLookup');
+const { getPaymentById, voidPayment } = require('./paymentService');
+const { startPurchase } = require('./purchaseOrchestrator');
+const { normalizeCurrency, toMinorUnits, fromMinorUnits, formatAmount } = require('../utils/currency');
+
+const REVIEW_SCORE = parseInt(process.env.RISK_REVIEW_SCORE || '40');
+const BLOCK_SCORE = parseInt(process.env.RISK_BLOCK_SCORE || '80');
+const RULES_CACHE_MS = 60 * 1000;
+
+const DECISIONS = ['allow', 'review', 'block'];
+
+let rulesCache = null;
+let rulesLoadedAt = 0;
+
+/**
+ * Build a risk error with an HTTP status
+ */
+function riskError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Load enabled rules (cached briefly so every payment does not re-read the table)
+ * @returns {Promise<Object>} Rules keyed by rule_key
+ */
+async function loadRules() {
+  if (rulesCache && Date.now() - rulesLoadedAt < RULES_CACHE_MS) {
+    return rulesCache;
+  }
+
+  const { data, error } = await supabase
+    .from('risk_rules')
+    .select('*')
+    .eq('enabled', true);
+
+  if (error) {
+    throw new Error(`Failed to load risk rules: ${error.message}`);
+  }
+
+  rulesCache = Object.fromEntries((data || []).map(rule => [rule.rule_key, rule]));
+  rulesLoadedAt = Date.now();
+
+  return rulesCache;
+}
+
+/**
+ * Fingerprint a card without the PAN (BIN + last4 + expiry)
+ */
+function fingerprintCard(card) {
+  return crypto
+    .createHash('sha256')
+    .update(`${card.bin}:${card.last4}:${String(card.expiryMonth).padStart(2, '0')}/${String(card.expiryYear).slice(-2)}`)
+    .digest('hex');
+}
+
+/**
+ * Count recent risk decisions matching a column
+ */
+async function countRecentAttempts(column, value, windowMinutes) {
+  if (!value) return 0;
+
+  const { count } = await supabase
+    .from('risk_decisions')
+    .select('id', { count: 'exact', head: true })
+    .eq(column, value)
+    .gte('created_at', new Date(Date.now() - windowMinutes * 60 * 1000).toISOString());
+
+  return count || 0;
+}
+
+// Rule checks: each returns details when the rule triggers, otherwise null
+const RULE_CHECKS = {
+  async velocity_user(params, signals) {
+    const attempts = await countRecentAttempts('user_id', signals.userId, params.window_minutes || 60);
+    return attempts >= (params.max_attempts || 5) ? { attempts, windowMinutes: params.window_minutes } : null;
+  },
+
+  async velocity_card(params, signals) {
+    const attempts = await countRecentAttempts('card_fingerprint', signals.cardFingerprint, params.window_minutes || 1440);
+    return attempts >= (params.max_attempts || 5) ? { attempts, windowMinutes: params.window_minutes } : null;
+  },
+
+  async velocity_ip(params, signals) {
+    const attempts = await countRecentAttempts('ip_address', signals.ipAddress, params.window_minutes || 60);
+    return attempts >= (params.max_attempts || 10) ? { attempts, windowMinutes: params.window_minutes } : null;
+  },
+
+  async bin_country_mismatch(params, signals) {
+    if (!signals.binCountry || !signals.declaredCountry) return null;
+    return signals.binCountry !== signals.declaredCountry
+      ? { binCountry: signals.binCountry, declaredCountry: signals.declaredCountry }
+      : null;
+  },
+
+  // Tier limits are in USD
+  async amount_over_tier_limit(params, signals) {
+    const limit = parseFloat((params.tier_limits || {})[String(signals.kycTier)]);
+    if (!Number.isFinite(limit)) return null;
+    return signals.amountUsd > limit
+      ? { amount: signals.amount, currency: signals.currency, amountUsd: signals.amountUsd, kycTier: signals.kycTier, limit }
+      : null;
+  },
+
+  async new_device(params, signals) {
+    if (!signals.deviceId) return null;
+
+    const { count } = await supabase
+      .from('risk_decisions')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', signals.userId)
+      .eq('device_id', signals.deviceId)
+      .neq('decision', 'block');
+
+    return count ? null : { deviceId: signals.deviceId };
+  },
+
+  async repeated_declines(params, signals) {
+    const { count } = await supabase
+      .from('payments')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', signals.userId)
+      .eq('status', 'failed')
+      .gte('created_at', new Date(Date.now() - (params.window_minutes || 1440) * 60 * 1000).toISOString());
+
+    return (count || 0) >= (params.max_declines || 3) ? { declines: count } : null;
+  },
+};
+
+/**
+ * Combine the total score and forced rule actions into a decision
+ */
+function decide(score, triggered) {
+  let decision = 'allow';
+  if (score >= REVIEW_SCORE) decision = 'review';
+  if (score >= BLOCK_SCORE) decision = 'block';
+
+  for (const rule of triggered) {
+    if (rule.action && DECISIONS.indexOf(rule.action) > DECISIONS.indexOf(decision)) {
+      decision = rule.action;
+    }
+  }
+
+  return decision;
+}
+
+/**
+ * Score a card payment attempt before it is authorized
+ * Every attempt is stored in risk_decisions, including blocked ones.
+ *
+ * @param {string} userId - Kalypso user ID
+ * @param {Object} context - { amount, currency, fxRate, card: { bin, last4, expiryMonth, expiryYear }, country, ipAddress, deviceId, userAgent }
+ *   fxRate: USD -> currency rate from the quote (1 for USD)
+ * @returns {Promise<Object>} Risk decision record
+ */
+async function assessPaymentRisk(userId, context) {
+  const { amount, fxRate = 1, card, country, ipAddress = null, deviceId = null, userAgent = null } = context;
+
+  const currency = normalizeCurrency(context.currency);
+  const amountMinor = toMinorUnits(amount, currency);
+  const decimalAmount = fromMinorUnits(amountMinor, currency);
+
+  const user = await getUserById(userId);
+  const binCountry = await getBinCountry(card.bin);
+
+  const signals = {
+    userId,
+    amount: decimalAmount,
+    currency,
+    amountUsd: Math.round((decimalAmount / (parseFloat(fxRate) || 1)) * 100) / 100,
+    kycTier: user?.kyc_tier || 1,
+    cardFingerprint: fingerprintCard(card),
+    binCountry,
+    declaredCountry: country ? country.toUpperCase() : null,
+    ipAddress,
+    deviceId: deviceId || userAgent,
+  };
+
+  const rules = await loadRules();
+  const triggered = [];
+
+  for (const [ruleKey, rule] of Object.entries(rules)) {
+    const check = RULE_CHECKS[ruleKey];
+    if (!check) continue;
+
+    try {
+      const details = await check(rule.params || {}, signals);
+      if (details) {
+        triggered.push({ rule: ruleKey, score: rule.score, action: rule.action || null, details });
+      }
+    } catch (checkError) {
+      console.error(`❌ Risk rule ${ruleKey} failed:`, checkError.message);
+    }
+  }
+
+  const score = triggered.reduce((total, rule) => total + rule.score, 0);
+  const decision = decide(score, triggered);
+
+  const { data: riskDecision, error } = await supabase
+    .from('risk_decisions')
+    .insert({
+      user_id: userId,
+      decision,
+      score,
+      triggered_rules: triggered,
+      amount: signals.amount,
+      amount_minor: amountMinor,
+      currency,
+      card_fingerprint: signals.cardFingerprint,
+      card_bin: card.bin || null,
+      bin_country: binCountry,
+      declared_country: signals.declaredCountry,
+      ip_address: ipAddress,
+      device_id: signals.deviceId,
+      user_agent: userAgent,
+      signals: { kycTier: signals.kycTier },
+      review_status: decision === 'review' ? 'pending' : null,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to record risk decision: ${error.message}`);
+  }
+
+  console.log(`🛡️  Risk ${decision} (score ${score}) for user ${userId}${triggered.length ? `: ${triggered.map(rule => rule.rule).join(', ')}` : ''}`);
+
+  if (decision === 'block') {
+    await createAuditLog({
+      userId,
+      eventType: 'payment_risk_blocked',
+      description: `Card payment of ${formatAmount(signals.amount, currency)} blocked by risk engine (score ${score})`,
+      data: { riskDecisionId: riskDecision.id, score, triggeredRules: triggered.map(rule => rule.rule) },
+      ipAddress,
+      userAgent,
+    });
+
+    await createNotification(
+      userId,
+      'warning',
+      'Payment Blocked',
+      `A card payment of ${formatAmount(signals.amount, currency)} was blocked for your security. If this wasn't you, please secure your account and contact support.`,
+      { riskDecisionId: riskDecision.id, amount: signals.amount, currency },
+      { priority: 'high', category: 'security' }
+    );
+  } else if (decision === 'review') {
+    await createAuditLog({
+      userId,
+      eventType: 'payment_risk_review',
+      description: `Card payment of ${formatAmount(signals.amount, currency)} held for review (score ${score})`,
+      data: { riskDecisionId: riskDecision.id, score, triggeredRules: triggered.map(rule => rule.rule) },
+      ipAddress,
+      userAgent,
+    });
+  }
+
+  return riskDecision;
+}
+
+/**
+ * Link a risk decision to the payment it allowed
+ */
+async function attachPaymentToDecision(decisionId, paymentId) {
+  await supabase
+    .from('risk_decisions')
+    .update({ payment_id: paymentId })
+    .eq('id', decisionId);
+}
+
+/**
+ * Check whether a payment's purchase is waiting for risk review
+ * @param {string} paymentId - Payment ID
+ * @returns {Promise<boolean>}
+ */
+async function isPendingReview(paymentId) {
+  const { data } = await supabase
+    .from('risk_decisions')
+    .select('id')
+    .eq('payment_id', paymentId)
+    .eq('review_status', 'pending')
+    .limit(1);
+
+  return Boolean(data && data.length > 0);
+}
+
+/**
+ * Approve or reject a payment held for review
+ * Approval starts the crypto purchase; rejection voids the card authorization.
+ *
+ * @param {string} decisionId - Risk decision ID
+ * @param {string} outcome - approve or reject
+ * @param {Object} options - { notes, reviewedBy }
+ * @returns {Promise<Object>} { decision, payment, purchase }
+ */
+async function reviewDecision(decisionId, outcome, options = {}) {
+  const { notes = null, reviewedBy } = options;
+
+  if (!['approve', 'reject'].includes(outcome)) {
+    throw riskError('outcome must be approve or reject');
+  }
+
+  const { data: updated, error } = await supabase
+    .from('risk_decisions')
+    .update({
+      review_status: outcome === 'approve' ? 'approved' : 'rejected',
+      reviewed_by: reviewedBy,
+      review_notes: notes,
+      reviewed_at: new Date().toISOString(),
+    })
+    .eq('id', decisionId)
+    .eq('review_status', 'pending')
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to review risk decision: ${error.message}`);
+  }
+
+  if (!updated || updated.length === 0) {
+    throw riskError('Risk decision not found or already reviewed', 409);
+  }
+
+  const riskDecision = updated[0];
+  let payment = riskDecision.payment_id ? await getPaymentById(riskDecision.payment_id) : null;
+  let purchase = null;
+
+  if (payment && payment.status === 'authorized') {
+    if (outcome === 'approve') {
+      purchase = await startPurchase(payment);
+    } else {
+      ({ payment } = await voidPayment(payment, {
+        reason: 'Rejected in risk review',
+        source: 'admin',
+        actorUserId: reviewedBy,
+      }));
+    }
+  }
+
+  await createAuditLog({
+    userId: riskDecision.user_id,
+    eventType: outcome === 'approve' ? 'payment_risk_approved' : 'payment_risk_rejected',
+    description: `Risk review ${outcome === 'approve' ? 'approved' : 'rejected'}${notes ? `: ${notes}` : ''}`,
+    data: { riskDecisionId: riskDecision.id, paymentId: riskDecision.payment_id, reviewedBy },
+  });
+
+  if (outcome === 'reject' && payment) {
+    await createNotification(
+      riskDecision.user_id,
+      'warning',
+      'Purchase Declined',
+      `Your purchase of ${formatAmount(payment.amount, payment.currency)} could not be approved and the hold on your card has been released.`,
+      { paymentId: payment.id },
+      { priority: 'high', category: 'transaction' }
+    );
+  }
+
+  return { decision: riskDecision, payment, purchase };
+}
+
+/**
+ * List risk decisions, newest first
+ * @param {Object} params - { decision, reviewStatus, userId, limit, offset }
+ * @returns {Promise<Object>} { decisions, total }
+ */
+async function listDecisions(params = {}) {
+  const { decision, reviewStatus, userId, limit = 50, offset = 0 } = params;
+
+  if (decision && !DECISIONS.includes(decision)) {
+    throw riskError(`Invalid decision. Must be one of: ${DECISIONS.join(', ')}`);
+  }
+
+  let query = supabase
+    .from('risk_decisions')
+    .select('*', { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (decision) query = query.eq('decision', decision);
+  if (reviewStatus) query = query.eq('review_status', reviewStatus);
+  if (userId) query = query.eq('user_id', userId);
+
+  const { data, error, count } = await query;
+
+  if (error) {
+    throw new Error(`Failed to list risk decisions: ${error.message}`);
+  }
+
+  return { decisions: data || [], total: count || 0 };
+}
+
+/**
+ * List all risk rules
+ * @returns {Promise<Array>} Rules
+ */
+async function listRules() {
+  const { data, error } = await supabase
+    .from('risk_rules')
+    .select('*')
+    .order('rule_key');
+
+  if (error) {
+    throw new Error(`Failed to list risk rules: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+/**
+ * Update a risk rule
+ * @param {string} ruleKey - Rule key
+ * @param {Object} changes - { enabled, score, action, params }
+ * @returns {Promise<Object>} Updated rule
+ */
+async function updateRule(ruleKey, changes) {
+  const updates = {};
+
+  if (changes.enabled !== undefined) updates.enabled = Boolean(changes.enabled);
+  if (changes.score !== undefined) {
+    const score = parseInt(changes.score);
+    if (!Number.isInteger(score) || score < 0) {
+      throw riskError('score must be a non-negative integer');
+    }
+    updates.score = score;
+  }
+  if (changes.action !== undefined) {
+    if (changes.action !== null && !['review', 'block'].includes(changes.action)) {
+      throw riskError('action must be review, block or null');
+    }
+    updates.action = changes.action;
+  }
+  if (changes.params !== undefined) {
+    if (typeof changes.params !== 'object' || changes.params === null || Array.isArray(changes.params)) {
+      throw riskError('params must be an object');
+    }
+    updates.params = changes.params;
+  }
+
+  const { data, error } = await supabase
+    .from('risk_rules')
+    .update(updates)
+    .eq('rule_key', ruleKey)
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to update risk rule: ${error.message}`);
+  }
+
+  if (!data || data.length === 0) {
+    throw riskError('Risk rule not found', 404);
+  }
+
+  rulesCache = null;
+
+  return data[0];
+}
+
+module.exports = {
+  assessPaymentRisk,
+  attachPaymentToDecision,
+  isPendingReview,
+  reviewDecision,
+  listDecisions,
+  listRules,
+  updateRule,
+};
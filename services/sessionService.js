@@ -0,0 +1,208 @@
+// Session Service
+// Tracks Supabase auth sessions for listing, activity, and server-side revocation
+
+const { supabase, createAuditLog } = require('../config/supabase.config');
+
+// Only bump last_seen_at once per interval to avoid a write on every request
+const LAST_SEEN_UPDATE_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Record (or refresh) a session after login, signup, or token refresh
+ * @param {string} userId - Kalypso user ID
+ * @param {string} sessionId - Supabase session_id claim
+ * @param {Object} context - { ipAddress, userAgent }
+ * @returns {Promise<Object|null>} Session record
+ */
+async function recordSession(userId, sessionId, context = {}) {
+  if (!supabase || !sessionId) return null;
+
+  // revoked_at is intentionally omitted so a revoked session is never reactivated
+  const { data, error } = await supabase
+    .from('user_sessions')
+    .upsert({
+      user_id: userId,
+      session_id: sessionId,
+      user_agent: context.userAgent || null,
+      ip_address: context.ipAddress || null,
+      last_seen_at: new Date().toISOString(),
+    }, {
+      onConflict: 'session_id',
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Failed to record session:', error.message);
+    return null;
+  }
+
+  return data;
+}
+
+/**
+ * Check a session on an authenticated request and update its activity
+ * Sessions not seen before (e.g. signed in directly through Supabase) are tracked lazily
+ *
+ * @param {string} userId - Kalypso user ID
+ * @param {string} sessionId - Supabase session_id claim
+ * @param {Object} context - { ipAddress, userAgent }
+ * @returns {Promise<Object>} { revoked: boolean, session }
+ */
+async function touchSession(userId, sessionId, context = {}) {
+  if (!supabase || !sessionId) {
+    return { revoked: false, session: null };
+  }
+
+  const { data: session, error } = await supabase
+    .from('user_sessions')
+    .select('*')
+    .eq('session_id', sessionId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw new Error(`Failed to check session: ${error.message}`);
+  }
+
+  if (!session) {
+    const created = await recordSession(userId, sessionId, context);
+    return { revoked: false, session: created };
+  }
+
+  if (session.revoked_at || session.user_id !== userId) {
+    return { revoked: true, session };
+  }
+
+  const lastSeen = new Date(session.last_seen_at).getTime();
+  if (Date.now() - lastSeen > LAST_SEEN_UPDATE_INTERVAL_MS) {
+    await supabase
+      .from('user_sessions')
+      .update({
+        last_seen_at: new Date().toISOString(),
+        ip_address: context.ipAddress || session.ip_address,
+        user_agent: context.userAgent || session.user_agent,
+      })
+      .eq('id', session.id);
+  }
+
+  return { revoked: false, session };
+}
+
+/**
+ * Check whether a session has been revoked
+ * @param {string} sessionId - Supabase session_id claim
+ * @returns {Promise<boolean>}
+ */
+async function isSessionRevoked(sessionId) {
+  if (!supabase || !sessionId) return false;
+
+  const { data: session } = await supabase
+    .from('user_sessions')
+    .select('revoked_at')
+    .eq('session_id', sessionId)
+    .single();
+
+  return Boolean(session?.revoked_at);
+}
+
+/**
+ * List a user's active (non-revoked) sessions
+ * @param {string} userId - Kalypso user ID
+ * @returns {Promise<Array>} Sessions, most recently active first
+ */
+async function listActiveSessions(userId) {
+  const { data: sessions, error } = await supabase
+    .from('user_sessions')
+    .select('id, session_id, user_agent, ip_address, created_at, last_seen_at')
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .order('last_seen_at', { ascending: false });
+
+  if (error) {
+    throw new Error(`Failed to list sessions: ${error.message}`);
+  }
+
+  return sessions || [];
+}
+
+/**
+ * Revoke a single session
+ * @param {string} userId - Kalypso user ID (must own the session)
+ * @param {Object} match - { sessionId } (Supabase claim) or { id } (session record ID)
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<boolean>} True if a session was revoked
+ */
+async function revokeSession(userId, match, reason = 'logout') {
+  let query = supabase
+    .from('user_sessions')
+    .update({
+      revoked_at: new Date().toISOString(),
+      revoked_reason: reason,
+    })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  query = match.id ? query.eq('id', match.id) : query.eq('session_id', match.sessionId);
+
+  const { data, error } = await query.select('id, session_id');
+
+  if (error) {
+    throw new Error(`Failed to revoke session: ${error.message}`);
+  }
+
+  const revoked = Boolean(data && data.length > 0);
+
+  if (revoked) {
+    await createAuditLog({
+      userId,
+      eventType: 'session_revoked',
+      description: `Session revoked (${reason})`,
+      data: { sessionId: data[0].session_id, reason },
+    });
+  }
+
+  return revoked;
+}
+
+/**
+ * Revoke every active session for a user ("log out everywhere")
+ * @param {string} userId - Kalypso user ID
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAllSessions(userId, reason = 'logout_all') {
+  const { data, error } = await supabase
+    .from('user_sessions')
+    .update({
+      revoked_at: new Date().toISOString(),
+      revoked_reason: reason,
+    })
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to revoke sessions: ${error.message}`);
+  }
+
+  const revokedCount = data?.length || 0;
+
+  await createAuditLog({
+    userId,
+    eventType: 'sessions_revoked_all',
+    description: `All sessions revoked (${reason})`,
+    data: { revokedCount, reason },
+  });
+
+  console.log(`🔒 Revoked ${revokedCount} sessions for user ${userId}`);
+
+  return revokedCount;
+}
+
+module.exports = {
+  recordSession,
+  touchSession,
+  isSessionRevoked,
+  listActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,377 @@
+// Settlement Service
+// Imports Fiserv settlement and funding CSV reports into settlement_lines for reconciliation
+
+const crypto = require('crypto');
+const { supabase, createAuditLog } = require('../config/supabase.config');
+const { redact } = require('../utils/logger');
+const { normalizeCurrency, roundAmount } = require('../utils/currency');
+
+const FILE_TYPES = ['settlement', 'funding'];
+const MAX_FILE_BYTES = parseInt(process.env.SETTLEMENT_FILE_MAX_BYTES || String(20 * 1024 * 1024));
+const INSERT_BATCH_SIZE = 500;
+
+// Report column names differ between Fiserv report versions. Headers are compared
+// lowercased with everything but letters and digits removed.
+const COLUMN_ALIASES = {
+  transactionId: ['transactionid', 'ipgtransactionid', 'txnid', 'transid', 'gatewaytransactionid'],
+  referenceTransactionId: ['originaltransactionid', 'referencetransactionid', 'reftransactionid', 'parenttransactionid'],
+  orderId: ['orderid', 'merchantorderid', 'merchantreference'],
+  type: ['transactiontype', 'type', 'trantype'],
+  amount: ['amount', 'transactionamount', 'grossamount', 'settledamount', 'settlementamount'],
+  currency: ['currency', 'currencycode', 'transactioncurrency', 'settlementcurrency'],
+  fee: ['fee', 'fees', 'feeamount', 'processingfee'],
+  net: ['net', 'netamount', 'fundedamount'],
+  transactionDate: ['transactiondate', 'trandate', 'date'],
+  settlementDate: ['settlementdate', 'batchdate', 'processdate', 'processingdate'],
+  fundingDate: ['fundingdate', 'depositdate', 'paiddate'],
+};
+
+// Report transaction types -> settlement_lines.transaction_type
+const TYPE_MAP = {
+  sale: 'capture',
+  purchase: 'capture',
+  capture: 'capture',
+  charge: 'capture',
+  completion: 'capture',
+  refund: 'refund',
+  return: 'refund',
+  credit: 'refund',
+  chargeback: 'chargeback',
+  cb: 'chargeback',
+  dispute: 'chargeback',
+  fee: 'fee',
+  fees: 'fee',
+};
+
+function settlementError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF)
+ *
+ * @param {string} text - File content
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+function normalizeHeader(header) {
+  return header.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Map our field names to column indexes for a header row
+ */
+function mapColumns(headerRow) {
+  const normalized = headerRow.map(normalizeHeader);
+  const columns = {};
+
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const index = normalized.findIndex(header => aliases.includes(header));
+    if (index !== -1) {
+      columns[field] = index;
+    }
+  }
+
+  return columns;
+}
+
+/**
+ * Parse a report amount: "1,234.50", "$10.00", "(25.00)" and "-25.00" are all accepted
+ * Rounding to the currency's minor units happens once the currency is known.
+ */
+function parseAmount(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+
+  const text = String(value).trim();
+  const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+  const number = parseFloat(text.replace(/[^0-9.]/g, ''));
+
+  if (!Number.isFinite(number)) {
+    return null;
+  }
+
+  return negative ? -number : number;
+}
+
+/**
+ * Validate a report currency code
+ * @returns {string|null} ISO 4217 code, or null when unknown
+ */
+function parseCurrency(value) {
+  try {
+    return normalizeCurrency(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse a report date (YYYY-MM-DD, YYYYMMDD or MM/DD/YYYY) to YYYY-MM-DD
+ */
+function parseDate(value) {
+  if (!value || !String(value).trim()) {
+    return null;
+  }
+
+  const text = String(value).trim();
+  let match;
+
+  if ((match = text.match(/^(\d{4})-(\d{2})-(\d{2})/))) {
+    return `${match[1]}-${match[2]}-${match[3]}`;
+  }
+  if ((match = text.match(/^(\d{4})(\d{2})(\d{2})$/))) {
+    return `${match[1]}-${match[2]}-${match[3]}`;
+  }
+  if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {
+    return `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Turn one CSV row into a settlement line
+ * @returns {Object} Line fields, or { error } when the row cannot be used
+ */
+function parseLine(fields, columns, headerRow) {
+  const get = (field) => (columns[field] === undefined ? '' : (fields[columns[field]] || '').trim());
+
+  const rawType = get('type').toLowerCase().replace(/[^a-z]/g, '');
+  const amount = parseAmount(get('amount'));
+  const currency = parseCurrency(get('currency'));
+  const transactionDate = parseDate(get('transactionDate'));
+  const fundingDate = parseDate(get('fundingDate'));
+  const settlementDate = parseDate(get('settlementDate')) || fundingDate || transactionDate;
+
+  // Untyped rows: the sign tells a refund from a capture
+  const transactionType = rawType
+    ? (TYPE_MAP[rawType] || 'adjustment')
+    : (amount !== null && amount < 0 ? 'refund' : 'capture');
+
+  if (amount === null) return { error: 'Missing or invalid amount' };
+  if (!currency) return { error: 'Missing or invalid currency' };
+  if (!settlementDate) return { error: 'Missing or invalid settlement date' };
+  if (['capture', 'refund'].includes(transactionType) && !get('transactionId') && !get('orderId')) {
+    return { error: 'Missing transaction ID' };
+  }
+
+  const fee = parseAmount(get('fee'));
+  const net = parseAmount(get('net'));
+
+  // Keep the original row for investigation, with any card or bank numbers masked
+  const raw = redact(Object.fromEntries(headerRow.map((header, index) => [header, fields[index] ?? null])));
+
+  return {
+    transaction_type: transactionType,
+    fiserv_transaction_id: get('transactionId') || null,
+    reference_transaction_id: get('referenceTransactionId') || null,
+    order_id: get('orderId') || null,
+    amount: Math.abs(roundAmount(amount, currency)),
+    currency,
+    fee_amount: fee === null ? null : Math.abs(roundAmount(fee, currency)),
+    net_amount: net === null ? null : roundAmount(net, currency),
+    transaction_date: transactionDate,
+    settlement_date: settlementDate,
+    funding_date: fundingDate,
+    raw,
+    match_status: ['capture', 'refund'].includes(transactionType) ? 'unreconciled' : 'skipped',
+  };
+}
+
+/**
+ * Import a settlement or funding CSV
+ * Rows that cannot be parsed are reported back (and stored on the file) rather than failing the import.
+ *
+ * @param {Object} file - { fileType, fileName, content }
+ * @param {string} importedBy - Staff user ID
+ * @returns {Promise<Object>} { file, imported, rejected }
+ */
+async function importSettlementFile(file, importedBy = null) {
+  const { fileType, fileName, content } = file;
+
+  if (!FILE_TYPES.includes(fileType)) {
+    throw settlementError(`Invalid fileType. Must be one of: ${FILE_TYPES.join(', ')}`);
+  }
+
+  if (!fileName || !String(fileName).trim()) {
+    throw settlementError('fileName is required');
+  }
+
+  if (!content || typeof content !== 'string' || !content.trim()) {
+    throw settlementError('The CSV file is empty');
+  }
+
+  if (Buffer.byteLength(content) > MAX_FILE_BYTES) {
+    throw settlementError(`File exceeds the ${MAX_FILE_BYTES} byte limit`, 413);
+  }
+
+  const fileHash = crypto.createHash('sha256').update(content).digest('hex');
+
+  const { data: existing } = await supabase
+    .from('settlement_files')
+    .select('id, file_name, created_at')
+    .eq('file_hash', fileHash)
+    .maybeSingle();
+
+  if (existing) {
+    throw settlementError(`This file was already imported as ${existing.file_name} (${existing.id})`, 409);
+  }
+
+  const [headerRow, ...dataRows] = parseCsv(content);
+  const columns = mapColumns(headerRow || []);
+
+  const missingColumns = ['amount', 'currency'].filter(field => columns[field] === undefined);
+  if (columns.transactionId === undefined && columns.orderId === undefined) {
+    missingColumns.push('transactionId');
+  }
+  if (columns.settlementDate === undefined && columns.fundingDate === undefined && columns.transactionDate === undefined) {
+    missingColumns.push('settlementDate');
+  }
+  if (missingColumns.length > 0) {
+    throw settlementError(`Unrecognized report format - missing columns: ${missingColumns.join(', ')}`);
+  }
+
+  const lines = [];
+  const rejected = [];
+
+  dataRows.forEach((fields, index) => {
+    const lineNumber = index + 2; // 1-based, after the header
+    const line = parseLine(fields, columns, headerRow);
+
+    if (line.error) {
+      rejected.push({ line: lineNumber, error: line.error });
+    } else {
+      lines.push({ ...line, file_type: fileType, line_number: lineNumber });
+    }
+  });
+
+  if (lines.length === 0) {
+    throw settlementError(`No valid lines in file (${rejected.length} rejected)`);
+  }
+
+  const { data: settlementFile, error: fileError } = await supabase
+    .from('settlement_files')
+    .insert({
+      file_type: fileType,
+      file_name: String(fileName).trim(),
+      file_hash: fileHash,
+      line_count: lines.length,
+      rejected_count: rejected.length,
+      rejected_lines: rejected,
+      imported_by: importedBy,
+    })
+    .select()
+    .single();
+
+  if (fileError) {
+    throw new Error(`Failed to record settlement file: ${fileError.message}`);
+  }
+
+  for (let i = 0; i < lines.length; i += INSERT_BATCH_SIZE) {
+    const batch = lines.slice(i, i + INSERT_BATCH_SIZE).map(line => ({ ...line, file_id: settlementFile.id }));
+    const { error } = await supabase.from('settlement_lines').insert(batch);
+
+    if (error) {
+      // Remove the partial import so the file can be imported again
+      await supabase.from('settlement_files').delete().eq('id', settlementFile.id);
+      throw new Error(`Failed to import settlement lines: ${error.message}`);
+    }
+  }
+
+  await createAuditLog({
+    userId: null,
+    eventType: 'settlement_file_imported',
+    description: `Imported ${fileType} file ${settlementFile.file_name}: ${lines.length} lines, ${rejected.length} rejected`,
+    data: {
+      fileId: settlementFile.id,
+      fileType,
+      lineCount: lines.length,
+      rejectedCount: rejected.length,
+      importedBy,
+    },
+  });
+
+  console.log(`📥 Imported ${fileType} file ${settlementFile.file_name}: ${lines.length} lines, ${rejected.length} rejected`);
+
+  return { file: settlementFile, imported: lines.length, rejected };
+}
+
+/**
+ * List imported settlement files, newest first
+ * @param {Object} params - { fileType, limit, offset }
+ * @returns {Promise<Object>} { files, total }
+ */
+async function listSettlementFiles(params = {}) {
+  const { fileType, limit = 50, offset = 0 } = params;
+
+  let query = supabase
+    .from('settlement_files')
+    .select('id, file_type, file_name, line_count, rejected_count, imported_by, created_at', { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (fileType) query = query.eq('file_type', fileType);
+
+  const { data, error, count } = await query;
+
+  if (error) {
+    throw new Error(`Failed to list settlement files: ${error.message}`);
+  }
+
+  return { files: data || [], total: count || 0 };
+}
+
+module.exports = {
+  FILE_TYPES,
+  MAX_FILE_BYTES,
+  importSettlementFile,
+  listSettlementFiles,
+};
@@ -0,0 +1,318 @@
+// 3-D Secure Service
+// Persisted 3DS2 authentication sessions for card payments that Fiserv sends to 3DS.
+// Flow: device data (3DS Method) -> frictionless result or challenge -> challenge result (CRes).
+// A requires_3ds payment can only be finalized through its pending session.
+
+const { supabase, createAuditLog } = require('../config/supabase.config');
+const { fiservClient } = require('./fiservClient');
+const {
+  transitionPayment,
+  recordThreeDSResult,
+  getPaymentById,
+} = require('./paymentService');
+
+const SESSION_TTL_MINUTES = parseInt(process.env.THREE_DS_SESSION_TTL_MINUTES || '15');
+
+const PENDING_SESSION_STATUSES = ['device_data_required', 'challenge_required'];
+
+function threeDSError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Decode a base64url 3DS2 message (CReq / CRes)
+ */
+function decodeMessage(encoded) {
+  try {
+    return JSON.parse(Buffer.from(String(encoded), 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Session columns for the challenge step of an authenticationResponse
+ */
+function challengeFields(authenticationResponse) {
+  const creq = authenticationResponse.cReq || null;
+
+  return {
+    status: 'challenge_required',
+    acs_url: authenticationResponse.acsURL || null,
+    creq,
+    acs_transaction_id: authenticationResponse.acsTransactionId || decodeMessage(creq)?.acsTransID || null,
+  };
+}
+
+/**
+ * Open a 3DS session for a payment Fiserv sent to 3-D Secure
+ *
+ * @param {Object} payment - Payment in requires_3ds
+ * @param {Object} paymentResult - Fiserv charge response with authenticationResponse
+ * @returns {Promise<Object>} Session record
+ */
+async function createThreeDSSession(payment, paymentResult) {
+  const authenticationResponse = paymentResult.authenticationResponse || {};
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MINUTES * 60 * 1000);
+
+  const stepFields = authenticationResponse.status === 'METHOD_REQUIRED'
+    ? {
+        status: 'device_data_required',
+        method_url: authenticationResponse.methodURL || null,
+        method_data: authenticationResponse.methodData || null,
+      }
+    : challengeFields(authenticationResponse);
+
+  const { data: session, error } = await supabase
+    .from('three_ds_sessions')
+    .insert({
+      payment_id: payment.id,
+      user_id: payment.user_id,
+      fiserv_transaction_id: paymentResult.ipgTransactionId,
+      protocol_version: authenticationResponse.version || null,
+      server_transaction_id: authenticationResponse.serverTransactionId || null,
+      ...stepFields,
+      expires_at: expiresAt.toISOString(),
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create 3DS session: ${error.message}`);
+  }
+
+  console.log(`🔐 3DS session ${session.id} opened for payment ${payment.id} (${session.status})`);
+
+  return session;
+}
+
+/**
+ * Client view of a session: what the browser needs for the next step
+ */
+function formatSession(session) {
+  return {
+    sessionId: session.id,
+    paymentId: session.payment_id,
+    status: session.status,
+    version: session.protocol_version,
+    methodUrl: session.method_url,
+    methodData: session.method_data,
+    acsUrl: session.acs_url,
+    creq: session.creq,
+    transStatus: session.trans_status,
+    expiresAt: session.expires_at,
+  };
+}
+
+/**
+ * Expire a pending session and fail its payment
+ */
+async function expireSession(session) {
+  const { data: expired } = await supabase
+    .from('three_ds_sessions')
+    .update({
+      status: 'expired',
+      failure_reason: 'Session expired before authentication finished',
+      completed_at: new Date().toISOString(),
+    })
+    .eq('id', session.id)
+    .eq('status', session.status)
+    .select()
+    .single();
+
+  if (!expired) {
+    return session;
+  }
+
+  const payment = await getPaymentById(session.payment_id);
+  if (payment.status === 'requires_3ds') {
+    await transitionPayment(payment, 'failed', {
+      eventType: 'three_ds_expired',
+      updates: {
+        three_ds_status: 'failed',
+        three_ds_completed_at: expired.completed_at,
+        error_code: 'THREE_DS_EXPIRED',
+        error_message: '3D Secure authentication was not completed in time',
+      },
+    });
+  }
+
+  console.log(`⌛ 3DS session ${session.id} expired`);
+
+  return expired;
+}
+
+/**
+ * Get a user's 3DS session, expiring it if its time is up
+ *
+ * @param {string} userId - Session owner
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object>} Session record
+ */
+async function getThreeDSSession(userId, sessionId) {
+  const { data: session } = await supabase
+    .from('three_ds_sessions')
+    .select('*')
+    .eq('id', sessionId)
+    .eq('user_id', userId)
+    .single();
+
+  if (!session) {
+    throw threeDSError('3DS session not found', 404);
+  }
+
+  if (PENDING_SESSION_STATUSES.includes(session.status) && new Date(session.expires_at) <= new Date()) {
+    return await expireSession(session);
+  }
+
+  return session;
+}
+
+/**
+ * Reject a 3DS callback that does not belong to a pending session step
+ */
+async function rejectCallback(userId, session, reason, context = {}) {
+  await createAuditLog({
+    userId,
+    eventType: 'three_ds_callback_rejected',
+    description: `3DS callback rejected for payment ${session.payment_id}: ${reason}`,
+    data: { sessionId: session.id, paymentId: session.payment_id, sessionStatus: session.status },
+    ipAddress: context.ipAddress,
+    userAgent: context.userAgent,
+  });
+
+  console.warn(`⚠️  3DS callback rejected for session ${session.id}: ${reason}`);
+
+  return threeDSError(reason, 409);
+}
+
+/**
+ * Load a session that must be waiting on the given step
+ */
+async function getPendingSession(userId, sessionId, expectedStatus, context) {
+  const session = await getThreeDSSession(userId, sessionId);
+
+  if (session.status !== expectedStatus) {
+    throw await rejectCallback(userId, session, `3DS session is not awaiting this step (status: ${session.status})`, context);
+  }
+
+  return session;
+}
+
+/**
+ * Record the final 3DS outcome on the payment and close the session
+ */
+async function finalizeSession(session, authResult) {
+  let payment = await getPaymentById(session.payment_id);
+
+  if (payment.status === 'requires_3ds') {
+    payment = await recordThreeDSResult(payment, authResult);
+  }
+
+  const authenticated = payment.status === 'authorized' || payment.status === 'captured';
+  const authenticationResult = authResult.authenticationResult || {};
+
+  const { data: closed, error } = await supabase
+    .from('three_ds_sessions')
+    .update({
+      status: authenticated ? 'authenticated' : 'failed',
+      trans_status: authenticationResult.transStatus || null,
+      eci: authenticationResult.eci || null,
+      acs_transaction_id: authenticationResult.acsTransactionId || session.acs_transaction_id,
+      method_completed: session.method_completed ?? null,
+      failure_reason: authenticated ? null : (authResult.gatewayResponse?.errorMessage || '3D Secure authentication failed'),
+      completed_at: new Date().toISOString(),
+    })
+    .eq('id', session.id)
+    .eq('status', session.status)
+    .select()
+    .single();
+
+  if (error || !closed) {
+    throw new Error(`Failed to close 3DS session ${session.id}: ${error?.message || 'status changed concurrently'}`);
+  }
+
+  console.log(`🔐 3DS session ${session.id} ${closed.status} (transStatus ${closed.trans_status || 'n/a'})`);
+
+  return { session: closed, payment, gatewayResponse: authResult.gatewayResponse };
+}
+
+/**
+ * Report device-data collection (the 3DS Method) for a session
+ * Fiserv either authorizes frictionlessly or asks for a challenge.
+ *
+ * @param {string} userId - Session owner
+ * @param {string} sessionId - Session ID
+ * @param {Object} data - { methodCompleted: boolean }
+ * @param {Object} context - { ipAddress, userAgent }
+ * @returns {Promise<Object>} { session, payment, gatewayResponse }
+ */
+async function submitDeviceData(userId, sessionId, data = {}, context = {}) {
+  const session = await getPendingSession(userId, sessionId, 'device_data_required', context);
+
+  // U: there was no method URL to run; N: the browser could not finish it
+  const completionIndicator = !session.method_url ? 'U' : (data.methodCompleted ? 'Y' : 'N');
+
+  const methodResult = await fiservClient.submitThreeDSMethod(session.fiserv_transaction_id, completionIndicator);
+
+  if (methodResult.authenticationResponse?.status === 'CHALLENGE_REQUIRED') {
+    const { data: updated, error } = await supabase
+      .from('three_ds_sessions')
+      .update({
+        ...challengeFields(methodResult.authenticationResponse),
+        method_completed: completionIndicator === 'Y',
+      })
+      .eq('id', session.id)
+      .eq('status', 'device_data_required')
+      .select()
+      .single();
+
+    if (error || !updated) {
+      throw new Error(`Failed to update 3DS session ${session.id}: ${error?.message || 'status changed concurrently'}`);
+    }
+
+    return { session: updated, payment: null, gatewayResponse: methodResult.gatewayResponse };
+  }
+
+  return await finalizeSession({ ...session, method_completed: completionIndicator === 'Y' }, methodResult);
+}
+
+/**
+ * Finish a challenge with the CRes the ACS posted to the browser
+ * The CRes must carry this session's threeDSServerTransID (and ACS transaction ID).
+ *
+ * @param {string} userId - Session owner
+ * @param {string} sessionId - Session ID
+ * @param {string} cres - Base64url-encoded CRes
+ * @param {Object} context - { ipAddress, userAgent }
+ * @returns {Promise<Object>} { session, payment, gatewayResponse }
+ */
+async function completeChallenge(userId, sessionId, cres, context = {}) {
+  const session = await getPendingSession(userId, sessionId, 'challenge_required', context);
+
+  const message = decodeMessage(cres);
+  if (!message || message.messageType !== 'CRes') {
+    throw threeDSError('Invalid challenge response');
+  }
+
+  const mismatched = message.threeDSServerTransID !== session.server_transaction_id
+    || (session.acs_transaction_id && message.acsTransID !== session.acs_transaction_id);
+
+  if (mismatched) {
+    throw await rejectCallback(userId, session, 'Challenge response does not match this 3DS session', context);
+  }
+
+  const challengeResult = await fiservClient.completeThreeDSChallenge(session.fiserv_transaction_id, cres);
+
+  return await finalizeSession(session, challengeResult);
+}
+
+module.exports = {
+  createThreeDSSession,
+  formatSession,
+  getThreeDSSession,
+  submitDeviceData,
+  completeChallenge,
+};
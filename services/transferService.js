@@ -2,20 +2,85 @@
 // Handles internal, external (on-chain), and ACH transfers
 
 const bridgeClient = require('./bridgeClient');
-const { getUserById, createNotification, supabase } = require('../config/supabase.config');
+const { getUserById, createNotification, createAuditLog, supabase } = require('../config/supabase.config');
+const { logger } = require('../utils/logger');
 
-// Check if running in mock mode
-const BRIDGE_MODE = process.env.BRIDGE_MODE || 'live';
+/**
+ * Load the source of a transfer scoped to its owner
+ * Wallet and ACH account IDs come from the client, so one belonging to someone else
+ * is reported as not found (404) and audit-logged.
+ *
+ * @param {string} userId - Kalypso user ID making the request
+ * @param {string} type - Transfer type ('internal', 'external' or 'ach')
+ * @param {string} sourceId - Bridge wallet ID, or Bridge external account ID for ACH
+ * @returns {Promise<Object>} Wallet or account record
+ */
+async function getOwnedTransferSource(userId, type, sourceId) {
+  let source = null;
+
+  if (type === 'ach') {
+    const { data: externalAccount } = await supabase
+      .from('external_accounts')
+      .select('id, active')
+      .eq('bridge_external_account_id', sourceId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    source = externalAccount;
+
+    // Virtual accounts are Bridge external accounts too
+    if (!source) {
+      const { data: virtualAccount } = await supabase
+        .from('bridge_virtual_accounts')
+        .select('id, status')
+        .eq('bridge_account_id', sourceId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      source = virtualAccount;
+    }
+  } else {
+    const { data: wallet } = await supabase
+      .from('bridge_wallets')
+      .select('id, status')
+      .eq('bridge_wallet_id', sourceId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    source = wallet;
+  }
+
+  if (!source) {
+    console.warn(`⚠️  Transfer source ${sourceId} not found for user ${userId} (${type})`);
+
+    await createAuditLog({
+      userId,
+      eventType: 'transfer_source_denied',
+      description: `Transfer denied: ${type === 'ach' ? 'account' : 'wallet'} not found or not owned by user`,
+      data: { sourceId, type },
+    });
+
+    const error = new Error(type === 'ach' ? 'Source account not found' : 'Source wallet not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return source;
+}
 
 /**
  * Create a new transfer
  * @param {string} userId - Kalypso user ID
  * @param {Object} transferData - Transfer details
+ * @param {Object} options - { idempotencyKey } forwarded to Bridge so retries are deduplicated
  * @returns {Promise<Object>} Created transfer data
  */
-async function createTransfer(userId, transferData) {
+async function createTransfer(userId, transferData, options = {}) {
   const { type, amount, currency, source_wallet_id, destination } = transferData;
 
+  // Checked before anything is sent to Bridge, and before the failure notification below
+  const source = await getOwnedTransferSource(userId, type, source_wallet_id);
+
   try {
     // Validate user
     const user = await getUserById(userId);
@@ -27,6 +92,11 @@ async function createTransfer(userId, transferData) {
       throw new Error('User must complete KYC before creating transfers');
     }
 
+    // Wallets frozen by a dispute cannot send funds
+    if (type !== 'ach' && source.status === 'frozen') {
+      throw new Error('Source wallet is frozen. Please contact support.');
+    }
+
     console.log(`📝 Creating ${type} transfer for user ${userId}...`);
 
     // Prepare Bridge transfer payload based on type
@@ -92,49 +162,15 @@ async function createTransfer(userId, transferData) {
       throw new Error('Invalid transfer type');
     }
 
-    // Log payload for debugging
-    console.log('🔍 Bridge transfer payload:', JSON.stringify(bridgeTransferData, null, 2));
-
-    // Create transfer via Bridge API or use mock
-    let bridgeTransfer;
+    // Log payload for debugging (ACH account and routing numbers are masked)
+    logger.info('🔍 Bridge transfer payload:', bridgeTransferData);
 
-    if (BRIDGE_MODE === 'mock') {
-      console.log('🧪 Mock mode: Simulating transfer creation...');
-
-      // Generate mock transfer response
-      bridgeTransfer = {
-        id: `mock_transfer_${Date.now()}`,
-        state: 'pending',
-        amount: amount.toString(),
-        fee: '0.001',
-        source: bridgeTransferData.source,
-        destination: bridgeTransferData.destination,
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString(),
-      };
-
-      console.log('✅ Mock transfer created:', bridgeTransfer.id);
-
-      // Simulate transfer completion after 2 seconds
-      setTimeout(async () => {
-        bridgeTransfer.state = 'completed';
-        bridgeTransfer.transaction_hash = `0x${Math.random().toString(16).substring(2, 66)}`;
-        await updateTransferStatusInDatabase(bridgeTransfer.id, bridgeTransfer);
-
-        await createNotification(
-          userId,
-          'success',
-          'Transfer Completed',
-          `Your ${type} transfer of ${amount} ${currency.toUpperCase()} has been completed.`,
-          { transferId: bridgeTransfer.id, transactionHash: bridgeTransfer.transaction_hash },
-          { priority: 'normal', category: 'transaction' }
-        );
-      }, 2000);
-    } else {
-      // Real Bridge API call
-      bridgeTransfer = await bridgeClient.post('/transfers', bridgeTransferData);
-      console.log('✅ Bridge transfer created:', bridgeTransfer.id);
-    }
+    // Create transfer via Bridge API
+    const requestConfig = options.idempotencyKey
+      ? { headers: { 'Idempotency-Key': options.idempotencyKey } }
+      : {};
+    const bridgeTransfer = await bridgeClient.post('/transfers', bridgeTransferData, requestConfig);
+    console.log('✅ Bridge transfer created:', bridgeTransfer.id);
 
     // Sync transfer to database
     await syncTransferToDatabase(bridgeTransfer, userId, type, destination);
@@ -172,13 +208,30 @@ async function createTransfer(userId, transferData) {
 
 /**
  * Get transfer status
+ * @param {string} userId - Kalypso user ID (must own the transfer)
  * @param {string} transferId - Bridge transfer ID
  * @returns {Promise<Object>} Transfer details
  */
-async function getTransferStatus(transferId) {
+async function getTransferStatus(userId, transferId) {
   try {
     console.log(`📝 Fetching status for transfer ${transferId}...`);
 
+    if (!supabase) {
+      throw new Error('Database not initialized');
+    }
+
+    // Verify ownership before querying Bridge
+    const { data: ownedTransfer, error } = await supabase
+      .from('bridge_transfers')
+      .select('id')
+      .eq('bridge_transfer_id', transferId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error || !ownedTransfer) {
+      throw new Error('Transfer not found or unauthorized');
+    }
+
     const transfer = await bridgeClient.get(`/transfers/${transferId}`);
 
     console.log(`✅ Transfer status: ${transfer.state}`);
@@ -189,7 +242,7 @@ async function getTransferStatus(transferId) {
     return transfer;
   } catch (error) {
     console.error('❌ Failed to get transfer status:', error.message);
-    throw new Error('Failed to get transfer status');
+    throw new Error(`Failed to get transfer status: ${error.message}`);
   }
 }
 
@@ -415,4 +468,6 @@ module.exports = {
   getTransferStatus,
   listTransfers,
   cancelTransfer,
+  syncTransferToDatabase,
+  updateTransferStatusInDatabase,
 };
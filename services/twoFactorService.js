@@ -0,0 +1,497 @@
+// Two-Factor Authentication Service
+// Handles TOTP enrollment, verification, and recovery codes
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { supabase, createAuditLog } = require('../config/supabase.config');
+const { base32Encode, generateTotpSecret, verifyTotp, buildOtpauthUrl } = require('../utils/totp');
+
+const scrypt = promisify(crypto.scrypt);
+
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Kalypso';
+const RECOVERY_CODE_COUNT = 10;
+
+// Failed codes allowed before the second factor is locked, and for how long
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS || '5');
+const LOCKOUT_MINUTES = parseInt(process.env.TWO_FACTOR_LOCKOUT_MINUTES || '15');
+
+if (!process.env.TWO_FACTOR_ENCRYPTION_KEY) {
+  console.warn('⚠️  TWO_FACTOR_ENCRYPTION_KEY not set - two-factor enrollment is disabled');
+}
+
+/**
+ * Derive the AES-256 key used to encrypt TOTP secrets at rest
+ */
+function getEncryptionKey() {
+  const secret = process.env.TWO_FACTOR_ENCRYPTION_KEY;
+  if (!secret) {
+    throw new Error('Two-factor authentication is not configured');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Encrypt a TOTP secret (AES-256-GCM)
+ * Format: iv.authTag.ciphertext (base64)
+ */
+function encryptSecret(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+}
+
+/**
+ * Decrypt a TOTP secret produced by encryptSecret
+ */
+function decryptSecret(encrypted) {
+  const [iv, authTag, ciphertext] = encrypted.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Build a two-factor error with an HTTP status
+ */
+function twoFactorError(message, statusCode = 400, code = null) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) {
+    error.code = code;
+  }
+  return error;
+}
+
+/**
+ * Normalize a recovery code for hashing (upper case, no dashes)
+ */
+function normalizeRecoveryCode(code) {
+  return code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Hash a recovery code for storage with a per-code salt
+ * Format: salt:hash (hex, scrypt)
+ */
+async function hashRecoveryCode(code, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = await scrypt(normalizeRecoveryCode(code), salt, 32);
+  return `${salt}:${hash.toString('hex')}`;
+}
+
+/**
+ * Check a recovery code against a stored salt:hash
+ */
+async function matchesRecoveryCode(code, stored) {
+  const [salt, hash] = stored.split(':');
+  if (!salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = Buffer.from((await hashRecoveryCode(code, salt)).split(':')[1], 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Generate a human-friendly recovery code with 80 bits of entropy (e.g. 'K7Q2-M9XD-4RTA-WB6P')
+ */
+function generateRecoveryCode() {
+  const raw = base32Encode(crypto.randomBytes(10));
+  return raw.match(/.{4}/g).join('-');
+}
+
+/**
+ * Get the two-factor record for a user
+ */
+async function getTwoFactorRecord(userId) {
+  const { data, error } = await supabase
+    .from('user_two_factor')
+    .select('*')
+    .eq('user_id', userId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw new Error(`Failed to get two-factor settings: ${error.message}`);
+  }
+  return data;
+}
+
+/**
+ * Refuse verification while the second factor is locked after repeated failures
+ */
+function assertNotLocked(record) {
+  if (record?.locked_until && new Date(record.locked_until) > new Date()) {
+    throw twoFactorError('Too many failed two-factor attempts. Try again later.', 429, 'TWO_FACTOR_LOCKED');
+  }
+}
+
+/**
+ * Count a failed code; the RPC locks the second factor once MAX_FAILED_ATTEMPTS is reached
+ */
+async function recordFailedAttempt(userId) {
+  const { data: locked, error } = await supabase.rpc('record_two_factor_failure', {
+    p_user_id: userId,
+    p_max_attempts: MAX_FAILED_ATTEMPTS,
+    p_lockout_seconds: LOCKOUT_MINUTES * 60,
+  });
+
+  if (error) {
+    throw new Error(`Failed to record two-factor failure: ${error.message}`);
+  }
+
+  if (locked) {
+    console.warn(`🔒 Two-factor locked for user ${userId} for ${LOCKOUT_MINUTES} minutes`);
+
+    await createAuditLog({
+      userId,
+      eventType: 'two_factor_locked',
+      description: `Two-factor verification locked for ${LOCKOUT_MINUTES} minutes after ${MAX_FAILED_ATTEMPTS} failed attempts`,
+      data: {
+        maxAttempts: MAX_FAILED_ATTEMPTS,
+        lockoutMinutes: LOCKOUT_MINUTES,
+      },
+    });
+  }
+}
+
+/**
+ * Clear the failure count after a successful code
+ */
+async function resetFailedAttempts(record) {
+  if (!record.failed_attempts) {
+    return;
+  }
+
+  await supabase
+    .from('user_two_factor')
+    .update({ failed_attempts: 0 })
+    .eq('user_id', record.user_id);
+}
+
+/**
+ * Check whether a user has completed two-factor enrollment
+ * @param {string} userId - Kalypso user ID
+ * @returns {Promise<boolean>}
+ */
+async function isTwoFactorEnabled(userId) {
+  const record = await getTwoFactorRecord(userId);
+  return Boolean(record?.enabled);
+}
+
+/**
+ * Get two-factor status for a user
+ * @param {string} userId - Kalypso user ID
+ * @returns {Promise<Object>} { enabled, enabledAt, recoveryCodesRemaining }
+ */
+async function getTwoFactorStatus(userId) {
+  const record = await getTwoFactorRecord(userId);
+
+  const { count } = await supabase
+    .from('two_factor_recovery_codes')
+    .select('*', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .is('used_at', null);
+
+  return {
+    enabled: Boolean(record?.enabled),
+    enabledAt: record?.enabled_at || null,
+    recoveryCodesRemaining: record?.enabled ? (count || 0) : 0,
+  };
+}
+
+/**
+ * Start TOTP enrollment
+ * Generates a new secret; it only becomes active once confirmed with a valid code
+ *
+ * @param {string} userId - Kalypso user ID
+ * @param {string} email - Account name shown in the authenticator app
+ * @returns {Promise<Object>} { secret, otpauthUrl }
+ */
+async function startEnrollment(userId, email) {
+  const existing = await getTwoFactorRecord(userId);
+  if (existing?.enabled) {
+    throw new Error('Two-factor authentication is already enabled');
+  }
+
+  const secret = generateTotpSecret();
+
+  const { error } = await supabase
+    .from('user_two_factor')
+    .upsert({
+      user_id: userId,
+      secret_encrypted: encryptSecret(secret),
+      enabled: false,
+      enabled_at: null,
+      last_used_step: 0,
+      updated_at: new Date().toISOString(),
+    }, {
+      onConflict: 'user_id',
+    });
+
+  if (error) {
+    throw new Error(`Failed to start two-factor enrollment: ${error.message}`);
+  }
+
+  console.log(`🔐 Two-factor enrollment started for user ${userId}`);
+
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUrl(secret, email, TWO_FACTOR_ISSUER),
+  };
+}
+
+/**
+ * Verify a TOTP code and record its time step so it cannot be replayed
+ * @returns {Promise<boolean>}
+ */
+async function consumeTotpCode(record, code) {
+  const step = verifyTotp(decryptSecret(record.secret_encrypted), code);
+  if (step === null) {
+    return false;
+  }
+
+  // Conditional update guards against concurrent reuse of the same code
+  const { data, error } = await supabase
+    .from('user_two_factor')
+    .update({ last_used_step: step })
+    .eq('user_id', record.user_id)
+    .lt('last_used_step', step)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to record two-factor usage: ${error.message}`);
+  }
+
+  return Boolean(data && data.length > 0);
+}
+
+/**
+ * Mark a recovery code as used
+ * Codes are salted, so the user's unused codes are compared one by one.
+ * @returns {Promise<boolean>}
+ */
+async function consumeRecoveryCode(userId, code) {
+  const { data: codes, error } = await supabase
+    .from('two_factor_recovery_codes')
+    .select('id, code_hash')
+    .eq('user_id', userId)
+    .is('used_at', null);
+
+  if (error) {
+    throw new Error(`Failed to verify recovery code: ${error.message}`);
+  }
+
+  for (const stored of codes || []) {
+    if (await matchesRecoveryCode(code, stored.code_hash)) {
+      // Conditional update guards against concurrent reuse of the same code
+      const { data: used, error: useError } = await supabase
+        .from('two_factor_recovery_codes')
+        .update({ used_at: new Date().toISOString() })
+        .eq('id', stored.id)
+        .is('used_at', null)
+        .select('id');
+
+      if (useError) {
+        throw new Error(`Failed to verify recovery code: ${useError.message}`);
+      }
+
+      return Boolean(used && used.length > 0);
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ * @returns {Promise<Array<string>>} Plaintext codes (shown to the user once)
+ */
+async function replaceRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+  const { error: deleteError } = await supabase
+    .from('two_factor_recovery_codes')
+    .delete()
+    .eq('user_id', userId);
+
+  if (deleteError) {
+    throw new Error(`Failed to reset recovery codes: ${deleteError.message}`);
+  }
+
+  const { error } = await supabase
+    .from('two_factor_recovery_codes')
+    .insert(await Promise.all(codes.map(async code => ({ user_id: userId, code_hash: await hashRecoveryCode(code) }))));
+
+  if (error) {
+    throw new Error(`Failed to store recovery codes: ${error.message}`);
+  }
+
+  return codes;
+}
+
+/**
+ * Confirm enrollment with the first code from the authenticator app
+ *
+ * @param {string} userId - Kalypso user ID
+ * @param {string} code - 6-digit TOTP code
+ * @returns {Promise<Object>} { enabled: true, recoveryCodes }
+ */
+async function confirmEnrollment(userId, code) {
+  const record = await getTwoFactorRecord(userId);
+
+  if (!record) {
+    throw new Error('Two-factor enrollment has not been started');
+  }
+  if (record.enabled) {
+    throw new Error('Two-factor authentication is already enabled');
+  }
+
+  assertNotLocked(record);
+
+  const valid = await consumeTotpCode(record, code);
+  if (!valid) {
+    await recordFailedAttempt(userId);
+    throw new Error('Invalid verification code');
+  }
+
+  await resetFailedAttempts(record);
+
+  const { error } = await supabase
+    .from('user_two_factor')
+    .update({
+      enabled: true,
+      enabled_at: new Date().toISOString(),
+    })
+    .eq('user_id', userId);
+
+  if (error) {
+    throw new Error(`Failed to enable two-factor authentication: ${error.message}`);
+  }
+
+  const recoveryCodes = await replaceRecoveryCodes(userId);
+
+  await createAuditLog({
+    userId,
+    eventType: 'two_factor_enabled',
+    description: 'Two-factor authentication enabled',
+  });
+
+  console.log(`✅ Two-factor authentication enabled for user ${userId}`);
+
+  return { enabled: true, recoveryCodes };
+}
+
+/**
+ * Verify a second factor (TOTP code or recovery code)
+ * Every failure counts toward the lockout; a locked user gets a 429 error until it expires.
+ *
+ * @param {string} userId - Kalypso user ID
+ * @param {string} code - 6-digit TOTP code or recovery code
+ * @returns {Promise<Object>} { verified: boolean, method: 'totp' | 'recovery_code' | null }
+ */
+async function verifySecondFactor(userId, code) {
+  const record = await getTwoFactorRecord(userId);
+
+  if (!record?.enabled || !code) {
+    return { verified: false, method: null };
+  }
+
+  assertNotLocked(record);
+
+  const trimmed = code.toString().trim();
+  const method = /^\d{6}$/.test(trimmed) ? 'totp' : 'recovery_code';
+  const verified = method === 'totp'
+    ? await consumeTotpCode(record, trimmed)
+    : await consumeRecoveryCode(userId, trimmed);
+
+  if (!verified) {
+    await recordFailedAttempt(userId);
+    return { verified, method };
+  }
+
+  await resetFailedAttempts(record);
+
+  if (method === 'recovery_code') {
+    await createAuditLog({
+      userId,
+      eventType: 'two_factor_recovery_code_used',
+      description: 'Recovery code used for two-factor verification',
+    });
+  }
+
+  return { verified, method };
+}
+
+/**
+ * Regenerate recovery codes (requires a valid second factor)
+ *
+ * @param {string} userId - Kalypso user ID
+ * @param {string} code - TOTP code or existing recovery code
+ * @returns {Promise<Array<string>>} New plaintext recovery codes
+ */
+async function regenerateRecoveryCodes(userId, code) {
+  const { verified } = await verifySecondFactor(userId, code);
+  if (!verified) {
+    throw new Error('Invalid verification code');
+  }
+
+  const recoveryCodes = await replaceRecoveryCodes(userId);
+
+  await createAuditLog({
+    userId,
+    eventType: 'two_factor_recovery_codes_regenerated',
+    description: 'Two-factor recovery codes regenerated',
+  });
+
+  return recoveryCodes;
+}
+
+/**
+ * Disable two-factor authentication (requires a valid second factor)
+ *
+ * @param {string} userId - Kalypso user ID
+ * @param {string} code - TOTP code or recovery code
+ */
+async function disableTwoFactor(userId, code) {
+  const { verified } = await verifySecondFactor(userId, code);
+  if (!verified) {
+    throw new Error('Invalid verification code');
+  }
+
+  const { error } = await supabase
+    .from('user_two_factor')
+    .delete()
+    .eq('user_id', userId);
+
+  if (error) {
+    throw new Error(`Failed to disable two-factor authentication: ${error.message}`);
+  }
+
+  await supabase
+    .from('two_factor_recovery_codes')
+    .delete()
+    .eq('user_id', userId);
+
+  await createAuditLog({
+    userId,
+    eventType: 'two_factor_disabled',
+    description: 'Two-factor authentication disabled',
+  });
+
+  console.log(`🔓 Two-factor authentication disabled for user ${userId}`);
+
+  return { enabled: false };
+}
+
+module.exports = {
+  isTwoFactorEnabled,
+  getTwoFactorStatus,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+};
@@ -7,11 +7,29 @@ const { supabase } = require('../config/supabase.config');
 
 /**
  * Create a new Bridge wallet for a user
+ * A user has at most one wallet of each type (bridge_wallets is unique on user_id, wallet_type);
+ * purchases are delivered to that wallet.
+ *
  * @param {string} userId - Kalypso user ID
  * @param {string} type - Wallet type ('user' or 'treasury')
  * @returns {Promise<Object>} Created wallet data
  */
 async function createWallet(userId, type = 'user') {
+  const { data: existingWallet } = await supabase
+    .from('bridge_wallets')
+    .select('id')
+    .eq('user_id', userId)
+    .eq('wallet_type', type)
+    .limit(1)
+    .maybeSingle();
+
+  // Checked before calling Bridge so no orphaned wallet is created there
+  if (existingWallet) {
+    const error = new Error(`User already has a ${type} wallet`);
+    error.statusCode = 409;
+    throw error;
+  }
+
   try {
     // Get user and their Bridge customer ID
     const user = await getUserById(userId);
@@ -0,0 +1,296 @@
+// Webhook Inbox Service
+// Persists Bridge webhook events and tracks their processing state
+
+const { supabase, createAuditLog } = require('../config/supabase.config');
+
+const EVENT_STATUSES = ['pending', 'processing', 'processed', 'failed', 'dead_letter'];
+
+// Retry policy
+const MAX_ATTEMPTS = parseInt(process.env.BRIDGE_WEBHOOK_MAX_ATTEMPTS || '8');
+const BASE_RETRY_DELAY_MS = 30 * 1000; // 30 seconds, doubled per attempt
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000; // 1 hour
+
+// Events stuck in processing longer than this (e.g. worker crashed) are reclaimed
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Store a verified Bridge event in the inbox
+ * Duplicate deliveries (same bridge_event_id) are ignored
+ *
+ * @param {Object} event - Bridge webhook event
+ * @returns {Promise<Object>} { event, duplicate: boolean }
+ */
+async function recordBridgeEvent(event) {
+  if (!event?.id || !event?.type) {
+    throw new Error('Webhook event is missing id or type');
+  }
+
+  const { data, error } = await supabase
+    .from('bridge_webhook_events')
+    .upsert({
+      bridge_event_id: event.id,
+      event_type: event.type,
+      payload: event,
+    }, {
+      onConflict: 'bridge_event_id',
+      ignoreDuplicates: true,
+    })
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to store webhook event: ${error.message}`);
+  }
+
+  if (!data || data.length === 0) {
+    const existing = await getEventByBridgeId(event.id);
+    return { event: existing, duplicate: true };
+  }
+
+  return { event: data[0], duplicate: false };
+}
+
+/**
+ * Calculate the retry delay after a failed attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY_MS * Math.pow(2, attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Claim events that are due for processing
+ * Each event is claimed with a conditional update so concurrent workers never
+ * process the same event twice.
+ *
+ * @param {number} limit - Maximum events to claim
+ * @returns {Promise<Array>} Claimed events (status = processing, attempts incremented)
+ */
+async function claimDueEvents(limit = 10) {
+  const now = new Date();
+  const staleLock = new Date(now.getTime() - LOCK_TIMEOUT_MS).toISOString();
+
+  const { data: candidates, error } = await supabase
+    .from('bridge_webhook_events')
+    .select('id, status, attempts')
+    .or(`status.in.(pending,failed),and(status.eq.processing,locked_at.lt.${staleLock})`)
+    .lte('next_attempt_at', now.toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to load due webhook events: ${error.message}`);
+  }
+
+  const claimed = [];
+
+  for (const candidate of candidates || []) {
+    const { data } = await supabase
+      .from('bridge_webhook_events')
+      .update({
+        status: 'processing',
+        locked_at: new Date().toISOString(),
+        attempts: candidate.attempts + 1,
+      })
+      .eq('id', candidate.id)
+      .eq('status', candidate.status)
+      .eq('attempts', candidate.attempts)
+      .select();
+
+    if (data && data.length > 0) {
+      claimed.push(data[0]);
+    }
+  }
+
+  return claimed;
+}
+
+/**
+ * Mark an event as successfully processed
+ * @param {string} id - Inbox record ID
+ */
+async function markEventProcessed(id) {
+  const { error } = await supabase
+    .from('bridge_webhook_events')
+    .update({
+      status: 'processed',
+      processed_at: new Date().toISOString(),
+      locked_at: null,
+      last_error: null,
+    })
+    .eq('id', id);
+
+  if (error) {
+    throw new Error(`Failed to mark webhook event processed: ${error.message}`);
+  }
+}
+
+/**
+ * Record a failed processing attempt
+ * Schedules a retry with exponential backoff, or dead-letters the event once
+ * MAX_ATTEMPTS is reached.
+ *
+ * @param {Object} record - Claimed inbox record
+ * @param {Error} processingError - Error thrown by the handler
+ * @returns {Promise<string>} New status ('failed' or 'dead_letter')
+ */
+async function markEventFailed(record, processingError) {
+  const deadLetter = record.attempts >= MAX_ATTEMPTS;
+  const status = deadLetter ? 'dead_letter' : 'failed';
+  const nextAttemptAt = deadLetter
+    ? null
+    : new Date(Date.now() + getRetryDelay(record.attempts)).toISOString();
+
+  const { error } = await supabase
+    .from('bridge_webhook_events')
+    .update({
+      status,
+      next_attempt_at: nextAttemptAt,
+      locked_at: null,
+      last_error: processingError.message || String(processingError),
+    })
+    .eq('id', record.id);
+
+  if (error) {
+    throw new Error(`Failed to record webhook failure: ${error.message}`);
+  }
+
+  await createAuditLog({
+    eventType: deadLetter ? 'bridge_webhook_dead_lettered' : 'bridge_webhook_error',
+    description: deadLetter
+      ? `Bridge webhook moved to dead letter after ${record.attempts} attempts: ${record.event_type}`
+      : `Failed to process Bridge webhook (attempt ${record.attempts}): ${processingError.message}`,
+    data: {
+      inboxId: record.id,
+      attempts: record.attempts,
+      error: processingError.message,
+      nextAttemptAt,
+    },
+    bridgeEventId: record.bridge_event_id,
+    bridgeEventType: record.event_type,
+  });
+
+  return status;
+}
+
+/**
+ * List inbox events
+ * @param {Object} params - { status, eventType, limit, offset }
+ * @returns {Promise<Array>} Events (without payload), newest first
+ */
+async function listEvents(params = {}) {
+  const { status, eventType, limit = 50, offset = 0 } = params;
+
+  if (status && !EVENT_STATUSES.includes(status)) {
+    throw new Error(`Invalid status. Must be one of: ${EVENT_STATUSES.join(', ')}`);
+  }
+
+  let query = supabase
+    .from('bridge_webhook_events')
+    .select('id, bridge_event_id, event_type, status, attempts, next_attempt_at, last_error, processed_at, replay_count, received_at')
+    .order('received_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (status) {
+    query = query.eq('status', status);
+  }
+  if (eventType) {
+    query = query.eq('event_type', eventType);
+  }
+
+  const { data: events, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to list webhook events: ${error.message}`);
+  }
+
+  return events || [];
+}
+
+/**
+ * Get a single inbox event including its payload
+ * @param {string} id - Inbox record ID
+ * @returns {Promise<Object>} Event
+ */
+async function getEvent(id) {
+  const { data: event, error } = await supabase
+    .from('bridge_webhook_events')
+    .select('*')
+    .eq('id', id)
+    .single();
+
+  if (error || !event) {
+    const notFound = new Error('Webhook event not found');
+    notFound.statusCode = 404;
+    throw notFound;
+  }
+
+  return event;
+}
+
+/**
+ * Get an inbox event by its Bridge event ID
+ * @param {string} bridgeEventId - Bridge event ID
+ * @returns {Promise<Object|null>} Event
+ */
+async function getEventByBridgeId(bridgeEventId) {
+  const { data: event } = await supabase
+    .from('bridge_webhook_events')
+    .select('*')
+    .eq('bridge_event_id', bridgeEventId)
+    .single();
+
+  return event || null;
+}
+
+/**
+ * Queue an event to be processed again
+ * Resets the attempt counter so a replayed event gets the full retry budget
+ *
+ * @param {string} id - Inbox record ID
+ * @param {string} replayedBy - Staff user ID
+ * @returns {Promise<Object>} Updated event
+ */
+async function replayEvent(id, replayedBy) {
+  const event = await getEvent(id);
+
+  if (event.status === 'processing') {
+    throw new Error('Event is currently being processed');
+  }
+
+  const { data, error } = await supabase
+    .from('bridge_webhook_events')
+    .update({
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+      locked_at: null,
+      last_error: null,
+      replay_count: event.replay_count + 1,
+      last_replayed_at: new Date().toISOString(),
+      last_replayed_by: replayedBy,
+    })
+    .eq('id', id)
+    .neq('status', 'processing')
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to replay webhook event: ${error.message}`);
+  }
+
+  return data;
+}
+
+module.exports = {
+  EVENT_STATUSES,
+  MAX_ATTEMPTS,
+  recordBridgeEvent,
+  getRetryDelay,
+  claimDueEvents,
+  markEventProcessed,
+  markEventFailed,
+  listEvents,
+  getEvent,
+  replayEvent,
+};
@@ -0,0 +1,847 @@
+// Bridge.xyz API Simulator
+// In-memory emulator of the Bridge endpoints used by BridgeClient (config/bridge.config.js),
+// so the whole backend runs offline. Point BRIDGE_BASE_URL at it (http://localhost:3006/v0)
+// and it sends signed webhooks back to /webhooks/bridge like the real sandbox.
+//
+// Usage: npm run simulator:bridge
+//
+// Implements (under /v0):
+// - /customers                 create, get, update, kyc_link (hosted KYC page at /kyc/:id)
+// - /wallets                   create, history, total_balances
+// - /transfers                 create (Idempotency-Key aware), get
+// - /external_accounts         virtual accounts: create, get
+// - /liquidation_addresses     create, get
+// - /cards                     create, get, activate, freeze, unfreeze, limits, controls, cancel, sensitive
+//
+// Transfers move funds between in-memory wallet balances and step through
+// funds_received -> payment_submitted -> payment_processed (or error when the source
+// wallet cannot cover them), sending transfer.updated at each step.
+//
+// Test controls (no auth) under /simulator:
+// - POST /simulator/wallets/:id/fund            { currency, chain, amount }
+// - POST /simulator/customers/:id/kyc           { status, endorsements }
+// - POST /simulator/transfers/:id/state         { state } (e.g. returned)
+// - POST /simulator/cards/:id/transactions      { amount, status, merchant }
+// - POST /simulator/external_accounts/:id/deposits { amount }
+// - POST /simulator/webhooks                    { type, data }
+// - GET  /simulator/state
+//
+// Webhooks are signed with keys/bridge-webhook-test.pem (npm run webhook:keys).
+// State is kept in memory and lost on restart.
+
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { signBridgeWebhookPayload } = require('../utils/bridgeWebhookSignature');
+
+const PORT = parseInt(process.env.BRIDGE_SIMULATOR_PORT || '3006');
+
+// Every transfer state change, in order, for a transfer that succeeds
+const TRANSFER_STEPS = ['funds_received', 'payment_submitted', 'payment_processed'];
+
+/**
+ * Load the webhook signing key, if one has been generated
+ */
+function loadPrivateKey(keyPath) {
+  try {
+    return fs.readFileSync(keyPath, 'utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Create the simulator app
+ *
+ * @param {Object} options - { apiKey, publicUrl, webhookUrl, privateKey, stepMs, treasuryWalletId, treasuryBalances }
+ *   stepMs: delay between transfer state changes
+ *   privateKey: PEM key for webhook signatures (webhooks are skipped without one)
+ * @returns {Object} Express app (state is on app.locals.state)
+ */
+function createBridgeSimulator(options = {}) {
+  const apiKey = options.apiKey ?? process.env.BRIDGE_API_KEY;
+  const publicUrl = options.publicUrl || process.env.BRIDGE_SIMULATOR_PUBLIC_URL || `http://localhost:${PORT}`;
+  const webhookUrl = options.webhookUrl || process.env.BRIDGE_SIMULATOR_WEBHOOK_URL
+    || `http://localhost:${process.env.PORT || 3001}/webhooks/bridge`;
+  const privateKey = options.privateKey !== undefined
+    ? options.privateKey
+    : loadPrivateKey(process.env.BRIDGE_SIMULATOR_WEBHOOK_PRIVATE_KEY_PATH
+      || path.join(__dirname, '..', 'keys', 'bridge-webhook-test.pem'));
+  const stepMs = options.stepMs ?? parseInt(process.env.BRIDGE_SIMULATOR_STEP_MS || '1000');
+  const treasuryWalletId = options.treasuryWalletId || process.env.BRIDGE_TREASURY_WALLET_ID;
+  const treasuryBalances = options.treasuryBalances
+    || JSON.parse(process.env.BRIDGE_SIMULATOR_TREASURY_BALANCES || '{"eth": 1000, "btc": 100, "usdc": 1000000}');
+
+  const state = {
+    customers: new Map(),
+    wallets: new Map(),
+    transfers: new Map(),
+    idempotencyKeys: new Map(),
+    externalAccounts: new Map(),
+    liquidationAddresses: new Map(),
+    cards: new Map(),
+  };
+
+  const app = express();
+  app.locals.state = state;
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  if (!privateKey) {
+    console.warn('⚠️  No webhook signing key - run npm run webhook:keys to enable simulator webhooks');
+  }
+
+  // ==========================================================================
+  // Helpers
+  // ==========================================================================
+
+  function generateId(prefix) {
+    return `${prefix}_sim_${crypto.randomBytes(8).toString('hex')}`;
+  }
+
+  function generateDigits(length) {
+    return Array.from({ length }, () => crypto.randomInt(10)).join('');
+  }
+
+  function generateAddress(chain) {
+    return chain === 'bitcoin'
+      ? `bc1q${crypto.randomBytes(19).toString('hex')}`
+      : `0x${crypto.randomBytes(20).toString('hex')}`;
+  }
+
+  function now() {
+    return new Date().toISOString();
+  }
+
+  /**
+   * Send a Bridge-style error
+   */
+  function sendError(res, statusCode, code, message) {
+    return res.status(statusCode).json({ code, message });
+  }
+
+  function requireRecord(collection, label) {
+    return (req, res, next) => {
+      const record = collection.get(req.params.id);
+      if (!record) {
+        return sendError(res, 404, 'not_found', `${label} ${req.params.id} not found`);
+      }
+      req.record = record;
+      next();
+    };
+  }
+
+  /**
+   * Send a signed webhook event to the backend
+   */
+  async function emitWebhook(type, data) {
+    if (!privateKey) return { status: null, error: 'no_signing_key' };
+
+    const body = JSON.stringify({
+      id: `wh_${crypto.randomUUID()}`,
+      type,
+      created_at: now(),
+      data,
+    });
+
+    try {
+      const response = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Signature': signBridgeWebhookPayload(body, privateKey),
+        },
+        body,
+      });
+
+      console.log(`📤 Simulator webhook ${type} -> ${response.status}`);
+      return { status: response.status, body: await response.text() };
+    } catch (error) {
+      console.error(`❌ Simulator webhook ${type} failed:`, error.message);
+      return { status: null, error: error.message };
+    }
+  }
+
+  // ==========================================================================
+  // Wallet balances
+  // ==========================================================================
+
+  function createWallet(fields) {
+    const wallet = {
+      id: fields.id || generateId('wallet'),
+      customer_id: fields.customer_id || null,
+      type: fields.type || 'user',
+      chain: fields.chain || 'ethereum',
+      address: generateAddress(fields.chain),
+      status: 'active',
+      balances: {},
+      history: [],
+      created_at: now(),
+      updated_at: now(),
+    };
+    state.wallets.set(wallet.id, wallet);
+    return wallet;
+  }
+
+  function balanceKey(currency, chain) {
+    return `${String(currency).toLowerCase()}_${chain}`;
+  }
+
+  function getBalance(wallet, currency, chain) {
+    return wallet.balances[balanceKey(currency, chain)] || 0;
+  }
+
+  function adjustBalance(wallet, currency, chain, delta) {
+    const key = balanceKey(currency, chain);
+    wallet.balances[key] = Math.round(((wallet.balances[key] || 0) + delta) * 1e8) / 1e8;
+  }
+
+  /**
+   * Record a history entry in the shape walletService.calculateBalanceFromHistory reads
+   */
+  function recordHistory(wallet, transfer, incoming) {
+    const side = { payment_rail: transfer.chain, currency: transfer.currency };
+
+    wallet.history.unshift({
+      id: transfer.id,
+      amount: transfer.amount,
+      source: incoming ? { ...side, from_bridge_wallet_id: transfer.source.from_bridge_wallet_id } : side,
+      destination: incoming
+        ? { ...side, bridge_wallet_id: wallet.id }
+        : { ...side, to_address: transfer.destination.to_address || null, to_bridge_wallet_id: transfer.destination.to_bridge_wallet_id || null },
+      created_at: transfer.created_at,
+      updated_at: now(),
+    });
+  }
+
+  function formatWallet(wallet) {
+    const { balances, history, ...rest } = wallet;
+    return {
+      ...rest,
+      balances: Object.entries(balances).map(([key, balance]) => {
+        const [currency, chain] = key.split('_');
+        return { currency, chain, balance: balance.toString() };
+      }),
+    };
+  }
+
+  if (treasuryWalletId) {
+    const treasury = createWallet({ id: treasuryWalletId, type: 'treasury' });
+    for (const [currency, amount] of Object.entries(treasuryBalances)) {
+      adjustBalance(treasury, currency, treasury.chain, parseFloat(amount));
+    }
+  }
+
+  // ==========================================================================
+  // Transfers
+  // ==========================================================================
+
+  function formatTransfer(transfer) {
+    const { chain, ...rest } = transfer;
+    return rest;
+  }
+
+  function setTransferState(transfer, nextState) {
+    transfer.state = nextState;
+    transfer.updated_at = now();
+
+    if (nextState === 'payment_processed' && !transfer.destination.to_bridge_wallet_id) {
+      transfer.receipt = { ...transfer.receipt, destination_tx_hash: `0x${crypto.randomBytes(32).toString('hex')}` };
+    }
+
+    console.log(`🔁 Simulator transfer ${transfer.id} -> ${nextState}`);
+    emitWebhook('transfer.updated', formatTransfer(transfer));
+  }
+
+  /**
+   * Move the funds and step the transfer through its states
+   */
+  function runTransfer(transfer) {
+    const sourceWallet = state.wallets.get(transfer.source.from_bridge_wallet_id);
+    const destinationWallet = state.wallets.get(transfer.destination.to_bridge_wallet_id);
+    const amount = parseFloat(transfer.amount);
+
+    if (sourceWallet && getBalance(sourceWallet, transfer.currency, transfer.chain) < amount) {
+      setTimeout(() => {
+        transfer.error = 'Insufficient funds in source wallet';
+        setTransferState(transfer, 'error');
+      }, stepMs);
+      return;
+    }
+
+    if (sourceWallet) {
+      adjustBalance(sourceWallet, transfer.currency, transfer.chain, -amount);
+      recordHistory(sourceWallet, transfer, false);
+    }
+
+    TRANSFER_STEPS.forEach((step, index) => {
+      setTimeout(() => {
+        // A state forced through /simulator/transfers/:id/state stops the sequence
+        if (['error', 'returned', 'refunded', 'canceled'].includes(transfer.state)) return;
+
+        if (step === 'payment_processed' && destinationWallet) {
+          adjustBalance(destinationWallet, transfer.currency, transfer.chain, amount);
+          recordHistory(destinationWallet, transfer, true);
+        }
+
+        setTransferState(transfer, step);
+      }, stepMs * (index + 1));
+    });
+  }
+
+  // ==========================================================================
+  // API (Api-Key required)
+  // ==========================================================================
+
+  const api = express.Router();
+
+  api.use((req, res, next) => {
+    if (apiKey && req.headers['api-key'] !== apiKey) {
+      return sendError(res, 401, 'unauthorized', 'Invalid Api-Key');
+    }
+    next();
+  });
+
+  // Customers
+  api.post('/customers', (req, res) => {
+    const { email, first_name, last_name, type = 'individual' } = req.body;
+
+    if (!email || !first_name || !last_name) {
+      return sendError(res, 400, 'invalid_parameters', 'email, first_name and last_name are required');
+    }
+
+    const customer = {
+      id: generateId('cust'),
+      type,
+      email,
+      first_name,
+      last_name,
+      phone: req.body.phone || null,
+      residential_address: req.body.residential_address || null,
+      status: 'not_started',
+      requirements_due: ['external_account'],
+      future_requirements_due: [],
+      endorsements: [],
+      rejection_reasons: [],
+      created_at: now(),
+      updated_at: now(),
+    };
+    state.customers.set(customer.id, customer);
+
+    res.status(201).json(customer);
+  });
+
+  api.get('/customers/:id', requireRecord(state.customers, 'Customer'), (req, res) => {
+    res.json(req.record);
+  });
+
+  api.put('/customers/:id', requireRecord(state.customers, 'Customer'), (req, res) => {
+    const { id, status, endorsements, ...updates } = req.body;
+    Object.assign(req.record, updates, { updated_at: now() });
+    res.json(req.record);
+  });
+
+  api.get('/customers/:id/kyc_link', requireRecord(state.customers, 'Customer'), (req, res) => {
+    if (req.record.status === 'not_started') {
+      Object.assign(req.record, { status: 'incomplete', updated_at: now() });
+    }
+
+    res.json({ kyc_link: `${publicUrl}/kyc/${req.record.id}` });
+  });
+
+  // Wallets
+  api.post('/wallets', (req, res) => {
+    const { customer_id, type, chain } = req.body;
+
+    if (customer_id && !state.customers.has(customer_id)) {
+      return sendError(res, 404, 'not_found', `Customer ${customer_id} not found`);
+    }
+
+    res.status(201).json(formatWallet(createWallet({ customer_id, type, chain })));
+  });
+
+  // Registered before /wallets/:id routes so total_balances is not read as an ID
+  api.get('/wallets/total_balances', (req, res) => {
+    const totals = {};
+    for (const wallet of state.wallets.values()) {
+      for (const [key, balance] of Object.entries(wallet.balances)) {
+        totals[key] = (totals[key] || 0) + balance;
+      }
+    }
+
+    res.json({
+      data: Object.entries(totals).map(([key, balance]) => {
+        const [currency, chain] = key.split('_');
+        return { currency, chain, balance: balance.toString() };
+      }),
+    });
+  });
+
+  api.get('/wallets/:id', requireRecord(state.wallets, 'Wallet'), (req, res) => {
+    res.json(formatWallet(req.record));
+  });
+
+  api.get('/wallets/:id/history', requireRecord(state.wallets, 'Wallet'), (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit || '100'), 100);
+    const after = req.query.updated_after_ms ? parseInt(req.query.updated_after_ms) : null;
+    const before = req.query.updated_before_ms ? parseInt(req.query.updated_before_ms) : null;
+
+    const data = req.record.history
+      .filter(entry => !after || Date.parse(entry.updated_at) > after)
+      .filter(entry => !before || Date.parse(entry.updated_at) < before)
+      .slice(0, limit);
+
+    res.json({ count: data.length, data });
+  });
+
+  // Transfers
+  api.post('/transfers', (req, res) => {
+    const idempotencyKey = req.headers['idempotency-key'];
+
+    // A retried request with the same key returns the original transfer
+    if (idempotencyKey && state.idempotencyKeys.has(idempotencyKey)) {
+      return res.status(201).json(formatTransfer(state.transfers.get(state.idempotencyKeys.get(idempotencyKey))));
+    }
+
+    const { amount, source = {}, destination = {}, on_behalf_of } = req.body;
+    const value = parseFloat(amount);
+
+    if (!Number.isFinite(value) || value <= 0) {
+      return sendError(res, 400, 'invalid_parameters', 'amount must be a positive number');
+    }
+
+    if (!source.currency || !destination.payment_rail) {
+      return sendError(res, 400, 'invalid_parameters', 'source.currency and destination.payment_rail are required');
+    }
+
+    // transferService sends the source wallet as from_wallet_id; the orchestrator as source.from_bridge_wallet_id
+    const fromWalletId = source.from_bridge_wallet_id || req.body.from_wallet_id || null;
+    if (fromWalletId && !state.wallets.has(fromWalletId)) {
+      return sendError(res, 404, 'not_found', `Wallet ${fromWalletId} not found`);
+    }
+
+    if (destination.to_bridge_wallet_id && !state.wallets.has(destination.to_bridge_wallet_id)) {
+      return sendError(res, 404, 'not_found', `Wallet ${destination.to_bridge_wallet_id} not found`);
+    }
+
+    if (!destination.to_bridge_wallet_id && !destination.to_address && !destination.external_account_details) {
+      return sendError(res, 400, 'invalid_parameters', 'A destination wallet, address or account is required');
+    }
+
+    const transfer = {
+      id: generateId('transfer'),
+      client_reference_id: req.body.client_reference_id || idempotencyKey || null,
+      state: fromWalletId ? 'funds_received' : 'awaiting_funds',
+      on_behalf_of: on_behalf_of || null,
+      amount: value.toString(),
+      currency: String(source.currency).toLowerCase(),
+      chain: source.payment_rail || destination.payment_rail,
+      fee: '0.0',
+      developer_fee: '0.0',
+      source: { ...source, from_bridge_wallet_id: fromWalletId },
+      destination,
+      receipt: { initial_amount: value.toString(), subtotal_amount: value.toString(), final_amount: value.toString() },
+      created_at: now(),
+      updated_at: now(),
+    };
+
+    state.transfers.set(transfer.id, transfer);
+    if (idempotencyKey) {
+      state.idempotencyKeys.set(idempotencyKey, transfer.id);
+    }
+
+    runTransfer(transfer);
+
+    res.status(201).json(formatTransfer(transfer));
+  });
+
+  api.get('/transfers/:id', requireRecord(state.transfers, 'Transfer'), (req, res) => {
+    res.json(formatTransfer(req.record));
+  });
+
+  // Virtual accounts
+  api.post('/external_accounts', (req, res) => {
+    const { customer_id, currency = 'usd', account_owner_name } = req.body;
+
+    if (!state.customers.has(customer_id)) {
+      return sendError(res, 404, 'not_found', `Customer ${customer_id} not found`);
+    }
+
+    const account = {
+      id: generateId('ea'),
+      customer_id,
+      currency,
+      account_owner_name: account_owner_name || null,
+      status: 'active',
+      ach: { routing_number: '101019644', account_number: generateDigits(12) },
+      created_at: now(),
+      updated_at: now(),
+    };
+    state.externalAccounts.set(account.id, account);
+
+    res.status(201).json(account);
+  });
+
+  api.get('/external_accounts/:id', requireRecord(state.externalAccounts, 'External account'), (req, res) => {
+    res.json(req.record);
+  });
+
+  // Liquidation addresses
+  api.post('/liquidation_addresses', (req, res) => {
+    const { customer_id, currency, chain } = req.body;
+
+    if (!state.customers.has(customer_id)) {
+      return sendError(res, 404, 'not_found', `Customer ${customer_id} not found`);
+    }
+
+    if (!currency || !chain) {
+      return sendError(res, 400, 'invalid_parameters', 'currency and chain are required');
+    }
+
+    const address = {
+      id: generateId('la'),
+      customer_id,
+      currency,
+      chain,
+      address: generateAddress(chain),
+      destination_payment_rail: req.body.destination_payment_rail || 'ach',
+      destination_currency: req.body.destination_currency || 'usd',
+      destination_address: req.body.destination_address || null,
+      custom_developer_fee_percent: req.body.custom_developer_fee_percent || null,
+      global_developer_fee_percent: '0.0',
+      status: 'active',
+      created_at: now(),
+      updated_at: now(),
+    };
+    state.liquidationAddresses.set(address.id, address);
+
+    res.status(201).json(address);
+  });
+
+  api.get('/liquidation_addresses/:id', requireRecord(state.liquidationAddresses, 'Liquidation address'), (req, res) => {
+    res.json(req.record);
+  });
+
+  // Cards
+  api.post('/cards', (req, res) => {
+    const { customer_id, type = 'virtual', cardholder_name, currency = 'usd', brand = 'visa' } = req.body;
+    const customer = state.customers.get(customer_id);
+
+    if (!customer) {
+      return sendError(res, 404, 'not_found', `Customer ${customer_id} not found`);
+    }
+
+    if (customer.status !== 'active') {
+      return sendError(res, 400, 'customer_not_active', 'Customer must pass KYC before a card can be issued');
+    }
+
+    const expiry = new Date();
+    expiry.setFullYear(expiry.getFullYear() + 3);
+    const pan = `4${generateDigits(15)}`;
+    const isVirtual = type === 'virtual';
+
+    const card = {
+      id: generateId('card'),
+      customer_id,
+      type,
+      brand,
+      currency,
+      last4: pan.slice(-4),
+      exp_month: expiry.getMonth() + 1,
+      exp_year: expiry.getFullYear(),
+      cardholder_name: cardholder_name || `${customer.first_name} ${customer.last_name}`,
+      status: isVirtual ? 'active' : 'inactive',
+      activation_status: isVirtual ? 'activated' : 'pending',
+      shipping: isVirtual ? null : { status: 'pending', tracking_number: null, shipped_at: null, delivered_at: null },
+      limits: { daily: 1000, monthly: 10000, single_transaction: 500 },
+      is_frozen: false,
+      controls: { international: true, online: true, contactless: true, atm: true },
+      created_at: now(),
+      updated_at: now(),
+    };
+    state.cards.set(card.id, { ...card, pan, cvv: generateDigits(3) });
+
+    res.status(201).json(card);
+  });
+
+  function formatCard(card) {
+    const { pan, cvv, ...rest } = card;
+    return rest;
+  }
+
+  function requireOpenCard(req, res, next) {
+    if (req.record.status === 'cancelled') {
+      return sendError(res, 400, 'card_cancelled', 'Card has been cancelled');
+    }
+    next();
+  }
+
+  const requireCard = requireRecord(state.cards, 'Card');
+
+  api.get('/cards/:id', requireCard, (req, res) => {
+    res.json(formatCard(req.record));
+  });
+
+  // Physical cards activate with their last four digits as the activation code
+  api.post('/cards/:id/activate', requireCard, requireOpenCard, (req, res) => {
+    const card = req.record;
+
+    if (card.type === 'physical' && req.body.activation_code !== card.last4) {
+      return sendError(res, 400, 'invalid_activation_code', 'Activation code is incorrect');
+    }
+
+    Object.assign(card, {
+      status: 'active',
+      activation_status: 'activated',
+      ...(card.shipping && { shipping: { ...card.shipping, status: 'delivered', delivered_at: card.shipping.delivered_at || now() } }),
+      updated_at: now(),
+    });
+    res.json(formatCard(card));
+  });
+
+  api.post('/cards/:id/freeze', requireCard, requireOpenCard, (req, res) => {
+    Object.assign(req.record, { is_frozen: true, frozen_reason: req.body.reason || null, updated_at: now() });
+    res.json(formatCard(req.record));
+  });
+
+  api.post('/cards/:id/unfreeze', requireCard, requireOpenCard, (req, res) => {
+    Object.assign(req.record, { is_frozen: false, frozen_reason: null, updated_at: now() });
+    res.json(formatCard(req.record));
+  });
+
+  api.put('/cards/:id/limits', requireCard, requireOpenCard, (req, res) => {
+    const { daily_limit, monthly_limit, single_transaction_limit } = req.body;
+    const limits = { ...req.record.limits };
+    if (daily_limit !== undefined) limits.daily = daily_limit;
+    if (monthly_limit !== undefined) limits.monthly = monthly_limit;
+    if (single_transaction_limit !== undefined) limits.single_transaction = single_transaction_limit;
+
+    Object.assign(req.record, { limits, updated_at: now() });
+    res.json(formatCard(req.record));
+  });
+
+  // cardService sends the controls in camelCase (internationalEnabled, ...)
+  api.put('/cards/:id/controls', requireCard, requireOpenCard, (req, res) => {
+    const controls = { ...req.record.controls };
+    for (const name of ['international', 'online', 'contactless', 'atm']) {
+      const value = req.body[`${name}Enabled`] ?? req.body[name];
+      if (value !== undefined) controls[name] = Boolean(value);
+    }
+
+    Object.assign(req.record, { controls, updated_at: now() });
+    res.json(formatCard(req.record));
+  });
+
+  api.post('/cards/:id/cancel', requireCard, (req, res) => {
+    Object.assign(req.record, { status: 'cancelled', cancelled_reason: req.body.reason || null, updated_at: now() });
+    res.json(formatCard(req.record));
+  });
+
+  api.get('/cards/:id/sensitive', requireCard, requireOpenCard, (req, res) => {
+    const card = req.record;
+    res.json({
+      card_number: card.pan,
+      cvv: card.cvv,
+      exp_month: card.exp_month,
+      exp_year: card.exp_year,
+    });
+  });
+
+  app.use('/v0', api);
+
+  // ==========================================================================
+  // Hosted KYC page (the kyc_link)
+  // ==========================================================================
+
+  app.get('/kyc/:id', (req, res) => {
+    const customer = state.customers.get(req.params.id);
+    if (!customer) {
+      return res.status(404).send('Unknown customer');
+    }
+
+    res.type('html').send(`<!DOCTYPE html>
+<html>
+<head><title>Bridge KYC Simulator</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 40px auto;">
+  <h2>Bridge KYC Simulator</h2>
+  <p>${customer.first_name} ${customer.last_name} (${customer.email})</p>
+  <p>Status: <strong>${customer.status}</strong></p>
+  <form method="POST">
+    <button name="result" value="approve">Approve</button>
+    <button name="result" value="review">Send to review</button>
+    <button name="result" value="reject">Reject</button>
+  </form>
+</body>
+</html>`);
+  });
+
+  const KYC_RESULTS = {
+    approve: { status: 'active', endorsements: [{ name: 'base', status: 'approved' }], requirements_due: [] },
+    review: { status: 'under_review', endorsements: [], requirements_due: [] },
+    reject: { status: 'offboarded', endorsements: [], rejection_reasons: ['Simulated rejection'] },
+  };
+
+  /**
+   * Apply a KYC outcome and notify the backend
+   */
+  function updateCustomerKyc(customer, updates) {
+    Object.assign(customer, updates, { updated_at: now() });
+    console.log(`🪪 Simulator customer ${customer.id} -> ${customer.status}`);
+    return emitWebhook('customer.updated', customer);
+  }
+
+  app.post('/kyc/:id', async (req, res) => {
+    const customer = state.customers.get(req.params.id);
+    const result = KYC_RESULTS[req.body.result || 'approve'];
+
+    if (!customer || !result) {
+      return res.status(404).send('Unknown customer or result');
+    }
+
+    await updateCustomerKyc(customer, result);
+    res.type('html').send(`<p>KYC ${customer.status}. You can return to the app.</p>`);
+  });
+
+  // ==========================================================================
+  // Test controls
+  // ==========================================================================
+
+  const controls = express.Router();
+
+  controls.post('/wallets/:id/fund', requireRecord(state.wallets, 'Wallet'), (req, res) => {
+    const { currency, chain = req.record.chain, amount } = req.body;
+    const value = parseFloat(amount);
+
+    if (!currency || !Number.isFinite(value) || value <= 0) {
+      return sendError(res, 400, 'invalid_parameters', 'currency and a positive amount are required');
+    }
+
+    adjustBalance(req.record, currency, chain, value);
+    recordHistory(req.record, {
+      id: generateId('deposit'),
+      amount: value.toString(),
+      currency: currency.toLowerCase(),
+      chain,
+      source: { from_bridge_wallet_id: null },
+      destination: {},
+      created_at: now(),
+    }, true);
+
+    res.json(formatWallet(req.record));
+  });
+
+  controls.post('/customers/:id/kyc', requireRecord(state.customers, 'Customer'), async (req, res) => {
+    const { status, endorsements, result } = req.body;
+    const updates = result ? KYC_RESULTS[result] : { status, ...(endorsements && { endorsements }) };
+
+    if (!updates?.status) {
+      return sendError(res, 400, 'invalid_parameters', 'status or result (approve, review, reject) is required');
+    }
+
+    const webhook = await updateCustomerKyc(req.record, updates);
+    res.json({ customer: req.record, webhook });
+  });
+
+  controls.post('/transfers/:id/state', requireRecord(state.transfers, 'Transfer'), (req, res) => {
+    if (!req.body.state) {
+      return sendError(res, 400, 'invalid_parameters', 'state is required');
+    }
+
+    setTransferState(req.record, req.body.state);
+    res.json(formatTransfer(req.record));
+  });
+
+  controls.post('/cards/:id/transactions', requireRecord(state.cards, 'Card'), async (req, res) => {
+    const card = req.record;
+    const amount = parseFloat(req.body.amount);
+
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return sendError(res, 400, 'invalid_parameters', 'amount must be a positive number');
+    }
+
+    // Mirror the card's own state and limits when deciding the outcome
+    let declineReason = null;
+    if (card.status !== 'active') declineReason = 'card_inactive';
+    else if (card.is_frozen) declineReason = 'card_frozen';
+    else if (amount > card.limits.single_transaction) declineReason = 'exceeds_single_transaction_limit';
+
+    const transaction = {
+      id: generateId('ctx'),
+      card_id: card.id,
+      amount: amount.toString(),
+      currency: card.currency,
+      type: req.body.type || 'purchase',
+      status: req.body.status || (declineReason ? 'declined' : 'approved'),
+      decline_reason: req.body.status ? null : declineReason,
+      merchant: req.body.merchant || { name: 'Simulator Coffee', category: '5814', city: 'San Francisco', country: 'US' },
+      is_international: Boolean(req.body.is_international),
+      is_online: Boolean(req.body.is_online),
+      created_at: now(),
+    };
+
+    const webhook = await emitWebhook('card.transaction.created', transaction);
+    res.json({ transaction, webhook });
+  });
+
+  controls.post('/external_accounts/:id/deposits', requireRecord(state.externalAccounts, 'External account'), async (req, res) => {
+    const amount = parseFloat(req.body.amount);
+
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return sendError(res, 400, 'invalid_parameters', 'amount must be a positive number');
+    }
+
+    const deposit = {
+      id: generateId('deposit'),
+      external_account_id: req.record.id,
+      amount: amount.toString(),
+      currency: req.record.currency,
+      status: 'completed',
+      created_at: now(),
+      completed_at: now(),
+    };
+
+    const webhook = await emitWebhook('virtual_account.deposit.created', deposit);
+    res.json({ deposit, webhook });
+  });
+
+  controls.post('/webhooks', async (req, res) => {
+    if (!req.body.type) {
+      return sendError(res, 400, 'invalid_parameters', 'type is required');
+    }
+
+    res.json(await emitWebhook(req.body.type, req.body.data || {}));
+  });
+
+  controls.get('/state', (req, res) => {
+    res.json({
+      customers: Array.from(state.customers.values()),
+      wallets: Array.from(state.wallets.values()).map(formatWallet),
+      transfers: Array.from(state.transfers.values()).map(formatTransfer),
+      externalAccounts: Array.from(state.externalAccounts.values()),
+      liquidationAddresses: Array.from(state.liquidationAddresses.values()),
+      cards: Array.from(state.cards.values()).map(formatCard),
+    });
+  });
+
+  app.use('/simulator', controls);
+
+  return app;
+}
+
+if (require.main === module) {
+  const app = createBridgeSimulator();
+
+  app.listen(PORT, () => {
+    console.log(`🧪 Bridge simulator running on http://localhost:${PORT}`);
+    console.log(`   Set BRIDGE_BASE_URL=http://localhost:${PORT}/v0 in the backend .env`);
+    if (process.env.BRIDGE_TREASURY_WALLET_ID) {
+      console.log(`   Treasury wallet ${process.env.BRIDGE_TREASURY_WALLET_ID} funded`);
+    }
+  });
+}
+
+module.exports = {
+  createBridgeSimulator,
+};
@@ -0,0 +1,741 @@
+// Fiserv Commerce Hub Simulator
+// Local stand-in for the Commerce Hub API used in development and staging.
+// Point FISERV_HOST at it (http://localhost:3005 by default) and the backend runs
+// its normal Fiserv code path: HMAC signing, request building and response parsing.
+//
+// Usage: npm run simulator:fiserv
+//
+// Implements:
+// - POST /payments-vas/v1/tokens              Tokenize a card
+// - POST /payments/v1/charges                 Charge or authorize (captureFlag)
+// - GET  /payments/v1/charges/:id             Transaction lookup
+// - POST /payments/v1/charges/:id/capture     Capture an authorization
+// - POST /payments/v1/charges/:id/cancel      Void an authorization
+// - POST /payments/v1/charges/:id/refund      Refund a captured charge
+// - POST /payments/v1/charges/:id/3ds/method  3DS2 device-data result (frictionless or challenge)
+// - POST /payments/v1/charges/:id/3ds/complete  3DS2 challenge result (CRes)
+// - POST /3ds/method/:id                      3DS Method URL (device fingerprint iframe)
+// - GET/POST /3ds/:id                         3DS2 challenge page (the acsURL)
+// - POST /simulator/webhooks                  Emit any webhook event (e.g. CHARGEBACK_INITIATED)
+//
+// Requests must carry valid HMAC headers for FISERV_API_KEY / FISERV_API_SECRET.
+// State is kept in memory: transactions and saved-card tokens are lost on restart.
+
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+const {
+  generateFiservAuthHeaders,
+  verifyFiservWebhookSignature
+} = require('../utils/fiservAuth');
+const { normalizeCurrency, toMinorUnits, fromMinorUnits, roundAmount } = require('../utils/currency');
+
+const PORT = parseInt(process.env.FISERV_SIMULATOR_PORT || '3005');
+
+// Magic card numbers (any other Luhn-valid number is approved)
+const TEST_CARDS = {
+  declined: ['4000300011112220', '5100000000000131', '4263970000005262'],
+  insufficientFunds: ['4000000000009995'],
+  threeDS: ['4012000033330026', '5555555555554444'],
+  threeDSFrictionless: ['4000000000003220'],
+  threeDSFailed: ['4000000000003063'],
+};
+
+const THREE_DS_VERSION = '2.2.0';
+
+/**
+ * Create the simulator app
+ *
+ * @param {Object} options - { apiKey, apiSecret, merchantId, currencies, publicUrl, webhookUrl, sendWebhooks }
+ *   currencies: currencies enabled for the simulated merchant (defaults to FISERV_SUPPORTED_CURRENCIES)
+ *   publicUrl: base URL the browser uses for the 3DS page
+ *   webhookUrl: where signed webhooks are POSTed
+ *   sendWebhooks: emit webhooks automatically on every state change
+ * @returns {Object} Express app (transactions and tokens are on app.locals)
+ */
+function createFiservSimulator(options = {}) {
+  const credentials = {
+    apiKey: options.apiKey || process.env.FISERV_API_KEY,
+    apiSecret: options.apiSecret || process.env.FISERV_API_SECRET,
+    merchantId: options.merchantId || process.env.FISERV_MERCHANT_ID,
+  };
+  const merchantCurrencies = options.currencies
+    || (process.env.FISERV_SUPPORTED_CURRENCIES || 'USD').split(',').map(code => code.trim().toUpperCase()).filter(Boolean);
+  const publicUrl = options.publicUrl || process.env.FISERV_SIMULATOR_PUBLIC_URL || `http://localhost:${PORT}`;
+  const webhookUrl = options.webhookUrl || process.env.FISERV_SIMULATOR_WEBHOOK_URL
+    || `http://localhost:${process.env.PORT || 3001}/api/payments/webhook`;
+  const sendWebhooks = options.sendWebhooks ?? process.env.FISERV_SIMULATOR_WEBHOOKS === 'true';
+
+  const transactions = new Map();
+  const tokens = new Map();
+
+  const app = express();
+  app.locals.transactions = transactions;
+  app.locals.tokens = tokens;
+
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+  app.use(express.urlencoded({ extended: false }));
+
+  /**
+   * Build a Commerce Hub style error response
+   */
+  function sendError(res, statusCode, code, message) {
+    return res.status(statusCode).json({
+      gatewayResponse: { transactionState: 'ERROR' },
+      error: { type: 'GATEWAY', code, message }
+    });
+  }
+
+  /**
+   * Check the HMAC headers on an API request
+   * Commerce Hub signs webhooks with the same scheme as API requests, so the
+   * backend's webhook verifier checks requests here too.
+   */
+  function requireHmac(req, res, next) {
+    const verification = verifyFiservWebhookSignature(req.headers, req.rawBody, credentials);
+
+    if (!verification.valid) {
+      console.warn(`⚠️  Simulator rejected ${req.method} ${req.path}: ${verification.reason}`);
+      return sendError(res, 401, '401', `Unauthorized: ${verification.reason}`);
+    }
+
+    if (req.headers['auth-token-type'] !== 'HMAC') {
+      return sendError(res, 401, '401', 'Unauthorized: Auth-Token-Type must be HMAC');
+    }
+
+    if (req.body?.merchantDetails && req.body.merchantDetails.merchantId !== credentials.merchantId) {
+      return sendError(res, 403, '403', 'Unknown merchantId');
+    }
+
+    next();
+  }
+
+  /**
+   * Send a signed webhook to the backend
+   */
+  async function emitWebhook(event) {
+    const body = JSON.stringify({
+      eventId: `evt_${crypto.randomUUID()}`,
+      createdAt: new Date().toISOString(),
+      ...event,
+    });
+
+    try {
+      const response = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: generateFiservAuthHeaders(credentials.apiKey, credentials.apiSecret, body),
+        body,
+      });
+
+      console.log(`📤 Simulator webhook ${event.eventType} ${event.transactionId || ''} -> ${response.status}`);
+      return { status: response.status, body: await response.text() };
+    } catch (error) {
+      console.error(`❌ Simulator webhook ${event.eventType} failed:`, error.message);
+      return { status: null, error: error.message };
+    }
+  }
+
+  /**
+   * Emit the webhook for a transaction state change (when enabled)
+   */
+  function notify(eventType, transaction, extra = {}) {
+    if (!sendWebhooks) return;
+
+    emitWebhook({
+      eventType,
+      transactionId: transaction.ipgTransactionId,
+      orderId: transaction.orderId,
+      amount: { total: transaction.amount, currency: transaction.currency },
+      ...extra,
+    });
+  }
+
+  function generateTransactionId(prefix = '') {
+    return `SIM-${prefix}${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+  }
+
+  /**
+   * Validate an amount object for the merchant
+   * Like Commerce Hub, an unknown or disabled currency, or more decimals than the
+   * currency has (e.g. 10.5 JPY), is rejected rather than rounded.
+   * @returns {Object} { total, currency } or { error }
+   */
+  function parseAmount(amount) {
+    let currency;
+    try {
+      currency = normalizeCurrency(amount?.currency);
+    } catch {
+      return { error: `Invalid currency: ${amount?.currency}` };
+    }
+
+    if (!merchantCurrencies.includes(currency)) {
+      return { error: `Currency ${currency} is not enabled for this merchant` };
+    }
+
+    const total = parseFloat(amount?.total);
+    if (!Number.isFinite(total) || total <= 0) {
+      return { error: 'amount.total must be greater than 0' };
+    }
+
+    if (roundAmount(total, currency) !== total) {
+      return { error: `amount.total has too many decimal places for ${currency}` };
+    }
+
+    return { total, currency };
+  }
+
+  /**
+   * Resolve the PAN and expiry from a PaymentCard or PaymentToken source
+   */
+  function resolveCard(source) {
+    if (source?.sourceType === 'PaymentCard' && source.card?.cardData) {
+      return { cardNumber: source.card.cardData, ...source.card };
+    }
+
+    if (source?.sourceType === 'PaymentToken' && source.tokenData) {
+      const stored = tokens.get(source.tokenData);
+      return stored ? { ...stored, ...source.card, cardNumber: stored.cardNumber } : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Public view of a transaction (the shape the backend parses)
+   */
+  function toResponse(transaction) {
+    return {
+      ipgTransactionId: transaction.ipgTransactionId,
+      orderId: transaction.orderId,
+      amount: { total: transaction.amount, currency: transaction.currency },
+      gatewayResponse: {
+        transactionType: transaction.transactionType,
+        transactionState: transaction.state,
+        ...(transaction.errorMessage && { errorCode: transaction.errorCode, errorMessage: transaction.errorMessage }),
+      },
+      ...(transaction.state === 'PENDING_3DS' && {
+        authenticationResponse: toAuthenticationResponse(transaction),
+      }),
+      ...(transaction.threeDS?.transStatus && {
+        authenticationResult: {
+          version: THREE_DS_VERSION,
+          transStatus: transaction.threeDS.transStatus,
+          eci: transaction.threeDS.eci,
+          acsTransactionId: transaction.threeDS.acsTransId,
+        },
+      }),
+      ...(transaction.capturedAmount && { capturedAmount: transaction.capturedAmount }),
+      ...(transaction.refundedAmount && { refundedAmount: transaction.refundedAmount }),
+    };
+  }
+
+  /**
+   * 3DS2 step the backend must drive next: the 3DS Method, then (maybe) a challenge
+   */
+  function toAuthenticationResponse(transaction) {
+    const { threeDS } = transaction;
+    const base = {
+      authenticationType: '3DS',
+      version: THREE_DS_VERSION,
+      serverTransactionId: threeDS.serverTransId,
+      status: threeDS.stage === 'METHOD_REQUIRED' ? 'METHOD_REQUIRED' : 'CHALLENGE_REQUIRED',
+    };
+
+    if (threeDS.stage === 'METHOD_REQUIRED') {
+      return {
+        ...base,
+        methodURL: `${publicUrl}/3ds/method/${transaction.ipgTransactionId}`,
+        methodData: encodeMessage({
+          threeDSServerTransID: threeDS.serverTransId,
+          threeDSMethodNotificationURL: threeDS.methodNotificationUrl,
+        }),
+      };
+    }
+
+    return {
+      ...base,
+      acsURL: `${publicUrl}/3ds/${transaction.ipgTransactionId}`,
+      acsTransactionId: threeDS.acsTransId,
+      cReq: encodeMessage({
+        threeDSServerTransID: threeDS.serverTransId,
+        acsTransID: threeDS.acsTransId,
+        messageType: 'CReq',
+        messageVersion: THREE_DS_VERSION,
+        challengeWindowSize: threeDS.challengeWindowSize,
+      }),
+    };
+  }
+
+  /**
+   * Load a transaction that is waiting on the given 3DS2 stage
+   */
+  function loadThreeDSTransaction(req, res, stage) {
+    const transaction = loadTransaction(req, res);
+    if (!transaction) return null;
+
+    if (transaction.state !== 'PENDING_3DS' || transaction.threeDS?.stage !== stage) {
+      sendError(res, 409, '409', `Transaction is not awaiting ${stage} (state: ${transaction.state})`);
+      return null;
+    }
+    return transaction;
+  }
+
+  /**
+   * Settle a 3DS2 authentication: authorize on Y/A, decline otherwise
+   */
+  function finishThreeDS(transaction, transStatus) {
+    Object.assign(transaction.threeDS, { stage: 'COMPLETE', transStatus });
+
+    if (transStatus === 'Y' || transStatus === 'A') {
+      transaction.threeDS.eci = transStatus === 'Y' ? '05' : '06';
+      completeAuthorization(transaction);
+      notify(transaction.state === 'CAPTURED' ? 'PAYMENT_CAPTURED' : 'PAYMENT_AUTHORIZED', transaction);
+    } else {
+      transaction.threeDS.eci = '07';
+      Object.assign(transaction, { state: 'DECLINED', errorCode: '3DS', errorMessage: '3D Secure authentication failed' });
+      notify('PAYMENT_FAILED', transaction, { errorCode: transaction.errorCode, errorMessage: transaction.errorMessage });
+    }
+
+    console.log(`🔐 Simulator 3DS ${transaction.ipgTransactionId}: transStatus ${transStatus}`);
+  }
+
+  function loadTransaction(req, res) {
+    const transaction = transactions.get(req.params.id);
+    if (!transaction) {
+      sendError(res, 404, '404', `Transaction ${req.params.id} not found`);
+      return null;
+    }
+    return transaction;
+  }
+
+  // Tokenize a card
+  app.post('/payments-vas/v1/tokens', requireHmac, (req, res) => {
+    const card = req.body.source?.card;
+
+    if (!card?.cardData || !card.expirationMonth || !card.expirationYear) {
+      return sendError(res, 400, '400', 'source.card.cardData and expiry are required');
+    }
+
+    // Like TransArmor, the same card always gets the same token
+    const tokenData = crypto
+      .createHmac('sha256', credentials.apiSecret)
+      .update(card.cardData)
+      .digest('hex')
+      .replace(/[a-f]/g, char => String(char.charCodeAt(0) % 10))
+      .slice(0, 16);
+    tokens.set(tokenData, {
+      cardNumber: card.cardData,
+      expirationMonth: card.expirationMonth,
+      expirationYear: card.expirationYear,
+    });
+
+    res.status(201).json({
+      gatewayResponse: { transactionType: 'TOKENIZE', transactionState: 'AUTHORIZED' },
+      paymentTokens: [{ tokenData, tokenSource: 'TRANSARMOR' }],
+      paymentSource: {
+        sourceType: 'PaymentCard',
+        card: {
+          bin: card.cardData.slice(0, 6),
+          last4: card.cardData.slice(-4),
+          scheme: detectScheme(card.cardData),
+          expirationMonth: card.expirationMonth,
+          expirationYear: card.expirationYear,
+        },
+      },
+    });
+  });
+
+  // Charge or authorize
+  app.post('/payments/v1/charges', requireHmac, (req, res) => {
+    const { amount, source, transactionDetails = {}, additionalData3DS } = req.body;
+
+    if (!amount?.total || !amount.currency) {
+      return sendError(res, 400, '400', 'amount.total and amount.currency are required');
+    }
+
+    const { total, currency, error: amountError } = parseAmount(amount);
+    if (amountError) {
+      return sendError(res, 400, '400', amountError);
+    }
+
+    const card = resolveCard(source);
+    if (!card) {
+      return sendError(res, 400, '400', 'Unknown payment source or token');
+    }
+
+    const cardNumber = String(card.cardNumber).replace(/\s/g, '');
+    const captureFlag = transactionDetails.captureFlag !== false;
+    const transaction = {
+      ipgTransactionId: generateTransactionId(),
+      orderId: transactionDetails.merchantOrderId || `SIM-ORDER-${Date.now()}`,
+      amount: total,
+      currency,
+      captureFlag,
+      transactionType: captureFlag ? 'CHARGE' : 'AUTH',
+      cardLast4: cardNumber.slice(-4),
+      capturedAmount: 0,
+      refundedAmount: 0,
+      threeDS: null,
+      createdAt: new Date().toISOString(),
+    };
+
+    if (TEST_CARDS.declined.includes(cardNumber)) {
+      Object.assign(transaction, { state: 'DECLINED', errorCode: '05', errorMessage: 'Do Not Honor' });
+    } else if (TEST_CARDS.insufficientFunds.includes(cardNumber)) {
+      Object.assign(transaction, { state: 'DECLINED', errorCode: '51', errorMessage: 'Insufficient Funds' });
+    } else if ([...TEST_CARDS.threeDS, ...TEST_CARDS.threeDSFrictionless, ...TEST_CARDS.threeDSFailed].includes(cardNumber)) {
+      if (!additionalData3DS?.notificationURL) {
+        return sendError(res, 400, '400', 'additionalData3DS.notificationURL is required for this card (3-D Secure 2)');
+      }
+
+      Object.assign(transaction, {
+        state: 'PENDING_3DS',
+        threeDS: {
+          stage: 'METHOD_REQUIRED',
+          serverTransId: crypto.randomUUID(),
+          acsTransId: crypto.randomUUID(),
+          frictionless: TEST_CARDS.threeDSFrictionless.includes(cardNumber),
+          willFail: TEST_CARDS.threeDSFailed.includes(cardNumber),
+          notificationUrl: additionalData3DS.notificationURL,
+          methodNotificationUrl: additionalData3DS.methodNotificationURL || additionalData3DS.notificationURL,
+          challengeWindowSize: additionalData3DS.challengeWindowSize || '05',
+          methodCollected: false,
+        },
+      });
+    } else {
+      completeAuthorization(transaction);
+    }
+
+    transactions.set(transaction.ipgTransactionId, transaction);
+
+    console.log(`💳 Simulator ${transaction.transactionType} ${transaction.ipgTransactionId}: ${total} ${currency} -> ${transaction.state}`);
+
+    if (transaction.state === 'DECLINED') {
+      notify('PAYMENT_FAILED', transaction, { errorCode: transaction.errorCode, errorMessage: transaction.errorMessage });
+    } else if (transaction.state !== 'PENDING_3DS') {
+      notify(transaction.state === 'CAPTURED' ? 'PAYMENT_CAPTURED' : 'PAYMENT_AUTHORIZED', transaction);
+    }
+
+    res.status(201).json(toResponse(transaction));
+  });
+
+  // Transaction lookup
+  app.get('/payments/v1/charges/:id', requireHmac, (req, res) => {
+    const transaction = loadTransaction(req, res);
+    if (!transaction) return;
+
+    res.json(toResponse(transaction));
+  });
+
+  // Capture an authorization (full or partial)
+  app.post('/payments/v1/charges/:id/capture', requireHmac, (req, res) => {
+    const transaction = loadTransaction(req, res);
+    if (!transaction) return;
+
+    if (transaction.state !== 'AUTHORIZED') {
+      return sendError(res, 409, '409', `Transaction cannot be captured (state: ${transaction.state})`);
+    }
+
+    let total = transaction.amount;
+    if (req.body.amount?.total !== undefined) {
+      const parsed = parseAmount({ currency: transaction.currency, ...req.body.amount });
+      if (parsed.error) {
+        return sendError(res, 400, '400', parsed.error);
+      }
+      if (parsed.currency !== transaction.currency) {
+        return sendError(res, 400, '400', `Capture currency must be ${transaction.currency}`);
+      }
+      total = parsed.total;
+    }
+
+    if (total > transaction.amount) {
+      return sendError(res, 400, '400', `Capture amount exceeds authorized amount ${transaction.amount}`);
+    }
+
+    Object.assign(transaction, { state: 'CAPTURED', capturedAmount: total });
+    notify('PAYMENT_CAPTURED', transaction, { amount: { total, currency: transaction.currency } });
+
+    res.json({
+      ipgTransactionId: generateTransactionId('CAP-'),
+      orderId: transaction.orderId,
+      amount: { total, currency: transaction.currency },
+      gatewayResponse: { transactionType: 'CAPTURE', transactionState: 'CAPTURED' },
+    });
+  });
+
+  // Void an authorization
+  app.post('/payments/v1/charges/:id/cancel', requireHmac, (req, res) => {
+    const transaction = loadTransaction(req, res);
+    if (!transaction) return;
+
+    if (transaction.state !== 'AUTHORIZED') {
+      return sendError(res, 409, '409', `Transaction cannot be voided (state: ${transaction.state})`);
+    }
+
+    transaction.state = 'VOIDED';
+    notify('PAYMENT_VOIDED', transaction);
+
+    res.json({
+      ipgTransactionId: generateTransactionId('VOID-'),
+      orderId: transaction.orderId,
+      gatewayResponse: { transactionType: 'VOID', transactionState: 'VOIDED' },
+    });
+  });
+
+  // Refund a captured charge (full or partial, never more than captured)
+  app.post('/payments/v1/charges/:id/refund', requireHmac, (req, res) => {
+    const transaction = loadTransaction(req, res);
+    if (!transaction) return;
+
+    if (transaction.state !== 'CAPTURED') {
+      return sendError(res, 409, '409', `Transaction cannot be refunded (state: ${transaction.state})`);
+    }
+
+    const { currency } = transaction;
+    const refundableMinor = toMinorUnits(transaction.capturedAmount, currency) - toMinorUnits(transaction.refundedAmount, currency);
+
+    if (!req.body.amount?.total) {
+      return sendError(res, 400, '400', 'amount.total is required');
+    }
+
+    const { total, currency: refundCurrency, error: amountError } = parseAmount({ currency, ...req.body.amount });
+    if (amountError) {
+      return sendError(res, 400, '400', amountError);
+    }
+
+    if (refundCurrency !== currency) {
+      return sendError(res, 400, '400', `Refund currency must be ${currency}`);
+    }
+
+    if (toMinorUnits(total, currency) > refundableMinor) {
+      return sendError(res, 400, '400', `Refund amount exceeds refundable amount ${fromMinorUnits(refundableMinor, currency)}`);
+    }
+
+    transaction.refundedAmount = fromMinorUnits(toMinorUnits(transaction.refundedAmount, currency) + toMinorUnits(total, currency), currency);
+
+    const refundId = generateTransactionId('REF-');
+    notify('REFUND_COMPLETED', transaction, {
+      amount: { total, currency: transaction.currency },
+      refundTransactionId: refundId,
+      merchantTransactionId: req.body.transactionDetails?.merchantTransactionId || null,
+    });
+
+    res.json({
+      ipgTransactionId: refundId,
+      orderId: transaction.orderId,
+      amount: { total, currency: transaction.currency },
+      transactionDetails: { merchantTransactionId: req.body.transactionDetails?.merchantTransactionId || null },
+      gatewayResponse: { transactionType: 'REFUND', transactionState: 'REFUNDED' },
+    });
+  });
+
+  /**
+   * 3DS2 device-data result
+   * Frictionless cards authorize here; the others move on to a challenge.
+   */
+  app.post('/payments/v1/charges/:id/3ds/method', requireHmac, (req, res) => {
+    const transaction = loadThreeDSTransaction(req, res, 'METHOD_REQUIRED');
+    if (!transaction) return;
+
+    const indicator = req.body.threeDSMethodCompletionIndicator;
+    if (!['Y', 'N', 'U'].includes(indicator)) {
+      return sendError(res, 400, '400', 'threeDSMethodCompletionIndicator must be Y, N or U');
+    }
+
+    if (transaction.threeDS.frictionless && indicator === 'Y') {
+      finishThreeDS(transaction, 'Y');
+    } else {
+      transaction.threeDS.stage = 'CHALLENGE_REQUIRED';
+      console.log(`🔐 Simulator 3DS ${transaction.ipgTransactionId}: challenge required`);
+    }
+
+    res.json(toResponse(transaction));
+  });
+
+  // 3DS2 challenge result: the CRes must come from this transaction's challenge
+  app.post('/payments/v1/charges/:id/3ds/complete', requireHmac, (req, res) => {
+    const transaction = loadThreeDSTransaction(req, res, 'CHALLENGE_COMPLETED');
+    if (!transaction) return;
+
+    const cRes = decodeMessage(req.body.cRes);
+    if (!cRes
+      || cRes.threeDSServerTransID !== transaction.threeDS.serverTransId
+      || cRes.acsTransID !== transaction.threeDS.acsTransId) {
+      return sendError(res, 400, '400', 'cRes does not match this transaction');
+    }
+
+    finishThreeDS(transaction, transaction.threeDS.challengeStatus);
+
+    res.json(toResponse(transaction));
+  });
+
+  // 3DS Method URL, loaded by the browser in a hidden iframe to fingerprint the device
+  app.post('/3ds/method/:id', (req, res) => {
+    const transaction = transactions.get(req.params.id);
+    if (transaction?.threeDS) {
+      transaction.threeDS.methodCollected = true;
+    }
+
+    res.type('html').send('<html><body></body></html>');
+  });
+
+  /**
+   * 3DS2 challenge page (the acsURL)
+   * The browser form-posts the creq here; choosing a result sends the CRes to the
+   * notificationURL (or back as JSON for API clients).
+   */
+  function renderChallenge(transaction, res) {
+    res.type('html').send(`<!DOCTYPE html>
+<html>
+<head><title>3D Secure Simulator</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 40px auto;">
+  <h2>3D Secure Simulator</h2>
+  <p>Authenticate ${transaction.amount} ${transaction.currency} on card ending ${transaction.cardLast4}</p>
+  <p>Status: <strong>${transaction.state}</strong></p>
+  <form method="POST">
+    <button name="result" value="success">Authenticate</button>
+    <button name="result" value="failure">Fail authentication</button>
+  </form>
+</body>
+</html>`);
+  }
+
+  app.get('/3ds/:id', (req, res) => {
+    const transaction = transactions.get(req.params.id);
+    if (!transaction) {
+      return res.status(404).send('Unknown transaction');
+    }
+
+    renderChallenge(transaction, res);
+  });
+
+  // The 3DS failure test card fails whatever is chosen
+  app.post('/3ds/:id', (req, res) => {
+    const transaction = transactions.get(req.params.id);
+    if (!transaction) {
+      return res.status(404).json({ error: 'Unknown transaction' });
+    }
+
+    if (transaction.state !== 'PENDING_3DS' || transaction.threeDS?.stage !== 'CHALLENGE_REQUIRED') {
+      return res.status(409).json({ error: `Transaction is not awaiting a challenge (state: ${transaction.state})` });
+    }
+
+    if (!req.body.result) {
+      return renderChallenge(transaction, res);
+    }
+
+    const authenticated = req.body.result === 'success' && !transaction.threeDS.willFail;
+    Object.assign(transaction.threeDS, {
+      stage: 'CHALLENGE_COMPLETED',
+      challengeStatus: authenticated ? 'Y' : 'N',
+    });
+
+    const cres = encodeMessage({
+      threeDSServerTransID: transaction.threeDS.serverTransId,
+      acsTransID: transaction.threeDS.acsTransId,
+      messageType: 'CRes',
+      messageVersion: THREE_DS_VERSION,
+      transStatus: transaction.threeDS.challengeStatus,
+    });
+
+    console.log(`🔐 Simulator 3DS challenge ${transaction.ipgTransactionId}: ${authenticated ? 'passed' : 'failed'}`);
+
+    if (req.is('json')) {
+      return res.json({ cres, notificationUrl: transaction.threeDS.notificationUrl });
+    }
+
+    res.type('html').send(`<!DOCTYPE html>
+<html>
+<body onload="document.forms[0].submit()">
+  <form method="POST" action="${transaction.threeDS.notificationUrl}">
+    <input type="hidden" name="cres" value="${cres}">
+    <noscript><button>Continue</button></noscript>
+  </form>
+</body>
+</html>`);
+  });
+
+  /**
+   * POST /simulator/webhooks
+   * Emit a signed webhook, e.g. to open a chargeback:
+   * { "eventType": "CHARGEBACK_INITIATED", "transactionId": "SIM-...", "reasonCode": "10.4" }
+   * Fields are sent as-is; amount defaults to the transaction's amount.
+   */
+  app.post('/simulator/webhooks', async (req, res) => {
+    const { eventType, transactionId } = req.body;
+
+    if (!eventType) {
+      return res.status(400).json({ error: 'eventType is required' });
+    }
+
+    const transaction = transactionId ? transactions.get(transactionId) : null;
+    const result = await emitWebhook({
+      ...(transaction && {
+        orderId: transaction.orderId,
+        amount: { total: transaction.capturedAmount || transaction.amount, currency: transaction.currency },
+      }),
+      ...req.body,
+    });
+
+    res.json(result);
+  });
+
+  // Inspect simulator state
+  app.get('/simulator/transactions', (req, res) => {
+    res.json({ transactions: Array.from(transactions.values()) });
+  });
+
+  return app;
+}
+
+/**
+ * Approve a transaction as an authorization or a capture, per its captureFlag
+ */
+function completeAuthorization(transaction) {
+  transaction.state = transaction.captureFlag ? 'CAPTURED' : 'AUTHORIZED';
+  if (transaction.captureFlag) {
+    transaction.capturedAmount = transaction.amount;
+  }
+}
+
+/**
+ * 3DS2 messages travel base64url-encoded JSON
+ */
+function encodeMessage(message) {
+  return Buffer.from(JSON.stringify(message)).toString('base64url');
+}
+
+function decodeMessage(encoded) {
+  try {
+    return JSON.parse(Buffer.from(String(encoded || ''), 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function detectScheme(cardNumber) {
+  if (/^4/.test(cardNumber)) return 'VISA';
+  if (/^(5[1-5]|2[2-7])/.test(cardNumber)) return 'MASTERCARD';
+  if (/^3[47]/.test(cardNumber)) return 'AMEX';
+  if (/^(6011|65|64[4-9])/.test(cardNumber)) return 'DISCOVER';
+  return 'UNKNOWN';
+}
+
+if (require.main === module) {
+  const app = createFiservSimulator();
+
+  app.listen(PORT, () => {
+    console.log(`🧪 Fiserv simulator running on http://localhost:${PORT}`);
+    console.log(`   Set FISERV_HOST=http://localhost:${PORT} in the backend .env`);
+    console.log(`   Webhooks: ${process.env.FISERV_SIMULATOR_WEBHOOKS === 'true' ? 'on' : 'off (set FISERV_SIMULATOR_WEBHOOKS=true)'}`);
+  });
+}
+
+module.exports = {
+  TEST_CARDS,
+  createFiservSimulator,
+};
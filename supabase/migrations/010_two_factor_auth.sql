@@ -0,0 +1,121 @@
+-- Kalypso Two-Factor Authentication
+-- Migration 010: TOTP enrollment and recovery codes for step-up authentication
+
+-- ============================================================================
+-- USER TWO-FACTOR (TOTP secrets)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.user_two_factor (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+
+    -- TOTP Secret (AES-256-GCM encrypted by the backend, never returned after enrollment)
+    secret_encrypted TEXT NOT NULL,
+
+    -- Enrollment State
+    enabled BOOLEAN DEFAULT FALSE,
+    enabled_at TIMESTAMPTZ,
+
+    -- Replay Protection (last accepted TOTP time step)
+    last_used_step BIGINT DEFAULT 0,
+
+    -- Brute-force Protection (see record_two_factor_failure)
+    failed_attempts INTEGER NOT NULL DEFAULT 0,
+    locked_until TIMESTAMPTZ,
+
+    -- Timestamps
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    -- One authenticator per user
+    UNIQUE(user_id)
+);
+
+-- ============================================================================
+-- RECOVERY CODES (single-use, stored hashed)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.two_factor_recovery_codes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+
+    -- scrypt hash of the normalized code with a per-code salt (salt:hash, hex)
+    code_hash TEXT NOT NULL,
+
+    -- Usage
+    used_at TIMESTAMPTZ,
+
+    -- Timestamps
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+
+    UNIQUE(user_id, code_hash)
+);
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+CREATE INDEX idx_user_two_factor_user_id ON public.user_two_factor(user_id);
+CREATE INDEX idx_two_factor_recovery_codes_user_id ON public.two_factor_recovery_codes(user_id);
+
+-- ============================================================================
+-- UPDATED_AT TRIGGER
+-- ============================================================================
+CREATE TRIGGER update_user_two_factor_updated_at
+    BEFORE UPDATE ON public.user_two_factor
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- FAILED ATTEMPTS
+-- ============================================================================
+-- Counts a failed code under a row lock, so parallel guesses cannot slip past the
+-- limit. Reaching p_max_attempts locks verification for p_lockout_seconds and
+-- starts the count again. Returns TRUE when this failure caused the lock.
+CREATE OR REPLACE FUNCTION record_two_factor_failure(
+    p_user_id UUID,
+    p_max_attempts INTEGER,
+    p_lockout_seconds INTEGER
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+    v_attempts INTEGER;
+BEGIN
+    UPDATE public.user_two_factor
+    SET failed_attempts = failed_attempts + 1
+    WHERE user_id = p_user_id
+    RETURNING failed_attempts INTO v_attempts;
+
+    IF v_attempts IS NULL OR v_attempts < p_max_attempts THEN
+        RETURN FALSE;
+    END IF;
+
+    UPDATE public.user_two_factor
+    SET failed_attempts = 0,
+        locked_until = NOW() + make_interval(secs => p_lockout_seconds)
+    WHERE user_id = p_user_id;
+
+    RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================================
+-- RLS POLICIES
+-- ============================================================================
+-- Secrets are only ever read by the backend, so users get no direct access
+ALTER TABLE public.user_two_factor ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.two_factor_recovery_codes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage two-factor settings"
+ON public.user_two_factor FOR ALL
+USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage recovery codes"
+ON public.two_factor_recovery_codes FOR ALL
+USING (auth.role() = 'service_role');
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+COMMENT ON TABLE public.user_two_factor IS 'TOTP authenticator enrollment per user, used for step-up authentication on sensitive actions';
+COMMENT ON COLUMN public.user_two_factor.last_used_step IS 'Last accepted TOTP time step; codes at or before this step are rejected to prevent replay';
+COMMENT ON COLUMN public.user_two_factor.locked_until IS 'Verification refused until this time after too many failed codes';
+COMMENT ON TABLE public.two_factor_recovery_codes IS 'Single-use recovery codes (salted hashes) for users who lose their authenticator';
+COMMENT ON FUNCTION record_two_factor_failure IS 'Count a failed two-factor code and lock verification once the limit is reached';
@@ -0,0 +1,66 @@
+-- Kalypso Session Management
+-- Migration 011: Track Supabase auth sessions for listing and server-side revocation
+
+-- ============================================================================
+-- USER SESSIONS
+-- ============================================================================
+-- One row per Supabase auth session (the JWT session_id claim).
+-- Access tokens stay valid at Supabase until they expire, so the backend
+-- rejects any token whose session has been revoked here.
+CREATE TABLE IF NOT EXISTS public.user_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+
+    -- Supabase Session
+    session_id TEXT UNIQUE NOT NULL,
+
+    -- Device Information
+    user_agent TEXT,
+    ip_address INET,
+
+    -- Lifecycle
+    last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+    revoked_at TIMESTAMPTZ,
+    revoked_reason TEXT CHECK (revoked_reason IN ('logout', 'logout_all', 'user_revoked', 'password_reset', 'admin_revoked')),
+
+    -- Timestamps
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+CREATE INDEX idx_user_sessions_user_id ON public.user_sessions(user_id);
+CREATE INDEX idx_user_sessions_session_id ON public.user_sessions(session_id);
+CREATE INDEX idx_user_sessions_active ON public.user_sessions(user_id, last_seen_at DESC) WHERE revoked_at IS NULL;
+
+-- ============================================================================
+-- UPDATED_AT TRIGGER
+-- ============================================================================
+CREATE TRIGGER update_user_sessions_updated_at
+    BEFORE UPDATE ON public.user_sessions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- RLS POLICIES
+-- ============================================================================
+ALTER TABLE public.user_sessions ENABLE ROW LEVEL SECURITY;
+
+-- Users can view their own sessions
+CREATE POLICY "Users can view own sessions"
+ON public.user_sessions FOR SELECT
+USING (auth.uid() = user_id);
+
+-- Service role manages session tracking and revocation
+CREATE POLICY "Service role can manage all sessions"
+ON public.user_sessions FOR ALL
+USING (auth.role() = 'service_role');
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+COMMENT ON TABLE public.user_sessions IS 'Supabase auth sessions seen by the backend, with device info and server-side revocation';
+COMMENT ON COLUMN public.user_sessions.session_id IS 'Supabase session_id claim from the access token';
+COMMENT ON COLUMN public.user_sessions.revoked_at IS 'When set, the backend rejects tokens for this session even if Supabase still accepts them';
@@ -0,0 +1,35 @@
+-- Kalypso Role-Based Access Control
+-- Migration 012: User roles for support, compliance, and admin staff
+
+-- ============================================================================
+-- USER ROLE COLUMN
+-- ============================================================================
+ALTER TABLE public.users
+ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'support', 'compliance', 'admin'));
+
+CREATE INDEX IF NOT EXISTS idx_users_role ON public.users(role) WHERE role <> 'user';
+
+-- ============================================================================
+-- PREVENT SELF-ASSIGNED ROLES
+-- ============================================================================
+-- "Users can update own profile" allows direct updates from the client,
+-- so role changes are restricted to the backend (service role)
+CREATE OR REPLACE FUNCTION prevent_user_role_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.role IS DISTINCT FROM OLD.role AND auth.role() <> 'service_role' THEN
+        RAISE EXCEPTION 'Only the service role can change user roles';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER prevent_users_role_change
+    BEFORE UPDATE OF role ON public.users
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_user_role_change();
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+COMMENT ON COLUMN public.users.role IS 'Access role: user (default), support, compliance, admin. Managed via /api/admin only';
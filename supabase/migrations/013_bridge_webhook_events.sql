@@ -0,0 +1,69 @@
+-- Kalypso Bridge Webhook Inbox
+-- Migration 013: Durable storage for Bridge webhook events with retries and dead-lettering
+
+-- ============================================================================
+-- BRIDGE WEBHOOK EVENTS
+-- ============================================================================
+-- Every verified webhook is stored here before it is acknowledged.
+-- A background worker processes pending events and retries failures with
+-- exponential backoff; events that keep failing are moved to dead_letter.
+CREATE TABLE IF NOT EXISTS public.bridge_webhook_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    -- Bridge Event
+    bridge_event_id TEXT UNIQUE NOT NULL,
+    event_type TEXT NOT NULL,
+    payload JSONB NOT NULL,
+
+    -- Processing State
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'processed', 'failed', 'dead_letter')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+    locked_at TIMESTAMPTZ,
+    last_error TEXT,
+    processed_at TIMESTAMPTZ,
+
+    -- Replay
+    replay_count INTEGER NOT NULL DEFAULT 0,
+    last_replayed_at TIMESTAMPTZ,
+    last_replayed_by UUID REFERENCES public.users(id),
+
+    -- Timestamps
+    received_at TIMESTAMPTZ DEFAULT NOW(),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+CREATE INDEX idx_bridge_webhook_events_status ON public.bridge_webhook_events(status);
+CREATE INDEX idx_bridge_webhook_events_event_type ON public.bridge_webhook_events(event_type);
+CREATE INDEX idx_bridge_webhook_events_due ON public.bridge_webhook_events(next_attempt_at) WHERE status IN ('pending', 'failed', 'processing');
+CREATE INDEX idx_bridge_webhook_events_received_at ON public.bridge_webhook_events(received_at DESC);
+
+-- ============================================================================
+-- UPDATED_AT TRIGGER
+-- ============================================================================
+CREATE TRIGGER update_bridge_webhook_events_updated_at
+    BEFORE UPDATE ON public.bridge_webhook_events
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- RLS POLICIES
+-- ============================================================================
+ALTER TABLE public.bridge_webhook_events ENABLE ROW LEVEL SECURITY;
+
+-- Only the backend reads and writes the inbox
+CREATE POLICY "Service role can manage webhook events"
+ON public.bridge_webhook_events FOR ALL
+USING (auth.role() = 'service_role');
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+COMMENT ON TABLE public.bridge_webhook_events IS 'Inbox of verified Bridge webhook events, processed asynchronously by the webhook worker';
+COMMENT ON COLUMN public.bridge_webhook_events.bridge_event_id IS 'Bridge event ID - duplicate deliveries are ignored';
+COMMENT ON COLUMN public.bridge_webhook_events.locked_at IS 'When a worker claimed the event; stale locks are reclaimed';
+COMMENT ON COLUMN public.bridge_webhook_events.status IS 'pending, processing, processed, failed (awaiting retry), dead_letter (retries exhausted)';
@@ -0,0 +1,129 @@
+-- Kalypso Card Payments
+-- Migration 014: Fiserv card payments and their lifecycle history
+
+-- ============================================================================
+-- PAYMENTS TABLE
+-- ============================================================================
+-- One row per card charge processed through Fiserv Commerce Hub
+CREATE TABLE IF NOT EXISTS public.payments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+
+    -- Fiserv Integration
+    fiserv_transaction_id TEXT UNIQUE,
+    fiserv_order_id TEXT,
+
+    -- Amount Details
+    amount DECIMAL(20, 2) NOT NULL,
+    currency TEXT NOT NULL DEFAULT 'USD',
+    captured_amount DECIMAL(20, 2) DEFAULT 0,
+    refunded_amount DECIMAL(20, 2) DEFAULT 0,
+
+    -- Payment Status
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN (
+        'pending',
+        'requires_3ds',
+        'authorized',
+        'captured',
+        'partially_refunded',
+        'refunded',
+        'voided',
+        'failed',
+        'disputed'
+    )),
+
+    -- Error Handling
+    error_code TEXT,
+    error_message TEXT,
+
+    -- Metadata
+    gateway_response JSONB,
+
+    -- Timestamps
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    authorized_at TIMESTAMPTZ,
+    captured_at TIMESTAMPTZ,
+    refunded_at TIMESTAMPTZ,
+    failed_at TIMESTAMPTZ,
+    disputed_at TIMESTAMPTZ
+);
+
+-- ============================================================================
+-- PAYMENT EVENTS TABLE
+-- ============================================================================
+-- Status history for each payment. fiserv_event_id deduplicates webhook deliveries.
+CREATE TABLE IF NOT EXISTS public.payment_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    payment_id UUID NOT NULL REFERENCES public.payments(id) ON DELETE CASCADE,
+
+    -- Transition
+    event_type TEXT NOT NULL,
+    from_status TEXT,
+    to_status TEXT NOT NULL,
+
+    -- Source
+    source TEXT NOT NULL CHECK (source IN ('api', 'webhook', 'admin', 'system')),
+    fiserv_event_id TEXT UNIQUE,
+    event_data JSONB,
+
+    -- Timestamps
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+CREATE INDEX idx_payments_user_id ON public.payments(user_id);
+CREATE INDEX idx_payments_fiserv_transaction_id ON public.payments(fiserv_transaction_id) WHERE fiserv_transaction_id IS NOT NULL;
+CREATE INDEX idx_payments_status ON public.payments(status);
+CREATE INDEX idx_payments_created_at ON public.payments(created_at DESC);
+CREATE INDEX idx_payment_events_payment_id ON public.payment_events(payment_id, created_at);
+
+-- ============================================================================
+-- UPDATED_AT TRIGGER
+-- ============================================================================
+CREATE TRIGGER update_payments_updated_at
+    BEFORE UPDATE ON public.payments
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- RLS POLICIES
+-- ============================================================================
+ALTER TABLE public.payments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.payment_events ENABLE ROW LEVEL SECURITY;
+
+-- Users can view their own payments
+CREATE POLICY "Users can view own payments"
+ON public.payments FOR SELECT
+USING (auth.uid() = user_id);
+
+-- Service role can manage all payments
+CREATE POLICY "Service role can manage all payments"
+ON public.payments FOR ALL
+USING (auth.role() = 'service_role');
+
+-- Users can view events for their own payments
+CREATE POLICY "Users can view own payment events"
+ON public.payment_events FOR SELECT
+USING (
+    EXISTS (
+        SELECT 1 FROM public.payments
+        WHERE payments.id = payment_events.payment_id
+        AND payments.user_id = auth.uid()
+    )
+);
+
+-- Service role can manage all payment events
+CREATE POLICY "Service role can manage all payment events"
+ON public.payment_events FOR ALL
+USING (auth.role() = 'service_role');
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+COMMENT ON TABLE public.payments IS 'Card payments processed through Fiserv Commerce Hub';
+COMMENT ON TABLE public.payment_events IS 'Status transition history for payments (API calls and Fiserv webhooks)';
+COMMENT ON COLUMN public.payments.status IS 'Lifecycle: pending -> requires_3ds -> authorized -> captured -> partially_refunded/refunded; failed, voided and disputed are terminal branches';
+COMMENT ON COLUMN public.payment_events.fiserv_event_id IS 'Fiserv webhook event ID - duplicate deliveries are ignored';
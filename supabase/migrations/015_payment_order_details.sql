@@ -0,0 +1,36 @@
+-- Kalypso Card Payments - Order Details
+-- Migration 015: Crypto target, card details and 3D Secure state on payments
+
+-- ============================================================================
+-- PAYMENT ORDER DETAILS
+-- ============================================================================
+ALTER TABLE public.payments
+ADD COLUMN IF NOT EXISTS payment_mode TEXT NOT NULL DEFAULT 'live' CHECK (payment_mode IN ('mock', 'live')),
+ADD COLUMN IF NOT EXISTS merchant_order_id TEXT UNIQUE,
+
+-- Crypto Target
+ADD COLUMN IF NOT EXISTS crypto_amount DECIMAL(20, 8),
+ADD COLUMN IF NOT EXISTS crypto_currency TEXT,
+
+-- Card Details (never the full PAN)
+ADD COLUMN IF NOT EXISTS card_last4 TEXT,
+ADD COLUMN IF NOT EXISTS card_brand TEXT,
+ADD COLUMN IF NOT EXISTS cardholder_name TEXT,
+ADD COLUMN IF NOT EXISTS billing_country TEXT,
+
+-- 3D Secure
+ADD COLUMN IF NOT EXISTS three_ds_status TEXT NOT NULL DEFAULT 'not_required' CHECK (three_ds_status IN ('not_required', 'required', 'authenticated', 'failed')),
+ADD COLUMN IF NOT EXISTS three_ds_acs_url TEXT,
+ADD COLUMN IF NOT EXISTS three_ds_completed_at TIMESTAMPTZ;
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+CREATE INDEX IF NOT EXISTS idx_payments_user_created ON public.payments(user_id, created_at DESC);
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+COMMENT ON COLUMN public.payments.payment_mode IS 'mock (PAYMENT_MODE=mock, no Fiserv call) or live';
+COMMENT ON COLUMN public.payments.merchant_order_id IS 'Kalypso order ID sent to Fiserv (KAL-...)';
+COMMENT ON COLUMN public.payments.three_ds_status IS 'not_required, required (challenge pending), authenticated, failed';
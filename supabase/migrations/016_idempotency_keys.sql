@@ -0,0 +1,65 @@
+-- Kalypso Idempotency Keys
+-- Migration 016: Client-supplied Idempotency-Key storage for payment and transfer creation
+
+-- ============================================================================
+-- IDEMPOTENCY KEYS
+-- ============================================================================
+-- One row per (user, endpoint scope, key). The first request stores its
+-- response; retries with the same key replay it instead of charging or
+-- transferring again.
+CREATE TABLE IF NOT EXISTS public.idempotency_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+
+    -- Key
+    scope TEXT NOT NULL,
+    idempotency_key TEXT NOT NULL,
+    request_hash TEXT NOT NULL,
+
+    -- Processing State
+    status TEXT NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'completed')),
+    locked_at TIMESTAMPTZ DEFAULT NOW(),
+
+    -- Stored Response
+    response_status INTEGER,
+    response_body JSONB,
+
+    -- Timestamps
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL DEFAULT NOW() + INTERVAL '24 hours',
+
+    UNIQUE (user_id, scope, idempotency_key)
+);
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+CREATE INDEX idx_idempotency_keys_expires_at ON public.idempotency_keys(expires_at);
+
+-- ============================================================================
+-- UPDATED_AT TRIGGER
+-- ============================================================================
+CREATE TRIGGER update_idempotency_keys_updated_at
+    BEFORE UPDATE ON public.idempotency_keys
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- RLS POLICIES
+-- ============================================================================
+ALTER TABLE public.idempotency_keys ENABLE ROW LEVEL SECURITY;
+
+-- Only the backend reads and writes idempotency keys
+CREATE POLICY "Service role can manage idempotency keys"
+ON public.idempotency_keys FOR ALL
+USING (auth.role() = 'service_role');
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+COMMENT ON TABLE public.idempotency_keys IS 'Idempotency-Key header values with the stored response of the first request';
+COMMENT ON COLUMN public.idempotency_keys.scope IS 'Endpoint the key applies to, e.g. payments.process or transfers.create';
+COMMENT ON COLUMN public.idempotency_keys.locked_at IS 'When the current request took the key. A processing key older than IDEMPOTENCY_LOCK_TIMEOUT_MS is taken over by the next retry';
+COMMENT ON COLUMN public.idempotency_keys.request_hash IS 'SHA-256 of the request body - a reused key with a different payload is rejected';
+COMMENT ON COLUMN public.idempotency_keys.response_body IS 'Response replayed on retry. 5xx responses are never stored so the request can be retried';
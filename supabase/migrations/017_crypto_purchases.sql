@@ -0,0 +1,77 @@
+-- Kalypso Card-to-Crypto Purchases
+-- Migration 017: Purchase orchestration (card charge -> Bridge transfer -> settlement)
+
+-- ============================================================================
+-- CRYPTO PURCHASES TABLE
+-- ============================================================================
+-- One row per card payment that buys crypto. Each step of the purchase is
+-- persisted so a failure part-way through can be resumed or compensated.
+CREATE TABLE IF NOT EXISTS public.crypto_purchases (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    payment_id UUID UNIQUE NOT NULL REFERENCES public.payments(id) ON DELETE CASCADE,
+
+    -- Crypto Leg
+    crypto_amount DECIMAL(20, 8) NOT NULL,
+    crypto_currency TEXT NOT NULL,
+    destination_bridge_wallet_id TEXT,
+    bridge_transfer_id TEXT UNIQUE,
+
+    -- Purchase Status
+    status TEXT NOT NULL DEFAULT 'charged' CHECK (status IN (
+        'charged',             -- card payment succeeded, crypto not yet sent
+        'transfer_submitted',  -- Bridge transfer created
+        'settled',             -- crypto delivered to the user's wallet
+        'compensating',        -- crypto leg failed, refunding the card
+        'refunded',            -- card payment refunded
+        'compensation_failed'  -- refund failed, needs manual review
+    )),
+
+    -- Compensation
+    failure_reason TEXT,
+    refund_transaction_id TEXT,
+    compensation_error TEXT,
+
+    -- Timestamps
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    transfer_submitted_at TIMESTAMPTZ,
+    settled_at TIMESTAMPTZ,
+    compensated_at TIMESTAMPTZ
+);
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+CREATE INDEX idx_crypto_purchases_user_id ON public.crypto_purchases(user_id);
+CREATE INDEX idx_crypto_purchases_status ON public.crypto_purchases(status);
+CREATE INDEX idx_crypto_purchases_bridge_transfer_id ON public.crypto_purchases(bridge_transfer_id) WHERE bridge_transfer_id IS NOT NULL;
+
+-- ============================================================================
+-- UPDATED_AT TRIGGER
+-- ============================================================================
+CREATE TRIGGER update_crypto_purchases_updated_at
+    BEFORE UPDATE ON public.crypto_purchases
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- RLS POLICIES
+-- ============================================================================
+ALTER TABLE public.crypto_purchases ENABLE ROW LEVEL SECURITY;
+
+-- Users can view their own purchases
+CREATE POLICY "Users can view own crypto purchases"
+ON public.crypto_purchases FOR SELECT
+USING (auth.uid() = user_id);
+
+-- Service role can manage all purchases
+CREATE POLICY "Service role can manage all crypto purchases"
+ON public.crypto_purchases FOR ALL
+USING (auth.role() = 'service_role');
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+COMMENT ON TABLE public.crypto_purchases IS 'Card-to-crypto purchases: card charge, Bridge transfer from treasury to the user wallet, settlement';
+COMMENT ON COLUMN public.crypto_purchases.status IS 'charged -> transfer_submitted -> settled; on crypto failure: compensating -> refunded (or compensation_failed)';
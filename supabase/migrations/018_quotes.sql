@@ -0,0 +1,77 @@
+-- Kalypso Price Quotes
+-- Migration 018: Locked-rate quotes for fiat-to-crypto purchases
+
+-- ============================================================================
+-- QUOTES TABLE
+-- ============================================================================
+-- A quote locks the exchange rate and fees for a short time. /api/payments/process
+-- only charges against an active, unexpired quote, and each quote is used once
+-- (payments.quote_id links the payment that used it).
+CREATE TABLE IF NOT EXISTS public.quotes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+
+    -- Amounts
+    fiat_amount DECIMAL(20, 2) NOT NULL,
+    fiat_currency TEXT NOT NULL,
+    crypto_amount DECIMAL(20, 8) NOT NULL,
+    crypto_currency TEXT NOT NULL,
+
+    -- Pricing
+    rate DECIMAL(20, 8) NOT NULL, -- fiat per 1 unit of crypto
+    fee_amount DECIMAL(20, 2) NOT NULL DEFAULT 0,
+    fee_percent DECIMAL(6, 4) NOT NULL DEFAULT 0,
+    price_source TEXT NOT NULL,
+
+    -- Lifecycle
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'used')),
+    expires_at TIMESTAMPTZ NOT NULL,
+    used_at TIMESTAMPTZ,
+
+    -- Timestamps
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================================================
+-- PAYMENT QUOTE REFERENCE
+-- ============================================================================
+ALTER TABLE public.payments
+ADD COLUMN IF NOT EXISTS quote_id UUID REFERENCES public.quotes(id);
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+CREATE INDEX idx_quotes_user_id ON public.quotes(user_id, created_at DESC);
+CREATE INDEX idx_quotes_expires_at ON public.quotes(expires_at) WHERE status = 'active';
+CREATE UNIQUE INDEX idx_payments_quote_id ON public.payments(quote_id) WHERE quote_id IS NOT NULL;
+
+-- ============================================================================
+-- UPDATED_AT TRIGGER
+-- ============================================================================
+CREATE TRIGGER update_quotes_updated_at
+    BEFORE UPDATE ON public.quotes
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- RLS POLICIES
+-- ============================================================================
+ALTER TABLE public.quotes ENABLE ROW LEVEL SECURITY;
+
+-- Users can view their own quotes
+CREATE POLICY "Users can view own quotes"
+ON public.quotes FOR SELECT
+USING (auth.uid() = user_id);
+
+-- Service role can manage all quotes
+CREATE POLICY "Service role can manage all quotes"
+ON public.quotes FOR ALL
+USING (auth.role() = 'service_role');
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+COMMENT ON TABLE public.quotes IS 'Locked-rate fiat-to-crypto quotes. Clients receive a signed quote ID (<id>.<signature>)';
+COMMENT ON COLUMN public.quotes.crypto_amount IS 'Crypto delivered: (fiat_amount - fee_amount) / rate';
+COMMENT ON COLUMN public.quotes.status IS 'active until consumed by a payment (used). Expiry is checked against expires_at';
@@ -0,0 +1,68 @@
+-- Kalypso Payment Method Vault
+-- Migration 019: Tokenized saved cards (no PAN or CVV is ever stored)
+
+-- ============================================================================
+-- PAYMENT METHODS TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.payment_methods (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+
+    -- Fiserv Token
+    token TEXT, -- cleared when the method is deleted
+    token_source TEXT NOT NULL DEFAULT 'TRANSARMOR',
+    payment_mode TEXT NOT NULL DEFAULT 'live' CHECK (payment_mode IN ('mock', 'live')),
+
+    -- Display Details
+    card_brand TEXT,
+    card_last4 TEXT NOT NULL,
+    expiry_month TEXT NOT NULL,
+    expiry_year TEXT NOT NULL,
+    cardholder_name TEXT,
+
+    -- Status
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'deleted')),
+    last_used_at TIMESTAMPTZ,
+
+    -- Timestamps
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    deleted_at TIMESTAMPTZ
+);
+
+-- ============================================================================
+-- PAYMENT METHOD REFERENCE
+-- ============================================================================
+ALTER TABLE public.payments
+ADD COLUMN IF NOT EXISTS payment_method_id UUID REFERENCES public.payment_methods(id);
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+CREATE INDEX idx_payment_methods_user_id ON public.payment_methods(user_id) WHERE status = 'active';
+CREATE UNIQUE INDEX idx_payment_methods_user_token ON public.payment_methods(user_id, token) WHERE status = 'active';
+
+-- ============================================================================
+-- UPDATED_AT TRIGGER
+-- ============================================================================
+CREATE TRIGGER update_payment_methods_updated_at
+    BEFORE UPDATE ON public.payment_methods
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- RLS POLICIES
+-- ============================================================================
+ALTER TABLE public.payment_methods ENABLE ROW LEVEL SECURITY;
+
+-- Tokens are only read by the backend; clients use /api/payment-methods
+CREATE POLICY "Service role can manage all payment methods"
+ON public.payment_methods FOR ALL
+USING (auth.role() = 'service_role');
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+COMMENT ON TABLE public.payment_methods IS 'Saved cards stored as Fiserv tokens with display details only';
+COMMENT ON COLUMN public.payment_methods.token IS 'Fiserv payment token (TransArmor). Never returned to clients';
+COMMENT ON COLUMN public.payment_methods.payment_mode IS 'mock tokens come from the local stand-in and only work with PAYMENT_MODE=mock';
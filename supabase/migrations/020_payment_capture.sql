@@ -0,0 +1,39 @@
+-- Kalypso Authorize / Capture / Void
+-- Migration 020: Auth-only card charges captured after the crypto leg settles
+
+-- ============================================================================
+-- PAYMENTS
+-- ============================================================================
+ALTER TABLE public.payments
+ADD COLUMN IF NOT EXISTS voided_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN public.payments.captured_amount IS 'Amount captured. Less than amount after a partial capture (the remainder is released)';
+
+-- ============================================================================
+-- CRYPTO PURCHASES
+-- ============================================================================
+-- Purchases now authorize the card first. The authorization is captured once the
+-- crypto is delivered, or voided (no refund needed) if the crypto leg fails.
+ALTER TABLE public.crypto_purchases
+DROP CONSTRAINT IF EXISTS crypto_purchases_status_check;
+
+ALTER TABLE public.crypto_purchases
+ADD CONSTRAINT crypto_purchases_status_check CHECK (status IN (
+    'charged',             -- card payment authorized (or captured), crypto not yet sent
+    'transfer_unknown',    -- Bridge submission timed out or failed without an answer; card stays held
+    'transfer_submitted',  -- Bridge transfer created
+    'settled',             -- crypto delivered and card payment captured
+    'capture_failed',      -- crypto delivered but the capture failed, needs manual review
+    'compensating',        -- crypto leg failed, releasing the card payment
+    'voided',              -- card authorization voided
+    'refunded',            -- card payment refunded (it had already been captured)
+    'compensation_failed'  -- void or refund failed, needs manual review
+));
+
+ALTER TABLE public.crypto_purchases
+ADD COLUMN IF NOT EXISTS capture_error TEXT,
+ADD COLUMN IF NOT EXISTS transfer_error TEXT,
+ADD COLUMN IF NOT EXISTS captured_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN public.crypto_purchases.status IS 'charged -> transfer_submitted -> settled (or capture_failed); transfer_unknown until Bridge confirms the transfer; on crypto failure: compensating -> voided/refunded (or compensation_failed)';
+COMMENT ON COLUMN public.crypto_purchases.refund_transaction_id IS 'Fiserv transaction ID of the void or refund that released the card payment';
@@ -0,0 +1,119 @@
+-- Kalypso Refund Ledger
+-- Migration 021: Every refund is recorded against its payment and capped at the captured amount
+
+-- ============================================================================
+-- PAYMENT REFUNDS TABLE
+-- ============================================================================
+-- A refund is reserved (pending) before Fiserv is called, so concurrent refunds
+-- cannot together exceed the captured amount. Failed refunds release their
+-- reservation; only pending and completed refunds count toward the total.
+CREATE TABLE IF NOT EXISTS public.payment_refunds (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    payment_id UUID NOT NULL REFERENCES public.payments(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+
+    -- Amount (always in the original charge currency)
+    amount DECIMAL(20, 2) NOT NULL CHECK (amount > 0),
+    currency TEXT NOT NULL,
+
+    -- Who and why
+    reason TEXT NOT NULL,
+    initiated_by UUID REFERENCES public.users(id), -- NULL for system and Fiserv refunds
+    source TEXT NOT NULL DEFAULT 'admin' CHECK (source IN ('admin', 'system', 'fiserv')), -- fiserv: issued outside Kalypso, learned from a webhook
+
+    -- Gateway Result
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'failed')),
+    fiserv_refund_id TEXT,
+    error_message TEXT,
+
+    -- Timestamps
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    completed_at TIMESTAMPTZ
+);
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+CREATE INDEX idx_payment_refunds_payment_id ON public.payment_refunds(payment_id);
+CREATE INDEX idx_payment_refunds_user_id ON public.payment_refunds(user_id);
+CREATE UNIQUE INDEX idx_payment_refunds_fiserv_refund_id ON public.payment_refunds(fiserv_refund_id) WHERE fiserv_refund_id IS NOT NULL;
+
+-- ============================================================================
+-- UPDATED_AT TRIGGER
+-- ============================================================================
+CREATE TRIGGER update_payment_refunds_updated_at
+    BEFORE UPDATE ON public.payment_refunds
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- RESERVE REFUND
+-- ============================================================================
+-- Locks the payment row, checks the refundable balance and inserts a pending
+-- refund in the payment's currency. Raises:
+--   PAYMENT_NOT_FOUND, PAYMENT_NOT_REFUNDABLE, REFUND_EXCEEDS_CAPTURED
+CREATE OR REPLACE FUNCTION reserve_payment_refund(
+    p_payment_id UUID,
+    p_amount DECIMAL,
+    p_reason TEXT,
+    p_initiated_by UUID,
+    p_source TEXT
+)
+RETURNS public.payment_refunds AS $$
+DECLARE
+    v_payment public.payments;
+    v_reserved DECIMAL;
+    v_refund public.payment_refunds;
+BEGIN
+    SELECT * INTO v_payment
+    FROM public.payments
+    WHERE id = p_payment_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'PAYMENT_NOT_FOUND';
+    END IF;
+
+    IF v_payment.status NOT IN ('captured', 'partially_refunded') THEN
+        RAISE EXCEPTION 'PAYMENT_NOT_REFUNDABLE';
+    END IF;
+
+    SELECT COALESCE(SUM(amount), 0) INTO v_reserved
+    FROM public.payment_refunds
+    WHERE payment_id = p_payment_id
+    AND status IN ('pending', 'completed');
+
+    IF v_reserved + p_amount > COALESCE(v_payment.captured_amount, v_payment.amount) THEN
+        RAISE EXCEPTION 'REFUND_EXCEEDS_CAPTURED';
+    END IF;
+
+    INSERT INTO public.payment_refunds (payment_id, user_id, amount, currency, reason, initiated_by, source)
+    VALUES (p_payment_id, v_payment.user_id, p_amount, v_payment.currency, p_reason, p_initiated_by, p_source)
+    RETURNING * INTO v_refund;
+
+    RETURN v_refund;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================================
+-- RLS POLICIES
+-- ============================================================================
+ALTER TABLE public.payment_refunds ENABLE ROW LEVEL SECURITY;
+
+-- Users can view refunds of their own payments
+CREATE POLICY "Users can view own payment refunds"
+ON public.payment_refunds FOR SELECT
+USING (auth.uid() = user_id);
+
+-- Service role can manage all refunds
+CREATE POLICY "Service role can manage all payment refunds"
+ON public.payment_refunds FOR ALL
+USING (auth.role() = 'service_role');
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+COMMENT ON TABLE public.payment_refunds IS 'Refund ledger. Sum of pending + completed refunds never exceeds payments.captured_amount';
+COMMENT ON COLUMN public.payment_refunds.initiated_by IS 'Support/admin user who requested the refund. NULL when the system refunded (e.g. failed crypto purchase)';
+COMMENT ON FUNCTION reserve_payment_refund IS 'Reserve a refund under a row lock on the payment. Call before contacting Fiserv';
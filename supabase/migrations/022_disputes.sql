@@ -0,0 +1,122 @@
+-- Kalypso Disputes
+-- Migration 022: Chargeback case management for Fiserv card payments
+
+-- ============================================================================
+-- DISPUTES TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.disputes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    payment_id UUID NOT NULL REFERENCES public.payments(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    purchase_id UUID REFERENCES public.crypto_purchases(id),
+
+    -- Fiserv Case
+    fiserv_dispute_id TEXT UNIQUE NOT NULL,
+    reason_code TEXT,
+    reason TEXT,
+    amount DECIMAL(20, 2) NOT NULL,
+    currency TEXT NOT NULL,
+
+    -- Case Status
+    status TEXT NOT NULL DEFAULT 'opened' CHECK (status IN (
+        'opened',              -- chargeback received
+        'evidence_due',        -- issuer requested evidence by evidence_due_at
+        'evidence_submitted',  -- our response was submitted
+        'won',                 -- resolved in our favor
+        'lost'                 -- resolved in the cardholder's favor
+    )),
+    evidence_due_at TIMESTAMPTZ,
+    response_notes TEXT,
+    responded_by UUID REFERENCES public.users(id),
+    resolution_notes TEXT,
+    resolved_by UUID REFERENCES public.users(id), -- NULL when resolved by Fiserv webhook
+
+    -- Crypto Hold
+    crypto_action TEXT NOT NULL DEFAULT 'none' CHECK (crypto_action IN (
+        'none',         -- no crypto was delivered
+        'frozen',       -- user's wallet frozen
+        'clawed_back',  -- crypto returned to the treasury wallet
+        'released',     -- hold lifted after the dispute was won
+        'failed'        -- neither claw back nor freeze succeeded, needs manual review
+    )),
+    crypto_action_error TEXT,
+    clawback_transfer_id TEXT,
+    frozen_bridge_wallet_id TEXT,
+
+    -- Timestamps
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    responded_at TIMESTAMPTZ,
+    resolved_at TIMESTAMPTZ
+);
+
+-- ============================================================================
+-- DISPUTE EVIDENCE TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.dispute_evidence (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    dispute_id UUID NOT NULL REFERENCES public.disputes(id) ON DELETE CASCADE,
+
+    -- File (stored in the private dispute-evidence bucket)
+    storage_path TEXT NOT NULL,
+    file_name TEXT NOT NULL,
+    content_type TEXT NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    description TEXT,
+
+    uploaded_by UUID REFERENCES public.users(id),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================================================
+-- EVIDENCE STORAGE BUCKET
+-- ============================================================================
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('dispute-evidence', 'dispute-evidence', false)
+ON CONFLICT (id) DO NOTHING;
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+CREATE INDEX idx_disputes_payment_id ON public.disputes(payment_id);
+CREATE INDEX idx_disputes_user_id ON public.disputes(user_id);
+CREATE INDEX idx_disputes_status ON public.disputes(status);
+CREATE INDEX idx_disputes_evidence_due_at ON public.disputes(evidence_due_at) WHERE status IN ('opened', 'evidence_due');
+CREATE INDEX idx_dispute_evidence_dispute_id ON public.dispute_evidence(dispute_id);
+
+-- ============================================================================
+-- UPDATED_AT TRIGGER
+-- ============================================================================
+CREATE TRIGGER update_disputes_updated_at
+    BEFORE UPDATE ON public.disputes
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- RLS POLICIES
+-- ============================================================================
+ALTER TABLE public.disputes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.dispute_evidence ENABLE ROW LEVEL SECURITY;
+
+-- Users can view their own disputes
+CREATE POLICY "Users can view own disputes"
+ON public.disputes FOR SELECT
+USING (auth.uid() = user_id);
+
+-- Service role can manage all disputes
+CREATE POLICY "Service role can manage all disputes"
+ON public.disputes FOR ALL
+USING (auth.role() = 'service_role');
+
+-- Evidence is internal - service role only
+CREATE POLICY "Service role can manage all dispute evidence"
+ON public.dispute_evidence FOR ALL
+USING (auth.role() = 'service_role');
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+COMMENT ON TABLE public.disputes IS 'Chargebacks on card payments, opened from Fiserv CHARGEBACK_INITIATED webhooks';
+COMMENT ON COLUMN public.disputes.status IS 'opened -> evidence_due -> evidence_submitted -> won/lost';
+COMMENT ON COLUMN public.disputes.crypto_action IS 'What happened to the crypto delivered for the disputed purchase (DISPUTE_CRYPTO_ACTION)';
+COMMENT ON TABLE public.dispute_evidence IS 'Evidence files for a dispute. Files live in the dispute-evidence storage bucket';
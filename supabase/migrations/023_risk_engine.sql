@@ -0,0 +1,120 @@
+-- Kalypso Risk Engine
+-- Migration 023: Pre-authorization risk rules and scored decisions for card purchases
+
+-- ============================================================================
+-- RISK RULES TABLE
+-- ============================================================================
+-- Each enabled rule that triggers adds its score. The total is compared with
+-- RISK_REVIEW_SCORE / RISK_BLOCK_SCORE; a rule with an action forces at least
+-- that decision regardless of the total.
+CREATE TABLE IF NOT EXISTS public.risk_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    rule_key TEXT UNIQUE NOT NULL,
+    description TEXT,
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    score INTEGER NOT NULL DEFAULT 0 CHECK (score >= 0),
+    action TEXT CHECK (action IN ('review', 'block')),
+    params JSONB NOT NULL DEFAULT '{}'::jsonb,
+
+    -- Timestamps
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+INSERT INTO public.risk_rules (rule_key, description, score, action, params) VALUES
+    ('velocity_user', 'Too many payment attempts by the user', 30, NULL, '{"window_minutes": 60, "max_attempts": 5}'),
+    ('velocity_card', 'Too many payment attempts with the same card (any user)', 30, NULL, '{"window_minutes": 1440, "max_attempts": 5}'),
+    ('velocity_ip', 'Too many payment attempts from the same IP address', 25, NULL, '{"window_minutes": 60, "max_attempts": 10}'),
+    ('bin_country_mismatch', 'Card issuing country differs from the declared billing country', 30, NULL, '{}'),
+    ('amount_over_tier_limit', 'Amount exceeds the limit for the user''s KYC tier', 40, NULL, '{"tier_limits": {"1": 1000, "2": 10000}}'),
+    ('new_device', 'First payment from this device', 15, NULL, '{}'),
+    ('repeated_declines', 'Several declined payments recently', 50, NULL, '{"window_minutes": 1440, "max_declines": 3}')
+ON CONFLICT (rule_key) DO NOTHING;
+
+-- ============================================================================
+-- RISK DECISIONS TABLE
+-- ============================================================================
+-- One row per scored payment attempt. Also the source for velocity counts.
+CREATE TABLE IF NOT EXISTS public.risk_decisions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    payment_id UUID REFERENCES public.payments(id) ON DELETE SET NULL,
+
+    -- Outcome
+    decision TEXT NOT NULL CHECK (decision IN ('allow', 'review', 'block')),
+    score INTEGER NOT NULL,
+    triggered_rules JSONB NOT NULL DEFAULT '[]'::jsonb, -- [{ rule, score, action, details }]
+
+    -- Signals
+    amount DECIMAL(20, 2) NOT NULL,
+    currency TEXT NOT NULL,
+    card_fingerprint TEXT, -- sha256 of BIN, last4 and expiry (never the PAN)
+    card_bin TEXT,
+    bin_country TEXT,
+    declared_country TEXT,
+    ip_address INET,
+    device_id TEXT,
+    user_agent TEXT,
+    signals JSONB,
+
+    -- Manual Review (decision = review)
+    review_status TEXT CHECK (review_status IN ('pending', 'approved', 'rejected')),
+    reviewed_by UUID REFERENCES public.users(id),
+    review_notes TEXT,
+    reviewed_at TIMESTAMPTZ,
+
+    -- Timestamps
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================================================
+-- SAVED CARD BIN
+-- ============================================================================
+-- The first six digits are stored with last4 so saved cards can be risk scored
+ALTER TABLE public.payment_methods
+ADD COLUMN IF NOT EXISTS card_bin TEXT;
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+CREATE INDEX idx_risk_decisions_user_id ON public.risk_decisions(user_id, created_at DESC);
+CREATE INDEX idx_risk_decisions_card ON public.risk_decisions(card_fingerprint, created_at DESC);
+CREATE INDEX idx_risk_decisions_ip ON public.risk_decisions(ip_address, created_at DESC);
+CREATE INDEX idx_risk_decisions_payment_id ON public.risk_decisions(payment_id) WHERE payment_id IS NOT NULL;
+CREATE INDEX idx_risk_decisions_pending_review ON public.risk_decisions(created_at) WHERE review_status = 'pending';
+
+-- ============================================================================
+-- UPDATED_AT TRIGGERS
+-- ============================================================================
+CREATE TRIGGER update_risk_rules_updated_at
+    BEFORE UPDATE ON public.risk_rules
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_risk_decisions_updated_at
+    BEFORE UPDATE ON public.risk_decisions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- RLS POLICIES
+-- ============================================================================
+ALTER TABLE public.risk_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.risk_decisions ENABLE ROW LEVEL SECURITY;
+
+-- Risk data is internal - service role only
+CREATE POLICY "Service role can manage all risk rules"
+ON public.risk_rules FOR ALL
+USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage all risk decisions"
+ON public.risk_decisions FOR ALL
+USING (auth.role() = 'service_role');
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+COMMENT ON TABLE public.risk_rules IS 'Configurable pre-authorization risk rules. Managed via /api/admin/risk/rules';
+COMMENT ON TABLE public.risk_decisions IS 'Risk score for every card payment attempt, kept for tuning and velocity checks';
+COMMENT ON COLUMN public.risk_decisions.review_status IS 'For review decisions: the card is authorized only and the purchase waits for approval';
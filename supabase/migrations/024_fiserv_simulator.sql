@@ -0,0 +1,21 @@
+-- Kalypso Fiserv Simulator
+-- Migration 024: Retire the in-process mock payment mode
+-- Development now runs against simulators/fiservSimulator.js through the normal Fiserv
+-- client, so every payment and saved card goes through FISERV_HOST.
+
+-- ============================================================================
+-- RETIRE MOCK SAVED CARDS
+-- ============================================================================
+-- mock_tok_ tokens were generated locally and are unknown to any Fiserv host
+UPDATE public.payment_methods
+SET status = 'deleted',
+    token = NULL,
+    deleted_at = NOW()
+WHERE payment_mode = 'mock'
+  AND status = 'active';
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+COMMENT ON COLUMN public.payments.payment_mode IS 'Legacy: mock rows were created by the retired PAYMENT_MODE=mock stand-in. New payments are always live (FISERV_HOST decides which gateway)';
+COMMENT ON COLUMN public.payment_methods.payment_mode IS 'Legacy: mock cards came from the retired PAYMENT_MODE=mock stand-in and were deleted in migration 024';
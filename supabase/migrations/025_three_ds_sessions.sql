@@ -0,0 +1,93 @@
+-- Kalypso 3-D Secure 2 Sessions
+-- Migration 025: Persisted 3DS2 authentication sessions for card payments
+-- A session is opened when Fiserv asks for 3DS on a charge. It carries the device-data
+-- (3DS Method) and challenge steps, and is the only way back into a requires_3ds payment.
+
+-- ============================================================================
+-- THREE DS SESSIONS TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.three_ds_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    payment_id UUID NOT NULL REFERENCES public.payments(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    fiserv_transaction_id TEXT NOT NULL,
+
+    -- Lifecycle
+    status TEXT NOT NULL DEFAULT 'device_data_required' CHECK (status IN (
+        'device_data_required', -- browser must run the 3DS Method (device fingerprint)
+        'challenge_required',   -- cardholder must complete the ACS challenge
+        'authenticated',
+        'failed',
+        'expired'
+    )),
+    protocol_version TEXT,
+    server_transaction_id TEXT, -- threeDSServerTransID, echoed back in the CRes
+
+    -- Device data collection (3DS Method)
+    method_url TEXT,
+    method_data TEXT,
+    method_completed BOOLEAN,
+
+    -- Challenge
+    acs_url TEXT,
+    creq TEXT,
+    acs_transaction_id TEXT,
+
+    -- Result
+    trans_status TEXT, -- EMVCo transStatus: Y, N, U, A, R
+    eci TEXT,
+    failure_reason TEXT,
+
+    expires_at TIMESTAMPTZ NOT NULL,
+    completed_at TIMESTAMPTZ,
+
+    -- Timestamps
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================================================
+-- PAYMENT 3DS VERSION
+-- ============================================================================
+ALTER TABLE public.payments
+ADD COLUMN IF NOT EXISTS three_ds_version TEXT;
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+CREATE INDEX idx_three_ds_sessions_payment_id ON public.three_ds_sessions(payment_id);
+CREATE INDEX idx_three_ds_sessions_user_id ON public.three_ds_sessions(user_id, created_at DESC);
+
+-- At most one open session per payment
+CREATE UNIQUE INDEX idx_three_ds_sessions_one_pending
+ON public.three_ds_sessions(payment_id)
+WHERE status IN ('device_data_required', 'challenge_required');
+
+-- ============================================================================
+-- UPDATED_AT TRIGGER
+-- ============================================================================
+CREATE TRIGGER update_three_ds_sessions_updated_at
+    BEFORE UPDATE ON public.three_ds_sessions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- RLS POLICIES
+-- ============================================================================
+ALTER TABLE public.three_ds_sessions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own 3DS sessions"
+ON public.three_ds_sessions FOR SELECT
+USING (auth.uid() = user_id);
+
+CREATE POLICY "Service role can manage all 3DS sessions"
+ON public.three_ds_sessions FOR ALL
+USING (auth.role() = 'service_role');
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+COMMENT ON TABLE public.three_ds_sessions IS '3-D Secure 2 authentication sessions. Driven by /api/payments/3ds/:sessionId';
+COMMENT ON COLUMN public.three_ds_sessions.server_transaction_id IS 'threeDSServerTransID from Fiserv. A challenge result whose CRes carries a different ID is rejected';
+COMMENT ON COLUMN public.three_ds_sessions.expires_at IS 'Pending sessions past this time are expired and their payment failed (THREE_DS_SESSION_TTL_MINUTES)';
+COMMENT ON COLUMN public.payments.three_ds_version IS '3-D Secure protocol version used to authenticate the payment, e.g. 2.2.0';
@@ -0,0 +1,184 @@
+-- Kalypso Settlement Reconciliation
+-- Migration 026: Imported Fiserv settlement / funding files and reconciliation against stored payments
+
+-- ============================================================================
+-- SETTLEMENT FILES TABLE
+-- ============================================================================
+-- One row per imported CSV. The content hash stops the same file being imported twice.
+CREATE TABLE IF NOT EXISTS public.settlement_files (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    file_type TEXT NOT NULL CHECK (file_type IN ('settlement', 'funding')),
+    file_name TEXT NOT NULL,
+    file_hash TEXT UNIQUE NOT NULL, -- sha256 of the file content
+    line_count INTEGER NOT NULL DEFAULT 0,
+    rejected_count INTEGER NOT NULL DEFAULT 0,
+    rejected_lines JSONB NOT NULL DEFAULT '[]'::jsonb, -- [{ line, error }]
+    imported_by UUID REFERENCES public.users(id),
+
+    -- Timestamps
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================================================
+-- SETTLEMENT LINES TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.settlement_lines (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    file_id UUID NOT NULL REFERENCES public.settlement_files(id) ON DELETE CASCADE,
+    file_type TEXT NOT NULL CHECK (file_type IN ('settlement', 'funding')),
+    line_number INTEGER NOT NULL,
+
+    -- Transaction
+    transaction_type TEXT NOT NULL CHECK (transaction_type IN ('capture', 'refund', 'chargeback', 'fee', 'adjustment')),
+    fiserv_transaction_id TEXT,
+    reference_transaction_id TEXT, -- original charge for refunds, when the report carries it
+    order_id TEXT,
+    amount DECIMAL(20, 2) NOT NULL, -- always positive; transaction_type gives the direction
+    currency TEXT NOT NULL,
+    fee_amount DECIMAL(20, 2),
+    net_amount DECIMAL(20, 2),
+    transaction_date DATE,
+    settlement_date DATE NOT NULL,
+    funding_date DATE,
+    raw JSONB, -- the CSV row, redacted
+
+    -- Matching (set by reconciliation)
+    payment_id UUID REFERENCES public.payments(id) ON DELETE SET NULL,
+    refund_id UUID REFERENCES public.payment_refunds(id) ON DELETE SET NULL,
+    match_status TEXT NOT NULL DEFAULT 'unreconciled' CHECK (match_status IN (
+        'unreconciled',
+        'matched',
+        'amount_mismatch',
+        'missing_locally',
+        'skipped' -- fees, chargebacks and adjustments are not matched
+    )),
+    reconciled_at TIMESTAMPTZ,
+
+    -- Timestamps
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================================================
+-- RECONCILIATION RUNS TABLE
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS public.reconciliation_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    file_type TEXT NOT NULL CHECK (file_type IN ('settlement', 'funding')),
+    period_start DATE NOT NULL,
+    period_end DATE NOT NULL, -- inclusive
+    trigger TEXT NOT NULL CHECK (trigger IN ('scheduled', 'manual')),
+    triggered_by UUID REFERENCES public.users(id),
+    status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+    summary JSONB, -- counts and totals per currency
+    error_message TEXT,
+
+    -- Timestamps
+    started_at TIMESTAMPTZ DEFAULT NOW(),
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================================================
+-- RECONCILIATION EXCEPTIONS TABLE
+-- ============================================================================
+-- A problem found by a run. Later runs keep an open exception (last_seen_run_id)
+-- rather than duplicating it, and resolve it automatically once it matches.
+CREATE TABLE IF NOT EXISTS public.reconciliation_exceptions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    run_id UUID NOT NULL REFERENCES public.reconciliation_runs(id) ON DELETE CASCADE,
+    last_seen_run_id UUID REFERENCES public.reconciliation_runs(id) ON DELETE SET NULL,
+    dedupe_key TEXT NOT NULL,
+
+    exception_type TEXT NOT NULL CHECK (exception_type IN ('missing_locally', 'missing_in_settlement', 'amount_mismatch')),
+    transaction_type TEXT NOT NULL CHECK (transaction_type IN ('capture', 'refund')),
+    payment_id UUID REFERENCES public.payments(id) ON DELETE SET NULL,
+    refund_id UUID REFERENCES public.payment_refunds(id) ON DELETE SET NULL,
+    settlement_line_ids UUID[] NOT NULL DEFAULT '{}',
+    fiserv_transaction_id TEXT,
+    expected_amount DECIMAL(20, 2), -- ours
+    settled_amount DECIMAL(20, 2), -- Fiserv's
+    currency TEXT,
+
+    -- Resolution
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+    resolution_notes TEXT,
+    resolved_by UUID REFERENCES public.users(id), -- NULL when a later run matched it
+    resolved_at TIMESTAMPTZ,
+
+    -- Timestamps
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================================================
+-- INDEXES
+-- ============================================================================
+CREATE INDEX idx_settlement_files_created_at ON public.settlement_files(created_at DESC);
+CREATE INDEX idx_settlement_lines_file_id ON public.settlement_lines(file_id);
+CREATE INDEX idx_settlement_lines_settlement_date ON public.settlement_lines(file_type, settlement_date);
+CREATE INDEX idx_settlement_lines_transaction_id ON public.settlement_lines(fiserv_transaction_id);
+CREATE INDEX idx_settlement_lines_reference_id ON public.settlement_lines(reference_transaction_id) WHERE reference_transaction_id IS NOT NULL;
+CREATE INDEX idx_reconciliation_runs_period ON public.reconciliation_runs(file_type, period_start DESC);
+CREATE INDEX idx_reconciliation_exceptions_run_id ON public.reconciliation_exceptions(run_id);
+CREATE INDEX idx_reconciliation_exceptions_status ON public.reconciliation_exceptions(status, created_at DESC);
+CREATE UNIQUE INDEX idx_reconciliation_exceptions_open_key ON public.reconciliation_exceptions(dedupe_key) WHERE status = 'open';
+
+-- ============================================================================
+-- UPDATED_AT TRIGGERS
+-- ============================================================================
+CREATE TRIGGER update_settlement_files_updated_at
+    BEFORE UPDATE ON public.settlement_files
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_settlement_lines_updated_at
+    BEFORE UPDATE ON public.settlement_lines
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_reconciliation_runs_updated_at
+    BEFORE UPDATE ON public.reconciliation_runs
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_reconciliation_exceptions_updated_at
+    BEFORE UPDATE ON public.reconciliation_exceptions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- RLS POLICIES
+-- ============================================================================
+ALTER TABLE public.settlement_files ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.settlement_lines ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.reconciliation_runs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.reconciliation_exceptions ENABLE ROW LEVEL SECURITY;
+
+-- Finance data is internal - service role only
+CREATE POLICY "Service role can manage all settlement files"
+ON public.settlement_files FOR ALL
+USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage all settlement lines"
+ON public.settlement_lines FOR ALL
+USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage all reconciliation runs"
+ON public.reconciliation_runs FOR ALL
+USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage all reconciliation exceptions"
+ON public.reconciliation_exceptions FOR ALL
+USING (auth.role() = 'service_role');
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+COMMENT ON TABLE public.settlement_files IS 'Fiserv settlement and funding CSV files. Imported via POST /api/admin/settlements/import';
+COMMENT ON TABLE public.settlement_lines IS 'One transaction from a settlement or funding file, matched to payments by reconciliation';
+COMMENT ON TABLE public.reconciliation_runs IS 'Reconciliation of settlement lines against captured payments and completed refunds for a date range';
+COMMENT ON TABLE public.reconciliation_exceptions IS 'Mismatches for finance to investigate: missing locally, missing in settlement, amount differs';
+COMMENT ON COLUMN public.reconciliation_exceptions.dedupe_key IS 'Identifies the same problem across runs so it stays one open exception';
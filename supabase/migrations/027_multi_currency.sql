@@ -0,0 +1,197 @@
+-- Kalypso Multi-Currency Payments
+-- Migration 027: Amounts in minor units (ISO 4217 exponent per currency) and FX-aware quotes
+
+-- ============================================================================
+-- CURRENCY MINOR UNITS
+-- ============================================================================
+-- Mirrors utils/currency.js. Everything not listed has two decimals.
+CREATE OR REPLACE FUNCTION currency_minor_units(p_currency TEXT)
+RETURNS INTEGER AS $$
+    SELECT CASE
+        WHEN UPPER(p_currency) IN ('BIF', 'CLP', 'DJF', 'GNF', 'ISK', 'JPY', 'KMF', 'KRW', 'PYG', 'RWF', 'UGX', 'UYI', 'VND', 'VUV', 'XAF', 'XOF', 'XPF') THEN 0
+        WHEN UPPER(p_currency) IN ('BHD', 'IQD', 'JOD', 'KWD', 'LYD', 'OMR', 'TND') THEN 3
+        WHEN UPPER(p_currency) IN ('CLF', 'UYW') THEN 4
+        ELSE 2
+    END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- ============================================================================
+-- DECIMAL COLUMNS
+-- ============================================================================
+-- Decimal amounts stay for display and reporting; widen them so three-decimal
+-- currencies (KWD, BHD) are not rounded to cents.
+ALTER TABLE public.payments
+ALTER COLUMN amount TYPE DECIMAL(20, 4),
+ALTER COLUMN captured_amount TYPE DECIMAL(20, 4),
+ALTER COLUMN refunded_amount TYPE DECIMAL(20, 4);
+
+ALTER TABLE public.payment_refunds
+ALTER COLUMN amount TYPE DECIMAL(20, 4);
+
+ALTER TABLE public.quotes
+ALTER COLUMN fiat_amount TYPE DECIMAL(20, 4),
+ALTER COLUMN fee_amount TYPE DECIMAL(20, 4);
+
+ALTER TABLE public.settlement_lines
+ALTER COLUMN amount TYPE DECIMAL(20, 4),
+ALTER COLUMN fee_amount TYPE DECIMAL(20, 4),
+ALTER COLUMN net_amount TYPE DECIMAL(20, 4);
+
+ALTER TABLE public.disputes
+ALTER COLUMN amount TYPE DECIMAL(20, 4);
+
+ALTER TABLE public.risk_decisions
+ALTER COLUMN amount TYPE DECIMAL(20, 4);
+
+ALTER TABLE public.reconciliation_exceptions
+ALTER COLUMN expected_amount TYPE DECIMAL(20, 4),
+ALTER COLUMN settled_amount TYPE DECIMAL(20, 4);
+
+-- ============================================================================
+-- MINOR UNIT COLUMNS
+-- ============================================================================
+ALTER TABLE public.payments
+ADD COLUMN IF NOT EXISTS amount_minor BIGINT,
+ADD COLUMN IF NOT EXISTS captured_amount_minor BIGINT DEFAULT 0,
+ADD COLUMN IF NOT EXISTS refunded_amount_minor BIGINT DEFAULT 0;
+
+ALTER TABLE public.payment_refunds
+ADD COLUMN IF NOT EXISTS amount_minor BIGINT;
+
+ALTER TABLE public.quotes
+ADD COLUMN IF NOT EXISTS fiat_amount_minor BIGINT,
+ADD COLUMN IF NOT EXISTS fee_amount_minor BIGINT,
+ADD COLUMN IF NOT EXISTS fx_rate DECIMAL(30, 10); -- USD -> fiat_currency rate used for the quote (1 for USD)
+
+ALTER TABLE public.disputes
+ADD COLUMN IF NOT EXISTS amount_minor BIGINT;
+
+ALTER TABLE public.risk_decisions
+ADD COLUMN IF NOT EXISTS amount_minor BIGINT;
+
+ALTER TABLE public.reconciliation_exceptions
+ADD COLUMN IF NOT EXISTS expected_amount_minor BIGINT,
+ADD COLUMN IF NOT EXISTS settled_amount_minor BIGINT;
+
+-- Backfill from the decimal columns
+UPDATE public.payments
+SET currency = UPPER(currency),
+    amount_minor = ROUND(amount * POWER(10::DECIMAL, currency_minor_units(currency)))::BIGINT,
+    captured_amount_minor = ROUND(COALESCE(captured_amount, 0) * POWER(10::DECIMAL, currency_minor_units(currency)))::BIGINT,
+    refunded_amount_minor = ROUND(COALESCE(refunded_amount, 0) * POWER(10::DECIMAL, currency_minor_units(currency)))::BIGINT
+WHERE amount_minor IS NULL;
+
+UPDATE public.payment_refunds
+SET currency = UPPER(currency),
+    amount_minor = ROUND(amount * POWER(10::DECIMAL, currency_minor_units(currency)))::BIGINT
+WHERE amount_minor IS NULL;
+
+UPDATE public.quotes
+SET fiat_amount_minor = ROUND(fiat_amount * POWER(10::DECIMAL, currency_minor_units(fiat_currency)))::BIGINT,
+    fee_amount_minor = ROUND(fee_amount * POWER(10::DECIMAL, currency_minor_units(fiat_currency)))::BIGINT,
+    fx_rate = CASE WHEN UPPER(fiat_currency) = 'USD' THEN 1 END
+WHERE fiat_amount_minor IS NULL;
+
+UPDATE public.disputes
+SET amount_minor = ROUND(amount * POWER(10::DECIMAL, currency_minor_units(currency)))::BIGINT
+WHERE amount_minor IS NULL;
+
+UPDATE public.risk_decisions
+SET amount_minor = ROUND(amount * POWER(10::DECIMAL, currency_minor_units(currency)))::BIGINT
+WHERE amount_minor IS NULL;
+
+UPDATE public.reconciliation_exceptions
+SET expected_amount_minor = ROUND(expected_amount * POWER(10::DECIMAL, currency_minor_units(currency)))::BIGINT,
+    settled_amount_minor = ROUND(settled_amount * POWER(10::DECIMAL, currency_minor_units(currency)))::BIGINT
+WHERE currency IS NOT NULL
+AND expected_amount_minor IS NULL
+AND settled_amount_minor IS NULL;
+
+ALTER TABLE public.payments
+ALTER COLUMN amount_minor SET NOT NULL,
+ADD CONSTRAINT payments_amount_minor_positive CHECK (amount_minor > 0);
+
+ALTER TABLE public.payment_refunds
+ALTER COLUMN amount_minor SET NOT NULL,
+ADD CONSTRAINT payment_refunds_amount_minor_positive CHECK (amount_minor > 0);
+
+ALTER TABLE public.disputes
+ALTER COLUMN amount_minor SET NOT NULL;
+
+ALTER TABLE public.risk_decisions
+ALTER COLUMN amount_minor SET NOT NULL;
+
+-- ============================================================================
+-- RESERVE REFUND (MINOR UNITS)
+-- ============================================================================
+-- Same checks as migration 021, compared in minor units so rounding cannot let
+-- refunds drift past the captured amount. Raises:
+--   PAYMENT_NOT_FOUND, PAYMENT_NOT_REFUNDABLE, REFUND_EXCEEDS_CAPTURED
+DROP FUNCTION IF EXISTS reserve_payment_refund(UUID, DECIMAL, TEXT, UUID, TEXT);
+
+CREATE OR REPLACE FUNCTION reserve_payment_refund(
+    p_payment_id UUID,
+    p_amount_minor BIGINT,
+    p_reason TEXT,
+    p_initiated_by UUID,
+    p_source TEXT
+)
+RETURNS public.payment_refunds AS $$
+DECLARE
+    v_payment public.payments;
+    v_reserved BIGINT;
+    v_refund public.payment_refunds;
+BEGIN
+    SELECT * INTO v_payment
+    FROM public.payments
+    WHERE id = p_payment_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'PAYMENT_NOT_FOUND';
+    END IF;
+
+    IF v_payment.status NOT IN ('captured', 'partially_refunded') THEN
+        RAISE EXCEPTION 'PAYMENT_NOT_REFUNDABLE';
+    END IF;
+
+    SELECT COALESCE(SUM(amount_minor), 0) INTO v_reserved
+    FROM public.payment_refunds
+    WHERE payment_id = p_payment_id
+    AND status IN ('pending', 'completed');
+
+    IF v_reserved + p_amount_minor > COALESCE(NULLIF(v_payment.captured_amount_minor, 0), v_payment.amount_minor) THEN
+        RAISE EXCEPTION 'REFUND_EXCEEDS_CAPTURED';
+    END IF;
+
+    INSERT INTO public.payment_refunds (payment_id, user_id, amount, amount_minor, currency, reason, initiated_by, source)
+    VALUES (
+        p_payment_id,
+        v_payment.user_id,
+        p_amount_minor::DECIMAL / POWER(10::DECIMAL, currency_minor_units(v_payment.currency)),
+        p_amount_minor,
+        v_payment.currency,
+        p_reason,
+        p_initiated_by,
+        p_source
+    )
+    RETURNING * INTO v_refund;
+
+    RETURN v_refund;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+COMMENT ON FUNCTION currency_minor_units IS 'ISO 4217 minor units (decimal places) for a currency code';
+COMMENT ON COLUMN public.payments.amount_minor IS 'Authorized amount in minor units of currency (cents; yen for JPY). Source of truth for amount';
+COMMENT ON COLUMN public.payments.captured_amount_minor IS 'Captured amount in minor units';
+COMMENT ON COLUMN public.payments.refunded_amount_minor IS 'Refunded amount in minor units';
+COMMENT ON COLUMN public.payment_refunds.amount_minor IS 'Refund amount in minor units of the original charge currency';
+COMMENT ON COLUMN public.disputes.amount_minor IS 'Disputed amount in minor units of currency';
+COMMENT ON COLUMN public.risk_decisions.amount_minor IS 'Assessed amount in minor units of currency';
+COMMENT ON COLUMN public.reconciliation_exceptions.expected_amount_minor IS 'Our amount in minor units of currency';
+COMMENT ON COLUMN public.reconciliation_exceptions.settled_amount_minor IS 'Fiserv''s settled amount in minor units of currency';
+COMMENT ON COLUMN public.quotes.fx_rate IS 'USD to fiat_currency rate: crypto is priced in USD and converted at this rate';
+COMMENT ON FUNCTION reserve_payment_refund IS 'Reserve a refund (in minor units) under a row lock on the payment. Call before contacting Fiserv';
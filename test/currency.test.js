@@ -0,0 +1,88 @@
+// Minor-unit conversion and rounding (utils/currency.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeCurrency,
+  getMinorUnits,
+  assertSupportedCurrency,
+  toMinorUnits,
+  fromMinorUnits,
+  roundAmount,
+  formatAmount,
+} = require('../utils/currency');
+
+test('getMinorUnits follows the ISO 4217 exponent', () => {
+  assert.equal(getMinorUnits('USD'), 2);
+  assert.equal(getMinorUnits('jpy'), 0);
+  assert.equal(getMinorUnits('KWD'), 3);
+  assert.equal(getMinorUnits('CLF'), 4);
+});
+
+test('normalizeCurrency uppercases known codes and rejects unknown ones', () => {
+  assert.equal(normalizeCurrency(' eur '), 'EUR');
+  assert.throws(() => normalizeCurrency('USDC'), { statusCode: 400, message: /Unknown currency/ });
+  assert.throws(() => normalizeCurrency(null), { statusCode: 400 });
+});
+
+test('assertSupportedCurrency only accepts the merchant currencies', () => {
+  assert.equal(assertSupportedCurrency('usd', ['USD', 'EUR']), 'USD');
+  assert.throws(() => assertSupportedCurrency('JPY', ['USD', 'EUR']), { statusCode: 400, message: /not supported/ });
+});
+
+test('toMinorUnits rounds half away from zero at two decimals', () => {
+  // 1.005 is 1.00499999... as a float; the decimal digits still round up
+  assert.equal(toMinorUnits(1.005, 'USD'), 101);
+  assert.equal(toMinorUnits('1.005', 'USD'), 101);
+  assert.equal(toMinorUnits(1.004, 'USD'), 100);
+  assert.equal(toMinorUnits('12.5', 'USD'), 1250);
+  assert.equal(toMinorUnits(0.1 + 0.2, 'USD'), 30);
+});
+
+test('toMinorUnits rounds to whole units for zero-decimal currencies', () => {
+  assert.equal(toMinorUnits(1250.5, 'JPY'), 1251);
+  assert.equal(toMinorUnits('1250.4', 'JPY'), 1250);
+  assert.equal(toMinorUnits(1250, 'JPY'), 1250);
+});
+
+test('toMinorUnits keeps three decimals for KWD', () => {
+  assert.equal(toMinorUnits(12.345, 'KWD'), 12345);
+  assert.equal(toMinorUnits('12.3455', 'KWD'), 12346);
+  assert.equal(toMinorUnits('0.001', 'KWD'), 1);
+});
+
+test('toMinorUnits rounds negatives away from zero', () => {
+  assert.equal(toMinorUnits(-1.005, 'USD'), -101);
+  assert.equal(toMinorUnits('-1250.5', 'JPY'), -1251);
+  assert.equal(toMinorUnits(-12.3454, 'KWD'), -12345);
+  assert.equal(toMinorUnits('-0.001', 'USD'), 0);
+});
+
+test('toMinorUnits rejects values that are not amounts', () => {
+  for (const amount of [[5], { amount: 5 }, null, undefined, true, NaN, Infinity, '', '.', 'abc', '1e3', '1,000.00', '12.5 USD']) {
+    assert.throws(() => toMinorUnits(amount, 'USD'), { statusCode: 400, message: /Invalid amount/ }, String(amount));
+  }
+});
+
+test('toMinorUnits rejects amounts beyond the safe integer range', () => {
+  assert.throws(() => toMinorUnits('100000000000000000', 'USD'), { statusCode: 400 });
+  assert.throws(() => toMinorUnits(1e21, 'USD'), { statusCode: 400 });
+});
+
+test('fromMinorUnits converts back to a decimal amount', () => {
+  assert.equal(fromMinorUnits(101, 'USD'), 1.01);
+  assert.equal(fromMinorUnits('1251', 'JPY'), 1251);
+  assert.equal(fromMinorUnits(12345, 'KWD'), 12.345);
+  assert.equal(fromMinorUnits(-101, 'USD'), -1.01);
+  assert.throws(() => fromMinorUnits(1.5, 'USD'), { statusCode: 400 });
+  assert.throws(() => fromMinorUnits('abc', 'USD'), { statusCode: 400 });
+});
+
+test('roundAmount and formatAmount use the currency precision', () => {
+  assert.equal(roundAmount(1.005, 'USD'), 1.01);
+  assert.equal(roundAmount(1250.5, 'JPY'), 1251);
+  assert.equal(formatAmount(12.5, 'usd'), '12.50 USD');
+  assert.equal(formatAmount(1250.5, 'JPY'), '1251 JPY');
+  assert.equal(formatAmount(12.345, 'KWD'), '12.345 KWD');
+  assert.equal(formatAmount(-1.005, 'USD'), '-1.01 USD');
+});
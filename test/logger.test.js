@@ -0,0 +1,117 @@
+// Log redaction (utils/logger.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const path = require('node:path');
+const { REDACTED, redact, redactString } = require('../utils/logger');
+const { passesLuhn } = require('../utils/luhn');
+
+const VISA = '4111111111111111';
+
+test('passesLuhn accepts valid card numbers and rejects altered ones', () => {
+  assert.equal(passesLuhn(VISA), true);
+  assert.equal(passesLuhn('378282246310005'), true);
+  assert.equal(passesLuhn('4111111111111112'), false);
+});
+
+test('redact masks sensitive keys in any casing or separator style', () => {
+  const result = redact({
+    cardNumber: VISA,
+    card_number: VISA,
+    securityCode: '123',
+    'Account-Number': '000123456789',
+    routingNumber: '021000021',
+    ssn: '123-45-6789',
+    Authorization: 'Bearer abc.def',
+    tokenData: { tokenValue: '9876543210', tokenSource: 'TRANSARMOR' },
+    amount: 25,
+  });
+
+  assert.deepEqual(result, {
+    cardNumber: '************1111',
+    card_number: '************1111',
+    securityCode: REDACTED,
+    'Account-Number': '********6789',
+    routingNumber: REDACTED,
+    ssn: REDACTED,
+    Authorization: REDACTED,
+    tokenData: REDACTED,
+    amount: 25,
+  });
+});
+
+test('redact does not mutate its input', () => {
+  const input = { cardData: { cardNumber: VISA, securityCode: '123' } };
+  redact(input);
+  assert.equal(input.cardData.cardNumber, VISA);
+  assert.equal(input.cardData.securityCode, '123');
+});
+
+test('redact masks JSON strings nested in objects (axios error shape)', () => {
+  const body = JSON.stringify({
+    amount: { total: 25, currency: 'USD' },
+    source: { cardData: { cardNumber: VISA, securityCode: '123' } },
+    accountNumber: '000123456789',
+    routingNumber: '021000021',
+  });
+  const result = redact({ message: 'Request failed', config: { data: body, headers: { Authorization: 'HMAC abc' } } });
+  const data = JSON.parse(result.config.data);
+
+  assert.equal(data.source.cardData, REDACTED);
+  assert.equal(data.accountNumber, '********6789');
+  assert.equal(data.routingNumber, REDACTED);
+  assert.deepEqual(data.amount, { total: 25, currency: 'USD' });
+  assert.equal(result.config.headers.Authorization, REDACTED);
+  assert.ok(!result.config.data.includes('123"'));
+});
+
+test('redact masks error messages and keeps the error type', () => {
+  const error = new TypeError(`Card ${VISA} declined`);
+  error.response = { data: '{"securityCode":"123"}' };
+  const result = redact(error);
+
+  assert.ok(result instanceof Error);
+  assert.equal(result.name, 'TypeError');
+  assert.equal(result.message, 'Card ************1111 declined');
+  assert.equal(result.response.data, `{"securityCode":"${REDACTED}"}`);
+});
+
+test('redact survives circular references', () => {
+  const value = { cvv: '123' };
+  value.self = value;
+  assert.deepEqual(redact(value), { cvv: REDACTED, self: '[Circular]' });
+});
+
+test('redactString scrubs card numbers, SSNs and bearer tokens in free text', () => {
+  assert.equal(redactString(`card 4111 1111 1111 1111 used`), 'card ************1111 used');
+  assert.equal(redactString('ssn 123-45-6789'), 'ssn ***-**-****');
+  assert.equal(redactString('Authorization: Bearer eyJhbGciOi.abc'), `Authorization: Bearer ${REDACTED}`);
+});
+
+test('redactString leaves timestamps and non-card digit runs alone', () => {
+  assert.equal(redactString('created 1718035200000'), 'created 1718035200000');
+  assert.equal(redactString('order 4111111111111112'), 'order 4111111111111112');
+});
+
+test('redactString masks sensitive pairs in truncated JSON', () => {
+  const truncated = `payload: {"amount":5,"securityCode":"123","cardNumber":"${VISA.slice(0, 10)}`;
+  assert.equal(redactString(truncated), `payload: {"amount":5,"securityCode":"${REDACTED}","cardNumber":"******1111"`);
+});
+
+test('installConsoleRedaction redacts every console method', () => {
+  const script = `
+    require(${JSON.stringify(path.join(__dirname, '..', 'utils', 'logger'))}).installConsoleRedaction();
+    console.log('charging', { cardNumber: '${VISA}', cvv: '123' });
+    console.error(JSON.stringify({ routingNumber: '021000021' }));
+    console.warn({ config: { data: '{"securityCode":"987"}' } });
+  `;
+  const { stdout, stderr, status } = spawnSync(process.execPath, ['-e', script], { encoding: 'utf8' });
+  const output = stdout + stderr;
+
+  assert.equal(status, 0);
+  assert.ok(output.includes('************1111'));
+  assert.ok(!output.includes(VISA));
+  assert.ok(!output.includes('021000021'));
+  assert.ok(!output.includes('987'));
+});
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+
+/**
+ * Bridge.xyz webhook signatures
+ *
+ * Header: X-Webhook-Signature: t=<timestamp_ms>,v0=<base64_signature>
+ * Signed payload: `${timestamp}.${rawBody}`
+ * The SHA256 digest of the signed payload is signed with RSA-SHA256 using
+ * Bridge's private key, and verified here with the endpoint's public key.
+ */
+
+const SIGNATURE_HEADER = 'x-webhook-signature';
+
+/**
+ * Parse the X-Webhook-Signature header
+ *
+ * @param {string} header - Raw header value
+ * @returns {Object|null} { timestamp, signature } or null if malformed
+ */
+function parseSignatureHeader(header) {
+  if (!header || typeof header !== 'string') {
+    return null;
+  }
+
+  const parts = {};
+  for (const part of header.split(',')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    parts[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+  }
+
+  if (!parts.t || !parts.v0 || !/^\d+$/.test(parts.t)) {
+    return null;
+  }
+
+  return { timestamp: parts.t, signature: parts.v0 };
+}
+
+/**
+ * Build the digest that Bridge signs
+ */
+function buildSignedDigest(timestamp, rawBody) {
+  return crypto
+    .createHash('sha256')
+    .update(`${timestamp}.${rawBody}`)
+    .digest();
+}
+
+/**
+ * Verify a Bridge webhook signature
+ * Each configured public key is tried in turn so keys can be rotated without downtime.
+ *
+ * @param {Buffer|string} rawBody - Exact request body as received
+ * @param {string} header - X-Webhook-Signature header value
+ * @param {Object} options - { publicKeys: string[], toleranceMs: number, now: number }
+ * @returns {Object} { valid: boolean, reason?: string, timestamp?: string, keyIndex?: number }
+ */
+function verifyBridgeWebhookSignature(rawBody, header, options = {}) {
+  const { publicKeys = [], toleranceMs = 600000, now = Date.now() } = options;
+
+  if (publicKeys.length === 0) {
+    return { valid: false, reason: 'no_public_key_configured' };
+  }
+
+  if (rawBody === undefined || rawBody === null) {
+    return { valid: false, reason: 'missing_body' };
+  }
+
+  const parsed = parseSignatureHeader(header);
+  if (!parsed) {
+    return { valid: false, reason: header ? 'malformed_signature_header' : 'missing_signature_header' };
+  }
+
+  const timeDiff = Math.abs(now - parseInt(parsed.timestamp));
+  if (timeDiff > toleranceMs) {
+    return { valid: false, reason: 'timestamp_outside_tolerance', timestamp: parsed.timestamp };
+  }
+
+  const digest = buildSignedDigest(parsed.timestamp, rawBody);
+  const signature = Buffer.from(parsed.signature, 'base64');
+
+  for (let i = 0; i < publicKeys.length; i++) {
+    try {
+      const verifier = crypto.createVerify('SHA256');
+      verifier.update(digest);
+      verifier.end();
+
+      if (verifier.verify(publicKeys[i], signature)) {
+        return { valid: true, timestamp: parsed.timestamp, keyIndex: i };
+      }
+    } catch (error) {
+      // Invalid key material - try the next key
+      console.error(`Bridge webhook public key #${i} could not be used:`, error.message);
+    }
+  }
+
+  return { valid: false, reason: 'signature_mismatch', timestamp: parsed.timestamp };
+}
+
+/**
+ * Sign a webhook payload the way Bridge does
+ * Used by local tooling to send signed test events with a test key pair.
+ *
+ * @param {string} rawBody - JSON body to send
+ * @param {string} privateKey - PEM private key
+ * @param {number} timestamp - Timestamp in milliseconds (defaults to now)
+ * @returns {string} X-Webhook-Signature header value
+ */
+function signBridgeWebhookPayload(rawBody, privateKey, timestamp = Date.now()) {
+  const digest = buildSignedDigest(timestamp, rawBody);
+
+  const signer = crypto.createSign('SHA256');
+  signer.update(digest);
+  signer.end();
+
+  return `t=${timestamp},v0=${signer.sign(privateKey, 'base64')}`;
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  parseSignatureHeader,
+  verifyBridgeWebhookSignature,
+  signBridgeWebhookPayload,
+};
@@ -0,0 +1,156 @@
+/**
+ * ISO 4217 fiat currency registry
+ *
+ * Amounts are stored and compared in minor units (cents, pence, yen) so that
+ * rounding follows each currency's exponent: JPY has no decimals, KWD has three.
+ * Decimal values are only produced at the edges (API responses, gateway requests).
+ */
+
+// Active ISO 4217 codes by number of minor units
+const CURRENCIES_BY_MINOR_UNITS = {
+  0: ['BIF', 'CLP', 'DJF', 'GNF', 'ISK', 'JPY', 'KMF', 'KRW', 'PYG', 'RWF', 'UGX', 'UYI', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'],
+  2: [
+    'AED', 'AFN', 'ALL', 'AMD', 'ANG', 'AOA', 'ARS', 'AUD', 'AWG', 'AZN', 'BAM', 'BBD', 'BDT', 'BGN', 'BMD', 'BND',
+    'BOB', 'BRL', 'BSD', 'BTN', 'BWP', 'BYN', 'BZD', 'CAD', 'CDF', 'CHF', 'CNY', 'COP', 'CRC', 'CUP', 'CVE', 'CZK',
+    'DKK', 'DOP', 'DZD', 'EGP', 'ERN', 'ETB', 'EUR', 'FJD', 'FKP', 'GBP', 'GEL', 'GHS', 'GIP', 'GMD', 'GTQ', 'GYD',
+    'HKD', 'HNL', 'HTG', 'HUF', 'IDR', 'ILS', 'INR', 'IRR', 'JMD', 'KES', 'KGS', 'KHR', 'KPW', 'KYD', 'KZT', 'LAK',
+    'LBP', 'LKR', 'LRD', 'LSL', 'MAD', 'MDL', 'MGA', 'MKD', 'MMK', 'MNT', 'MOP', 'MRU', 'MUR', 'MVR', 'MWK', 'MXN',
+    'MYR', 'MZN', 'NAD', 'NGN', 'NIO', 'NOK', 'NPR', 'NZD', 'PAB', 'PEN', 'PGK', 'PHP', 'PKR', 'PLN', 'QAR', 'RON',
+    'RSD', 'RUB', 'SAR', 'SBD', 'SCR', 'SDG', 'SEK', 'SGD', 'SHP', 'SLE', 'SOS', 'SRD', 'SSP', 'STN', 'SVC', 'SYP',
+    'SZL', 'THB', 'TJS', 'TMT', 'TOP', 'TRY', 'TTD', 'TWD', 'TZS', 'UAH', 'USD', 'UYU', 'UZS', 'VES', 'WST', 'XCD',
+    'YER', 'ZAR', 'ZMW', 'ZWL',
+  ],
+  3: ['BHD', 'IQD', 'JOD', 'KWD', 'LYD', 'OMR', 'TND'],
+  4: ['CLF', 'UYW'],
+};
+
+const MINOR_UNITS = new Map(
+  Object.entries(CURRENCIES_BY_MINOR_UNITS).flatMap(([units, codes]) => codes.map(code => [code, parseInt(units)]))
+);
+
+/**
+ * Build a currency error with an HTTP status
+ */
+function currencyError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Validate a currency code and return it uppercased
+ * @param {string} code - e.g. 'usd', 'EUR'
+ * @returns {string} ISO 4217 code
+ */
+function normalizeCurrency(code) {
+  const normalized = typeof code === 'string' ? code.trim().toUpperCase() : '';
+
+  if (!MINOR_UNITS.has(normalized)) {
+    throw currencyError(`Unknown currency: ${code}`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Number of decimal places for a currency (2 for USD, 0 for JPY, 3 for KWD)
+ */
+function getMinorUnits(code) {
+  return MINOR_UNITS.get(normalizeCurrency(code));
+}
+
+/**
+ * Check a currency against the ones a merchant account accepts
+ *
+ * @param {string} code - Currency code
+ * @param {Array<string>} supportedCurrencies - e.g. fiservConfig.supportedCurrencies
+ * @returns {string} ISO 4217 code
+ */
+function assertSupportedCurrency(code, supportedCurrencies) {
+  const currency = normalizeCurrency(code);
+
+  if (!supportedCurrencies.includes(currency)) {
+    throw currencyError(`Currency ${currency} is not supported. Must be one of: ${supportedCurrencies.join(', ')}`);
+  }
+
+  return currency;
+}
+
+/**
+ * Convert a decimal amount to integer minor units, rounding half away from zero
+ * at the currency's exponent. Works on the decimal digits rather than floating
+ * point, so 1.005 USD is 101 cents, not 100.
+ *
+ * @param {number|string} amount - e.g. 12.5 or '12.50'
+ * @param {string} currency - Currency code
+ * @returns {number} Minor units (e.g. 1250)
+ */
+function toMinorUnits(amount, currency) {
+  const units = getMinorUnits(currency);
+
+  // Anything else would be coerced through String ([5] -> '5')
+  if (typeof amount !== 'number' && typeof amount !== 'string') {
+    throw currencyError(`Invalid amount: ${JSON.stringify(amount) ?? typeof amount}`);
+  }
+
+  const text = typeof amount === 'number'
+    ? (Number.isFinite(amount) ? amount.toFixed(Math.min(units + 6, 20)) : '')
+    : amount.trim();
+
+  const match = text.match(/^([+-])?(\d*)(?:\.(\d*))?$/);
+  if (!match || (!match[2] && !match[3])) {
+    throw currencyError(`Invalid amount: ${amount}`);
+  }
+
+  const [, sign, whole = '', fraction = ''] = match;
+  const digits = `${whole || '0'}${fraction.padEnd(units, '0').slice(0, units)}`;
+  const roundUp = parseInt(fraction.charAt(units) || '0') >= 5;
+  const minor = parseInt(digits, 10) + (roundUp ? 1 : 0);
+
+  if (!Number.isSafeInteger(minor)) {
+    throw currencyError(`Invalid amount: ${amount}`);
+  }
+
+  return sign === '-' && minor !== 0 ? -minor : minor;
+}
+
+/**
+ * Convert integer minor units to a decimal amount
+ * @param {number|string} minor - e.g. 1250 (bigint columns may arrive as strings)
+ * @param {string} currency - Currency code
+ * @returns {number} Decimal amount (e.g. 12.5)
+ */
+function fromMinorUnits(minor, currency) {
+  const value = Number(minor);
+
+  if (!Number.isSafeInteger(value)) {
+    throw currencyError(`Invalid minor unit amount: ${minor}`);
+  }
+
+  return value / 10 ** getMinorUnits(currency);
+}
+
+/**
+ * Round a decimal amount to the currency's precision
+ */
+function roundAmount(amount, currency) {
+  return fromMinorUnits(toMinorUnits(amount, currency), currency);
+}
+
+/**
+ * Format an amount for messages, with the currency's number of decimals (e.g. '1250 JPY', '12.50 USD')
+ */
+function formatAmount(amount, currency) {
+  const code = normalizeCurrency(currency);
+  return `${roundAmount(amount, code).toFixed(getMinorUnits(code))} ${code}`;
+}
+
+module.exports = {
+  normalizeCurrency,
+  getMinorUnits,
+  assertSupportedCurrency,
+  toMinorUnits,
+  fromMinorUnits,
+  roundAmount,
+  formatAmount,
+};
@@ -61,148 +61,58 @@ function isTimestampValid(timestamp) {
 }
 
 /**
- * Make authenticated request to Fiserv Commerce Hub API
+ * Verify the HMAC signature on an incoming Fiserv webhook
+ * Fiserv signs webhooks with the same scheme as API requests:
+ * Authorization = Base64(HMAC-SHA256(ApiKey + ClientRequestId + Timestamp + RequestBody))
  *
- * @param {string} method - HTTP method (GET, POST, etc.)
- * @param {string} endpoint - API endpoint path
- * @param {Object} data - Request payload object
- * @param {Object} credentials - Fiserv credentials { apiKey, apiSecret, merchantId, host }
- * @returns {Promise<Object>} API response
+ * @param {Object} headers - Request headers (lowercased, as provided by Node)
+ * @param {Buffer|string} rawBody - Exact request body as received
+ * @param {Object} credentials - Fiserv credentials { apiKey, apiSecret }
+ * @returns {Object} { valid: boolean, reason?: string }
  */
-async function fiservRequest(method, endpoint, data = null, credentials) {
-  const { apiKey, apiSecret, merchantId, host } = credentials;
+function verifyFiservWebhookSignature(headers, rawBody, credentials) {
+  const { apiKey, apiSecret } = credentials;
 
-  // Convert data to JSON string for payload
-  const payload = data ? JSON.stringify(data) : '';
-
-  // Generate auth headers
-  const headers = generateFiservAuthHeaders(apiKey, apiSecret, payload);
+  if (!apiKey || !apiSecret) {
+    return { valid: false, reason: 'credentials_not_configured' };
+  }
 
-  // Build full URL
-  const url = `${host}${endpoint}`;
+  const signature = headers['authorization'];
+  const clientRequestId = headers['client-request-id'];
+  const timestamp = headers['timestamp'];
 
-  // Make request
-  const options = {
-    method,
-    headers,
-    ...(payload && { body: payload })
-  };
+  if (!signature || !clientRequestId || !timestamp) {
+    return { valid: false, reason: 'missing_signature_headers' };
+  }
 
-  // Debug logging
-  console.log('\n🔍 Fiserv API Request Debug:');
-  console.log('URL:', url);
-  console.log('Method:', method);
-  console.log('Headers:', JSON.stringify(headers, null, 2));
-  console.log('Payload:', payload.substring(0, 200) + '...');
-
-  try {
-    const response = await fetch(url, options);
-    const responseData = await response.json();
-
-    console.log('Response Status:', response.status);
-    console.log('Response Data:', JSON.stringify(responseData, null, 2));
-
-    if (!response.ok) {
-      throw new Error(
-        `Fiserv API Error: ${response.status} - ${responseData.error?.message || JSON.stringify(responseData)}`
-      );
-    }
-
-    return responseData;
-  } catch (error) {
-    console.error('Fiserv Request Failed:', error);
-    throw error;
+  if (headers['api-key'] !== apiKey) {
+    return { valid: false, reason: 'api_key_mismatch' };
   }
-}
 
-/**
- * Process a card payment through Fiserv Commerce Hub
- *
- * @param {Object} paymentData - Payment details
- * @param {Object} credentials - Fiserv credentials
- * @returns {Promise<Object>} Payment response
- */
-async function processCardPayment(paymentData, credentials) {
-  const {
-    amount,
-    currency,
-    cardNumber,
-    expiryMonth,
-    expiryYear,
-    cvv,
-    cardholderName,
-    customerEmail,
-    customerPhone,
-    billingAddress
-  } = paymentData;
-
-  // Build Fiserv payment request (Commerce Hub format - Official)
-  const requestPayload = {
-    amount: {
-      total: parseFloat(parseFloat(amount).toFixed(2)),
-      currency: currency
-    },
-    source: {
-      sourceType: 'PaymentCard',
-      card: {
-        cardData: cardNumber.replace(/\s/g, ''),
-        expirationMonth: expiryMonth.padStart(2, '0'),
-        expirationYear: expiryYear.length === 2 ? `20${expiryYear}` : expiryYear,
-        securityCode: cvv
-      }
-    },
-    transactionDetails: {
-      captureFlag: true
-    },
-    merchantDetails: {
-      merchantId: credentials.merchantId,
-      terminalId: '10000001'
-    }
-  };
+  if (!isTimestampValid(timestamp)) {
+    return { valid: false, reason: 'timestamp_expired' };
+  }
 
-  // Make payment request
-  return await fiservRequest('POST', '/payments/v1/charges', requestPayload, credentials);
-}
+  const payload = rawBody ? rawBody.toString('utf8') : '';
+  const expected = crypto
+    .createHmac('sha256', apiSecret)
+    .update(apiKey + clientRequestId + timestamp + payload)
+    .digest('base64');
 
-/**
- * Verify a payment transaction
- *
- * @param {string} transactionId - Fiserv transaction ID
- * @param {Object} credentials - Fiserv credentials
- * @returns {Promise<Object>} Transaction details
- */
-async function verifyTransaction(transactionId, credentials) {
-  return await fiservRequest('GET', `/payments/v1/charges/${transactionId}`, null, credentials);
-}
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(signature);
 
-/**
- * Refund a transaction
- *
- * @param {string} transactionId - Original transaction ID
- * @param {number} amount - Refund amount
- * @param {Object} credentials - Fiserv credentials
- * @returns {Promise<Object>} Refund response
- */
-async function refundTransaction(transactionId, amount, credentials) {
-  const refundPayload = {
-    amount: {
-      total: parseFloat(amount).toFixed(2),
-      currency: 'USD' // Update based on original transaction
-    },
-    transactionDetails: {
-      merchantTransactionId: `REF-${Date.now().toString().slice(-9).toUpperCase()}`
-    }
-  };
+  if (expectedBuffer.length !== signatureBuffer.length ||
+      !crypto.timingSafeEqual(expectedBuffer, signatureBuffer)) {
+    return { valid: false, reason: 'signature_mismatch' };
+  }
 
-  return await fiservRequest('POST', `/payments/v1/charges/${transactionId}/refund`, refundPayload, credentials);
+  return { valid: true };
 }
 
 module.exports = {
   generateFiservAuthHeaders,
   generateClientRequestId,
   isTimestampValid,
-  fiservRequest,
-  processCardPayment,
-  verifyTransaction,
-  refundTransaction
+  verifyFiservWebhookSignature
 };
@@ -0,0 +1,227 @@
+/**
+ * PCI-safe logging
+ *
+ * Sensitive fields are masked by key wherever they appear in an object:
+ * card numbers keep their last four digits, account numbers too, and CVVs,
+ * SSNs, routing numbers, card tokens and credentials are replaced entirely.
+ * Strings holding JSON (e.g. an axios error's config.data) are parsed so the
+ * same rules apply inside them. Other text is scrubbed for sensitive
+ * "key": value pairs, card numbers (Luhn-valid digit runs), SSNs and bearer tokens.
+ *
+ * installConsoleRedaction() routes every console call through redaction, and
+ * createAuditLog redacts event_data, so existing log statements are covered.
+ */
+
+const { passesLuhn } = require('./luhn');
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 10;
+
+// Keys are compared lowercased with separators removed (card_number, cardNumber, Card-Number)
+const SENSITIVE_KEYS = {
+  pan: ['cardnumber', 'carddata', 'pan', 'primaryaccountnumber'],
+  lastFour: ['accountnumber', 'bankaccountnumber', 'iban'],
+  full: [
+    // Card verification values
+    'cvv', 'cvv2', 'cvc', 'securitycode', 'cardsecuritycode',
+    // Identity numbers
+    'ssn', 'socialsecuritynumber', 'taxidentificationnumber', 'taxid',
+    // Bank routing
+    'routingnumber', 'abaroutingnumber', 'sortcode',
+    // Credentials and auth headers
+    'authorization', 'apikey', 'apisecret', 'xapikey', 'cookie', 'setcookie',
+    'password', 'secret', 'accesstoken', 'refreshtoken', 'totpsecret', 'servicekey',
+    // Card tokens (a TransArmor token charges the card like a PAN)
+    'tokendata',
+  ],
+};
+
+const KEY_RULES = new Map(
+  Object.entries(SENSITIVE_KEYS).flatMap(([rule, keys]) => keys.map(key => [key, rule]))
+);
+
+/**
+ * Find the redaction rule for an object key
+ */
+function ruleForKey(key) {
+  return KEY_RULES.get(String(key).toLowerCase().replace(/[^a-z0-9]/g, '')) || null;
+}
+
+/**
+ * Mask all but the last four characters
+ */
+function maskLastFour(value) {
+  const text = String(value).replace(/[\s-]/g, '');
+  if (text.length <= 4) {
+    return REDACTED;
+  }
+  return `${'*'.repeat(text.length - 4)}${text.slice(-4)}`;
+}
+
+/**
+ * Scrub sensitive "key": value pairs, card numbers, SSNs and bearer tokens out of free text
+ * The pairs catch JSON fragments embedded in messages or cut off mid-object.
+ *
+ * @param {string} text - Log message or description
+ * @returns {string} Scrubbed text
+ */
+function redactString(text) {
+  return text
+    // A value cut off by truncation runs to the end of the text
+    .replace(/"([A-Za-z0-9_-]+)"(\s*:\s*)("(?:[^"\\]|\\.)*(?:"|$)|\d+)/g, (match, key, separator, quoted) => {
+      const rule = ruleForKey(key);
+      if (!rule) {
+        return match;
+      }
+      const field = quoted.startsWith('"') ? quoted.replace(/^"|"$/g, '') : quoted;
+      return `"${key}"${separator}${JSON.stringify(redactField(rule, field))}`;
+    })
+    // 13-19 digits with a card network prefix (2-6), optionally grouped with spaces or dashes.
+    // Epoch-millisecond timestamps start with 1 and are left alone.
+    .replace(/\b[2-6](?:[ -]?\d){12,18}\b/g, (match) => {
+      const digits = match.replace(/\D/g, '');
+      return digits.length >= 13 && digits.length <= 19 && passesLuhn(digits) ? maskLastFour(digits) : match;
+    })
+    .replace(/\b\d{3}-\d{2}-\d{4}\b/g, '***-**-****')
+    .replace(/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi, `$1 ${REDACTED}`);
+}
+
+/**
+ * Redact a string that may hold serialized JSON (a request body, JSON.stringify(payload))
+ * JSON is parsed so key rules apply at any depth; anything else is scrubbed as text.
+ */
+function redactText(text, depth, seen) {
+  const trimmed = text.trim();
+
+  if ((trimmed.startsWith('{') && trimmed.endsWith('}')) || (trimmed.startsWith('[') && trimmed.endsWith(']'))) {
+    try {
+      const indented = /^[{[]\s*\n/.test(trimmed);
+      return JSON.stringify(redact(JSON.parse(trimmed), depth, seen), null, indented ? 2 : 0);
+    } catch {
+      // Not JSON - fall through to text scrubbing
+    }
+  }
+
+  return redactString(text);
+}
+
+/**
+ * Redact a value found under a sensitive key
+ */
+function redactField(rule, value) {
+  if (value === null || value === undefined || value === '') {
+    return value;
+  }
+
+  if (typeof value === 'object') {
+    return REDACTED;
+  }
+
+  return rule === 'full' ? REDACTED : maskLastFour(value);
+}
+
+/**
+ * Deep-copy a value with sensitive fields masked
+ * Never mutates the input. Circular references and very deep nesting are cut off.
+ *
+ * @param {*} value - Anything that may be logged or stored
+ * @returns {*} Redacted copy
+ */
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactText(value, depth, seen);
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  if (Buffer.isBuffer(value) || value instanceof Date) {
+    return value;
+  }
+
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+
+  // Track the current path only, so an object referenced twice is not mistaken for a cycle
+  seen.add(value);
+  const copy = redactObject(value, depth, seen);
+  seen.delete(value);
+  return copy;
+}
+
+/**
+ * Copy an object, array or error, masking sensitive keys
+ */
+function redactObject(value, depth, seen) {
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1, seen));
+  }
+
+  let copy = {};
+  if (value instanceof Error) {
+    copy = new Error(redactString(value.message));
+    copy.name = value.name;
+    copy.stack = value.stack ? redactString(value.stack) : undefined;
+  }
+
+  for (const [key, field] of Object.entries(value)) {
+    const rule = ruleForKey(key);
+    copy[key] = rule ? redactField(rule, field) : redact(field, depth + 1, seen);
+  }
+  return copy;
+}
+
+// The unpatched console, so logger output is redacted exactly once
+const originalConsole = {
+  debug: console.debug.bind(console),
+  log: console.log.bind(console),
+  info: console.info.bind(console),
+  warn: console.warn.bind(console),
+  error: console.error.bind(console),
+};
+
+/**
+ * Write redacted output (arguments are redacted before any %s formatting)
+ */
+function write(method, args) {
+  originalConsole[method](...args.map(arg => redact(arg)));
+}
+
+const logger = {
+  debug: (...args) => write('debug', args),
+  info: (...args) => write('info', args),
+  warn: (...args) => write('warn', args),
+  error: (...args) => write('error', args),
+};
+
+let consoleRedactionInstalled = false;
+
+/**
+ * Route console.log/info/warn/error/debug through redaction
+ * Call once at startup, before anything logs.
+ */
+function installConsoleRedaction() {
+  if (consoleRedactionInstalled) {
+    return;
+  }
+
+  for (const method of Object.keys(originalConsole)) {
+    console[method] = (...args) => write(method, args);
+  }
+
+  consoleRedactionInstalled = true;
+}
+
+module.exports = {
+  REDACTED,
+  logger,
+  redact,
+  redactString,
+  installConsoleRedaction,
+};
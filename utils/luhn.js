@@ -0,0 +1,32 @@
+/**
+ * Luhn checksum (ISO/IEC 7812 card numbers)
+ *
+ * Used to validate card numbers before tokenization and to tell card numbers
+ * apart from other long digit runs when scrubbing logs.
+ */
+
+/**
+ * Check a string of digits against the Luhn checksum
+ * @param {string} digits - Digits only (strip spaces and dashes first)
+ * @returns {boolean}
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  let double = false;
+
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let digit = parseInt(digits[i], 10);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+
+  return sum % 10 === 0;
+}
+
+module.exports = {
+  passesLuhn,
+};
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+
+// RFC 4648 base32 alphabet (used by authenticator apps)
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 6238 defaults understood by Google Authenticator, Authy, 1Password, etc.
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+
+/**
+ * Encode a buffer as base32 (no padding)
+ *
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode a base32 string (case-insensitive, padding and spaces ignored)
+ *
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random TOTP secret
+ *
+ * @returns {string} Base32-encoded 160-bit secret
+ */
+function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Get the TOTP time step for a timestamp
+ *
+ * @param {number} timestampMs - Epoch milliseconds
+ * @returns {number} Time step counter
+ */
+function getTimeStep(timestampMs = Date.now()) {
+  return Math.floor(timestampMs / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * Generate the TOTP code for a given time step (RFC 4226 HOTP with a time counter)
+ *
+ * @param {string} secret - Base32-encoded secret
+ * @param {number} step - Time step counter
+ * @returns {string} Zero-padded numeric code
+ */
+function generateTotp(secret, step = getTimeStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac('sha1', base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return (binary % Math.pow(10, TOTP_DIGITS)).toString().padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Verify a TOTP code, allowing for small clock drift
+ *
+ * @param {string} secret - Base32-encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { window: steps of drift allowed, timestampMs }
+ * @returns {number|null} Matched time step, or null if invalid
+ */
+function verifyTotp(secret, code, options = {}) {
+  const { window = 1, timestampMs = Date.now() } = options;
+
+  if (!/^\d{6}$/.test(code || '')) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(timestampMs);
+  const expected = Buffer.from(code);
+
+  for (let drift = -window; drift <= window; drift++) {
+    const step = currentStep + drift;
+    const candidate = Buffer.from(generateTotp(secret, step));
+
+    if (crypto.timingSafeEqual(candidate, expected)) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build an otpauth:// URL for QR code enrollment
+ *
+ * @param {string} secret - Base32-encoded secret
+ * @param {string} accountName - Label shown in the authenticator app (usually email)
+ * @param {string} issuer - Service name shown in the authenticator app
+ * @returns {string} otpauth URL
+ */
+function buildOtpauthUrl(secret, accountName, issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: TOTP_DIGITS.toString(),
+    period: TOTP_PERIOD_SECONDS.toString()
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  getTimeStep,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUrl
+};
@@ -6,80 +6,132 @@ const router = express.Router();
 const { supabase, getUserByBridgeCustomerId, createAuditLog, createNotification } = require('../config/supabase.config');
 const { syncCustomerStatus, mapBridgeStatusToKalypso } = require('../services/customerService');
 const { getWalletBalance } = require('../services/walletService');
+const { recordBridgeEvent } = require('../services/webhookInboxService');
+const { handlePurchaseTransferUpdate } = require('../services/purchaseOrchestrator');
+const bridgeConfig = require('../config/bridge.config');
+const { SIGNATURE_HEADER, verifyBridgeWebhookSignature } = require('../utils/bridgeWebhookSignature');
+
+/**
+ * Reject webhook requests that are not signed by Bridge
+ * Requires req.rawBody (captured by express.json in server.js) - the parsed body
+ * cannot be re-serialized byte-for-byte, so the signature is checked against the raw bytes.
+ */
+async function verifyBridgeSignature(req, res, next) {
+  const result = verifyBridgeWebhookSignature(req.rawBody, req.headers[SIGNATURE_HEADER], {
+    publicKeys: bridgeConfig.webhook.publicKeys,
+    toleranceMs: bridgeConfig.webhook.toleranceMs,
+  });
+
+  if (result.valid) {
+    if (result.keyIndex > 0) {
+      console.warn('[Bridge Webhook] ⚠️  Event verified with previous public key - finish key rotation');
+    }
+    return next();
+  }
+
+  console.warn('[Bridge Webhook] ❌ Signature verification failed:', result.reason);
+
+  try {
+    await createAuditLog({
+      eventType: 'bridge_webhook_rejected',
+      description: `Rejected Bridge webhook: ${result.reason}`,
+      data: {
+        reason: result.reason,
+        signatureTimestamp: result.timestamp || null,
+        claimedEventId: req.body?.id || null,
+        claimedEventType: req.body?.type || null,
+      },
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+    });
+  } catch (auditError) {
+    console.error('[Bridge Webhook] Failed to audit rejected webhook:', auditError.message);
+  }
+
+  return res.status(401).json({
+    received: false,
+    error: 'Invalid webhook signature',
+  });
+}
 
 /**
  * POST /webhooks/bridge
- * Handles all Bridge.xyz webhook events
+ * Receives Bridge.xyz webhook events
+ * Requests must carry a valid X-Webhook-Signature header
  *
- * Event types:
- * - customer.updated - KYC status changes
- * - transfer.updated - Transaction status updates
- * - wallet.transaction.created - Wallet transaction initiated
- * - wallet.transaction.confirmed - Wallet transaction confirmed on-chain
- * - card.transaction.created - Card spending
- * - virtual_account.deposit.created - Fiat deposits
+ * Events are stored in the bridge_webhook_events inbox and acknowledged
+ * immediately; the webhook worker processes them through bridgeEventHandlers.
+ * If the event cannot be stored we return 500 so Bridge redelivers it.
  */
-router.post('/', async (req, res) => {
+router.post('/', verifyBridgeSignature, async (req, res) => {
   try {
     const event = req.body;
 
     console.log('[Bridge Webhook] Received event:', event.type, event.id);
 
+    const { event: record, duplicate } = await recordBridgeEvent(event);
+
+    if (duplicate) {
+      console.log('[Bridge Webhook] Duplicate event ignored:', event.id);
+      return res.json({ received: true, duplicate: true });
+    }
+
     // Create audit log
     await createAuditLog({
       eventType: 'bridge_webhook_received',
       description: `Bridge webhook: ${event.type}`,
-      data: event,
+      data: { inboxId: record.id },
       bridgeEventId: event.id,
       bridgeEventType: event.type
     });
 
-    // Route to appropriate handler based on event type
-    switch (event.type) {
-      case 'customer.updated':
-        await handleCustomerUpdated(event);
-        break;
-
-      case 'transfer.updated':
-        await handleTransferUpdated(event);
-        break;
-
-      case 'wallet.transaction.created':
-        await handleWalletTransactionCreated(event);
-        break;
-
-      case 'wallet.transaction.confirmed':
-        await handleWalletTransactionConfirmed(event);
-        break;
-
-      case 'card.transaction.created':
-        await handleCardTransaction(event);
-        break;
-
-      case 'virtual_account.deposit.created':
-        await handleVirtualAccountDeposit(event);
-        break;
-
-      default:
-        console.log('[Bridge Webhook] Unhandled event type:', event.type);
-    }
-
-    // Always respond with 200 OK to acknowledge receipt
     res.json({ received: true });
   } catch (error) {
-    console.error('[Bridge Webhook] Error processing webhook:', error);
+    console.error('[Bridge Webhook] Failed to store webhook:', error);
 
-    // Log the error but still return 200 to prevent retries
-    await createAuditLog({
-      eventType: 'bridge_webhook_error',
-      description: `Failed to process Bridge webhook: ${error.message}`,
-      data: { error: error.message, event: req.body }
-    });
-
-    res.json({ received: true, error: error.message });
+    res.status(500).json({ received: false, error: 'Failed to store webhook event' });
   }
 });
 
+/**
+ * Webhook worker dispatch table
+ *
+ * Event types:
+ * - customer.updated - KYC status changes
+ * - transfer.updated - Transaction status updates
+ * - wallet.transaction.created - Wallet transaction initiated
+ * - wallet.transaction.confirmed - Wallet transaction confirmed on-chain
+ * - card.transaction.created - Card spending
+ * - virtual_account.deposit.created - Fiat deposits
+ *
+ * Handlers must throw on failure so the worker schedules a retry.
+ */
+const bridgeEventHandlers = {
+  'customer.updated': handleCustomerUpdated,
+  'transfer.updated': handleTransferUpdated,
+  'wallet.transaction.created': handleWalletTransactionCreated,
+  'wallet.transaction.confirmed': handleWalletTransactionConfirmed,
+  'card.transaction.created': handleCardTransaction,
+  'virtual_account.deposit.created': handleVirtualAccountDeposit,
+};
+
+/**
+ * Process a stored Bridge event
+ * @param {Object} event - Bridge webhook event payload
+ * @returns {Promise<boolean>} False if no handler exists for the event type
+ */
+async function processBridgeEvent(event) {
+  const handler = bridgeEventHandlers[event.type];
+
+  if (!handler) {
+    console.log('[Bridge Webhook] Unhandled event type:', event.type);
+    return false;
+  }
+
+  await handler(event);
+  return true;
+}
+
 /**
  * Handle customer.updated event
  * Fired when KYC status changes
@@ -144,6 +196,12 @@ async function handleTransferUpdated(event) {
 
     console.log('[Bridge Webhook] Transfer updated:', bridgeTransferId, transfer.state);
 
+    // Transfers created by the purchase orchestrator settle or compensate the purchase
+    if (await handlePurchaseTransferUpdate(transfer)) {
+      console.log(`[Bridge Webhook] ✅ Purchase transfer ${bridgeTransferId} handled:`, transfer.state);
+      return;
+    }
+
     // Find transaction by Bridge transfer ID
     const { data: transaction } = await supabase
       .from('transactions')
@@ -689,3 +747,5 @@ async function handleWalletTransactionConfirmed(event) {
 }
 
 module.exports = router;
+module.exports.bridgeEventHandlers = bridgeEventHandlers;
+module.exports.processBridgeEvent = processBridgeEvent;
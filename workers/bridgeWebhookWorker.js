@@ -0,0 +1,100 @@
+// Bridge Webhook Worker
+// Processes events from the bridge_webhook_events inbox with retries and dead-lettering
+
+const { supabase } = require('../config/supabase.config');
+const { processBridgeEvent } = require('../webhooks/bridge');
+const {
+  claimDueEvents,
+  markEventProcessed,
+  markEventFailed,
+} = require('../services/webhookInboxService');
+
+const POLL_INTERVAL_MS = parseInt(process.env.BRIDGE_WEBHOOK_WORKER_INTERVAL_MS || '5000');
+const BATCH_SIZE = 10;
+
+let timer = null;
+let running = false;
+
+/**
+ * Claim and process one batch of due events
+ * @returns {Promise<Object>} { processed, failed } counts
+ */
+async function processDueEvents() {
+  const events = await claimDueEvents(BATCH_SIZE);
+  let processed = 0;
+  let failed = 0;
+
+  for (const record of events) {
+    try {
+      await processBridgeEvent(record.payload);
+      await markEventProcessed(record.id);
+      processed++;
+    } catch (error) {
+      failed++;
+      const status = await markEventFailed(record, error);
+
+      if (status === 'dead_letter') {
+        console.error(`[Webhook Worker] ❌ Event ${record.bridge_event_id} moved to dead letter:`, error.message);
+      } else {
+        console.warn(`[Webhook Worker] ⚠️  Event ${record.bridge_event_id} failed (attempt ${record.attempts}):`, error.message);
+      }
+    }
+  }
+
+  if (events.length > 0) {
+    console.log(`[Webhook Worker] ✅ Batch complete: ${processed} processed, ${failed} failed`);
+  }
+
+  return { processed, failed };
+}
+
+/**
+ * Run a batch unless one is already in progress
+ */
+async function tick() {
+  if (running) return;
+  running = true;
+
+  try {
+    // Drain the backlog before waiting for the next interval
+    let result;
+    do {
+      result = await processDueEvents();
+    } while (result.processed + result.failed === BATCH_SIZE);
+  } catch (error) {
+    console.error('[Webhook Worker] Error processing inbox:', error.message);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start polling the inbox
+ */
+function startBridgeWebhookWorker() {
+  if (timer) return;
+
+  if (!supabase) {
+    console.warn('⚠️  Bridge webhook worker not started - Supabase not configured');
+    return;
+  }
+
+  timer = setInterval(tick, POLL_INTERVAL_MS);
+  console.log(`🔁 Bridge webhook worker started (every ${POLL_INTERVAL_MS}ms)`);
+}
+
+/**
+ * Stop polling the inbox
+ */
+function stopBridgeWebhookWorker() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  processDueEvents,
+  startBridgeWebhookWorker,
+  stopBridgeWebhookWorker,
+};
@@ -0,0 +1,59 @@
+// Idempotency Key Worker
+// Deletes Idempotency-Key records once they expire
+
+const { supabase } = require('../config/supabase.config');
+const { purgeExpiredKeys } = require('../middleware/idempotency');
+
+const POLL_INTERVAL_MS = parseInt(process.env.IDEMPOTENCY_PURGE_INTERVAL_MS || String(60 * 60 * 1000));
+
+let timer = null;
+let running = false;
+
+/**
+ * Run a purge unless one is already in progress
+ */
+async function tick() {
+  if (running) return;
+  running = true;
+
+  try {
+    const purged = await purgeExpiredKeys();
+    if (purged > 0) {
+      console.log(`🧹 Purged ${purged} expired idempotency keys`);
+    }
+  } catch (error) {
+    console.error('[Idempotency Worker] Error purging expired keys:', error.message);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the purge schedule
+ */
+function startIdempotencyKeyWorker() {
+  if (timer) return;
+
+  if (!supabase) {
+    console.warn('⚠️  Idempotency key worker not started - Supabase not configured');
+    return;
+  }
+
+  timer = setInterval(tick, POLL_INTERVAL_MS);
+  console.log(`🧹 Idempotency key worker started (every ${POLL_INTERVAL_MS}ms)`);
+}
+
+/**
+ * Stop the purge schedule
+ */
+function stopIdempotencyKeyWorker() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  startIdempotencyKeyWorker,
+  stopIdempotencyKeyWorker,
+};
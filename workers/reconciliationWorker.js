@@ -0,0 +1,103 @@
+// Reconciliation Worker
+// Reconciles each settlement day once its settlement file has been imported
+
+const { supabase } = require('../config/supabase.config');
+const { runReconciliation, addDays } = require('../services/reconciliationService');
+
+const POLL_INTERVAL_MS = parseInt(process.env.RECONCILIATION_WORKER_INTERVAL_MS || String(60 * 60 * 1000));
+// Fiserv settles a day's transactions a day or two later
+const LAG_DAYS = parseInt(process.env.RECONCILIATION_LAG_DAYS || '2');
+
+let timer = null;
+let running = false;
+
+/**
+ * Reconcile the settlement day LAG_DAYS ago, unless it already has a scheduled run
+ * or no settlement file covering it has been imported yet
+ * @returns {Promise<Object|null>} The run, or null when nothing was due
+ */
+async function reconcileDueDay() {
+  const today = new Date().toISOString().slice(0, 10);
+  const day = addDays(today, -LAG_DAYS);
+
+  const { data: existingRun } = await supabase
+    .from('reconciliation_runs')
+    .select('id')
+    .eq('file_type', 'settlement')
+    .eq('trigger', 'scheduled')
+    .eq('period_start', day)
+    .in('status', ['running', 'completed'])
+    .limit(1)
+    .maybeSingle();
+
+  if (existingRun) {
+    return null;
+  }
+
+  // Wait for the file: without it every capture would show as missing in settlement
+  const { data: settledLine } = await supabase
+    .from('settlement_lines')
+    .select('id')
+    .eq('file_type', 'settlement')
+    .gte('settlement_date', day)
+    .limit(1)
+    .maybeSingle();
+
+  if (!settledLine) {
+    return null;
+  }
+
+  return runReconciliation({
+    periodStart: day,
+    periodEnd: day,
+    fileType: 'settlement',
+    trigger: 'scheduled',
+  });
+}
+
+/**
+ * Run a check unless one is already in progress
+ */
+async function tick() {
+  if (running) return;
+  running = true;
+
+  try {
+    await reconcileDueDay();
+  } catch (error) {
+    console.error('[Reconciliation Worker] Error reconciling settlement day:', error.message);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the reconciliation schedule
+ */
+function startReconciliationWorker() {
+  if (timer) return;
+
+  if (!supabase) {
+    console.warn('⚠️  Reconciliation worker not started - Supabase not configured');
+    return;
+  }
+
+  timer = setInterval(tick, POLL_INTERVAL_MS);
+  console.log(`🔁 Reconciliation worker started (every ${POLL_INTERVAL_MS}ms, ${LAG_DAYS} day lag)`);
+}
+
+/**
+ * Stop the reconciliation schedule
+ */
+function stopReconciliationWorker() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  reconcileDueDay,
+  startReconciliationWorker,
+  stopReconciliationWorker,
+};